@@ -1,6 +1,107 @@
 import React from 'react';
 import { StatusBar } from 'react-native';
-import DashboardScreen from './src/screens/DashboardScreen';
+import AppNavigator from './src/navigation/AppNavigator';
+import { NavigationProvider } from './src/navigation/NavigationContext';
+import { NotificationProvider } from './src/context/NotificationContext';
+import { AlertProvider } from './src/context/AlertContext';
+import { DashboardDataProvider } from './src/context/DashboardDataContext';
+import { DashboardLayoutProvider } from './src/context/DashboardLayoutContext';
+import { DashboardFilterProvider } from './src/context/DashboardFilterContext';
+import { ThemeProvider, useTheme } from './src/context/ThemeContext';
+import { ResponsiveProvider } from './src/context/ResponsiveContext';
+import { I18nProvider } from './src/context/I18nContext';
+import { SessionProvider } from './src/context/SessionContext';
+import { AuthProvider, useAuth } from './src/context/AuthContext';
+import AuthGate from './src/navigation/AuthGate';
+import { createAuthService } from './src/services/authApi';
+import { clearDashboardCache } from './src/services/dashboardCache';
+import { getDefaultStorage } from './src/services/storage';
+import { appConfig } from './src/config/appConfig';
+
+// The auth service, created once so the AuthProvider does not restart with every render.
+const authService = createAuthService(appConfig.auth);
+
+/**
+ * Drops the data cached for a user when they sign out, so the next user never sees it.
+ */
+const clearUserData = () => {
+  clearDashboardCache(getDefaultStorage());
+};
+
+/**
+ * Warns about an invalid brand theme definition in development. The app keeps running with the default themes.
+ * @param {Error} error - The error listing every problem of the definition.
+ */
+const reportThemeDefinitionError = (error: Error) => {
+  if (__DEV__) {
+    console.warn(error.message);
+  }
+};
+
+/**
+ * The status bar, styled from the current theme.
+ * @returns {React.ReactElement} The themed status bar.
+ */
+const ThemedStatusBar = () => {
+  const { theme } = useTheme();
+  return (
+    <StatusBar
+      barStyle={theme.statusBarStyle}
+      backgroundColor={theme.colors.primary.main}
+    />
+  );
+};
+
+/**
+ * The app of the signed-in user: their session, dashboard data, layout, notifications and screens.
+ * @returns {React.ReactElement} The signed-in app.
+ */
+const SignedInApp = () => {
+  // The AuthGate only renders this component once a user is signed in, so there is always a user.
+  const { user, getAccessToken } = useAuth();
+  return (
+    // The SessionProvider shares the signed-in user, whose roles decide what the dashboard shows.
+    <SessionProvider user={user}>
+      {/* The DashboardDataProvider fetches the dashboard data and shares it with every screen. The last fetched
+          data is cached, shown straight away on the next launch and revalidated in the background, and the
+          statistics are patched live when a live endpoint is configured. Requests carry the user's access token. */}
+      <DashboardDataProvider
+        endpoint={appConfig.dashboard.endpoint}
+        detailEndpoint={appConfig.dashboard.detailEndpoint}
+        staleTime={appConfig.dashboard.staleTime}
+        timeout={appConfig.dashboard.timeout}
+        cache={appConfig.dashboard.cache}
+        cacheVersion={appConfig.dashboard.cacheVersion}
+        getAccessToken={getAccessToken}
+        liveEndpoint={appConfig.live.endpoint}
+        liveSseEndpoint={appConfig.live.sseEndpoint}>
+        {/* The DashboardLayoutProvider holds the user's customized widget layout. */}
+        <DashboardLayoutProvider userId={user!.id}>
+          {/* The DashboardFilterProvider keeps the user's widget search and filters, so they survive refreshes,
+              rotation and restarts. */}
+          <DashboardFilterProvider userId={user!.id}>
+            {/* The NotificationProvider collects the notifications shown behind the header's bell, and saves them
+                for each user. */}
+            <NotificationProvider
+              userId={user!.id}
+              endpoint={appConfig.notifications.endpoint}
+              pollInterval={appConfig.notifications.pollInterval}>
+              {/* The AlertProvider evaluates the threshold alert rules on every refresh and notifies new breaches.
+                  The user's own rules are saved for each user. */}
+              <AlertProvider userId={user!.id}>
+                {/* The NavigationProvider holds the screen stack and the drawer state, so they survive rotation.
+                    The AppNavigator renders them, starting on the dashboard, and opens deep links. */}
+                <NavigationProvider>
+                  <AppNavigator linkingPrefixes={appConfig.linking.prefixes} />
+                </NavigationProvider>
+              </AlertProvider>
+            </NotificationProvider>
+          </DashboardFilterProvider>
+        </DashboardLayoutProvider>
+      </DashboardDataProvider>
+    </SessionProvider>
+  );
+};
 
 /**
  * The main entry point of the application.
@@ -8,13 +109,34 @@ import DashboardScreen from './src/screens/DashboardScreen';
  */
 const App = () => {
   return (
-    <>
-      {/* The StatusBar component controls the appearance of the status bar on the device. */}
-      <StatusBar barStyle="light-content" backgroundColor="#3498db" />
-      {/* The DashboardScreen is the main screen of the application. */}
-      <DashboardScreen />
-    </>
+    // The ResponsiveProvider shares the window size, device type and scaled tokens, and updates them on resize.
+    <ResponsiveProvider>
+      {/* The I18nProvider follows the device language, unless the user has picked one, and mirrors the layout
+          of right-to-left languages. */}
+      <I18nProvider>
+        {/* The ThemeProvider follows the system color scheme, unless the user has picked a theme.
+            A brand theme definition in the app config replaces the default colors, radii, shadows and fonts. */}
+        <ThemeProvider
+          definition={appConfig.theme.definition}
+          onDefinitionError={reportThemeDefinitionError}>
+          {/* The AuthProvider signs the user in against the auth endpoint, or the demo accounts without one, keeps
+              them signed in across launches and refreshes their access token. */}
+          <AuthProvider
+            service={authService}
+            refreshMargin={appConfig.auth.refreshMargin}
+            onSignOut={clearUserData}>
+            {/* The StatusBar component controls the appearance of the status bar on the device. */}
+            <ThemedStatusBar />
+            {/* The AuthGate shows the login screen until a user is signed in. Everything below it is remounted for
+                each user, so one user's data and screens never carry over to the next. */}
+            <AuthGate>
+              <SignedInApp />
+            </AuthGate>
+          </AuthProvider>
+        </ThemeProvider>
+      </I18nProvider>
+    </ResponsiveProvider>
   );
 };
 
-export default App;
\ No newline at end of file
+export default App;
@@ -7,7 +7,12 @@ import ReactTestRenderer from 'react-test-renderer';
 import App from '../App';
 
 test('renders correctly', async () => {
+  let renderer: ReactTestRenderer.ReactTestRenderer;
   await ReactTestRenderer.act(() => {
-    ReactTestRenderer.create(<App />);
+    renderer = ReactTestRenderer.create(<App />);
+  });
+  // Unmount so that the virtualized grid cannot update after the test has finished.
+  await ReactTestRenderer.act(() => {
+    renderer.unmount();
   });
 });
@@ -0,0 +1,254 @@
+/**
+ * @format
+ */
+
+import http from 'http';
+import React from 'react';
+import ReactTestRenderer from 'react-test-renderer';
+import {
+  DashboardDataProvider,
+  useDashboardData,
+} from '../src/context/DashboardDataContext';
+import {
+  DASHBOARD_CACHE_KEY,
+  DASHBOARD_CACHE_VERSION,
+  readDashboardCache,
+  writeDashboardCache,
+} from '../src/services/dashboardCache';
+import { createMemoryStorage } from '../src/services/storage';
+
+// A local mock HTTP server. Each test sets `handler` to control the response.
+let server;
+let endpoint;
+let handler;
+
+beforeAll(done => {
+  server = http.createServer((req, res) => handler(req, res));
+  server.listen(0, '127.0.0.1', () => {
+    endpoint = `http://127.0.0.1:${server.address().port}/dashboard`;
+    done();
+  });
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+const respondWith = (status, body) => (req, res) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const statistics = [{ id: 1, title: 'Total Sales', value: '$30.1K' }];
+
+/**
+ * Renders a DashboardDataProvider and returns a getter for the latest hook value.
+ */
+const renderProvider = async props => {
+  let latest;
+  const Probe = () => {
+    latest = useDashboardData();
+    return null;
+  };
+  let renderer;
+  await ReactTestRenderer.act(async () => {
+    renderer = ReactTestRenderer.create(
+      <DashboardDataProvider endpoint={endpoint} {...props}>
+        <Probe />
+      </DashboardDataProvider>,
+    );
+  });
+  const unmount = () => ReactTestRenderer.act(() => renderer.unmount());
+  return { get: () => latest, unmount };
+};
+
+/**
+ * Waits for the given amount of time and flushes the resulting state updates.
+ */
+const wait = async ms => {
+  await ReactTestRenderer.act(
+    () => new Promise(resolve => setTimeout(resolve, ms)),
+  );
+};
+
+/**
+ * Waits until the first request has settled.
+ */
+const settle = async get => {
+  for (let i = 0; i < 100 && get().lastUpdated === null && !get().error; i++) {
+    await wait(10);
+  }
+};
+
+test('fetches the statistics from the configured endpoint', async () => {
+  handler = respondWith(200, { statistics });
+  const { get, unmount } = await renderProvider();
+  await settle(get);
+
+  expect(get().statistics).toEqual(statistics);
+  expect(get().loading).toBe(false);
+  expect(get().error).toBeNull();
+  expect(get().isStale).toBe(false);
+  expect(get().lastUpdated).toEqual(expect.any(Number));
+  await unmount();
+});
+
+test('exposes an error and keeps the previous data when the request fails', async () => {
+  handler = respondWith(500, { message: 'boom' });
+  const initialData = { statistics: [{ id: 9, title: 'Placeholder' }] };
+  const { get, unmount } = await renderProvider({ initialData });
+  await settle(get);
+
+  expect(get().error).toBeInstanceOf(Error);
+  expect(get().error.status).toBe(500);
+  expect(get().statistics).toEqual(initialData.statistics);
+  expect(get().isStale).toBe(true);
+  await unmount();
+});
+
+test('rejects a response without a statistics array', async () => {
+  handler = respondWith(200, { widgets: [] });
+  const { get, unmount } = await renderProvider();
+  await settle(get);
+
+  expect(get().error.message).toMatch(/statistics/);
+  await unmount();
+});
+
+test('refresh re-fetches and toggles the refreshing flag', async () => {
+  let requests = 0;
+  handler = (req, res) => {
+    requests += 1;
+    respondWith(200, {
+      statistics: [{ id: 1, title: 'Total Sales', value: `${requests}` }],
+    })(req, res);
+  };
+  const { get, unmount } = await renderProvider();
+  await settle(get);
+  expect(get().statistics[0].value).toBe('1');
+
+  let refreshPromise;
+  await ReactTestRenderer.act(async () => {
+    refreshPromise = get().refresh();
+  });
+  expect(get().refreshing).toBe(true);
+
+  await ReactTestRenderer.act(() => refreshPromise);
+  expect(get().refreshing).toBe(false);
+  expect(get().statistics[0].value).toBe('2');
+  expect(requests).toBe(2);
+  await unmount();
+});
+
+test('marks the data as stale once staleTime has passed', async () => {
+  handler = respondWith(200, { statistics });
+  const { get, unmount } = await renderProvider({ staleTime: 100 });
+  await settle(get);
+  expect(get().isStale).toBe(false);
+
+  await wait(150);
+  expect(get().isStale).toBe(true);
+  await unmount();
+});
+
+test('serves cached data first and revalidates it in the background', async () => {
+  const storage = createMemoryStorage({
+    [DASHBOARD_CACHE_KEY]: {
+      version: DASHBOARD_CACHE_VERSION,
+      endpoint,
+      period: 'month',
+      timestamp: 1000,
+      data: { statistics: [{ id: 1, title: 'Total Sales', value: 'cached' }] },
+    },
+  });
+  let resolveResponse;
+  const fetchImpl = () =>
+    new Promise(resolve => {
+      resolveResponse = resolve;
+    });
+  const { get, unmount } = await renderProvider({
+    cache: true,
+    storage,
+    fetchImpl,
+  });
+
+  expect(get().statistics[0].value).toBe('cached');
+  expect(get().fromCache).toBe(true);
+  expect(get().lastUpdated).toBe(1000);
+  expect(get().loading).toBe(false);
+
+  await ReactTestRenderer.act(async () => {
+    resolveResponse({
+      ok: true,
+      status: 200,
+      json: async () => ({ statistics }),
+    });
+  });
+  expect(get().statistics).toEqual(statistics);
+  expect(get().fromCache).toBe(false);
+  expect((await storage.getItem(DASHBOARD_CACHE_KEY)).data).toEqual({
+    statistics,
+  });
+  await unmount();
+});
+
+test('keeps the cached data and flags the dashboard as offline', async () => {
+  const storage = createMemoryStorage();
+  await writeDashboardCache(
+    storage,
+    { statistics },
+    { endpoint, period: 'month', timestamp: 1000 },
+  );
+  const fetchImpl = () =>
+    Promise.reject(new TypeError('Network request failed'));
+  const { get, unmount } = await renderProvider({
+    cache: true,
+    storage,
+    fetchImpl,
+  });
+  await settle(get);
+
+  expect(get().isOffline).toBe(true);
+  expect(get().statistics).toEqual(statistics);
+  expect(get().lastUpdated).toBe(1000);
+  await unmount();
+});
+
+test('migrates or drops cached data of an older version', async () => {
+  const storage = createMemoryStorage();
+  await writeDashboardCache(
+    storage,
+    { stats: statistics },
+    { endpoint, timestamp: 1000, version: 1 },
+  );
+  const migrations = { 1: data => ({ statistics: data.stats }) };
+
+  expect(
+    await readDashboardCache(storage, { endpoint, version: 2, migrations }),
+  ).toEqual({
+    data: { statistics },
+    timestamp: 1000,
+  });
+  // Without a migration, the entry is removed rather than shown.
+  expect(
+    await readDashboardCache(storage, { endpoint, version: 2 }),
+  ).toBeNull();
+  expect(await storage.getItem(DASHBOARD_CACHE_KEY)).toBeNull();
+});
+
+test('keeps loadStatisticDetail stable across refreshes with a detail endpoint', async () => {
+  handler = respondWith(200, { statistics });
+  const { get, unmount } = await renderProvider({
+    detailEndpoint: `${endpoint}/{id}?range={range}`,
+  });
+  await settle(get);
+  const { loadStatisticDetail } = get();
+
+  handler = respondWith(200, {
+    statistics: [{ id: 1, title: 'Total Sales', value: '$31.0K' }],
+  });
+  await ReactTestRenderer.act(() => get().refresh());
+  expect(get().statistics[0].value).toBe('$31.0K');
+  expect(get().loadStatisticDetail).toBe(loadStatisticDetail);
+  await unmount();
+});
@@ -0,0 +1,148 @@
+/**
+ * @format
+ */
+
+import React from 'react';
+import ReactTestRenderer from 'react-test-renderer';
+import { DashboardDataProvider } from '../src/context/DashboardDataContext';
+import {
+  DashboardLayoutProvider,
+  useDashboardLayout,
+  applyLayoutCustomization,
+  getLayoutStorageKey,
+} from '../src/context/DashboardLayoutContext';
+import { createMemoryStorage } from '../src/services/storage';
+
+const baseLayout = {
+  version: 1,
+  widgets: [{ id: 'a' }, { id: 'b' }, { id: 'c' }],
+};
+
+const ids = layout => layout.widgets.map(widget => widget.id);
+
+test('applies the saved order and appends widgets the user has not seen', () => {
+  const { layout, available } = applyLayoutCustomization(baseLayout, {
+    order: ['c', 'a'],
+    removed: [],
+  });
+  expect(ids(layout)).toEqual(['c', 'a', 'b']);
+  expect(available).toEqual([]);
+});
+
+test('leaves removed widgets out and offers them to be added back', () => {
+  const { layout, available } = applyLayoutCustomization(baseLayout, {
+    order: [],
+    removed: ['b'],
+  });
+  expect(ids(layout)).toEqual(['a', 'c']);
+  expect(available.map(widget => widget.id)).toEqual(['b']);
+});
+
+/**
+ * Renders the layout provider for a user and returns a getter for the latest hook value.
+ */
+const renderLayout = async (storage, userId) => {
+  let latest;
+  const Probe = () => {
+    latest = useDashboardLayout();
+    return null;
+  };
+  let renderer;
+  await ReactTestRenderer.act(async () => {
+    renderer = ReactTestRenderer.create(
+      <DashboardDataProvider>
+        <DashboardLayoutProvider
+          userId={userId}
+          storage={storage}
+          baseLayout={baseLayout}
+        >
+          <Probe />
+        </DashboardLayoutProvider>
+      </DashboardDataProvider>,
+    );
+  });
+  const unmount = () => ReactTestRenderer.act(() => renderer.unmount());
+  return { get: () => latest, unmount };
+};
+
+test('persists the layout per user', async () => {
+  const storage = createMemoryStorage();
+  const first = await renderLayout(storage, 'alice');
+  expect(first.get().hydrated).toBe(true);
+
+  await ReactTestRenderer.act(async () => {
+    first.get().moveWidget('c', 0);
+  });
+  await ReactTestRenderer.act(async () => {
+    first.get().removeWidget('b');
+  });
+  expect(ids(first.get().layout)).toEqual(['c', 'a']);
+  await first.unmount();
+
+  expect(await storage.getItem(getLayoutStorageKey('alice'))).toEqual({
+    order: ['c', 'a'],
+    removed: ['b'],
+  });
+
+  // The same user gets the saved layout back; another user gets the default one.
+  const again = await renderLayout(storage, 'alice');
+  expect(ids(again.get().layout)).toEqual(['c', 'a']);
+  await again.unmount();
+
+  const other = await renderLayout(storage, 'bob');
+  expect(ids(other.get().layout)).toEqual(['a', 'b', 'c']);
+  await other.unmount();
+});
+
+test('adds a removed widget back to the end of the layout', async () => {
+  const storage = createMemoryStorage({
+    [getLayoutStorageKey('alice')]: { order: ['b', 'a'], removed: ['c'] },
+  });
+  const { get, unmount } = await renderLayout(storage, 'alice');
+  expect(ids(get().layout)).toEqual(['b', 'a']);
+
+  await ReactTestRenderer.act(async () => {
+    get().addWidget('c');
+  });
+  expect(ids(get().layout)).toEqual(['b', 'a', 'c']);
+  expect(get().available).toEqual([]);
+  await unmount();
+});
+
+test("never saves one user's layout for the next user", async () => {
+  const storage = createMemoryStorage({
+    [getLayoutStorageKey('alice')]: { order: ['c', 'b', 'a'], removed: [] },
+    [getLayoutStorageKey('bob')]: { order: ['b'], removed: ['a'] },
+  });
+  const setItem = jest.spyOn(storage, 'setItem');
+  const Provider = ({ userId }) => (
+    <DashboardDataProvider>
+      <DashboardLayoutProvider
+        userId={userId}
+        storage={storage}
+        baseLayout={baseLayout}
+      />
+    </DashboardDataProvider>
+  );
+  let renderer;
+  await ReactTestRenderer.act(async () => {
+    renderer = ReactTestRenderer.create(<Provider userId="alice" />);
+  });
+  await ReactTestRenderer.act(async () => {
+    renderer.update(<Provider userId="bob" />);
+  });
+
+  const savedForBob = setItem.mock.calls.filter(
+    ([key]) => key === getLayoutStorageKey('bob'),
+  );
+  expect(savedForBob.map(([, value]) => value.order)).not.toContainEqual([
+    'c',
+    'b',
+    'a',
+  ]);
+  expect(await storage.getItem(getLayoutStorageKey('bob'))).toEqual({
+    order: ['b'],
+    removed: ['a'],
+  });
+  await ReactTestRenderer.act(() => renderer.unmount());
+});
@@ -0,0 +1,151 @@
+/**
+ * @format
+ */
+
+import React from 'react';
+import { AppState } from 'react-native';
+import ReactTestRenderer from 'react-test-renderer';
+import {
+  NotificationProvider,
+  useNotifications,
+  getNotificationsStorageKey,
+} from '../src/context/NotificationContext';
+import {
+  createPollingSource,
+  createPushSource,
+} from '../src/services/notificationSources';
+import {
+  normalizeNotification,
+  formatRelativeTime,
+} from '../src/utils/notifications';
+import { createMemoryStorage } from '../src/services/storage';
+
+/**
+ * Renders a NotificationProvider and returns a getter for the latest hook value.
+ */
+const renderProvider = async props => {
+  let latest;
+  const Probe = () => {
+    latest = useNotifications();
+    return null;
+  };
+  let renderer;
+  await ReactTestRenderer.act(async () => {
+    renderer = ReactTestRenderer.create(
+      <NotificationProvider {...props}>
+        <Probe />
+      </NotificationProvider>,
+    );
+  });
+  const unmount = () => ReactTestRenderer.act(() => renderer.unmount());
+  return { get: () => latest, unmount };
+};
+
+test('normalizes notifications from a source', () => {
+  expect(
+    normalizeNotification({
+      id: 7,
+      title: 'Hello',
+      severity: 'critical',
+      timestamp: '2026-01-01T00:00:00Z',
+    }),
+  ).toEqual({
+    id: '7',
+    title: 'Hello',
+    message: '',
+    severity: 'info',
+    timestamp: Date.parse('2026-01-01T00:00:00Z'),
+    read: false,
+    link: null,
+  });
+  // Notifications without an id or title cannot be shown.
+  expect(normalizeNotification({ title: 'No id' })).toBeNull();
+  expect(formatRelativeTime(0, 90 * 60 * 1000)).toBe('1 h ago');
+});
+
+test('counts, marks and clears pushed notifications', async () => {
+  const push = createPushSource();
+  const storage = createMemoryStorage();
+  const { get, unmount } = await renderProvider({
+    sources: [push],
+    storage,
+  });
+  expect(get().notifications).toEqual([]);
+
+  const alert = { id: 'a', title: 'Orders are down', severity: 'warning' };
+  await ReactTestRenderer.act(async () => {
+    push.push([alert, { id: 'b', title: 'Report ready', timestamp: 1 }]);
+  });
+  expect(get().unreadCount).toBe(2);
+  // The newest notification comes first.
+  expect(get().notifications.map(item => item.id)).toEqual(['a', 'b']);
+
+  await ReactTestRenderer.act(async () => get().markRead('a'));
+  expect(get().unreadCount).toBe(1);
+  // Receiving a notification again keeps its read state.
+  await ReactTestRenderer.act(async () => push.push(alert));
+  expect(get().unreadCount).toBe(1);
+
+  await ReactTestRenderer.act(async () => get().markAllRead());
+  expect(get().unreadCount).toBe(0);
+
+  await ReactTestRenderer.act(async () => get().clearAll());
+  expect(get().notifications).toEqual([]);
+  // Cleared notifications do not come back when they are sent again.
+  await ReactTestRenderer.act(async () => push.push(alert));
+  expect(get().notifications).toEqual([]);
+  expect(
+    (await storage.getItem(getNotificationsStorageKey('default'))).dismissed,
+  ).toEqual(['a', 'b']);
+  await unmount();
+});
+
+test("restores the user's saved notifications, and only theirs", async () => {
+  const storage = createMemoryStorage({
+    [getNotificationsStorageKey('alex')]: {
+      items: [{ id: 'saved', title: 'Saved', timestamp: 1, read: true }],
+      dismissed: [],
+    },
+    [getNotificationsStorageKey('sam')]: {
+      items: [{ id: 'other', title: 'Other user', timestamp: 1 }],
+      dismissed: [],
+    },
+  });
+  const { get, unmount } = await renderProvider({
+    sources: [createPushSource()],
+    userId: 'alex',
+    storage,
+  });
+  expect(get().notifications).toMatchObject([{ id: 'saved', read: true }]);
+  expect(get().unreadCount).toBe(0);
+  await unmount();
+});
+
+test('polls a source on an interval while the app is active', async () => {
+  jest.useFakeTimers();
+  // The AppState mock has no current state, so it is set by hand.
+  const originalState = AppState.currentState;
+  AppState.currentState = 'active';
+  const load = jest.fn(async () => [{ id: 'poll', title: 'Polled' }]);
+  const emit = jest.fn();
+  const unsubscribe = createPollingSource(load, { interval: 1000 }).subscribe(
+    emit,
+  );
+  await Promise.resolve();
+  expect(load).toHaveBeenCalledTimes(1);
+
+  jest.advanceTimersByTime(2000);
+  expect(load).toHaveBeenCalledTimes(3);
+  // Polling pauses in the background.
+  AppState.currentState = 'background';
+  jest.advanceTimersByTime(2000);
+  expect(load).toHaveBeenCalledTimes(3);
+  unsubscribe();
+  jest.advanceTimersByTime(2000);
+  expect(load).toHaveBeenCalledTimes(3);
+  jest.useRealTimers();
+  AppState.currentState = originalState;
+  // Let the pending loads settle.
+  await Promise.resolve();
+  expect(emit).toHaveBeenCalledWith([{ id: 'poll', title: 'Polled' }]);
+});
@@ -0,0 +1,115 @@
+/**
+ * @format
+ */
+
+import React from 'react';
+import { Dimensions, FlatList, Text } from 'react-native';
+import ReactTestRenderer from 'react-test-renderer';
+import { ResponsiveProvider } from '../src/context/ResponsiveContext';
+import ResponsiveGrid from '../src/components/ResponsiveGrid';
+
+const PHONE = { width: 390, height: 844, scale: 3, fontScale: 1 };
+const TABLET = { width: 1366, height: 1024, scale: 2, fontScale: 1 };
+
+const items = Array.from({ length: 12 }, (_, index) => ({
+  id: `item-${index}`,
+}));
+
+const setWindow = window =>
+  ReactTestRenderer.act(async () => {
+    Dimensions.set({ window, screen: window });
+  });
+
+const render = async props => {
+  let renderer;
+  await ReactTestRenderer.act(async () => {
+    renderer = ReactTestRenderer.create(
+      <ResponsiveProvider>
+        <ResponsiveGrid
+          virtualized
+          data={items}
+          renderItem={item => <Text>{item.id}</Text>}
+          {...props}
+        />
+      </ResponsiveProvider>,
+    );
+  });
+  return renderer;
+};
+
+let scrollToIndex;
+let scrollToOffset;
+
+beforeEach(async () => {
+  await setWindow(PHONE);
+  scrollToIndex = jest
+    .spyOn(FlatList.prototype, 'scrollToIndex')
+    .mockImplementation(() => {});
+  scrollToOffset = jest
+    .spyOn(FlatList.prototype, 'scrollToOffset')
+    .mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+test('renders the bands of rows into a FlatList and passes list props through', async () => {
+  const onEndReached = jest.fn();
+  const renderer = await render({ onEndReached, numColumns: 2 });
+  const list = renderer.root.findByType(FlatList);
+
+  // Two columns of twelve single-cell items make six bands.
+  expect(list.props.data).toHaveLength(6);
+  expect(list.props.data[0].itemIndexes).toEqual([0, 1]);
+  expect(list.props.onEndReached).toBe(onEndReached);
+  const texts = renderer.root
+    .findAllByType(Text)
+    .map(node => node.props.children);
+  expect(texts).toContain('item-0');
+  await ReactTestRenderer.act(() => renderer.unmount());
+});
+
+test('scrolls the first visible item back into view when the columns change', async () => {
+  const renderer = await render();
+  const list = () => renderer.root.findByType(FlatList);
+  const bands = list().props.data;
+  const anchorBand = bands.find(band => band.itemIndexes.includes(6));
+  await ReactTestRenderer.act(async () =>
+    list().props.onViewableItemsChanged({
+      viewableItems: [{ isViewable: true, item: anchorBand }],
+    }),
+  );
+
+  await setWindow(TABLET);
+  const index = list().props.data.findIndex(band =>
+    band.itemIndexes.includes(6),
+  );
+  expect(index).toBeGreaterThan(0);
+  expect(index).toBeLessThan(bands.indexOf(anchorBand));
+  expect(scrollToIndex).toHaveBeenCalledWith({ index, animated: false });
+  await ReactTestRenderer.act(() => renderer.unmount());
+});
+
+test('cancels the retry of a failed scroll when it unmounts', async () => {
+  jest.useFakeTimers();
+  const renderer = await render();
+  const setTimeoutSpy = jest.spyOn(global, 'setTimeout');
+  const clearTimeoutSpy = jest.spyOn(global, 'clearTimeout');
+  await ReactTestRenderer.act(async () =>
+    renderer.root
+      .findByType(FlatList)
+      .props.onScrollToIndexFailed({ index: 3, averageItemLength: 100 }),
+  );
+  expect(scrollToOffset).toHaveBeenCalledWith({
+    offset: 300,
+    animated: false,
+  });
+  const retry = setTimeoutSpy.mock.results.find(
+    (result, i) => setTimeoutSpy.mock.calls[i][1] === 50,
+  ).value;
+
+  await ReactTestRenderer.act(() => renderer.unmount());
+  expect(clearTimeoutSpy).toHaveBeenCalledWith(retry);
+});
@@ -0,0 +1,91 @@
+/**
+ * @format
+ */
+
+import React from 'react';
+import ReactTestRenderer from 'react-test-renderer';
+import {
+  ThemeProvider,
+  useTheme,
+  THEME_PREFERENCE_KEY,
+} from '../src/context/ThemeContext';
+import { createMemoryStorage } from '../src/services/storage';
+import { themes } from '../src/styles/theme';
+
+/**
+ * Renders the theme provider and returns a getter for the latest hook value.
+ */
+const renderTheme = async storage => {
+  let latest;
+  const Probe = () => {
+    latest = useTheme();
+    return null;
+  };
+  let renderer;
+  await ReactTestRenderer.act(async () => {
+    renderer = ReactTestRenderer.create(
+      <ThemeProvider storage={storage}>
+        <Probe />
+      </ThemeProvider>,
+    );
+  });
+  const unmount = () => ReactTestRenderer.act(() => renderer.unmount());
+  return { get: () => latest, unmount };
+};
+
+test('follows the system color scheme by default', async () => {
+  const { get, unmount } = await renderTheme(createMemoryStorage());
+  expect(get().preference).toBe('system');
+  expect(['light', 'dark']).toContain(get().mode);
+  await unmount();
+});
+
+test('restores and saves the user override', async () => {
+  const storage = createMemoryStorage({ [THEME_PREFERENCE_KEY]: 'dark' });
+  const { get, unmount } = await renderTheme(storage);
+  expect(get().mode).toBe('dark');
+  expect(get().theme).toBe(themes.dark);
+
+  await ReactTestRenderer.act(async () => {
+    get().setPreference('highContrast');
+  });
+  expect(get().theme).toBe(themes.highContrast);
+  expect(await storage.getItem(THEME_PREFERENCE_KEY)).toBe('highContrast');
+
+  // Unknown preferences are ignored.
+  await ReactTestRenderer.act(async () => {
+    get().setPreference('sepia');
+  });
+  expect(get().mode).toBe('highContrast');
+  await unmount();
+});
+
+test('falls back to the default themes for an invalid brand definition', async () => {
+  const onDefinitionError = jest.fn();
+  let latest;
+  const Probe = () => {
+    latest = useTheme();
+    return null;
+  };
+  let renderer;
+  await ReactTestRenderer.act(async () => {
+    renderer = ReactTestRenderer.create(
+      <ThemeProvider
+        storage={createMemoryStorage({ [THEME_PREFERENCE_KEY]: 'light' })}
+        definition={{ colors: { primary: { main: 'purple' } } }}
+        onDefinitionError={onDefinitionError}
+      >
+        <Probe />
+      </ThemeProvider>,
+    );
+  });
+  expect(latest.theme).toBe(themes.light);
+  expect(latest.definitionErrors).toEqual([
+    'theme.colors.primary.main: expected a hex or rgb() color, got "purple"',
+  ]);
+  expect(onDefinitionError).toHaveBeenCalledTimes(1);
+  expect(onDefinitionError.mock.calls[0][0].errors).toEqual(
+    latest.definitionErrors,
+  );
+  await ReactTestRenderer.act(() => renderer.unmount());
+});
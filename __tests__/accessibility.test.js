@@ -0,0 +1,171 @@
+/**
+ * @format
+ */
+
+import React from 'react';
+import { AccessibilityInfo, Dimensions, Modal } from 'react-native';
+import ReactTestRenderer from 'react-test-renderer';
+import {
+  ResponsiveProvider,
+  useResponsive,
+} from '../src/context/ResponsiveContext';
+import { DashboardDataProvider } from '../src/context/DashboardDataContext';
+import { SessionProvider } from '../src/context/SessionContext';
+import { DashboardLayoutProvider } from '../src/context/DashboardLayoutContext';
+import { DashboardFilterProvider } from '../src/context/DashboardFilterContext';
+import { NotificationProvider } from '../src/context/NotificationContext';
+import { AlertProvider } from '../src/context/AlertContext';
+import { NavigationProvider } from '../src/navigation/NavigationContext';
+import AppNavigator from '../src/navigation/AppNavigator';
+import StatisticWidget from '../src/components/widgets/StatisticWidget';
+import ListWidget from '../src/components/widgets/ListWidget';
+import BottomSheet from '../src/components/BottomSheet';
+import { getResponsiveMetrics } from '../src/utils/responsive';
+
+const ADMIN = { id: 'admin', name: 'Admin', roles: ['admin'] };
+
+const PHONE = { width: 390, height: 844, scale: 3, fontScale: 1 };
+
+const setWindow = window =>
+  ReactTestRenderer.act(async () => {
+    Dimensions.set({ window, screen: window });
+  });
+
+const render = async element => {
+  let renderer;
+  await ReactTestRenderer.act(async () => {
+    renderer = ReactTestRenderer.create(
+      <ResponsiveProvider>{element}</ResponsiveProvider>,
+    );
+  });
+  return renderer;
+};
+
+const labelled = (renderer, role) =>
+  renderer.root
+    .findAll(
+      node =>
+        typeof node.type === 'string' &&
+        node.props.accessibilityRole === role &&
+        node.props.accessibilityLabel,
+    )
+    .map(node => node.props.accessibilityLabel);
+
+afterEach(() => setWindow(PHONE));
+
+test('follows the font scale up to a cap per text style', () => {
+  const normal = getResponsiveMetrics({ width: 640, height: 1000 });
+  const large = getResponsiveMetrics({
+    width: 640,
+    height: 1000,
+    fontScale: 2,
+  });
+  // Text multiplies the sizes by the font scale, so body text is rendered at twice its size...
+  expect(large.typography.body * 2).toBe(normal.typography.body * 2);
+  // ...while headings stop growing at 150%.
+  expect(large.typography.h1 * 2).toBe(normal.typography.h1 * 1.5);
+  expect(large.textScale).toBe(2);
+
+  const tablet = { width: 1366, height: 1024 };
+  expect(getResponsiveMetrics(tablet).columns).toBe(5);
+  expect(getResponsiveMetrics({ ...tablet, fontScale: 2 }).columns).toBe(2);
+  expect(getResponsiveMetrics({ ...tablet, fontScale: 4 }).columns).toBe(2);
+});
+
+test('reads widgets as grouped labels', async () => {
+  const renderer = await render(
+    <>
+      <StatisticWidget
+        title="Total Sales"
+        value="$24.5K"
+        trend="up"
+        trendValue="+12%"
+        subtitle="This month"
+        icon="attach-money"
+        alert={{ severity: 'warning', label: 'Value below $25K' }}
+      />
+      <StatisticWidget
+        title="Orders"
+        value="1,234"
+        trend="down"
+        trendValue="-3%"
+        icon="shopping-cart"
+        onPress={() => {}}
+      />
+      <ListWidget
+        title="Activity"
+        items={[{ label: 'New order', value: '2m' }]}
+      />
+    </>,
+  );
+  const groups = renderer.root
+    .findAll(
+      node =>
+        typeof node.type === 'string' &&
+        node.props.accessible &&
+        node.props.accessibilityLabel,
+    )
+    .map(node => node.props.accessibilityLabel);
+  expect(groups).toContain(
+    'Total Sales, $24.5K, up 12%, This month, Alert: Value below $25K',
+  );
+  expect(groups).toContain('New order, 2m');
+  expect(labelled(renderer, 'button')).toEqual(['Orders, 1,234, down 3%']);
+  expect(
+    renderer.root.findAll(
+      node =>
+        typeof node.type === 'string' &&
+        node.props.accessibilityRole === 'header',
+    ),
+  ).toHaveLength(3);
+});
+
+test('lays out the dashboard at 200% text size with labelled buttons', async () => {
+  await setWindow({ width: 1366, height: 1024, scale: 2, fontScale: 2 });
+  let columns;
+  const Probe = () => {
+    columns = useResponsive().columns;
+    return null;
+  };
+  const renderer = await render(
+    <SessionProvider user={ADMIN}>
+      <DashboardDataProvider>
+        <DashboardLayoutProvider>
+          <DashboardFilterProvider>
+            <NotificationProvider>
+              <AlertProvider>
+                <NavigationProvider>
+                  <Probe />
+                  <AppNavigator />
+                </NavigationProvider>
+              </AlertProvider>
+            </NotificationProvider>
+          </DashboardFilterProvider>
+        </DashboardLayoutProvider>
+      </DashboardDataProvider>
+    </SessionProvider>,
+  );
+  expect(columns).toBe(2);
+  const buttons = labelled(renderer, 'button');
+  expect(buttons).toEqual(
+    expect.arrayContaining([
+      'Add Product',
+      'View Reports',
+      'Manage Users',
+      'More actions',
+    ]),
+  );
+  expect(buttons.find(label => label.startsWith('Total Sales, '))).toMatch(
+    /^Total Sales, .+, up .+%, This month$/,
+  );
+  await ReactTestRenderer.act(() => renderer.unmount());
+});
+
+test('skips animations when the user asks for reduced motion', async () => {
+  AccessibilityInfo.isReduceMotionEnabled.mockResolvedValueOnce(true);
+  const renderer = await render(
+    <BottomSheet visible title="Details" onClose={() => {}} />,
+  );
+  expect(renderer.root.findByType(Modal).props.animationType).toBe('none');
+  await ReactTestRenderer.act(() => renderer.unmount());
+});
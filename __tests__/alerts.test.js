@@ -0,0 +1,269 @@
+/**
+ * @format
+ */
+
+import React from 'react';
+import ReactTestRenderer from 'react-test-renderer';
+import {
+  parseStatisticNumber,
+  collectDataAlertRules,
+  evaluateAlertRules,
+  describeAlertRule,
+} from '../src/utils/alertRules';
+import {
+  AlertProvider,
+  useAlerts,
+  getAlertsStorageKey,
+} from '../src/context/AlertContext';
+import {
+  DashboardDataProvider,
+  useDashboardData,
+} from '../src/context/DashboardDataContext';
+import {
+  NotificationProvider,
+  useNotifications,
+} from '../src/context/NotificationContext';
+import { SessionProvider } from '../src/context/SessionContext';
+import { createPushSource } from '../src/services/notificationSources';
+import { createMemoryStorage } from '../src/services/storage';
+
+const ORDERS_LOW = {
+  id: 'orders-low',
+  metric: 'value',
+  operator: 'below',
+  threshold: 500,
+};
+
+const dashboardWithOrders = value => ({
+  statistics: [
+    {
+      id: 3,
+      title: 'Orders',
+      value,
+      trendValue: '-3%',
+      alerts: [ORDERS_LOW],
+    },
+  ],
+});
+
+test('parses formatted values and evaluates rules', () => {
+  expect(parseStatisticNumber('$24.5K')).toBe(24500);
+  expect(parseStatisticNumber('1,234')).toBe(1234);
+  expect(parseStatisticNumber('-3%')).toBe(-3);
+  expect(parseStatisticNumber('n/a')).toBeNaN();
+
+  const { statistics } = dashboardWithOrders('456');
+  const rules = [
+    ...collectDataAlertRules(statistics),
+    {
+      id: 'trend',
+      statisticId: 3,
+      metric: 'trend',
+      operator: 'below',
+      threshold: -5,
+    },
+  ];
+  expect(rules[0]).toMatchObject({
+    statisticId: 3,
+    severity: 'warning',
+    source: 'data',
+  });
+  const breaches = evaluateAlertRules(rules, statistics);
+  expect(breaches.map(breach => breach.rule.id)).toEqual(['data-3-orders-low']);
+  expect(breaches[0].actual).toBe(456);
+  expect(describeAlertRule(rules[1])).toBe('Trend below -5%');
+
+  // Rules with the same id on two statistics stay apart.
+  const twoRules = collectDataAlertRules([
+    ...statistics,
+    { id: 5, title: 'Visits', value: 300, alerts: [ORDERS_LOW] },
+  ]);
+  expect(twoRules.map(rule => rule.id)).toEqual([
+    'data-3-orders-low',
+    'data-5-orders-low',
+  ]);
+});
+
+test('notifies a breach once per episode and persists user rules', async () => {
+  let value = '456';
+  const fetchImpl = async () => ({
+    ok: true,
+    status: 200,
+    json: async () => dashboardWithOrders(value),
+  });
+  const storage = createMemoryStorage();
+  let latest;
+  const Probe = () => {
+    latest = {
+      ...useAlerts(),
+      ...useNotifications(),
+      refresh: useDashboardData().refresh,
+    };
+    return null;
+  };
+  let renderer;
+  await ReactTestRenderer.act(async () => {
+    renderer = ReactTestRenderer.create(
+      <SessionProvider>
+        <DashboardDataProvider
+          endpoint="https://example.com/dashboard"
+          fetchImpl={fetchImpl}
+        >
+          <NotificationProvider
+            sources={[createPushSource()]}
+            storage={createMemoryStorage()}
+          >
+            <AlertProvider storage={storage}>
+              <Probe />
+            </AlertProvider>
+          </NotificationProvider>
+        </DashboardDataProvider>
+      </SessionProvider>,
+    );
+  });
+  const refresh = async () => {
+    await ReactTestRenderer.act(async () => {
+      await latest.refresh();
+    });
+  };
+  expect(latest.breachesByStatistic[3]).toHaveLength(1);
+  expect(latest.notifications).toHaveLength(1);
+  expect(latest.notifications[0].link).toEqual({
+    screen: 'statisticDetail',
+    params: { statisticId: 3 },
+  });
+
+  // Still breaching: no new notification.
+  await refresh();
+  expect(latest.notifications).toHaveLength(1);
+
+  // Recovered, then breaching again: a new episode is notified.
+  value = '600';
+  await refresh();
+  expect(latest.breaches).toEqual([]);
+  value = '420';
+  await refresh();
+  expect(latest.notifications).toHaveLength(2);
+
+  expect(() =>
+    latest.addRule({ statisticId: 3, metric: 'value', operator: 'over' }),
+  ).toThrow('Invalid alert rule');
+  let rule;
+  await ReactTestRenderer.act(async () => {
+    rule = latest.addRule({
+      statisticId: 3,
+      metric: 'value',
+      operator: 'below',
+      threshold: 450,
+    });
+  });
+  expect(latest.breaches).toHaveLength(2);
+  expect(latest.notifications).toHaveLength(3);
+  expect((await storage.getItem(getAlertsStorageKey('default'))).rules).toEqual(
+    [rule],
+  );
+
+  await ReactTestRenderer.act(async () => {
+    latest.removeRule(rule.id);
+  });
+  expect((await storage.getItem(getAlertsStorageKey('default'))).rules).toEqual(
+    [],
+  );
+  await ReactTestRenderer.act(() => renderer.unmount());
+});
+
+test('does not notify when the period changes', async () => {
+  const storage = createMemoryStorage();
+  let latest;
+  const Probe = () => {
+    latest = { ...useAlerts(), ...useNotifications(), ...useDashboardData() };
+    return null;
+  };
+  let renderer;
+  await ReactTestRenderer.act(async () => {
+    renderer = ReactTestRenderer.create(
+      <SessionProvider>
+        <DashboardDataProvider initialData={dashboardWithOrders(456)}>
+          <NotificationProvider
+            sources={[createPushSource()]}
+            storage={createMemoryStorage()}
+          >
+            <AlertProvider storage={storage}>
+              <Probe />
+            </AlertProvider>
+          </NotificationProvider>
+        </DashboardDataProvider>
+      </SessionProvider>,
+    );
+  });
+  const setPeriod = period =>
+    ReactTestRenderer.act(async () => latest.setPeriod(period));
+  expect(latest.notifications).toHaveLength(1);
+
+  // Over a whole year the orders are far above the threshold, but the thresholds are not for that period.
+  await setPeriod({ preset: 'custom', start: '2025-01-01', end: '2025-12-31' });
+  expect(latest.breaches).toEqual([]);
+  expect(
+    (await storage.getItem(getAlertsStorageKey('default'))).breaching,
+  ).toEqual(['data-3-orders-low']);
+
+  await setPeriod({ preset: 'month' });
+  expect(latest.breaches).toHaveLength(1);
+  expect(latest.notifications).toHaveLength(1);
+  await ReactTestRenderer.act(() => renderer.unmount());
+});
+
+test('only watches the statistics the user has permission for', async () => {
+  const initialData = {
+    statistics: [
+      {
+        id: 4,
+        title: 'Revenue',
+        value: 12300,
+        previousValue: 10700,
+        permission: 'revenue.view',
+        alerts: [
+          {
+            id: 'revenue-spike',
+            metric: 'trend',
+            operator: 'above',
+            threshold: 5,
+          },
+        ],
+      },
+    ],
+  };
+  const render = async roles => {
+    let latest;
+    const Probe = () => {
+      latest = { ...useAlerts(), ...useNotifications() };
+      return null;
+    };
+    let renderer;
+    await ReactTestRenderer.act(async () => {
+      renderer = ReactTestRenderer.create(
+        <SessionProvider user={{ id: 'user', name: 'User', roles }}>
+          <DashboardDataProvider initialData={initialData}>
+            <NotificationProvider
+              sources={[createPushSource()]}
+              storage={createMemoryStorage()}
+            >
+              <AlertProvider storage={createMemoryStorage()}>
+                <Probe />
+              </AlertProvider>
+            </NotificationProvider>
+          </DashboardDataProvider>
+        </SessionProvider>,
+      );
+    });
+    await ReactTestRenderer.act(() => renderer.unmount());
+    return latest;
+  };
+
+  const salesRep = await render(['salesRep']);
+  expect(salesRep.breaches).toEqual([]);
+  expect(salesRep.notifications).toEqual([]);
+  const admin = await render(['admin']);
+  expect(admin.breaches).toHaveLength(1);
+  expect(admin.notifications).toHaveLength(1);
+});
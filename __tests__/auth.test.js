@@ -0,0 +1,163 @@
+/**
+ * @format
+ */
+
+import React from 'react';
+import { Text, TextInput } from 'react-native';
+import ReactTestRenderer from 'react-test-renderer';
+import {
+  createEndpointAuthService,
+  createMockAuthService,
+  isAuthError,
+} from '../src/services/authApi';
+import { createMemoryStorage } from '../src/services/storage';
+import {
+  AuthProvider,
+  AUTH_SESSION_KEY,
+  useAuth,
+} from '../src/context/AuthContext';
+import { ResponsiveProvider } from '../src/context/ResponsiveContext';
+import AuthGate from '../src/navigation/AuthGate';
+import { getInitials } from '../src/components/Avatar';
+
+const USER = { id: 'u1', name: 'Alex Morgan', roles: ['admin'] };
+
+const respond = body =>
+  jest.fn().mockResolvedValue({ ok: true, json: async () => body });
+
+test('signs in against the endpoint or the demo accounts', async () => {
+  const fetchImpl = respond({ accessToken: 'a', expiresIn: 60, user: USER });
+  const service = createEndpointAuthService('https://api.test/auth', {
+    fetchImpl,
+  });
+  const session = await service.signIn({ username: 'alex', password: 'pw' });
+  expect(fetchImpl).toHaveBeenCalledWith(
+    'https://api.test/auth/login',
+    expect.objectContaining({
+      method: 'POST',
+      body: JSON.stringify({ username: 'alex', password: 'pw' }),
+    }),
+  );
+  expect(session.user).toEqual(USER);
+  expect(session.expiresAt).toBeGreaterThan(Date.now());
+
+  const mock = createMockAuthService();
+  const demo = await mock.signIn({ username: 'manager', password: 'manager' });
+  expect(demo.user.roles).toEqual(['manager']);
+  expect(demo.user.password).toBeUndefined();
+  expect((await mock.refresh(demo)).user.id).toBe(demo.user.id);
+  const error = await mock
+    .signIn({ username: 'manager', password: 'wrong' })
+    .catch(rejection => rejection);
+  expect(isAuthError(error)).toBe(true);
+
+  expect(getInitials('Alex Morgan')).toBe('AM');
+  expect(getInitials('  jordan  ')).toBe('J');
+});
+
+test('signs out when the session cannot be refreshed, but not when offline', async () => {
+  const expired = {
+    accessToken: 'old',
+    refreshToken: 'r',
+    expiresAt: Date.now() - 1000,
+    user: USER,
+  };
+  const render = async (refresh, session = expired) => {
+    const storage = createMemoryStorage({ [AUTH_SESSION_KEY]: session });
+    const onSignOut = jest.fn();
+    const service = { signIn: jest.fn(), refresh, signOut: jest.fn() };
+    let auth;
+    const Probe = () => {
+      auth = useAuth();
+      return null;
+    };
+    let renderer;
+    await ReactTestRenderer.act(async () => {
+      renderer = ReactTestRenderer.create(
+        <AuthProvider
+          service={service}
+          storage={storage}
+          retryDelay={60 * 60 * 1000}
+          onSignOut={onSignOut}
+        >
+          <Probe />
+        </AuthProvider>,
+      );
+    });
+    const saved = await storage.getItem(AUTH_SESSION_KEY);
+    await ReactTestRenderer.act(async () => renderer.unmount());
+    return { auth, onSignOut, saved };
+  };
+
+  const rejected = Object.assign(new Error('Unauthorized'), { status: 401 });
+  const signedOut = await render(jest.fn().mockRejectedValue(rejected));
+  expect(signedOut.auth.status).toBe('signedOut');
+  expect(signedOut.onSignOut).toHaveBeenCalledWith(USER);
+  expect(signedOut.saved).toBeNull();
+
+  const offline = await render(
+    jest.fn().mockRejectedValue(new TypeError('Network request failed')),
+  );
+  expect(offline.auth.status).toBe('signedIn');
+  expect(offline.auth.user).toEqual(USER);
+  expect(offline.onSignOut).not.toHaveBeenCalled();
+  expect(await offline.auth.getAccessToken()).toBe('old');
+
+  // Without a refresh token, an expired session is over even when offline.
+  const { refreshToken, ...unrenewable } = expired;
+  const ended = await render(
+    jest.fn().mockRejectedValue(new TypeError('Network request failed')),
+    unrenewable,
+  );
+  expect(ended.auth.status).toBe('signedOut');
+  expect(ended.onSignOut).toHaveBeenCalledWith(USER);
+  expect(ended.saved).toBeNull();
+});
+
+test('shows the login screen until a demo account signs in', async () => {
+  const storage = createMemoryStorage();
+  let auth;
+  const App = () => {
+    auth = useAuth();
+    return <Text>{`Hello ${auth.user.name}`}</Text>;
+  };
+  let renderer;
+  await ReactTestRenderer.act(async () => {
+    renderer = ReactTestRenderer.create(
+      <ResponsiveProvider>
+        <AuthProvider service={createMockAuthService()} storage={storage}>
+          <AuthGate>
+            <App />
+          </AuthGate>
+        </AuthProvider>
+      </ResponsiveProvider>,
+    );
+  });
+  const root = renderer.root;
+  const [username, password] = root.findAllByType(TextInput);
+  const submit = () =>
+    root
+      .findByProps({
+        accessibilityRole: 'button',
+        accessibilityLabel: 'Sign in',
+      })
+      .props.onPress();
+  const texts = () => root.findAllByType(Text).map(node => node.props.children);
+
+  await ReactTestRenderer.act(async () => {
+    username.props.onChangeText('sales');
+    password.props.onChangeText('wrong');
+  });
+  await ReactTestRenderer.act(submit);
+  expect(texts()).toContain('The username or password is incorrect.');
+
+  await ReactTestRenderer.act(async () => password.props.onChangeText('sales'));
+  await ReactTestRenderer.act(submit);
+  expect(texts()).toContain('Hello Jordan Lee');
+  expect((await storage.getItem(AUTH_SESSION_KEY)).user.id).toBe('demo-sales');
+
+  await ReactTestRenderer.act(async () => auth.signOut());
+  expect(root.findAllByType(TextInput)).toHaveLength(2);
+  expect(await storage.getItem(AUTH_SESSION_KEY)).toBeNull();
+  await ReactTestRenderer.act(async () => renderer.unmount());
+});
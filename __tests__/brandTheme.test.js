@@ -0,0 +1,60 @@
+/**
+ * @format
+ */
+
+import {
+  createBrandThemes,
+  validateThemeDefinition,
+  ThemeDefinitionError,
+} from '../src/styles/brandTheme';
+import { themes, borderRadius } from '../src/styles/theme';
+import exampleBrand from '../src/config/brands/example.json';
+
+test('accepts the example brand definition', () => {
+  expect(validateThemeDefinition(exampleBrand)).toEqual([]);
+});
+
+test('overrides the given tokens and keeps the defaults for the rest', () => {
+  const { light, dark, highContrast } = createBrandThemes(exampleBrand);
+
+  expect(light.colors.primary.main).toBe('#6a1b9a');
+  // Tokens missing from a group, and whole groups, fall back to the defaults.
+  expect(light.colors.primary.contrast).toBe(
+    themes.light.colors.primary.contrast,
+  );
+  expect(light.colors.semantic).toEqual(themes.light.colors.semantic);
+  expect(light.borderRadius).toEqual({ ...borderRadius, large: 6, xlarge: 10 });
+  expect(light.card.borderRadius).toBe(6);
+  expect(light.fontFamily).toEqual({
+    regular: 'System',
+    medium: 'System',
+    bold: 'System',
+  });
+  expect(light.brand.logo.uri).toBe('https://example.com/logo.png');
+
+  // Brand colors carry into the dark theme, but not into high contrast.
+  expect(dark.colors.primary.main).toBe('#6a1b9a');
+  expect(dark.colors.background).toEqual(themes.dark.colors.background);
+  expect(highContrast.colors.primary).toEqual(
+    themes.highContrast.colors.primary,
+  );
+});
+
+test('reports every invalid token with its path', () => {
+  const definition = {
+    colors: { primary: { main: 'purple' }, primay: { main: '#fff' } },
+    borderRadius: { large: -2 },
+    shadows: { medium: { opacity: 3 } },
+    fontFamily: 12,
+    logo: { width: 10 },
+  };
+  expect(validateThemeDefinition(definition)).toEqual([
+    'theme.colors.primary.main: expected a hex or rgb() color, got "purple"',
+    'theme.colors.primay: unknown token (expected one of: primary, secondary, accent, neutral, semantic, background)',
+    'theme.borderRadius.large: must be at least 0, got -2',
+    'theme.shadows.medium.opacity: must be at most 1, got 3',
+    'theme.fontFamily: expected string or object, got number',
+    'theme.logo.uri: is required',
+  ]);
+  expect(() => createBrandThemes(definition)).toThrow(ThemeDefinitionError);
+});
@@ -0,0 +1,74 @@
+/**
+ * @format
+ */
+
+import {
+  niceTicks,
+  formatTick,
+  computeLineChart,
+  computeBarChart,
+  computeDonut,
+  findNearestIndex,
+  findSegmentAt,
+} from '../src/utils/chartGeometry';
+
+test('rounds axis bounds to readable ticks', () => {
+  expect(niceTicks(3, 78)).toEqual({
+    min: 0,
+    max: 80,
+    step: 20,
+    ticks: [0, 20, 40, 60, 80],
+  });
+  // A flat series is given room on both sides.
+  const flat = niceTicks(5, 5);
+  expect(flat.min).toBeLessThan(5);
+  expect(flat.max).toBeGreaterThan(5);
+  expect(formatTick(1200)).toBe('1.2K');
+  expect(formatTick(3500000)).toBe('3.5M');
+  expect(formatTick(0.25)).toBe('0.25');
+});
+
+test('lays out line and bar charts inside the plot area', () => {
+  const data = [
+    { label: 'Mon', value: 10 },
+    { label: 'Tue', value: 30 },
+    { label: 'Wed', value: 20 },
+  ];
+  const line = computeLineChart(data, { width: 236, height: 128 });
+  expect(line.plot).toEqual({ x: 36, y: 8, width: 192, height: 100 });
+  expect(line.points.map(point => point.x)).toEqual([36, 132, 228]);
+  expect(line.linePath.startsWith('M36,')).toBe(true);
+  expect(findNearestIndex(line.points, 140)).toBe(1);
+
+  const bar = computeBarChart(data, { width: 236, height: 128 });
+  const zeroY = line.plot.y + line.plot.height;
+  bar.bars.forEach(item => {
+    // Bars grow up from the zero line.
+    expect(item.y + item.height).toBeCloseTo(zeroY, 1);
+  });
+  expect(bar.bars[1].height).toBeGreaterThan(bar.bars[0].height);
+});
+
+test('splits a donut into segments and hit-tests them', () => {
+  const donut = computeDonut(
+    [
+      { label: 'A', value: 3 },
+      { label: 'B', value: 1 },
+      { label: 'C', value: -2 },
+    ],
+    { size: 100, thickness: 20 },
+  );
+  expect(donut.total).toBe(4);
+  expect(donut.segments.map(segment => segment.fraction)).toEqual([
+    0.75, 0.25, 0,
+  ]);
+  expect(donut.segments[2].path).toBe('');
+
+  // The first segment runs clockwise from 12 o'clock to 9 o'clock, the second one back to 12 o'clock.
+  expect(findSegmentAt(donut, 90, 50)).toBe(0);
+  expect(findSegmentAt(donut, 10, 60)).toBe(0);
+  expect(findSegmentAt(donut, 15, 40)).toBe(1);
+  // The hole and the corners are outside the ring.
+  expect(findSegmentAt(donut, 50, 50)).toBe(-1);
+  expect(findSegmentAt(donut, 2, 2)).toBe(-1);
+});
@@ -0,0 +1,129 @@
+/**
+ * @format
+ */
+
+import React from 'react';
+import { Text } from 'react-native';
+import ReactTestRenderer from 'react-test-renderer';
+import { ResponsiveProvider } from '../src/context/ResponsiveContext';
+import LineChartWidget from '../src/components/widgets/LineChartWidget';
+import BarChartWidget from '../src/components/widgets/BarChartWidget';
+import DonutWidget from '../src/components/widgets/DonutWidget';
+import DonutChart from '../src/components/charts/DonutChart';
+import { computeDonut } from '../src/utils/chartGeometry';
+
+const data = [
+  { label: 'Jan', value: 1200 },
+  { label: 'Feb', value: 1800 },
+  { label: 'Mar', value: 1500 },
+];
+
+const render = async element => {
+  let renderer;
+  await ReactTestRenderer.act(async () => {
+    renderer = ReactTestRenderer.create(
+      <ResponsiveProvider>{element}</ResponsiveProvider>,
+    );
+  });
+  return renderer;
+};
+
+const texts = renderer =>
+  renderer.root.findAllByType(Text).map(node => node.props.children);
+
+test('shows a tooltip for the pressed point of a line chart', async () => {
+  const renderer = await render(
+    <LineChartWidget title="Sales" data={data} chartWidth={300} />,
+  );
+  expect(texts(renderer)).not.toContain('Feb');
+
+  const [chart] = renderer.root.findAll(
+    node => node.props.accessibilityRole === 'image' && node.props.onPress,
+  );
+  // The middle point sits in the middle of the plot area.
+  await ReactTestRenderer.act(async () => {
+    chart.props.onPress({ nativeEvent: { locationX: 166 } });
+  });
+  expect(texts(renderer)).toEqual(expect.arrayContaining(['Feb', '1.8K']));
+
+  // Pressing the same point again hides the tooltip.
+  await ReactTestRenderer.act(async () => {
+    chart.props.onPress({ nativeEvent: { locationX: 166 } });
+  });
+  expect(texts(renderer)).not.toContain('1.8K');
+
+  // A new series clears the selection.
+  await ReactTestRenderer.act(async () => {
+    chart.props.onPress({ nativeEvent: { locationX: 166 } });
+  });
+  await ReactTestRenderer.act(async () => {
+    renderer.update(
+      <ResponsiveProvider>
+        <LineChartWidget title="Sales" data={[...data]} chartWidth={300} />
+      </ResponsiveProvider>,
+    );
+  });
+  expect(texts(renderer)).not.toContain('1.8K');
+  await ReactTestRenderer.act(() => renderer.unmount());
+});
+
+const findChart = renderer =>
+  renderer.root.find(
+    node => node.props.accessibilityRole === 'image' && node.props.onPress,
+  );
+
+test('clears the pressed bar when the data changes', async () => {
+  const renderer = await render(
+    <BarChartWidget title="Sales" data={data} chartWidth={300} />,
+  );
+  await ReactTestRenderer.act(async () => {
+    findChart(renderer).props.onPress({ nativeEvent: { locationX: 166 } });
+  });
+  expect(texts(renderer)).toEqual(expect.arrayContaining(['Feb', '1.8K']));
+
+  await ReactTestRenderer.act(async () => {
+    renderer.update(
+      <ResponsiveProvider>
+        <BarChartWidget title="Sales" data={[...data]} chartWidth={300} />
+      </ResponsiveProvider>,
+    );
+  });
+  expect(texts(renderer)).not.toContain('1.8K');
+  await ReactTestRenderer.act(() => renderer.unmount());
+});
+
+test('clears the pressed donut segment when the data changes', async () => {
+  const renderer = await render(
+    <DonutWidget title="Channels" data={data} chartWidth={300} />,
+  );
+  // Press the ring at 3 o'clock, inside the first segment.
+  const donut = computeDonut(data, {
+    size: renderer.root.findByType(DonutChart).props.size,
+  });
+  await ReactTestRenderer.act(async () => {
+    findChart(renderer).props.onPress({
+      nativeEvent: {
+        locationX: donut.center.x + (donut.radius + donut.innerRadius) / 2,
+        locationY: donut.center.y,
+      },
+    });
+  });
+  expect(texts(renderer)).toContain('Jan · 27%');
+
+  await ReactTestRenderer.act(async () => {
+    renderer.update(
+      <ResponsiveProvider>
+        <DonutWidget title="Channels" data={[...data]} chartWidth={300} />
+      </ResponsiveProvider>,
+    );
+  });
+  expect(texts(renderer)).not.toContain('Jan · 27%');
+  expect(texts(renderer)).toContain('4.5K');
+  await ReactTestRenderer.act(() => renderer.unmount());
+});
+
+test('shows an empty state without data', async () => {
+  const renderer = await render(<DonutWidget title="Channels" data={[]} />);
+  expect(texts(renderer)).toContain('No data yet');
+  await ReactTestRenderer.act(() => renderer.unmount());
+});
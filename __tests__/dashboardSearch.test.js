@@ -0,0 +1,166 @@
+/**
+ * @format
+ */
+
+import React from 'react';
+import { Text, TextInput } from 'react-native';
+import ReactTestRenderer from 'react-test-renderer';
+import {
+  filterGridItems,
+  getDashboardCategories,
+  splitMatches,
+} from '../src/utils/dashboardSearch';
+import { resolveLayout } from '../src/components/widgets';
+import { sampleDashboard } from '../src/data/sampleDashboard';
+import defaultLayout from '../src/data/defaultLayout.json';
+import { ResponsiveProvider } from '../src/context/ResponsiveContext';
+import { SessionProvider } from '../src/context/SessionContext';
+import { DashboardDataProvider } from '../src/context/DashboardDataContext';
+import { DashboardLayoutProvider } from '../src/context/DashboardLayoutContext';
+import {
+  DashboardFilterProvider,
+  getFilterStorageKey,
+} from '../src/context/DashboardFilterContext';
+import { NotificationProvider } from '../src/context/NotificationContext';
+import { AlertProvider } from '../src/context/AlertContext';
+import { NavigationProvider } from '../src/navigation/NavigationContext';
+import DashboardScreen from '../src/screens/DashboardScreen';
+import { createMemoryStorage } from '../src/services/storage';
+
+const ADMIN = { id: 'admin', name: 'Admin', roles: ['admin'] };
+
+test('filters the widgets by text, category and trend', () => {
+  const items = resolveLayout(defaultLayout, {
+    statistics: sampleDashboard.statistics,
+    series: sampleDashboard.series,
+  });
+  const ids = filter =>
+    filterGridItems(items, {
+      query: '',
+      category: null,
+      trend: null,
+      ...filter,
+    }).map(item => item.id);
+
+  expect(ids({ query: 'INCOME' })).toEqual(['total-sales', 'revenue']);
+  expect(ids({ query: 'sales trend' })).toEqual(['sales-trend']);
+  expect(ids({ query: 'export' })).toEqual(['quick-actions']);
+  expect(ids({ trend: 'down' })).toEqual(['orders']);
+  expect(ids({ category: 'finance' })).toEqual([
+    'revenue',
+    'revenue-by-channel',
+  ]);
+  expect(ids({ category: 'sales', trend: 'up' })).toEqual(['total-sales']);
+  expect(getDashboardCategories(items)).toEqual([
+    'sales',
+    'customers',
+    'finance',
+  ]);
+
+  expect(splitMatches('Total Sales', 'sal')).toEqual([
+    { text: 'Total ', match: false },
+    { text: 'Sal', match: true },
+    { text: 'es', match: false },
+  ]);
+  expect(splitMatches('Orders', 'xyz')).toEqual([
+    { text: 'Orders', match: false },
+  ]);
+});
+
+test('searches from the header, highlights matches and keeps the filter', async () => {
+  const storage = createMemoryStorage();
+  const render = async () => {
+    let renderer;
+    await ReactTestRenderer.act(async () => {
+      renderer = ReactTestRenderer.create(
+        <ResponsiveProvider>
+          <SessionProvider user={ADMIN}>
+            <DashboardDataProvider>
+              <DashboardLayoutProvider>
+                <DashboardFilterProvider userId="admin" storage={storage}>
+                  <NotificationProvider>
+                    <AlertProvider>
+                      <NavigationProvider>
+                        <DashboardScreen />
+                      </NavigationProvider>
+                    </AlertProvider>
+                  </NotificationProvider>
+                </DashboardFilterProvider>
+              </DashboardLayoutProvider>
+            </DashboardDataProvider>
+          </SessionProvider>
+        </ResponsiveProvider>,
+      );
+    });
+    return renderer;
+  };
+  const press = (renderer, label) =>
+    ReactTestRenderer.act(async () =>
+      renderer.root
+        .findAll(
+          node => node.props.accessibilityLabel === label && node.props.onPress,
+        )[0]
+        .props.onPress(),
+    );
+  const texts = renderer =>
+    renderer.root.findAllByType(Text).map(node => node.props.children);
+
+  let renderer = await render();
+  await press(renderer, 'Search widgets');
+  const input = renderer.root.findByProps({ placeholder: 'Search widgets' });
+  expect(input.type).toBe(TextInput);
+  await ReactTestRenderer.act(async () => input.props.onChangeText('sales'));
+  await press(renderer, 'Trending up');
+
+  expect(texts(renderer)).not.toContain('Orders');
+  expect(texts(renderer)).toContain('1 of 8 widgets shown');
+  // The matching part of the title is highlighted.
+  expect(texts(renderer)).toContainEqual(['Total ', expect.anything()]);
+  expect(await storage.getItem(getFilterStorageKey('admin'))).toEqual({
+    query: 'sales',
+    category: null,
+    trend: 'up',
+  });
+  await ReactTestRenderer.act(async () => renderer.unmount());
+
+  // The filter is restored, with the search bar open, the next time the dashboard is shown.
+  renderer = await render();
+  expect(
+    renderer.root.findByProps({ placeholder: 'Search widgets' }).props.value,
+  ).toBe('sales');
+  await press(renderer, 'Close search');
+  expect(texts(renderer)).toContain('Orders');
+  expect(texts(renderer)).not.toContain('1 of 8 widgets shown');
+  await ReactTestRenderer.act(async () => renderer.unmount());
+});
+
+test("never saves one user's filter for the next user", async () => {
+  const storage = createMemoryStorage({
+    [getFilterStorageKey('alice')]: {
+      query: 'sales',
+      category: null,
+      trend: null,
+    },
+  });
+  const setItem = jest.spyOn(storage, 'setItem');
+  let renderer;
+  await ReactTestRenderer.act(async () => {
+    renderer = ReactTestRenderer.create(
+      <DashboardFilterProvider userId="alice" storage={storage} />,
+    );
+  });
+  await ReactTestRenderer.act(async () => {
+    renderer.update(<DashboardFilterProvider userId="bob" storage={storage} />);
+  });
+
+  expect(setItem).not.toHaveBeenCalledWith(
+    getFilterStorageKey('bob'),
+    expect.objectContaining({ query: 'sales' }),
+  );
+  expect(await storage.getItem(getFilterStorageKey('bob'))).toEqual({
+    query: '',
+    category: null,
+    trend: null,
+  });
+  await ReactTestRenderer.act(() => renderer.unmount());
+});
@@ -0,0 +1,104 @@
+/**
+ * @format
+ */
+
+import {
+  resolveSpan,
+  packGrid,
+  buildGridBands,
+  MAX_ROW_SPAN,
+} from '../src/utils/gridLayout';
+
+const tabletLandscape = { deviceType: 'tablet', orientation: 'landscape' };
+const phonePortrait = { deviceType: 'mediumPhone', orientation: 'portrait' };
+
+test('resolves spans per breakpoint, from the most specific key', () => {
+  const span = { phone: 'full', tablet: 2, tabletPortrait: 1 };
+  expect(resolveSpan(span, { ...phonePortrait, columns: 1 })).toBe(1);
+  expect(resolveSpan(span, { ...tabletLandscape, columns: 4 })).toBe(2);
+  expect(
+    resolveSpan(span, {
+      deviceType: 'tablet',
+      orientation: 'portrait',
+      columns: 2,
+    }),
+  ).toBe(1);
+  expect(
+    resolveSpan(span, {
+      deviceType: 'largeTablet',
+      orientation: 'landscape',
+      columns: 5,
+    }),
+  ).toBe(2);
+  expect(resolveSpan('full', { ...tabletLandscape, columns: 4 })).toBe(4);
+  expect(resolveSpan(9, { ...tabletLandscape, columns: 4 })).toBe(4);
+  expect(resolveSpan(undefined, { ...tabletLandscape, columns: 4 })).toBe(1);
+});
+
+test('places a wide chart beside two statistics and fills the gaps', () => {
+  const items = [
+    { id: 'chart', colSpan: { phone: 'full', tablet: 2 }, rowSpan: 2 },
+    { id: 'a' },
+    { id: 'b' },
+    { id: 'c' },
+    { id: 'd' },
+    { id: 'e' },
+  ];
+  const { cells } = packGrid(items, 4, tabletLandscape);
+  expect(cells).toEqual([
+    [0, 0, 1, 2],
+    [0, 0, 3, 4],
+    [5, -1, -1, -1],
+  ]);
+});
+
+test('collapses spanning items to full width on phones', () => {
+  const items = [
+    { id: 'chart', colSpan: { phone: 'full', tablet: 2 } },
+    { id: 'a' },
+  ];
+  const { cells } = packGrid(items, 1, phonePortrait);
+  expect(cells).toEqual([[0], [1]]);
+});
+
+test('keeps row spans finite whatever the layout declares', () => {
+  const items = [
+    { id: 'full', rowSpan: 'full' },
+    { id: 'phone', rowSpan: { phone: 'full', tablet: 2 } },
+    { id: 'huge', rowSpan: 1e9 },
+    { id: 'infinite', rowSpan: Infinity },
+  ];
+  const spans = context =>
+    packGrid(items, 4, context).placements.map(p => p.rowSpan);
+  expect(spans(tabletLandscape)).toEqual([1, 2, MAX_ROW_SPAN, 1]);
+  expect(spans(phonePortrait)).toEqual([1, 1, MAX_ROW_SPAN, 1]);
+});
+
+test('splits the packed grid into bands that no item crosses', () => {
+  const items = [
+    { id: 'chart', colSpan: 2, rowSpan: 2 },
+    { id: 'a' },
+    { id: 'b' },
+    { id: 'c' },
+    { id: 'd' },
+    { id: 'wide', colSpan: 'full' },
+  ];
+  const bands = buildGridBands(packGrid(items, 4, tabletLandscape), 4);
+  expect(bands.map(band => [band.row, band.rowEnd])).toEqual([
+    [0, 2],
+    [2, 3],
+  ]);
+
+  const [first] = bands;
+  expect(first.tree.type).toBe('columns');
+  expect(first.tree.children[0].placement.item.id).toBe('chart');
+  // The statistics beside the chart are stacked in two rows of two.
+  const stack = first.tree.children[1];
+  expect(stack.type).toBe('rows');
+  expect(
+    stack.children.map(row => row.children.map(cell => cell.placement.item.id)),
+  ).toEqual([
+    ['a', 'b'],
+    ['c', 'd'],
+  ]);
+});
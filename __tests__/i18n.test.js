@@ -0,0 +1,78 @@
+/**
+ * @format
+ */
+
+import React from 'react';
+import ReactTestRenderer from 'react-test-renderer';
+import { createTranslator, resolveLanguage } from '../src/i18n';
+import {
+  I18nProvider,
+  useI18n,
+  LANGUAGE_PREFERENCE_KEY,
+} from '../src/context/I18nContext';
+import { ResponsiveProvider } from '../src/context/ResponsiveContext';
+import BaseWidget from '../src/components/widgets/BaseWidget';
+import { createMemoryStorage } from '../src/services/storage';
+
+test('translates with plurals, placeholders and an English fallback', () => {
+  const en = createTranslator('en');
+  expect(en('chart.bar', { title: 'Orders', count: 1 })).toBe(
+    'Orders bar chart with 1 bar',
+  );
+  expect(en('chart.bar', { title: 'Orders', count: 7 })).toBe(
+    'Orders bar chart with 7 bars',
+  );
+  // Unknown keys are shown as they are, and missing parameters are left in place.
+  expect(en('missing.key')).toBe('missing.key');
+  expect(en('widget.open')).toBe('{title} widget');
+
+  const ar = createTranslator('ar');
+  expect(ar('time.minutesAgo', { count: 2 })).toBe('قبل دقيقتين');
+  expect(ar('time.minutesAgo', { count: 5 })).toMatch(/دقائق$/);
+  expect(ar('time.minutesAgo', { count: 11 })).toMatch(/دقيقة$/);
+});
+
+test('resolves the language from the preference and the device locale', () => {
+  expect(resolveLanguage('system', 'ar-EG')).toEqual({
+    code: 'ar',
+    locale: 'ar-EG',
+  });
+  expect(resolveLanguage('system', 'fr-FR')).toEqual({
+    code: 'en',
+    locale: 'en',
+  });
+  expect(resolveLanguage('ar', 'en-US')).toEqual({ code: 'ar', locale: 'ar' });
+});
+
+test('switches the language at runtime and mirrors the layout', async () => {
+  const storage = createMemoryStorage();
+  let latest;
+  const Probe = () => {
+    latest = useI18n();
+    return <BaseWidget title="Sales" showArrow onPress={() => {}} />;
+  };
+  let renderer;
+  await ReactTestRenderer.act(async () => {
+    renderer = ReactTestRenderer.create(
+      <ResponsiveProvider>
+        <I18nProvider deviceLocale="en-US" storage={storage}>
+          <Probe />
+        </I18nProvider>
+      </ResponsiveProvider>,
+    );
+  });
+  const chevron = () =>
+    renderer.root.findAll(node => /^chevron-/.test(node.props.name))[0].props
+      .name;
+  expect(latest.direction).toBe('ltr');
+  expect(chevron()).toBe('chevron-right');
+
+  await ReactTestRenderer.act(async () => {
+    latest.setPreference('ar');
+  });
+  expect(latest.isRTL).toBe(true);
+  expect(latest.t('widget.open', { title: 'Sales' })).toBe('أداة Sales');
+  expect(chevron()).toBe('chevron-left');
+  expect(await storage.getItem(LANGUAGE_PREFERENCE_KEY)).toBe('ar');
+  await ReactTestRenderer.act(() => renderer.unmount());
+});
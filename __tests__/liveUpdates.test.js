@@ -0,0 +1,177 @@
+/**
+ * @format
+ */
+
+import http from 'http';
+import WebSocket from 'ws';
+import React from 'react';
+import ReactTestRenderer from 'react-test-renderer';
+import {
+  DashboardDataProvider,
+  useDashboardData,
+} from '../src/context/DashboardDataContext';
+import {
+  createEventStreamParser,
+  createLiveStatisticsSource,
+  getReconnectDelay,
+} from '../src/services/liveUpdates';
+
+const initialData = {
+  statistics: [
+    { id: 1, title: 'Total Sales', value: 100 },
+    { id: 2, title: 'Orders', value: 5 },
+  ],
+};
+
+const backoff = { initialDelay: 10, maxDelay: 50, jitter: 0 };
+
+/**
+ * A minimal XMLHttpRequest for Node, enough to read an event stream as it arrives.
+ */
+class NodeXMLHttpRequest {
+  readyState = 0;
+  status = 0;
+  responseText = '';
+  open(method, url) {
+    this.url = url;
+    this.headers = {};
+  }
+  setRequestHeader(name, value) {
+    this.headers[name] = value;
+  }
+  send() {
+    this.request = http.get(this.url, { headers: this.headers }, response => {
+      this.status = response.statusCode;
+      response.setEncoding('utf8');
+      response.on('data', chunk => {
+        this.responseText += chunk;
+        this.readyState = 3;
+        this.onreadystatechange?.();
+      });
+      response.on('end', () => {
+        this.readyState = 4;
+        this.onreadystatechange?.();
+      });
+    });
+    this.request.on('error', () => this.onerror?.());
+  }
+  abort() {
+    this.request?.destroy();
+  }
+}
+
+/**
+ * Starts a local server and resolves with its port once it listens.
+ */
+const listen = server =>
+  new Promise(resolve =>
+    server.listen(0, '127.0.0.1', () => resolve(server.address().port)),
+  );
+
+/**
+ * Renders a DashboardDataProvider fed by a live source, and returns a getter for the latest hook value.
+ */
+const renderProvider = async liveSource => {
+  let latest;
+  const Probe = () => {
+    latest = useDashboardData();
+    return null;
+  };
+  let renderer;
+  await ReactTestRenderer.act(async () => {
+    renderer = ReactTestRenderer.create(
+      <DashboardDataProvider initialData={initialData} liveSource={liveSource}>
+        <Probe />
+      </DashboardDataProvider>,
+    );
+  });
+  const unmount = () => ReactTestRenderer.act(() => renderer.unmount());
+  return { get: () => latest, unmount };
+};
+
+/**
+ * Waits until the condition holds, flushing state updates meanwhile.
+ */
+const waitFor = async condition => {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await ReactTestRenderer.act(
+      () => new Promise(resolve => setTimeout(resolve, 10)),
+    );
+  }
+  expect(condition()).toBe(true);
+};
+
+test('backs off exponentially and parses event streams in chunks', () => {
+  expect(
+    [0, 1, 2, 3].map(attempt => getReconnectDelay(attempt, backoff)),
+  ).toEqual([10, 20, 40, 50]);
+
+  const messages = [];
+  const parse = createEventStreamParser(data => messages.push(data));
+  parse(': heartbeat\n\ndata: {"a"');
+  parse(':1}\r\n\r\ndata: one\ndata: two\n');
+  expect(messages).toEqual(['{"a":1}']);
+  parse('\n');
+  expect(messages).toEqual(['{"a":1}', 'one\ntwo']);
+});
+
+test('patches statistics from a WebSocket and reconnects when it drops', async () => {
+  const server = new WebSocket.Server({ port: 0, host: '127.0.0.1' });
+  await new Promise(resolve => server.on('listening', resolve));
+  let connections = 0;
+  server.on('connection', socket => {
+    connections += 1;
+    socket.send(
+      JSON.stringify({ statistics: [{ id: 1, value: 100 + connections }] }),
+    );
+    // The first connection drops, so the source has to reconnect.
+    if (connections === 1) {
+      setTimeout(() => socket.terminate(), 20);
+    }
+  });
+  const source = createLiveStatisticsSource({
+    url: `ws://127.0.0.1:${server.address().port}`,
+    backoff,
+    WebSocketImpl: WebSocket,
+  });
+  const { get, unmount } = await renderProvider(source);
+
+  await waitFor(() => get().statistics[0].value === 101);
+  await waitFor(() => get().statistics[0].value === 102);
+  expect(get().statistics[0].title).toBe('Total Sales');
+  expect(get().statistics[1].value).toBe(5);
+  await unmount();
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('falls back to Server-Sent Events when the WebSocket cannot connect', async () => {
+  // The server streams events, but refuses WebSocket upgrades.
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write('data: {"statistics": [{"id": 2, "value": 9}]}\n\n');
+  });
+  server.on('upgrade', (req, socket) => socket.destroy());
+  const port = await listen(server);
+  const events = [];
+  const source = createLiveStatisticsSource({
+    url: `ws://127.0.0.1:${port}/live`,
+    sseUrl: `http://127.0.0.1:${port}/live`,
+    backoff,
+    WebSocketImpl: WebSocket,
+    XMLHttpRequestImpl: NodeXMLHttpRequest,
+  });
+  const unsubscribe = source.subscribe(
+    patches => events.push(patches),
+    error => events.push(error),
+  );
+
+  await waitFor(() => events.some(item => Array.isArray(item)));
+  // Two failed WebSocket attempts, then the patch from the event stream.
+  expect(events.filter(item => item instanceof Error)).toHaveLength(2);
+  expect(events.find(item => Array.isArray(item))).toEqual([
+    { id: 2, value: 9 },
+  ]);
+  unsubscribe();
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
@@ -0,0 +1,135 @@
+/**
+ * @format
+ */
+
+import React from 'react';
+import { Dimensions, Text } from 'react-native';
+import ReactTestRenderer from 'react-test-renderer';
+import { ResponsiveProvider } from '../src/context/ResponsiveContext';
+import { DashboardDataProvider } from '../src/context/DashboardDataContext';
+import { SessionProvider } from '../src/context/SessionContext';
+import { DashboardLayoutProvider } from '../src/context/DashboardLayoutContext';
+import { DashboardFilterProvider } from '../src/context/DashboardFilterContext';
+import { NotificationProvider } from '../src/context/NotificationContext';
+import { AlertProvider } from '../src/context/AlertContext';
+import {
+  NavigationProvider,
+  useNavigation,
+} from '../src/navigation/NavigationContext';
+import AppNavigator from '../src/navigation/AppNavigator';
+import StatisticDetailScreen from '../src/screens/StatisticDetailScreen';
+
+const ADMIN = { id: 'admin', name: 'Admin', roles: ['admin'] };
+
+const PHONE = { width: 390, height: 844, scale: 3, fontScale: 1 };
+const LARGE_TABLET_LANDSCAPE = {
+  width: 1366,
+  height: 1024,
+  scale: 2,
+  fontScale: 1,
+};
+
+const setWindow = window =>
+  ReactTestRenderer.act(async () => {
+    Dimensions.set({ window, screen: window });
+  });
+
+/**
+ * Renders the app's navigator and returns a getter for the latest navigation state.
+ */
+const renderNavigator = async () => {
+  let latest;
+  const Probe = () => {
+    latest = useNavigation();
+    return null;
+  };
+  let renderer;
+  await ReactTestRenderer.act(async () => {
+    renderer = ReactTestRenderer.create(
+      <ResponsiveProvider>
+        <SessionProvider user={ADMIN}>
+          <DashboardDataProvider>
+            <DashboardLayoutProvider>
+              <DashboardFilterProvider>
+                <NotificationProvider>
+                  <AlertProvider>
+                    <NavigationProvider>
+                      <Probe />
+                      <AppNavigator />
+                    </NavigationProvider>
+                  </AlertProvider>
+                </NotificationProvider>
+              </DashboardFilterProvider>
+            </DashboardLayoutProvider>
+          </DashboardDataProvider>
+        </SessionProvider>
+      </ResponsiveProvider>,
+    );
+  });
+  const unmount = () => ReactTestRenderer.act(() => renderer.unmount());
+  return { renderer, get: () => latest, unmount };
+};
+
+const findMenuItem = (renderer, label) =>
+  renderer.root.find(
+    node =>
+      node.props.accessibilityRole === 'menuitem' &&
+      node.props.accessibilityLabel === label &&
+      node.props.onPress,
+  );
+
+afterEach(() => setWindow(PHONE));
+
+test('opens a detail screen from the drawer and goes back', async () => {
+  await setWindow(PHONE);
+  const { renderer, get, unmount } = await renderNavigator();
+  expect(get().route.name).toBe('dashboard');
+  expect(get().sidebarPinned).toBe(false);
+
+  // The header's menu button opens the drawer.
+  const menuButton = renderer.root.find(
+    node => node.props.accessibilityLabel === 'Open menu' && node.props.onPress,
+  );
+  await ReactTestRenderer.act(async () => menuButton.props.onPress());
+  expect(get().drawerOpen).toBe(true);
+
+  await ReactTestRenderer.act(async () =>
+    findMenuItem(renderer, 'Orders').props.onPress(),
+  );
+  expect(get().drawerOpen).toBe(false);
+  expect(get().route).toMatchObject({
+    name: 'statisticDetail',
+    params: { statisticId: 3 },
+  });
+  // Picking another statistic replaces the detail screen instead of stacking it.
+  await ReactTestRenderer.act(async () =>
+    get().navigate('statisticDetail', { statisticId: 4 }),
+  );
+  expect(get().stack).toHaveLength(2);
+
+  await ReactTestRenderer.act(async () => get().goBack());
+  expect(get().route.name).toBe('dashboard');
+  await unmount();
+});
+
+test('keeps the navigation state when rotated into the persistent sidebar', async () => {
+  await setWindow(PHONE);
+  const { renderer, get, unmount } = await renderNavigator();
+  await ReactTestRenderer.act(async () =>
+    get().navigate('statisticDetail', { statisticId: 2, range: 'month' }),
+  );
+  const screen = renderer.root.findByType(StatisticDetailScreen);
+  const texts = () =>
+    renderer.root.findAllByType(Text).map(node => node.props.children);
+  expect(texts()).toContain('New Users');
+
+  await setWindow(LARGE_TABLET_LANDSCAPE);
+  expect(get().sidebarPinned).toBe(true);
+  expect(get().route.params).toEqual({ statisticId: 2, range: 'month' });
+  // The screen was not remounted, and the menu is now shown next to it.
+  expect(renderer.root.findByType(StatisticDetailScreen)).toBe(screen);
+  expect(findMenuItem(renderer, 'New Users').props.accessibilityState).toEqual({
+    selected: true,
+  });
+  await unmount();
+});
@@ -0,0 +1,60 @@
+/**
+ * @format
+ */
+
+import {
+  formatNumber,
+  computeTrend,
+  resolveStatisticDisplay,
+} from '../src/utils/numberFormat';
+import { getMetricValue } from '../src/utils/alertRules';
+
+test('formats numbers for a locale', () => {
+  const compactUsd = {
+    style: 'currency',
+    currency: 'USD',
+    notation: 'compact',
+    decimals: 1,
+  };
+  expect(formatNumber(24500, compactUsd, 'en-US')).toBe('$24.5K');
+  expect(
+    formatNumber(
+      1234.5,
+      { style: 'currency', currency: 'EUR', decimals: 2 },
+      'de-DE',
+    ),
+  ).toBe('1.234,50 €');
+  expect(formatNumber(12, { style: 'unit', unit: 'kilogram' }, 'en-US')).toBe(
+    '12 kg',
+  );
+  // An unknown unit falls back to a plain number rather than throwing.
+  expect(formatNumber(3, { style: 'unit', unit: 'widgets' }, 'en-US')).toBe(
+    '3 widgets',
+  );
+});
+
+test('computes the trend and honors inverted polarity', () => {
+  expect(computeTrend(456, 470)).toMatchObject({
+    direction: 'down',
+    favorable: false,
+  });
+  expect(computeTrend(456, 470, { invert: true }).favorable).toBe(true);
+  expect(computeTrend(5, 0).changePercent).toBeNull();
+
+  const costs = { value: 880, previousValue: 1000, invertTrend: true };
+  expect(resolveStatisticDisplay(costs, 'en-US')).toEqual({
+    value: '880',
+    trend: 'down',
+    trendValue: '-12%',
+    changePercent: -0.12,
+    favorable: true,
+  });
+  expect(getMetricValue(costs, 'trend')).toBeCloseTo(-12);
+  // Pre-formatted statistics are shown as they are.
+  expect(
+    resolveStatisticDisplay(
+      { value: '$24.5K', trend: 'up', trendValue: '+12%' },
+      'en-US',
+    ),
+  ).toMatchObject({ value: '$24.5K', trendValue: '+12%', favorable: true });
+});
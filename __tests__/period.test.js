@@ -0,0 +1,155 @@
+/**
+ * @format
+ */
+
+import React from 'react';
+import ReactTestRenderer from 'react-test-renderer';
+import {
+  getPreviousPeriod,
+  isValidPeriod,
+  resolvePeriod,
+} from '../src/utils/period';
+import { createSamplePeriodData } from '../src/data/samplePeriodStatistics';
+import { sampleDashboard } from '../src/data/sampleDashboard';
+import {
+  DashboardDataProvider,
+  useDashboardData,
+} from '../src/context/DashboardDataContext';
+import { createPushSource } from '../src/services/notificationSources';
+
+// A Wednesday.
+const NOW = new Date(2026, 9, 14, 15, 30);
+
+test('resolves the presets, custom ranges and the previous period', () => {
+  expect(resolvePeriod({ preset: 'today' }, NOW)).toEqual({
+    start: '2026-10-14',
+    end: '2026-10-14',
+    days: 1,
+  });
+  expect(resolvePeriod({ preset: 'week' }, NOW)).toEqual({
+    start: '2026-10-12',
+    end: '2026-10-14',
+    days: 3,
+  });
+  expect(resolvePeriod({ preset: 'quarter' }, NOW).start).toBe('2026-10-01');
+  const march = { preset: 'custom', start: '2026-03-01', end: '2026-03-31' };
+  expect(resolvePeriod(march, NOW).days).toBe(31);
+  expect(getPreviousPeriod(resolvePeriod(march, NOW))).toEqual({
+    start: '2026-01-29',
+    end: '2026-02-28',
+    days: 31,
+  });
+
+  // Invalid dates, reversed ranges and ranges ending in the future are refused.
+  expect(
+    isValidPeriod({ preset: 'custom', start: '2026-02-01', end: '2026-02-30' }),
+  ).toBe(false);
+  expect(
+    isValidPeriod(
+      { preset: 'custom', start: '2026-03-31', end: '2026-03-01' },
+      NOW,
+    ),
+  ).toBe(false);
+  expect(
+    isValidPeriod(
+      { preset: 'custom', start: '2026-10-01', end: '2026-10-15' },
+      NOW,
+    ),
+  ).toBe(false);
+
+  // The sample values are those of the default period, and are derived for the others.
+  expect(
+    createSamplePeriodData(sampleDashboard, { preset: 'month' }, NOW),
+  ).toBe(sampleDashboard);
+  const today = createSamplePeriodData(
+    sampleDashboard,
+    { preset: 'today' },
+    NOW,
+  );
+  expect(today.statistics[0].value).toBeLessThan(24500 / 10);
+  expect(today.statistics[0].previousValue).toEqual(expect.any(Number));
+});
+
+test('re-queries the statistics for the period and the comparison', async () => {
+  const urls = [];
+  const fetchImpl = async url => {
+    urls.push(url);
+    return {
+      ok: true,
+      status: 200,
+      json: async () => ({
+        statistics: [{ id: 1, title: 'Orders', value: 40, previousValue: 50 }],
+      }),
+    };
+  };
+  let latest;
+  const Probe = () => {
+    latest = useDashboardData();
+    return null;
+  };
+  let renderer;
+  await ReactTestRenderer.act(async () => {
+    renderer = ReactTestRenderer.create(
+      <DashboardDataProvider
+        endpoint="https://api.example.com/dashboard"
+        fetchImpl={fetchImpl}
+      >
+        <Probe />
+      </DashboardDataProvider>,
+    );
+  });
+  expect(urls[0]).toMatch(
+    /\?start=\d{4}-\d{2}-01&end=[\d-]+&compareStart=[\d-]+&compareEnd=[\d-]+$/,
+  );
+  expect(latest.statistics[0].previousValue).toBe(50);
+
+  await ReactTestRenderer.act(async () => {
+    latest.setPeriod({
+      preset: 'custom',
+      start: '2026-03-01',
+      end: '2026-03-31',
+    });
+    latest.setCompare(false);
+  });
+  expect(urls[urls.length - 1]).toBe(
+    'https://api.example.com/dashboard?start=2026-03-01&end=2026-03-31',
+  );
+  // Without the comparison, the statistics carry no trend.
+  expect(latest.statistics[0]).toEqual({ id: 1, title: 'Orders', value: 40 });
+  await ReactTestRenderer.act(async () => renderer.unmount());
+});
+
+test('only applies live patches while the period runs up to today', async () => {
+  const liveSource = createPushSource();
+  let latest;
+  const Probe = () => {
+    latest = useDashboardData();
+    return null;
+  };
+  let renderer;
+  await ReactTestRenderer.act(async () => {
+    renderer = ReactTestRenderer.create(
+      <DashboardDataProvider liveSource={liveSource}>
+        <Probe />
+      </DashboardDataProvider>,
+    );
+  });
+  const push = value =>
+    ReactTestRenderer.act(async () => liveSource.push([{ id: 3, value }]));
+  const orders = () => latest.statistics.find(item => item.id === 3).value;
+
+  await push(999);
+  expect(orders()).toBe(999);
+
+  await ReactTestRenderer.act(async () =>
+    latest.setPeriod({
+      preset: 'custom',
+      start: '2026-03-01',
+      end: '2026-03-31',
+    }),
+  );
+  const march = orders();
+  await push(1000);
+  expect(orders()).toBe(march);
+  await ReactTestRenderer.act(async () => renderer.unmount());
+});
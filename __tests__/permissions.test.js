@@ -0,0 +1,100 @@
+/**
+ * @format
+ */
+
+import React from 'react';
+import { Text } from 'react-native';
+import ReactTestRenderer from 'react-test-renderer';
+import roles from '../src/config/roles';
+import {
+  createPermissionCheck,
+  getRolePermissions,
+} from '../src/utils/permissions';
+import { resolveLayout } from '../src/components/widgets';
+import { sampleDashboard } from '../src/data/sampleDashboard';
+import defaultLayout from '../src/data/defaultLayout.json';
+import { ResponsiveProvider } from '../src/context/ResponsiveContext';
+import { SessionProvider } from '../src/context/SessionContext';
+import { DashboardDataProvider } from '../src/context/DashboardDataContext';
+import {
+  DashboardLayoutProvider,
+  getLayoutStorageKey,
+} from '../src/context/DashboardLayoutContext';
+import { DashboardFilterProvider } from '../src/context/DashboardFilterContext';
+import { NotificationProvider } from '../src/context/NotificationContext';
+import { AlertProvider } from '../src/context/AlertContext';
+import { NavigationProvider } from '../src/navigation/NavigationContext';
+import DashboardScreen from '../src/screens/DashboardScreen';
+import { createMemoryStorage } from '../src/services/storage';
+
+const checkFor = role =>
+  createPermissionCheck(getRolePermissions([role], roles));
+
+test('grants the permissions of every role, with wildcards', () => {
+  const manager = checkFor('manager');
+  expect(manager('reports.export')).toBe(true);
+  expect(manager('users.manage')).toBe(false);
+  expect(manager('revenue.view')).toBe(false);
+  expect(manager(undefined)).toBe(true);
+  expect(checkFor('admin')('users.manage')).toBe(true);
+  expect(checkFor('unknown')('reports.view')).toBe(false);
+});
+
+test('leaves out restricted widgets, unless the saved layout places them', () => {
+  const context = {
+    statistics: sampleDashboard.statistics,
+    hasPermission: checkFor('salesRep'),
+  };
+  const ids = items => items.map(item => item.id);
+  expect(ids(resolveLayout(defaultLayout, context))).not.toContain('revenue');
+
+  const saved = resolveLayout(defaultLayout, {
+    ...context,
+    savedWidgetIds: ['revenue', 'total-sales'],
+  });
+  const revenue = saved.find(item => item.id === 'revenue');
+  expect(revenue.props).toEqual({});
+  expect(revenue.component.name).toBe('RestrictedWidget');
+
+  const actions = saved.find(item => item.id === 'quick-actions').props.actions;
+  expect(actions.map(action => action.id)).not.toContain('manage-users');
+  expect(actions.map(action => action.id)).toContain('view-reports');
+});
+
+test('shows a placeholder for restricted widgets in the saved layout', async () => {
+  const storage = createMemoryStorage();
+  await storage.setItem(getLayoutStorageKey('rep'), {
+    order: ['revenue', 'total-sales'],
+    removed: [],
+  });
+  let renderer;
+  await ReactTestRenderer.act(async () => {
+    renderer = ReactTestRenderer.create(
+      <ResponsiveProvider>
+        <SessionProvider user={{ id: 'rep', name: 'Rep', roles: ['salesRep'] }}>
+          <DashboardDataProvider>
+            <DashboardLayoutProvider userId="rep" storage={storage}>
+              <DashboardFilterProvider>
+                <NotificationProvider>
+                  <AlertProvider>
+                    <NavigationProvider>
+                      <DashboardScreen />
+                    </NavigationProvider>
+                  </AlertProvider>
+                </NotificationProvider>
+              </DashboardFilterProvider>
+            </DashboardLayoutProvider>
+          </DashboardDataProvider>
+        </SessionProvider>
+      </ResponsiveProvider>,
+    );
+  });
+  const texts = renderer.root
+    .findAllByType(Text)
+    .map(node => node.props.children);
+  expect(texts).toContain('Restricted widget');
+  expect(texts).not.toContain('Revenue');
+  expect(texts).toContain('Total Sales');
+  expect(texts).not.toContain('Manage Users');
+  await ReactTestRenderer.act(() => renderer.unmount());
+});
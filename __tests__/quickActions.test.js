@@ -0,0 +1,106 @@
+/**
+ * @format
+ */
+
+import React from 'react';
+import { Dimensions, Modal } from 'react-native';
+import ReactTestRenderer from 'react-test-renderer';
+import { ResponsiveProvider } from '../src/context/ResponsiveContext';
+import QuickActionsWidget from '../src/components/widgets/QuickActionsWidget';
+import {
+  registerQuickActionCommand,
+  resolveQuickActions,
+  runQuickAction,
+  unregisterQuickActionCommand,
+} from '../src/components/widgets';
+
+const PHONE = { width: 390, height: 844, scale: 3, fontScale: 1 };
+
+const action = (id, extra) => ({
+  id,
+  icon: 'star',
+  label: id,
+  handler: { command: 'test' },
+  permission: `${id}.run`,
+  ...extra,
+});
+
+test('resolves labels, badges and permissions, and leaves out incomplete actions', () => {
+  const actions = resolveQuickActions(
+    [
+      action('a', { labelKey: 'quickActions.settings', badge: 'unread' }),
+      action('b', { badge: 0 }),
+      action('c'),
+      action('d', { permission: undefined }),
+      action('e', { handler: {} }),
+    ],
+    {
+      t: key => (key === 'quickActions.settings' ? 'Settings' : key),
+      hasPermission: permission => permission !== 'c.run',
+      counts: { unread: 3 },
+    },
+  );
+  expect(actions.map(item => [item.id, item.label, item.badge])).toEqual([
+    ['a', 'Settings', 3],
+    ['b', 'b', undefined],
+  ]);
+});
+
+test('runs navigation targets and registered commands', () => {
+  const navigate = jest.fn();
+  const command = jest.fn();
+  registerQuickActionCommand('test', command);
+  runQuickAction(
+    action('report', {
+      handler: { navigate: 'statisticDetail', params: { statisticId: 2 } },
+    }),
+    { navigate },
+  );
+  expect(navigate).toHaveBeenCalledWith('statisticDetail', { statisticId: 2 });
+  const context = { navigate };
+  runQuickAction(action('a'), context);
+  expect(command).toHaveBeenCalledWith(action('a'), context);
+
+  unregisterQuickActionCommand('test');
+  expect(() => runQuickAction(action('a'), context)).toThrow(
+    'Quick action command "test" is not registered',
+  );
+});
+
+test('moves the actions that do not fit into the "More" sheet', async () => {
+  Dimensions.set({ window: PHONE, screen: PHONE });
+  const onActionPress = jest.fn();
+  let renderer;
+  await ReactTestRenderer.act(async () => {
+    renderer = ReactTestRenderer.create(
+      <ResponsiveProvider>
+        <QuickActionsWidget
+          actions={['a', 'b', 'c', 'd', 'e', 'f'].map(id => action(id))}
+          onActionPress={onActionPress}
+        />
+      </ResponsiveProvider>,
+    );
+  });
+  const button = label =>
+    renderer.root.find(
+      node =>
+        node.props.accessibilityRole === 'button' &&
+        node.props.accessibilityLabel === label &&
+        node.props.onPress,
+    );
+  // Phones show 4 actions per row, so the card has 3 actions and the "More" button.
+  expect(() => button('c')).not.toThrow();
+  expect(() => button('d')).toThrow();
+  expect(renderer.root.findByType(Modal).props.visible).toBe(false);
+
+  await ReactTestRenderer.act(async () =>
+    button('More actions').props.onPress(),
+  );
+  expect(renderer.root.findByType(Modal).props.visible).toBe(true);
+  await ReactTestRenderer.act(async () => button('e').props.onPress());
+  expect(onActionPress).toHaveBeenCalledWith(
+    expect.objectContaining({ id: 'e' }),
+  );
+  expect(renderer.root.findByType(Modal).props.visible).toBe(false);
+  await ReactTestRenderer.act(() => renderer.unmount());
+});
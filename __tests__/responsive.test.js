@@ -0,0 +1,151 @@
+/**
+ * @format
+ */
+
+import {
+  getResponsiveMetrics,
+  getBreakpoint,
+  createResponsiveStyles,
+  getDeviceType,
+  getGridColumns,
+  isTablet,
+  resolveBreakpoints,
+} from '../src/utils/responsive';
+
+test('derives the device type, orientation and columns from the window size', () => {
+  const phone = getResponsiveMetrics({ width: 390, height: 844 });
+  expect(phone).toMatchObject({
+    deviceType: 'mediumPhone',
+    orientation: 'portrait',
+    isTablet: false,
+    columns: 1,
+  });
+
+  const rotated = getResponsiveMetrics({ width: 844, height: 390 });
+  expect(rotated).toMatchObject({
+    deviceType: 'largePhone',
+    orientation: 'landscape',
+    columns: 2,
+  });
+
+  const tablet = getResponsiveMetrics({ width: 1366, height: 1024 });
+  expect(tablet).toMatchObject({
+    deviceType: 'largeTablet',
+    isTablet: true,
+    columns: 5,
+  });
+});
+
+test('scales spacing and typography with the window width', () => {
+  const narrow = getResponsiveMetrics({ width: 400, height: 800 });
+  const wide = getResponsiveMetrics({ width: 800, height: 400 });
+  expect(narrow.spacing.sm).toBe(16);
+  expect(wide.spacing.sm).toBe(32);
+  expect(wide.typography.body).toBeGreaterThan(narrow.typography.body);
+  expect(narrow.wp('50%')).toBe(200);
+  expect(narrow.hp(25)).toBe(200);
+});
+
+test('picks the widest breakpoint the window has reached', () => {
+  expect(getBreakpoint(320, 640)).toBe('base');
+  expect(getBreakpoint(390, 844)).toBe('small');
+  // A phone in landscape is wide, but never gets the tablet breakpoints.
+  expect(getBreakpoint(844, 390)).toBe('large');
+  expect(getBreakpoint(820, 1180)).toBe('tablet');
+  expect(getBreakpoint(1180, 820)).toBe('largeTablet');
+});
+
+test('merges the overrides of every reached breakpoint and caches the result', () => {
+  const factory = jest.fn(theme => ({
+    title: {
+      fontSize: theme.base,
+      color: 'black',
+      medium: { fontSize: theme.base + 2 },
+      tablet: { fontSize: theme.base + 4, color: 'blue' },
+    },
+  }));
+  const responsiveStyles = createResponsiveStyles(factory);
+  const theme = { base: 12 };
+
+  expect(responsiveStyles.resolve('base', theme).title).toEqual({
+    fontSize: 12,
+    color: 'black',
+  });
+  expect(responsiveStyles.resolve('large', theme).title).toEqual({
+    fontSize: 14,
+    color: 'black',
+  });
+  expect(responsiveStyles.resolve('largeTablet', theme).title).toEqual({
+    fontSize: 16,
+    color: 'blue',
+  });
+
+  const calls = factory.mock.calls.length;
+  expect(responsiveStyles.resolve('large', theme)).toBe(
+    responsiveStyles.resolve('large', theme),
+  );
+  expect(factory.mock.calls.length).toBe(calls);
+});
+
+test('rebuilds the sheets of factories when the window changes within a breakpoint', () => {
+  const sized = createResponsiveStyles((theme, responsive) => ({
+    header: { paddingTop: responsive.hp('4%') },
+  }));
+  // Default and rest parameters are not counted by Function.length.
+  const defaulted = createResponsiveStyles((theme, responsive = {}) => ({
+    header: { paddingTop: responsive.hp('4%') },
+  }));
+  const rest = createResponsiveStyles((...args) => ({
+    header: { paddingTop: args[1].hp('4%') },
+  }));
+  const theme = { base: 12 };
+  const short = { hp: percent => parseFloat(percent) * 6 };
+  const tall = { hp: percent => parseFloat(percent) * 9 };
+
+  // Both windows are at the same breakpoint, but hp differs between them.
+  [sized, defaulted, rest].forEach(styles => {
+    expect(styles.resolve('base', theme, short).header.paddingTop).toBe(24);
+    expect(styles.resolve('base', theme, tall).header.paddingTop).toBe(36);
+    expect(styles.resolve('base', theme, short)).toBe(
+      styles.resolve('base', theme, short),
+    );
+  });
+});
+
+test('classifies devices against custom breakpoints', () => {
+  const custom = { tablet: 600, largeTablet: 900 };
+  expect(getDeviceType(700, 1000)).toBe('largePhone');
+  expect(getDeviceType(700, 1000, custom)).toBe('tablet');
+  expect(isTablet(700, 1000, custom)).toBe(true);
+  expect(
+    getResponsiveMetrics({ width: 1000, height: 700 }, { breakpoints: custom }),
+  ).toMatchObject({
+    deviceType: 'largeTablet',
+    breakpoint: 'largeTablet',
+    columns: 5,
+  });
+});
+
+test('rejects breakpoints that are unknown or out of order', () => {
+  expect(() => resolveBreakpoints({ huge: 2000 })).toThrow(
+    'Unknown breakpoint "huge"',
+  );
+  expect(() => resolveBreakpoints({ tablet: 300 })).toThrow(
+    'Breakpoint "tablet" (300) must be wider than "large" (500)',
+  );
+});
+
+test('uses a custom column map, falling back to the default policy', () => {
+  const columnMap = { phone: 2, tabletLandscape: 3 };
+  expect(getGridColumns(390, 844, { columnMap })).toBe(2);
+  expect(getGridColumns(1180, 820, { columnMap })).toBe(3);
+  // Tablets in portrait are not in the map, so they keep the default of 2 (3 on large tablets).
+  expect(getGridColumns(820, 1180, { columnMap })).toBe(2);
+});
+
+test('derives the columns from a minimum item width', () => {
+  // 820 wide, less 8% padding on each side, leaves 688px: three 200px items fit.
+  expect(getGridColumns(820, 1180, { minItemWidth: 200 })).toBe(3);
+  // An item wider than the window still gets one column.
+  expect(getGridColumns(390, 844, { minItemWidth: 1000 })).toBe(1);
+});
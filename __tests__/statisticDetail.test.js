@@ -0,0 +1,154 @@
+/**
+ * @format
+ */
+
+import React from 'react';
+import { Text } from 'react-native';
+import ReactTestRenderer from 'react-test-renderer';
+import {
+  summarizeSeries,
+  comparePeriods,
+  formatChange,
+  buildBreakdownRows,
+} from '../src/utils/statisticDetail';
+import { parseDeepLink, buildStatisticLink } from '../src/navigation/linking';
+import { createSampleStatisticDetail } from '../src/data/sampleStatisticDetail';
+import { sampleDashboard } from '../src/data/sampleDashboard';
+import { ResponsiveProvider } from '../src/context/ResponsiveContext';
+import { DashboardDataProvider } from '../src/context/DashboardDataContext';
+import { SessionProvider } from '../src/context/SessionContext';
+import { NotificationProvider } from '../src/context/NotificationContext';
+import { AlertProvider } from '../src/context/AlertContext';
+import { NavigationProvider } from '../src/navigation/NavigationContext';
+import StatisticDetailScreen from '../src/screens/StatisticDetailScreen';
+
+const ADMIN = { id: 'admin', name: 'Admin', roles: ['admin'] };
+
+const PREFIXES = ['responsivedashboard://'];
+
+test('summarizes and compares periods', () => {
+  const series = [{ value: 2 }, { value: 4 }, { value: 6 }];
+  expect(summarizeSeries(series)).toBe(12);
+  expect(summarizeSeries(series, 'average')).toBe(4);
+  expect(summarizeSeries(series, 'last')).toBe(6);
+  expect(summarizeSeries([])).toBe(0);
+
+  expect(comparePeriods(110, 100)).toMatchObject({
+    change: 10,
+    changePercent: 10,
+    trend: 'up',
+  });
+  expect(formatChange(comparePeriods(97, 100).changePercent)).toBe('-3.0%');
+  // There is no percentage change from zero.
+  expect(formatChange(comparePeriods(5, 0).changePercent)).toBe('—');
+
+  expect(
+    buildBreakdownRows([
+      { label: 'Retail', value: 25 },
+      { label: 'Online', value: 75 },
+    ]),
+  ).toEqual([
+    { label: 'Online', value: 75, share: 0.75 },
+    { label: 'Retail', value: 25, share: 0.25 },
+  ]);
+});
+
+test('parses and builds statistic deep links', () => {
+  expect(parseDeepLink('responsivedashboard://statistics/3', PREFIXES)).toEqual(
+    { screen: 'statisticDetail', params: { statisticId: '3' } },
+  );
+  expect(
+    parseDeepLink(buildStatisticLink(PREFIXES[0], 3, 'month'), PREFIXES),
+  ).toEqual({
+    screen: 'statisticDetail',
+    params: { statisticId: '3', range: 'month' },
+  });
+  // Unknown ranges are dropped, and other URLs are not deep links.
+  expect(
+    parseDeepLink('responsivedashboard://statistics/3?range=decade', PREFIXES)
+      .params,
+  ).toEqual({ statisticId: '3' });
+  expect(parseDeepLink('responsivedashboard://settings', PREFIXES)).toBeNull();
+  expect(
+    parseDeepLink('https://example.com/statistics/3', PREFIXES),
+  ).toBeNull();
+});
+
+test('generates sample details for every range', () => {
+  const [statistic] = sampleDashboard.statistics;
+  const week = createSampleStatisticDetail(statistic, 'week');
+  expect(week.series).toHaveLength(7);
+  expect(week.previous).toHaveLength(7);
+  expect(createSampleStatisticDetail(statistic, 'day').series).toHaveLength(24);
+  // The sample data follows the statistic's trend.
+  expect(summarizeSeries(week.series)).toBeGreaterThan(
+    summarizeSeries(week.previous),
+  );
+});
+
+test('shows the comparison for the selected range', async () => {
+  let renderer;
+  await ReactTestRenderer.act(async () => {
+    renderer = ReactTestRenderer.create(
+      <ResponsiveProvider>
+        <SessionProvider user={ADMIN}>
+          <DashboardDataProvider>
+            <NotificationProvider>
+              <AlertProvider>
+                <NavigationProvider>
+                  <StatisticDetailScreen statisticId="1" />
+                </NavigationProvider>
+              </AlertProvider>
+            </NotificationProvider>
+          </DashboardDataProvider>
+        </SessionProvider>
+      </ResponsiveProvider>,
+    );
+  });
+  const texts = () =>
+    renderer.root.findAllByType(Text).map(node => node.props.children);
+  expect(texts()).toContain('Total Sales');
+  expect(texts().some(text => /^This week: /.test(text))).toBe(true);
+  expect(texts()).toContain('Online');
+
+  const [monthTab] = renderer.root.findAll(
+    node => node.props.accessibilityLabel === 'Month' && node.props.onPress,
+  );
+  await ReactTestRenderer.act(async () => {
+    monthTab.props.onPress();
+  });
+  expect(texts().some(text => /^This month: /.test(text))).toBe(true);
+  expect(texts().some(text => /vs last month/.test(text))).toBe(true);
+  await ReactTestRenderer.act(() => renderer.unmount());
+});
+
+test('does not load the detail of a statistic the user may not see', async () => {
+  const fetchImpl = jest.fn();
+  let renderer;
+  await ReactTestRenderer.act(async () => {
+    renderer = ReactTestRenderer.create(
+      <ResponsiveProvider>
+        <SessionProvider user={{ id: 'rep', name: 'Rep', roles: ['salesRep'] }}>
+          <DashboardDataProvider
+            detailEndpoint="https://api.example.com/statistics/{id}?range={range}"
+            fetchImpl={fetchImpl}
+          >
+            <NotificationProvider>
+              <AlertProvider>
+                <NavigationProvider>
+                  <StatisticDetailScreen statisticId="4" />
+                </NavigationProvider>
+              </AlertProvider>
+            </NotificationProvider>
+          </DashboardDataProvider>
+        </SessionProvider>
+      </ResponsiveProvider>,
+    );
+  });
+  const texts = renderer.root
+    .findAllByType(Text)
+    .map(node => node.props.children);
+  expect(texts).toContain('You do not have permission to see this statistic.');
+  expect(fetchImpl).not.toHaveBeenCalled();
+  await ReactTestRenderer.act(() => renderer.unmount());
+});
@@ -0,0 +1,90 @@
+/**
+ * @format
+ */
+
+import React from 'react';
+import { Text } from 'react-native';
+import ReactTestRenderer from 'react-test-renderer';
+import { ResponsiveProvider } from '../src/context/ResponsiveContext';
+import {
+  registerWidget,
+  unregisterWidget,
+  getWidgetDefinition,
+  getRegisteredWidgetTypes,
+  resolveLayout,
+  renderWidget,
+} from '../src/components/widgets';
+
+const Probe = ({ label }) => <Text>{label}</Text>;
+
+afterEach(() => {
+  unregisterWidget('probe');
+});
+
+test('registers widget types and rejects invalid registrations', () => {
+  expect(getRegisteredWidgetTypes()).toEqual(
+    expect.arrayContaining(['statistic', 'quickActions', 'list', 'lineChart']),
+  );
+  expect(() => registerWidget('', { component: Probe })).toThrow(
+    'Widget type must be a non-empty string',
+  );
+  expect(() => registerWidget(42, { component: Probe })).toThrow(
+    'Widget type must be a non-empty string',
+  );
+  expect(() => registerWidget('probe', {})).toThrow(
+    'Widget type "probe" must define a component',
+  );
+  expect(getWidgetDefinition('probe')).toBeUndefined();
+
+  // Registering a type again replaces it.
+  const first = { component: Probe };
+  const second = { component: Probe, resolveProps: () => ({ label: 'B' }) };
+  registerWidget('probe', first);
+  registerWidget('probe', second);
+  expect(getWidgetDefinition('probe')).toBe(second);
+  expect(getRegisteredWidgetTypes().filter(type => type === 'probe')).toEqual([
+    'probe',
+  ]);
+});
+
+test('resolves layout entries, with placeholders and skipped entries', async () => {
+  registerWidget('probe', {
+    component: Probe,
+    resolveProps: widget =>
+      widget.props?.label ? { label: widget.props.label } : null,
+  });
+  const items = resolveLayout({
+    widgets: [
+      { id: 'shown', type: 'probe', props: { label: 'Shown' } },
+      { id: 'skipped', type: 'probe', props: {} },
+      { type: 'mystery', props: { title: 'Mystery' } },
+    ],
+  });
+
+  // The entry whose props resolve to null is left out, and an entry without an id gets one from its index.
+  expect(items.map(item => item.id)).toEqual(['shown', 'widget-2']);
+  expect(items[0]).toMatchObject({
+    component: Probe,
+    props: { label: 'Shown' },
+  });
+  expect(items[1].props).toEqual({ type: 'mystery', title: 'Mystery' });
+
+  let renderer;
+  await ReactTestRenderer.act(async () => {
+    renderer = ReactTestRenderer.create(
+      <ResponsiveProvider>
+        {items.map(item => (
+          <React.Fragment key={item.id}>{renderWidget(item)}</React.Fragment>
+        ))}
+      </ResponsiveProvider>,
+    );
+  });
+  const texts = renderer.root
+    .findAllByType(Text)
+    .map(node => node.props.children);
+  expect(texts).toContain('Shown');
+  expect(texts).toContain('Mystery');
+  await ReactTestRenderer.act(() => renderer.unmount());
+
+  expect(resolveLayout(null)).toEqual([]);
+});
@@ -0,0 +1,13 @@
+/* eslint-env jest */
+/**
+ * Jest setup shared by every test suite.
+ * Native modules that have no JavaScript fallback are mocked here.
+ */
+
+jest.mock('react-native-orientation-locker', () => ({
+  getOrientation: jest.fn(callback => callback('PORTRAIT')),
+  addOrientationListener: jest.fn(),
+  removeOrientationListener: jest.fn(),
+  lockToPortrait: jest.fn(),
+  unlockAllOrientations: jest.fn(),
+}));
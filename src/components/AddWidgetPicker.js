@@ -0,0 +1,85 @@
+import React from 'react';
+import {
+    Text,
+    TouchableOpacity,
+    FlatList,
+    StyleSheet,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import BottomSheet from './BottomSheet';
+import { resolveColor } from '../styles/theme';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+import { useI18n } from '../context/I18nContext';
+
+/**
+ * A bottom sheet that lists the widgets that can be added back to the dashboard.
+ *
+ * @param {object} props - The component's properties.
+ * @param {boolean} props.visible - Whether the picker is shown.
+ * @param {Array<{id: string, props: object}>} props.widgets - The widgets to offer, as resolved by resolveLayout.
+ * @param {function(string): void} props.onSelect - Called with the id of the widget to add.
+ * @param {function} props.onClose - Called when the picker should be dismissed.
+ */
+const AddWidgetPicker = ({ visible, widgets, onSelect, onClose }) => {
+    // The current theme. Reading it here restyles the component live when the theme changes.
+    const { theme } = useTheme();
+    const styles = useThemedStyles(createStyles);
+    const { t } = useI18n();
+    return (
+        <BottomSheet visible={visible} title={t('addWidget.title')} onClose={onClose}>
+            <FlatList
+                data={widgets}
+                keyExtractor={widget => widget.id}
+                ListEmptyComponent={
+                    <Text style={styles.emptyText}>{t('addWidget.empty')}</Text>
+                }
+                renderItem={({ item }) => (
+                    <TouchableOpacity
+                        style={styles.option}
+                        onPress={() => onSelect(item.id)}
+                        accessible={true}
+                        accessibilityRole="button"
+                        accessibilityLabel={t('addWidget.add', { title: item.props?.title || item.id })}>
+                        <Icon
+                            name={item.props?.icon || 'widgets'}
+                            size={22}
+                            color={resolveColor(item.props?.iconColor, theme.colors) || theme.colors.primary.main}
+                            style={styles.optionIcon}
+                        />
+                        <Text style={styles.optionText}>{item.props?.title || item.id}</Text>
+                        <Icon name="add" size={22} color={theme.colors.primary.main} />
+                    </TouchableOpacity>
+                )}
+            />
+        </BottomSheet>
+    );
+};
+
+// The styles are built from the current theme by useThemedStyles.
+const createStyles = (theme) => ({
+    option: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: theme.spacing.sm,
+        borderBottomWidth: StyleSheet.hairlineWidth,
+        borderBottomColor: theme.colors.neutral.gray300,
+    },
+    optionIcon: {
+        marginEnd: theme.spacing.sm,
+    },
+    optionText: {
+        flex: 1,
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.body,
+        color: theme.colors.neutral.gray800,
+    },
+    emptyText: {
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.caption,
+        color: theme.colors.neutral.gray500,
+        textAlign: 'center',
+        paddingVertical: theme.spacing.md,
+    },
+});
+
+export default AddWidgetPicker;
@@ -0,0 +1,207 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity } from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import BaseWidget from './widgets/BaseWidget';
+import RangeSelector from './RangeSelector';
+import { ALERT_METRICS, ALERT_OPERATORS, describeAlertRule, validateAlertRule } from '../utils/alertRules';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+import { useAlerts } from '../context/AlertContext';
+import { useI18n } from '../context/I18nContext';
+
+/**
+ * The alert rules of one statistic, with a form to add a rule.
+ * Each rule shows whether it is breaching. Rules the user added can be removed; rules from the dashboard data
+ * cannot.
+ *
+ * @param {object} props - The component's properties.
+ * @param {object} props.statistic - The statistic whose rules are shown.
+ */
+const AlertRulesPanel = ({ statistic }) => {
+    // The current theme. Reading it here restyles the component live when the theme changes.
+    const { theme } = useTheme();
+    const styles = useThemedStyles(createStyles);
+    const { rules, breaches, addRule, removeRule } = useAlerts();
+    const { t } = useI18n();
+    const [metric, setMetric] = useState('value');
+    const [operator, setOperator] = useState('below');
+    const [threshold, setThreshold] = useState('');
+    const [error, setError] = useState(null);
+
+    const statisticRules = rules.filter(rule => String(rule.statisticId) === String(statistic.id));
+    const breachingIds = breaches.map(breach => breach.rule.id);
+    const metricOptions = ALERT_METRICS.map(item => ({ id: item.id, label: t(`alerts.metric.${item.id}`) }));
+    const operatorOptions = ALERT_OPERATORS.map(item => ({ id: item.id, label: t(`alerts.operator.${item.id}`) }));
+
+    /**
+     * Adds the rule entered in the form, or shows why it cannot be added.
+     * The form only lets the threshold be wrong, so any problem is reported as an invalid threshold.
+     */
+    const handleAdd = () => {
+        const rule = {
+            statisticId: statistic.id,
+            metric,
+            operator,
+            threshold: threshold.trim() === '' ? NaN : Number(threshold),
+        };
+        const errors = validateAlertRule(rule);
+        if (errors.length > 0) {
+            setError(t('alerts.invalidThreshold'));
+            return;
+        }
+        addRule(rule);
+        setThreshold('');
+        setError(null);
+    };
+
+    return (
+        <BaseWidget title={t('alerts.title')} icon="notifications-active" iconColor={statistic.iconColor || 'primary.main'}>
+            {statisticRules.length === 0 && (
+                <Text style={styles.emptyText}>{t('alerts.empty')}</Text>
+            )}
+            {statisticRules.map(rule => {
+                const breaching = breachingIds.includes(rule.id);
+                const description = describeAlertRule(rule, t);
+                const color = breaching
+                    ? theme.colors.semantic[rule.severity]
+                    : theme.colors.neutral.gray500;
+                // Rows with a remove button are not grouped, so that the button stays reachable by screen readers.
+                return (
+                    <View
+                        key={rule.id}
+                        style={styles.rule}
+                        accessible={rule.source !== 'user'}
+                        accessibilityLabel={t(breaching ? 'alerts.ruleState' : 'alerts.ruleStateOk', { rule: description })}>
+                        <Icon
+                            name={breaching ? 'notification-important' : 'notifications-none'}
+                            size={20}
+                            color={color}
+                        />
+                        <Text style={styles.ruleText}>{description}</Text>
+                        {breaching && <Text style={[styles.breached, { color }]}>{t('alerts.breached')}</Text>}
+                        {rule.source === 'user' && (
+                            <TouchableOpacity
+                                style={styles.removeButton}
+                                onPress={() => removeRule(rule.id)}
+                                accessible={true}
+                                accessibilityRole="button"
+                                accessibilityLabel={t('alerts.remove', { rule: description })}>
+                                <Icon name="delete-outline" size={20} color={theme.colors.neutral.gray600} />
+                            </TouchableOpacity>
+                        )}
+                    </View>
+                );
+            })}
+
+            {/* The form for a new rule: what to watch, which way, and the threshold. */}
+            <View style={styles.form}>
+                <RangeSelector
+                    options={metricOptions}
+                    value={metric}
+                    onChange={setMetric}
+                    accessibilityLabel={t('alerts.metricLabel')}
+                />
+                <View style={styles.formRow}>
+                    <View style={styles.operator}>
+                        <RangeSelector
+                            options={operatorOptions}
+                            value={operator}
+                            onChange={setOperator}
+                            accessibilityLabel={t('alerts.operatorLabel')}
+                        />
+                    </View>
+                    <TextInput
+                        style={styles.input}
+                        value={threshold}
+                        onChangeText={setThreshold}
+                        placeholder={metric === 'trend' ? 'e.g. -5' : 'e.g. 500'}
+                        placeholderTextColor={theme.colors.neutral.gray500}
+                        keyboardType="numbers-and-punctuation"
+                        returnKeyType="done"
+                        onSubmitEditing={handleAdd}
+                        accessibilityLabel={t('alerts.thresholdLabel')}
+                    />
+                    <TouchableOpacity
+                        style={styles.addButton}
+                        onPress={handleAdd}
+                        accessible={true}
+                        accessibilityRole="button"
+                        accessibilityLabel={t('alerts.add')}>
+                        <Icon name="add" size={20} color={theme.colors.neutral.white} />
+                    </TouchableOpacity>
+                </View>
+                {error && (
+                    <Text style={styles.errorText} accessibilityRole="alert">{error}</Text>
+                )}
+            </View>
+        </BaseWidget>
+    );
+};
+
+// The styles are built from the current theme by useThemedStyles.
+const createStyles = (theme) => ({
+    emptyText: {
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.caption,
+        color: theme.colors.neutral.gray500,
+        paddingVertical: theme.spacing.xs,
+    },
+    rule: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: theme.spacing.xs,
+    },
+    ruleText: {
+        flex: 1,
+        marginStart: theme.spacing.sm,
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.body,
+        color: theme.colors.neutral.gray800,
+    },
+    breached: {
+        marginStart: theme.spacing.sm,
+        fontFamily: theme.fontFamily.bold,
+        fontSize: theme.typography.small,
+        fontWeight: 'bold',
+    },
+    removeButton: {
+        marginStart: theme.spacing.sm,
+        padding: theme.spacing.xs,
+    },
+    form: {
+        marginTop: theme.spacing.sm,
+    },
+    formRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginTop: theme.spacing.sm,
+    },
+    operator: {
+        flex: 1,
+    },
+    input: {
+        width: 88,
+        marginStart: theme.spacing.sm,
+        paddingHorizontal: theme.spacing.sm,
+        paddingVertical: theme.spacing.xs,
+        borderWidth: 1,
+        borderColor: theme.colors.neutral.gray300,
+        borderRadius: theme.borderRadius.small,
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.body,
+        color: theme.colors.neutral.gray800,
+    },
+    addButton: {
+        marginStart: theme.spacing.sm,
+        padding: theme.spacing.xs,
+        borderRadius: theme.borderRadius.small,
+        backgroundColor: theme.colors.primary.main,
+    },
+    errorText: {
+        marginTop: theme.spacing.xs,
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.small,
+        color: theme.colors.semantic.error,
+    },
+});
+
+export default AlertRulesPanel;
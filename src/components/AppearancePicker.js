@@ -0,0 +1,126 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import BottomSheet from './BottomSheet';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+import { useI18n } from '../context/I18nContext';
+
+// The theme preferences offered to the user, in display order. The labels are catalog keys.
+const THEME_OPTIONS = [
+    { preference: 'system', labelKey: 'appearance.system', icon: 'brightness-auto' },
+    { preference: 'light', labelKey: 'appearance.light', icon: 'light-mode' },
+    { preference: 'dark', labelKey: 'appearance.dark', icon: 'dark-mode' },
+    { preference: 'highContrast', labelKey: 'appearance.highContrast', icon: 'contrast' },
+];
+
+/**
+ * A group of mutually exclusive options, of which the selected one is checked.
+ *
+ * @param {object} props - The component's properties.
+ * @param {string} props.title - The title of the group.
+ * @param {Array<{preference: string, label: string, icon: string}>} props.options - The options.
+ * @param {string} props.selected - The preference of the selected option.
+ * @param {function(string): void} props.onSelect - Called with the preference of the pressed option.
+ */
+const OptionGroup = ({ title, options, selected, onSelect }) => {
+    const { theme } = useTheme();
+    const styles = useThemedStyles(createStyles);
+    return (
+        <>
+            <Text style={styles.sectionTitle} accessibilityRole="header">{title}</Text>
+            <View accessibilityRole="radiogroup">
+                {options.map(option => {
+                    const checked = option.preference === selected;
+                    return (
+                        <TouchableOpacity
+                            key={option.preference}
+                            style={styles.option}
+                            onPress={() => onSelect(option.preference)}
+                            accessible={true}
+                            accessibilityRole="radio"
+                            accessibilityState={{ checked }}
+                            accessibilityLabel={option.label}>
+                            <Icon
+                                name={option.icon}
+                                size={22}
+                                color={theme.colors.neutral.gray700}
+                                style={styles.optionIcon}
+                            />
+                            <Text style={styles.optionText}>{option.label}</Text>
+                            {checked && (
+                                <Icon name="check" size={22} color={theme.colors.primary.main} />
+                            )}
+                        </TouchableOpacity>
+                    );
+                })}
+            </View>
+        </>
+    );
+};
+
+/**
+ * A bottom sheet that lets the user override the system color scheme and language.
+ * The choices are applied immediately and saved by the ThemeProvider and the I18nProvider.
+ *
+ * @param {object} props - The component's properties.
+ * @param {boolean} props.visible - Whether the picker is shown.
+ * @param {function} props.onClose - Called when the picker should be dismissed.
+ */
+const AppearancePicker = ({ visible, onClose }) => {
+    const { preference, setPreference } = useTheme();
+    const i18n = useI18n();
+    const { t } = i18n;
+    const themeOptions = THEME_OPTIONS.map(option => ({ ...option, label: t(option.labelKey) }));
+    // Languages are listed by their own name, so that users can find theirs whatever the current language.
+    const languageOptions = [
+        { preference: 'system', label: t('appearance.system'), icon: 'language' },
+        ...i18n.languages.map(language => ({ preference: language.code, label: language.name, icon: 'translate' })),
+    ];
+    return (
+        <BottomSheet visible={visible} title={t('appearance.title')} onClose={onClose}>
+            <OptionGroup
+                title={t('appearance.theme')}
+                options={themeOptions}
+                selected={preference}
+                onSelect={setPreference}
+            />
+            <OptionGroup
+                title={t('appearance.language')}
+                options={languageOptions}
+                selected={i18n.preference}
+                onSelect={i18n.setPreference}
+            />
+        </BottomSheet>
+    );
+};
+
+// The styles are built from the current theme by useThemedStyles.
+const createStyles = (theme) => ({
+    sectionTitle: {
+        marginTop: theme.spacing.sm,
+        marginBottom: theme.spacing.xs,
+        fontFamily: theme.fontFamily.bold,
+        fontSize: theme.typography.small,
+        fontWeight: 'bold',
+        color: theme.colors.neutral.gray500,
+        textTransform: 'uppercase',
+    },
+    option: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: theme.spacing.sm,
+        borderBottomWidth: StyleSheet.hairlineWidth,
+        borderBottomColor: theme.colors.neutral.gray300,
+    },
+    optionIcon: {
+        marginEnd: theme.spacing.sm,
+    },
+    optionText: {
+        flex: 1,
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.body,
+        color: theme.colors.neutral.gray800,
+    },
+});
+
+export default AppearancePicker;
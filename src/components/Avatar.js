@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { View, Text, Image } from 'react-native';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+
+/**
+ * Gets the initials of a name: the first letters of its first and last words.
+ * @param {string} [name] - The name, e.g. 'Alex Morgan'.
+ * @returns {string} The initials, e.g. 'AM', or an empty string for an empty name.
+ */
+export const getInitials = (name) => {
+    const words = String(name ?? '').trim().split(/\s+/).filter(Boolean);
+    if (words.length === 0) {
+        return '';
+    }
+    // Array.from splits by code point, so a name starting with an emoji or an astral character is not cut in half.
+    const first = Array.from(words[0])[0];
+    const last = words.length > 1 ? Array.from(words[words.length - 1])[0] : '';
+    return `${first}${last}`.toUpperCase();
+};
+
+/**
+ * A round picture of a user.
+ * It shows the user's photo when there is one, and their initials otherwise, or when the photo fails to load.
+ * The avatar is decorative: the control or text around it should name the user for screen readers.
+ *
+ * @param {object} props - The component's properties.
+ * @param {string} props.name - The user's name, from which the initials are taken.
+ * @param {string | null} [props.uri] - The URL of the user's photo.
+ * @param {number} [props.size=40] - The diameter of the avatar.
+ * @param {string} [props.backgroundColor] - The background color behind the initials. Defaults to the primary color.
+ * @param {string} [props.color] - The color of the initials. Defaults to the primary contrast color.
+ * @param {object} [props.style] - Extra styles for the container.
+ */
+const Avatar = ({ name, uri, size = 40, backgroundColor, color, style }) => {
+    // The current theme. Reading it here restyles the component live when the theme changes.
+    const { theme } = useTheme();
+    const styles = useThemedStyles(createStyles);
+    // The URL whose photo failed to load. A new URL gets a new chance.
+    const [failedUri, setFailedUri] = useState(null);
+    const showPhoto = !!uri && uri !== failedUri;
+    const shape = { width: size, height: size, borderRadius: size / 2 };
+
+    return (
+        <View
+            style={[styles.avatar, shape, { backgroundColor: backgroundColor || theme.colors.primary.main }, style]}
+            importantForAccessibility="no-hide-descendants"
+            accessibilityElementsHidden={true}>
+            {showPhoto ? (
+                <Image source={{ uri }} style={shape} onError={() => setFailedUri(uri)} />
+            ) : (
+                <Text
+                    style={[styles.initials, {
+                        fontSize: size * 0.4,
+                        color: color || theme.colors.primary.contrast,
+                    }]}
+                    allowFontScaling={false}>
+                    {getInitials(name)}
+                </Text>
+            )}
+        </View>
+    );
+};
+
+// The styles are built from the current theme by useThemedStyles.
+const createStyles = (theme) => ({
+    avatar: {
+        alignItems: 'center',
+        justifyContent: 'center',
+        overflow: 'hidden',
+    },
+    initials: {
+        fontFamily: theme.fontFamily.bold,
+        fontWeight: 'bold',
+    },
+});
+
+export default Avatar;
@@ -0,0 +1,94 @@
+import React from 'react';
+import { Modal, View, Text, TouchableOpacity } from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+import { useI18n } from '../context/I18nContext';
+import { useReducedMotion } from '../utils/accessibility';
+
+/**
+ * A modal sheet that slides up from the bottom of the screen, with a title and a close button.
+ * Tapping the dimmed backdrop or the close button dismisses it. It appears without sliding when the user has asked
+ * for reduced motion.
+ * A modal is rendered outside the app's root view, so the sheet sets the layout direction of the language itself.
+ *
+ * @param {object} props - The component's properties.
+ * @param {boolean} props.visible - Whether the sheet is shown.
+ * @param {string} props.title - The title displayed at the top of the sheet.
+ * @param {function} props.onClose - Called when the sheet should be dismissed.
+ * @param {React.ReactNode} [props.headerEnd] - Extra controls displayed before the close button.
+ * @param {React.ReactNode} props.children - The content of the sheet.
+ */
+const BottomSheet = ({ visible, title, onClose, headerEnd, children }) => {
+    // The current theme. Reading it here restyles the component live when the theme changes.
+    const { theme } = useTheme();
+    const styles = useThemedStyles(createStyles);
+    const { t, direction } = useI18n();
+    const reduceMotion = useReducedMotion();
+    return (
+        <Modal
+            visible={visible}
+            transparent={true}
+            animationType={reduceMotion ? 'none' : 'slide'}
+            onRequestClose={onClose}>
+            {/* Tapping the dimmed backdrop closes the sheet. */}
+            <TouchableOpacity
+                style={styles.backdrop}
+                activeOpacity={1}
+                onPress={onClose}
+                accessibilityRole="button"
+                accessibilityLabel={t('common.closeSheet', { title })}
+            />
+            <View style={[styles.sheet, { direction }]}>
+                <View style={styles.sheetHeader}>
+                    <Text style={styles.sheetTitle} accessibilityRole="header">{title}</Text>
+                    <View style={styles.headerEnd}>
+                        {headerEnd}
+                        <TouchableOpacity
+                            onPress={onClose}
+                            accessible={true}
+                            accessibilityRole="button"
+                            accessibilityLabel={t('common.close')}>
+                            <Icon name="close" size={24} color={theme.colors.neutral.gray600} />
+                        </TouchableOpacity>
+                    </View>
+                </View>
+                {children}
+            </View>
+        </Modal>
+    );
+};
+
+// The styles are built from the current theme by useThemedStyles.
+const createStyles = (theme) => ({
+    backdrop: {
+        flex: 1,
+        backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    },
+    sheet: {
+        maxHeight: '70%',
+        backgroundColor: theme.colors.background.primary,
+        borderTopLeftRadius: theme.borderRadius.xlarge,
+        borderTopRightRadius: theme.borderRadius.xlarge,
+        paddingHorizontal: theme.spacing.md,
+        paddingBottom: theme.spacing.lg,
+        ...theme.shadows.large,
+    },
+    sheetHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        paddingVertical: theme.spacing.md,
+    },
+    sheetTitle: {
+        fontFamily: theme.fontFamily.bold,
+        fontSize: theme.typography.h4,
+        fontWeight: 'bold',
+        color: theme.colors.neutral.gray800,
+    },
+    headerEnd: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+});
+
+export default BottomSheet;
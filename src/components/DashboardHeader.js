@@ -3,58 +3,80 @@ import {
     View,
     Text,
     TouchableOpacity,
+    Image,
     StatusBar,
-    StyleSheet,
     Platform,
 } from 'react-native';
 import Icon from 'react-native-vector-icons/MaterialIcons';
-import { theme } from '../styles/theme';
-import { wp, hp, isTablet, getAdaptivePadding } from '../utils/responsive';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+import { useResponsive } from '../context/ResponsiveContext';
+import { useI18n } from '../context/I18nContext';
+import Avatar from './Avatar';
+import { createResponsiveStyles } from '../utils/responsive';
 
 /**
  * A responsive and platform-aware header for the main dashboard screen.
- * It includes a title, subtitle, navigation icons, and a profile button.
+ * It includes a title, subtitle, navigation icons, and a profile button with the signed-in user's avatar. On tablets
+ * the user's name is shown next to the avatar.
+ * In right-to-left languages the sections are mirrored: the menu and title sit on the right.
  *
  * @param {object} props - The component's properties.
- * @param {string} [props.title='Dashboard'] - The main title of the header.
+ * @param {string} [props.title] - The main title of the header. Defaults to the translated "Dashboard".
  * @param {string} [props.subtitle] - An optional subtitle displayed below the main title.
  * @param {boolean} [props.showMenu=true] - Whether to display the menu icon button.
  * @param {boolean} [props.showNotifications=true] - Whether to display the notifications icon button.
  * @param {function} [props.onMenuPress] - Callback function for when the menu icon is pressed.
  * @param {function} [props.onNotificationPress] - Callback function for when the notifications icon is pressed.
+ * @param {number} [props.notificationCount=0] - The number of unread notifications, shown as a badge on the icon.
+ * @param {{name: string, avatarUrl?: string | null}} [props.user] - The signed-in user, shown on the profile button.
  * @param {function} [props.onProfilePress] - Callback function for when the profile avatar is pressed.
+ * @param {function} [props.onSearchPress] - Callback function for when the search button is pressed. The button is only shown when this is provided.
+ * @param {boolean} [props.searchActive=false] - Whether the search bar is expanded, which highlights the search button.
+ * @param {function} [props.onEditPress] - Callback function for when the edit layout button is pressed. The button is only shown when this is provided.
+ * @param {boolean} [props.editing=false] - Whether the dashboard layout is being edited. Switches the edit button to a "done" button.
  */
 const DashboardHeader = ({
-    title = 'Dashboard',
+    title,
     subtitle,
     showMenu = true,
     showNotifications = true,
     onMenuPress,
     onNotificationPress,
+    notificationCount = 0,
+    user,
     onProfilePress,
+    onSearchPress,
+    searchActive = false,
+    onEditPress,
+    editing = false,
 }) => {
-    // Check if the device is a tablet to apply different styles.
-    const isTab = isTablet();
+    // The current theme. Reading it here restyles the component live when the theme changes.
+    const { theme } = useTheme();
+    const styles = useThemedStyles(createStyles);
+    const logo = theme.brand.logo;
+    // Check if the device is a tablet to apply different styles. This updates when the window changes.
+    const { isTablet: isTab } = useResponsive();
+    const { t } = useI18n();
     return (
         <>
             {/* The StatusBar component controls the appearance of the status bar on the device. */}
             <StatusBar
                 backgroundColor={theme.colors.primary.main}
-                barStyle="light-content"
+                barStyle={theme.statusBarStyle}
                 translucent={Platform.OS === 'android'}
                 
             />
             {/* The main container for the header. */}
-            <View style={[styles.container, isTab && styles.tabletContainer]}>
-                {/* Left Section: Contains the menu button and the title/subtitle. */}
-                <View style={styles.leftSection}>
+            <View style={styles.container}>
+                {/* Start Section: Contains the menu button and the title/subtitle. */}
+                <View style={styles.startSection}>
                     {showMenu && (
                         <TouchableOpacity
                             style={styles.iconButton}
                             onPress={onMenuPress}
                             accessible={true}
                             accessibilityRole="button"
-                            accessibilityLabel="Open menu">
+                            accessibilityLabel={t('header.openMenu')}>
                             <Icon                            
                                 name="menu"
                                 size={isTab ? 28 : 24}
@@ -62,35 +84,85 @@ const DashboardHeader = ({
                             />
                         </TouchableOpacity>
                     )}
+                    {/* The brand logo, when the theme was loaded from a brand theme definition. */}
+                    {logo && (
+                        <Image
+                            source={{ uri: logo.uri }}
+                            style={[styles.logo, { width: logo.width || 32, height: logo.height || 32 }]}
+                            resizeMode="contain"
+                            accessible={true}
+                            accessibilityRole="image"
+                            accessibilityLabel={
+                                logo.accessibilityLabel
+                                || t('header.logo', { name: theme.brand.name || t('header.brand') })
+                            }
+                        />
+                    )}
                     <View style={styles.titleContainer}>
-                        <Text style={[styles.title, isTab && styles.tabletTitle]}>
-                            {title}
+                        <Text style={styles.title}>
+                            {title ?? t('header.title')}
                         </Text>
                         {subtitle && (
-                            <Text style={[styles.subtitle, isTab && styles.tabletSubtitle]}>
+                            <Text style={styles.subtitle}>
                                 {subtitle}
                             </Text>
                         )}
                     </View>
                 </View>
-                {/* Right Section: Contains the notification button and the profile avatar. */}
-                <View style={styles.rightSection}>
+                {/* End Section: Contains the search, edit, notification and profile buttons. */}
+                <View style={styles.endSection}>
+                    {onSearchPress && (
+                        <TouchableOpacity
+                            style={[styles.iconButton, searchActive && styles.iconButtonActive]}
+                            onPress={onSearchPress}
+                            accessible={true}
+                            accessibilityRole="button"
+                            accessibilityLabel={searchActive ? t('header.closeSearch') : t('header.search')}
+                            accessibilityState={{ expanded: searchActive }}>
+                            <Icon
+                                name="search"
+                                size={isTab ? 28 : 24}
+                                color={theme.colors.primary.contrast}
+                            />
+                        </TouchableOpacity>
+                    )}
+                    {onEditPress && (
+                        <TouchableOpacity
+                            style={styles.iconButton}
+                            onPress={onEditPress}
+                            accessible={true}
+                            accessibilityRole="button"
+                            accessibilityLabel={editing ? t('header.finishEditing') : t('header.editLayout')}
+                            accessibilityState={{ selected: editing }}>
+                            <Icon
+                                name={editing ? 'check' : 'edit'}
+                                size={isTab ? 28 : 24}
+                                color={theme.colors.primary.contrast}
+                            />
+                        </TouchableOpacity>
+                    )}
                     {showNotifications && (
                         <TouchableOpacity
                             style={styles.iconButton}
                             onPress={onNotificationPress}
                             accessible={true}
                             accessibilityRole="button"
-                            accessibilityLabel="View notifications">
+                            accessibilityLabel={notificationCount > 0
+                                ? t('header.notificationsUnread', { count: notificationCount })
+                                : t('header.notifications')}>
                             <Icon                   
                                 name="notifications"
                                 size={isTab ? 28 : 24}
                                 color={theme.colors.primary.contrast}
                             />
-                            {/* A badge to indicate the number of notifications. */}
-                            <View style={styles.notificationBadge}>
-                                <Text style={styles.badgeText}>3</Text>
-                            </View>
+                            {/* A badge with the number of unread notifications. */}
+                            {notificationCount > 0 && (
+                                <View style={styles.notificationBadge}>
+                                    <Text style={styles.badgeText}>
+                                        {notificationCount > 99 ? '99+' : notificationCount}
+                                    </Text>
+                                </View>
+                            )}
                         </TouchableOpacity>
                     )}
                     <TouchableOpacity
@@ -98,14 +170,32 @@ const DashboardHeader = ({
                         onPress={onProfilePress}
                         accessible={true}
                         accessibilityRole="button"
-                        accessibilityLabel="Open profile">
-                        <View style={styles.profileAvatar}>
-                            <Icon
-                                name="person"
-                                size={isTab ? 24 : 20}
+                        accessibilityLabel={user
+                            ? t('header.openProfileOf', { name: user.name })
+                            : t('header.openProfile')}>
+                        {user && isTab && (
+                            <Text style={styles.profileName} numberOfLines={1}>
+                                {user.name}
+                            </Text>
+                        )}
+                        {user ? (
+                            <Avatar
+                                name={user.name}
+                                uri={user.avatarUrl}
+                                size={isTab ? 44 : 40}
+                                backgroundColor={theme.colors.primary.contrast}
                                 color={theme.colors.primary.main}
+                                style={styles.profileAvatar}
                             />
-                        </View>
+                        ) : (
+                            <View style={styles.profileAvatar}>
+                                <Icon
+                                    name="person"
+                                    size={isTab ? 24 : 20}
+                                    color={theme.colors.primary.main}
+                                />
+                            </View>
+                        )}
                     </TouchableOpacity>
                 </View>
             </View>
@@ -114,86 +204,113 @@ const DashboardHeader = ({
 };
 
 // The StyleSheet for the DashboardHeader component.
-const styles = StyleSheet.create({
+// The styles are built from the current theme and window size by useThemedStyles,
+// and resolved for the current breakpoint.
+const createStyles = createResponsiveStyles((theme, responsive) => ({
     container: {
         backgroundColor: theme.colors.primary.main,
-        paddingHorizontal: getAdaptivePadding(),
+        paddingHorizontal: responsive.adaptivePadding,
         // Add extra padding at the top on Android to account for the translucent status bar.
-        paddingTop: Platform.OS === 'ios' ? hp('6%') : StatusBar.currentHeight,
+        paddingTop: Platform.OS === 'ios' ? responsive.hp('6%') : StatusBar.currentHeight,
         paddingBottom: theme.spacing.md,
         flexDirection: 'row',
         alignItems: 'center',
         justifyContent: 'space-between',
         ...theme.shadows.medium,
+        tablet: {
+            paddingHorizontal: theme.spacing.xl,
+            paddingTop: responsive.hp('4%'),
+        },
     },
-    tabletContainer: {
-        paddingHorizontal: theme.spacing.xl,
-        paddingTop: hp('4%'),
-    },
-    leftSection: {
+    startSection: {
         flexDirection: 'row',
         alignItems: 'center',
         flex: 1,
     },
-    rightSection: {
+    endSection: {
         flexDirection: 'row',
         alignItems: 'center',
     },
     iconButton: {
         padding: theme.spacing.sm,
-        marginRight: theme.spacing.sm,
+        marginEnd: theme.spacing.sm,
         position: 'relative',
     },
+    iconButtonActive: {
+        borderRadius: theme.borderRadius.medium,
+        backgroundColor: `${theme.colors.primary.contrast}30`, // Add opacity to the background color
+    },
+    logo: {
+        marginStart: theme.spacing.sm,
+    },
     titleContainer: {
-        marginLeft: theme.spacing.sm,
+        marginStart: theme.spacing.sm,
     },
     title: {
+        fontFamily: theme.fontFamily.bold,
         fontSize: theme.typography.h3,
         fontWeight: 'bold',
         color: theme.colors.primary.contrast,
-    },
-    tabletTitle: {
-        fontSize: theme.typography.h2,
+        tablet: {
+            fontSize: theme.typography.h2,
+        },
     },
     subtitle: {
+        fontFamily: theme.fontFamily.regular,
         fontSize: theme.typography.caption,
         color: theme.colors.primary.contrast,
         opacity: 0.8,
         marginTop: 2,
-    },
-    tabletSubtitle: {
-        fontSize: theme.typography.body,
+        tablet: {
+            fontSize: theme.typography.body,
+        },
     },
     profileButton: {
-        marginLeft: theme.spacing.sm,
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginStart: theme.spacing.sm,
+    },
+    profileName: {
+        maxWidth: 160,
+        marginEnd: theme.spacing.sm,
+        fontFamily: theme.fontFamily.medium,
+        fontSize: theme.typography.body,
+        color: theme.colors.primary.contrast,
     },
     profileAvatar: {
-        width: isTablet() ? 44 : 40,
-        height: isTablet() ? 44 : 40,
-        borderRadius: isTablet() ? 22 : 20,
+        width: 40,
+        height: 40,
+        borderRadius: 20,
         backgroundColor: theme.colors.primary.contrast,
         alignItems: 'center',
         justifyContent: 'center',
         ...theme.shadows.small,
+        tablet: {
+            width: 44,
+            height: 44,
+            borderRadius: 22,
+        },
     },
     notificationBadge: {
         position: 'absolute',
         top: 4,
-        right: 4,
+        end: 4,
         backgroundColor: theme.colors.accent.main,
         borderRadius: 10,
         minWidth: 18,
         height: 18,
+        paddingHorizontal: 3,
         alignItems: 'center',
         justifyContent: 'center',
         borderWidth: 2,
         borderColor: theme.colors.primary.main,
     },
     badgeText: {
+        fontFamily: theme.fontFamily.bold,
         fontSize: 10,
         color: theme.colors.accent.contrast,
         fontWeight: 'bold',
     },
-});
+}));
 
 export default DashboardHeader;
\ No newline at end of file
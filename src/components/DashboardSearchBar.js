@@ -0,0 +1,202 @@
+import React from 'react';
+import { View, Text, TextInput, TouchableOpacity, ScrollView } from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+import { useI18n } from '../context/I18nContext';
+import { useDashboardFilter } from '../context/DashboardFilterContext';
+import { TREND_FACETS, getCategoryLabel } from '../utils/dashboardSearch';
+
+// The icon of each trend facet.
+const TREND_ICONS = { up: 'trending-up', down: 'trending-down', flat: 'trending-flat' };
+
+/**
+ * A toggleable filter chip.
+ *
+ * @param {object} props - The component's properties.
+ * @param {string} props.label - The label of the chip.
+ * @param {string} [props.icon] - The name of a Material Icon shown before the label.
+ * @param {boolean} props.selected - Whether the chip is selected.
+ * @param {function} props.onPress - Called when the chip is pressed.
+ */
+const FilterChip = ({ label, icon, selected, onPress }) => {
+    // The current theme. Reading it here restyles the component live when the theme changes.
+    const { theme } = useTheme();
+    const styles = useThemedStyles(createStyles);
+    return (
+        <TouchableOpacity
+            style={[styles.chip, selected && styles.chipSelected]}
+            onPress={onPress}
+            accessible={true}
+            accessibilityRole="button"
+            accessibilityLabel={label}
+            accessibilityState={{ selected }}>
+            {icon && (
+                <Icon
+                    name={icon}
+                    size={16}
+                    color={selected ? theme.colors.primary.contrast : theme.colors.neutral.gray600}
+                    style={styles.chipIcon}
+                />
+            )}
+            <Text style={[styles.chipText, selected && styles.chipTextSelected]}>{label}</Text>
+        </TouchableOpacity>
+    );
+};
+
+/**
+ * The dashboard search bar, shown under the header when the search is expanded.
+ * It edits the dashboard filter (see DashboardFilterContext): a query matched against the widgets' titles, subtitles
+ * and tags, and facet chips for the category and the trend direction. Pressing a selected chip clears its facet.
+ * Below the chips, screen readers are told how many widgets match.
+ *
+ * @param {object} props - The component's properties.
+ * @param {Array<string>} props.categories - The categories offered by the category facet.
+ * @param {number} props.resultCount - The number of widgets that pass the filter.
+ * @param {number} props.totalCount - The number of widgets on the dashboard.
+ * @param {function} props.onClose - Called when the close button is pressed.
+ * @param {boolean} [props.autoFocus=false] - Whether the query field is focused when the bar appears.
+ */
+const DashboardSearchBar = ({ categories, resultCount, totalCount, onClose, autoFocus = false }) => {
+    // The current theme. Reading it here restyles the component live when the theme changes.
+    const { theme } = useTheme();
+    const styles = useThemedStyles(createStyles);
+    const { t } = useI18n();
+    const { filter, setFilter } = useDashboardFilter();
+
+    return (
+        <View style={styles.container}>
+            <View style={styles.inputRow}>
+                <Icon name="search" size={20} color={theme.colors.neutral.gray500} />
+                <TextInput
+                    style={styles.input}
+                    value={filter.query}
+                    onChangeText={query => setFilter({ query })}
+                    placeholder={t('search.placeholder')}
+                    placeholderTextColor={theme.colors.neutral.gray500}
+                    autoFocus={autoFocus}
+                    autoCorrect={false}
+                    returnKeyType="search"
+                    accessibilityLabel={t('search.placeholder')}
+                />
+                {filter.query !== '' && (
+                    <TouchableOpacity
+                        style={styles.iconButton}
+                        onPress={() => setFilter({ query: '' })}
+                        accessible={true}
+                        accessibilityRole="button"
+                        accessibilityLabel={t('search.clear')}>
+                        <Icon name="cancel" size={20} color={theme.colors.neutral.gray500} />
+                    </TouchableOpacity>
+                )}
+                <TouchableOpacity
+                    style={styles.iconButton}
+                    onPress={onClose}
+                    accessible={true}
+                    accessibilityRole="button"
+                    accessibilityLabel={t('search.close')}>
+                    <Icon name="close" size={22} color={theme.colors.neutral.gray600} />
+                </TouchableOpacity>
+            </View>
+            <ScrollView
+                horizontal={true}
+                showsHorizontalScrollIndicator={false}
+                contentContainerStyle={styles.chips}
+                keyboardShouldPersistTaps="handled">
+                {categories.map(category => (
+                    <FilterChip
+                        key={category}
+                        label={getCategoryLabel(category, t)}
+                        selected={filter.category === category}
+                        onPress={() => setFilter({ category: filter.category === category ? null : category })}
+                    />
+                ))}
+                {categories.length > 0 && <View style={styles.separator} />}
+                {TREND_FACETS.map(trend => (
+                    <FilterChip
+                        key={trend}
+                        icon={TREND_ICONS[trend]}
+                        label={t(`search.trend.${trend}`)}
+                        selected={filter.trend === trend}
+                        onPress={() => setFilter({ trend: filter.trend === trend ? null : trend })}
+                    />
+                ))}
+            </ScrollView>
+            <Text style={styles.results} accessibilityLiveRegion="polite">
+                {t('search.results', { count: resultCount, total: totalCount })}
+            </Text>
+        </View>
+    );
+};
+
+// The styles are built from the current theme by useThemedStyles.
+const createStyles = (theme) => ({
+    container: {
+        paddingHorizontal: theme.spacing.md,
+        paddingTop: theme.spacing.sm,
+        backgroundColor: theme.colors.background.primary,
+        borderBottomWidth: 1,
+        borderBottomColor: theme.colors.neutral.gray200,
+    },
+    inputRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingHorizontal: theme.spacing.sm,
+        borderRadius: theme.borderRadius.medium,
+        backgroundColor: theme.colors.neutral.gray100,
+    },
+    input: {
+        flex: 1,
+        marginStart: theme.spacing.xs,
+        paddingVertical: theme.spacing.sm,
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.body,
+        color: theme.colors.neutral.gray800,
+    },
+    iconButton: {
+        padding: theme.spacing.xs,
+    },
+    chips: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: theme.spacing.sm,
+    },
+    chip: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginEnd: theme.spacing.xs,
+        paddingHorizontal: theme.spacing.sm,
+        paddingVertical: theme.spacing.xs,
+        borderWidth: 1,
+        borderColor: theme.colors.neutral.gray300,
+        borderRadius: 16,
+    },
+    chipSelected: {
+        backgroundColor: theme.colors.primary.main,
+        borderColor: theme.colors.primary.main,
+    },
+    chipIcon: {
+        marginEnd: theme.spacing.xs,
+    },
+    chipText: {
+        fontFamily: theme.fontFamily.medium,
+        fontSize: theme.typography.caption,
+        color: theme.colors.neutral.gray700,
+    },
+    chipTextSelected: {
+        color: theme.colors.primary.contrast,
+    },
+    separator: {
+        width: 1,
+        height: 20,
+        marginEnd: theme.spacing.xs,
+        backgroundColor: theme.colors.neutral.gray300,
+    },
+    results: {
+        paddingBottom: theme.spacing.sm,
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.small,
+        color: theme.colors.neutral.gray600,
+    },
+});
+
+export default DashboardSearchBar;
@@ -0,0 +1,170 @@
+import React, {
+    createContext,
+    useCallback,
+    useContext,
+    useEffect,
+    useMemo,
+    useRef,
+    useState,
+} from 'react';
+import { Animated, PanResponder, Pressable, StyleSheet } from 'react-native';
+import { theme } from '../styles/theme';
+import { useI18n } from '../context/I18nContext';
+
+/**
+ * @file This file contains long-press drag-to-reorder support for grid items.
+ * A DragReorderProvider coordinates the drag, and each DraggableItem registers itself with it.
+ * When a drag starts, every registered item is measured on screen; when it ends, the item under the
+ * finger is the drop target. Measuring in window coordinates means this works with any nesting of Views,
+ * including the rows and columns built by ResponsiveGrid.
+ */
+
+const DragReorderContext = createContext(null);
+
+/**
+ * Coordinates drag-to-reorder between the DraggableItems rendered below it.
+ *
+ * @param {object} props - The component's properties.
+ * @param {function(string, string): void} props.onReorder - Called with the id of the dragged item and the id of
+ * the item it was dropped on.
+ * @param {function(boolean): void} [props.onDragStateChange] - Called when a drag starts or ends. Scroll containers
+ * should disable scrolling while a drag is in progress.
+ * @param {React.ReactNode} props.children - The content that contains the draggable items.
+ */
+export const DragReorderProvider = ({ onReorder, onDragStateChange, children }) => {
+    // The registered items, keyed by id. Each entry holds a ref to the item's View.
+    const itemsRef = useRef(new Map());
+    // The on-screen rectangles of the items, measured when the drag starts.
+    const rectsRef = useRef([]);
+    const [draggingId, setDraggingId] = useState(null);
+
+    // Let the parent know when a drag starts or ends, e.g. to lock scrolling.
+    useEffect(() => {
+        onDragStateChange?.(draggingId !== null);
+    }, [draggingId, onDragStateChange]);
+
+    const register = useCallback((id, viewRef) => {
+        itemsRef.current.set(id, viewRef);
+        return () => {
+            if (itemsRef.current.get(id) === viewRef) {
+                itemsRef.current.delete(id);
+            }
+        };
+    }, []);
+
+    const startDrag = useCallback((id) => {
+        setDraggingId(id);
+        rectsRef.current = [];
+        itemsRef.current.forEach((viewRef, itemId) => {
+            viewRef.current?.measureInWindow((x, y, width, height) => {
+                rectsRef.current.push({ id: itemId, x, y, width, height });
+            });
+        });
+    }, []);
+
+    const endDrag = useCallback((id, pageX, pageY) => {
+        setDraggingId(null);
+        if (pageX === null || pageY === null) {
+            return;
+        }
+        const target = rectsRef.current.find(rect =>
+            pageX >= rect.x && pageX <= rect.x + rect.width
+            && pageY >= rect.y && pageY <= rect.y + rect.height);
+        if (target && target.id !== id) {
+            onReorder(id, target.id);
+        }
+    }, [onReorder]);
+
+    const value = useMemo(
+        () => ({ draggingId, register, startDrag, endDrag }),
+        [draggingId, register, startDrag, endDrag],
+    );
+
+    return (
+        <DragReorderContext.Provider value={value}>
+            {children}
+        </DragReorderContext.Provider>
+    );
+};
+
+/**
+ * Makes its children draggable with a long press.
+ * Must be rendered inside a DragReorderProvider.
+ *
+ * @param {object} props - The component's properties.
+ * @param {string} props.id - The id reported to `onReorder` for this item.
+ * @param {number} [props.delayLongPress=300] - How long (in milliseconds) to press before the drag starts.
+ * @param {React.ReactNode} props.children - The content to make draggable.
+ */
+export const DraggableItem = ({ id, delayLongPress = 300, children }) => {
+    const { draggingId, register, startDrag, endDrag } = useContext(DragReorderContext);
+    const { t } = useI18n();
+    const viewRef = useRef(null);
+    const pan = useRef(new Animated.ValueXY()).current;
+    // Whether a long press has armed the drag, and whether the pan responder has taken over the gesture.
+    const armedRef = useRef(false);
+    const panningRef = useRef(false);
+
+    useEffect(() => register(id, viewRef), [id, register]);
+
+    const finish = useCallback((pageX, pageY) => {
+        armedRef.current = false;
+        panningRef.current = false;
+        // Spring back into place; the grid re-renders the item at its new position if it moved.
+        Animated.spring(pan, { toValue: { x: 0, y: 0 }, useNativeDriver: false }).start();
+        endDrag(id, pageX, pageY);
+    }, [id, pan, endDrag]);
+
+    const panResponder = useMemo(() => PanResponder.create({
+        // Only take over the gesture once a long press has armed the drag.
+        onMoveShouldSetPanResponderCapture: () => armedRef.current,
+        onPanResponderGrant: () => {
+            panningRef.current = true;
+        },
+        onPanResponderMove: Animated.event([null, { dx: pan.x, dy: pan.y }], { useNativeDriver: false }),
+        onPanResponderTerminationRequest: () => false,
+        onPanResponderRelease: (event, gesture) => finish(gesture.moveX, gesture.moveY),
+        onPanResponderTerminate: () => finish(null, null),
+    }), [pan, finish]);
+
+    const isDragging = draggingId === id;
+
+    return (
+        <Animated.View
+            ref={viewRef}
+            style={[
+                styles.item,
+                isDragging && styles.dragging,
+                { transform: [...pan.getTranslateTransform(), { scale: isDragging ? 1.03 : 1 }] },
+            ]}
+            {...panResponder.panHandlers}>
+            <Pressable
+                style={styles.item}
+                delayLongPress={delayLongPress}
+                onLongPress={() => {
+                    armedRef.current = true;
+                    startDrag(id);
+                }}
+                onPressOut={() => {
+                    // Releasing a long press without moving ends the drag where it started.
+                    if (armedRef.current && !panningRef.current) {
+                        finish(null, null);
+                    }
+                }}
+                accessibilityHint={t('widget.dragHint')}>
+                {children}
+            </Pressable>
+        </Animated.View>
+    );
+};
+
+const styles = StyleSheet.create({
+    item: {
+        flex: 1,
+    },
+    dragging: {
+        zIndex: 10,
+        opacity: 0.9,
+        ...theme.shadows.large,
+    },
+});
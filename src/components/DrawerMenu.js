@@ -0,0 +1,149 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, ScrollView, StyleSheet } from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import { resolveColor } from '../styles/theme';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+import { useDashboardData } from '../context/DashboardDataContext';
+import { useNavigation } from '../navigation/NavigationContext';
+import { useI18n } from '../context/I18nContext';
+import { useSession } from '../context/SessionContext';
+
+/**
+ * A single entry of the navigation menu.
+ *
+ * @param {object} props - The component's properties.
+ * @param {string} props.icon - The name of the Material Icon to display.
+ * @param {string} [props.iconColor] - The color (or theme color token) of the icon.
+ * @param {string} props.label - The label of the entry.
+ * @param {boolean} props.active - Whether the entry's screen is shown.
+ * @param {function} props.onPress - Called when the entry is pressed.
+ */
+const MenuItem = ({ icon, iconColor, label, active, onPress }) => {
+    const { theme } = useTheme();
+    const styles = useThemedStyles(createStyles);
+    return (
+        <TouchableOpacity
+            style={[styles.item, active && styles.itemActive]}
+            onPress={onPress}
+            accessible={true}
+            accessibilityRole="menuitem"
+            accessibilityState={{ selected: active }}
+            accessibilityLabel={label}>
+            <Icon
+                name={icon}
+                size={22}
+                color={active
+                    ? theme.colors.primary.main
+                    : resolveColor(iconColor, theme.colors) || theme.colors.neutral.gray600}
+                style={styles.itemIcon}
+            />
+            <Text style={[styles.itemText, active && styles.itemTextActive]} numberOfLines={1}>{label}</Text>
+        </TouchableOpacity>
+    );
+};
+
+/**
+ * The contents of the navigation menu: the dashboard, and a shortcut to the detail of every statistic the signed-in
+ * user has permission for.
+ * It is rendered in the side drawer, or in the persistent sidebar on large tablets in landscape.
+ */
+const DrawerMenu = () => {
+    const { theme } = useTheme();
+    const styles = useThemedStyles(createStyles);
+    const { route, navigate, popToTop } = useNavigation();
+    const { statistics: allStatistics } = useDashboardData();
+    const { hasPermission } = useSession();
+    const statistics = allStatistics.filter(statistic => hasPermission(statistic.permission));
+    const { t } = useI18n();
+    return (
+        <ScrollView style={styles.container} contentContainerStyle={styles.content} accessibilityRole="menu">
+            <View style={styles.header}>
+                <Icon name="insights" size={28} color={theme.colors.primary.main} />
+                <Text style={styles.headerTitle} numberOfLines={1}>{theme.brand.name || t('menu.dashboard')}</Text>
+            </View>
+            <MenuItem
+                icon="dashboard"
+                label={t('menu.dashboard')}
+                active={route.name === 'dashboard'}
+                onPress={popToTop}
+            />
+            {statistics.length > 0 && <Text style={styles.sectionTitle}>{t('menu.statistics')}</Text>}
+            {statistics.map(statistic => (
+                <MenuItem
+                    key={statistic.id}
+                    icon={statistic.icon || 'insert-chart'}
+                    iconColor={statistic.iconColor}
+                    label={statistic.title}
+                    active={route.name === 'statisticDetail'
+                        && String(route.params.statisticId) === String(statistic.id)}
+                    onPress={() => navigate('statisticDetail', { statisticId: statistic.id })}
+                />
+            ))}
+        </ScrollView>
+    );
+};
+
+// The styles are built from the current theme by useThemedStyles.
+const createStyles = (theme) => ({
+    container: {
+        flex: 1,
+        backgroundColor: theme.colors.background.primary,
+    },
+    content: {
+        paddingVertical: theme.spacing.sm,
+    },
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingHorizontal: theme.spacing.md,
+        paddingVertical: theme.spacing.sm,
+        marginBottom: theme.spacing.sm,
+        borderBottomWidth: StyleSheet.hairlineWidth,
+        borderBottomColor: theme.colors.neutral.gray300,
+    },
+    headerTitle: {
+        flex: 1,
+        marginStart: theme.spacing.sm,
+        fontFamily: theme.fontFamily.bold,
+        fontSize: theme.typography.h4,
+        fontWeight: 'bold',
+        color: theme.colors.neutral.gray800,
+    },
+    sectionTitle: {
+        marginTop: theme.spacing.md,
+        marginBottom: theme.spacing.xs,
+        paddingHorizontal: theme.spacing.md,
+        fontFamily: theme.fontFamily.bold,
+        fontSize: theme.typography.small,
+        fontWeight: 'bold',
+        color: theme.colors.neutral.gray500,
+        textTransform: 'uppercase',
+    },
+    item: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginHorizontal: theme.spacing.sm,
+        paddingHorizontal: theme.spacing.sm,
+        paddingVertical: theme.spacing.sm,
+        borderRadius: theme.borderRadius.medium,
+    },
+    itemActive: {
+        backgroundColor: `${theme.colors.primary.main}15`,
+    },
+    itemIcon: {
+        marginEnd: theme.spacing.sm,
+    },
+    itemText: {
+        flex: 1,
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.body,
+        color: theme.colors.neutral.gray800,
+    },
+    itemTextActive: {
+        fontFamily: theme.fontFamily.bold,
+        fontWeight: 'bold',
+        color: theme.colors.primary.main,
+    },
+});
+
+export default DrawerMenu;
@@ -0,0 +1,49 @@
+import React, { createContext, useContext } from 'react';
+import { Text } from 'react-native';
+import { useThemedStyles } from '../context/ThemeContext';
+import { splitMatches } from '../utils/dashboardSearch';
+
+/**
+ * @file This file contains the text that highlights the matches of the dashboard search.
+ * The dashboard shares the search query through SearchHighlightContext, and HighlightedText reads it, so every widget
+ * that renders its texts with HighlightedText highlights matches without having to forward any extra props.
+ */
+
+// The search query whose matches are highlighted. Empty when nothing is searched for.
+export const SearchHighlightContext = createContext('');
+
+/**
+ * A text whose parts that match the current search query are highlighted.
+ * Without a query, it renders exactly like a plain Text.
+ *
+ * @param {object} props - The component's properties.
+ * @param {string} props.children - The text.
+ * @param {object} [props.style] - The style of the text.
+ * @param {string} [props.accessibilityRole] - The accessibility role of the text, e.g. 'header'.
+ * @param {number} [props.numberOfLines] - The number of lines the text is truncated to.
+ */
+const HighlightedText = ({ children, style, accessibilityRole, numberOfLines }) => {
+    const styles = useThemedStyles(createStyles);
+    const query = useContext(SearchHighlightContext);
+    const parts = query ? splitMatches(children, query) : null;
+    return (
+        <Text style={style} accessibilityRole={accessibilityRole} numberOfLines={numberOfLines}>
+            {parts && parts.some(part => part.match)
+                ? parts.map((part, index) => (part.match
+                    ? <Text key={index} style={styles.match}>{part.text}</Text>
+                    : part.text))
+                : children}
+        </Text>
+    );
+};
+
+// The styles are built from the current theme by useThemedStyles.
+const createStyles = (theme) => ({
+    match: {
+        backgroundColor: `${theme.colors.semantic.warning}40`, // Add opacity to the background color
+        fontFamily: theme.fontFamily.bold,
+        fontWeight: 'bold',
+    },
+});
+
+export default HighlightedText;
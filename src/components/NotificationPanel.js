@@ -0,0 +1,202 @@
+import React from 'react';
+import {
+    View,
+    Text,
+    TouchableOpacity,
+    FlatList,
+    StyleSheet,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import BottomSheet from './BottomSheet';
+import { formatRelativeTime } from '../utils/notifications';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+import { useNotifications } from '../context/NotificationContext';
+import { useI18n } from '../context/I18nContext';
+
+// The icon shown for each severity.
+const SEVERITY_ICONS = {
+    info: 'info-outline',
+    success: 'check-circle-outline',
+    warning: 'warning-amber',
+    error: 'error-outline',
+};
+
+/**
+ * A bottom sheet that lists the notifications, newest first.
+ * Pressing a notification marks it as read and, if it links to a screen, opens it.
+ *
+ * @param {object} props - The component's properties.
+ * @param {boolean} props.visible - Whether the panel is shown.
+ * @param {function} props.onClose - Called when the panel should be dismissed.
+ * @param {function({screen: string, params: object}): void} [props.onOpenLink] - Called with the link of a pressed
+ * notification.
+ */
+const NotificationPanel = ({ visible, onClose, onOpenLink }) => {
+    // The current theme. Reading it here restyles the component live when the theme changes.
+    const { theme } = useTheme();
+    const styles = useThemedStyles(createStyles);
+    const { notifications, unreadCount, markRead, markAllRead, clearAll } = useNotifications();
+    const { t } = useI18n();
+    const now = Date.now();
+
+    /**
+     * Handles a press on a notification.
+     * @param {object} notification - The notification that was pressed.
+     */
+    const handlePress = (notification) => {
+        markRead(notification.id);
+        if (notification.link && onOpenLink) {
+            onClose();
+            onOpenLink(notification.link);
+        }
+    };
+
+    return (
+        <BottomSheet
+            visible={visible}
+            title={t('notifications.title')}
+            onClose={onClose}
+            headerEnd={unreadCount > 0 && (
+                <TouchableOpacity
+                    style={styles.headerAction}
+                    onPress={markAllRead}
+                    accessible={true}
+                    accessibilityRole="button"
+                    accessibilityLabel={t('notifications.markAllReadLabel')}>
+                    <Text style={styles.headerActionText}>{t('notifications.markAllRead')}</Text>
+                </TouchableOpacity>
+            )}>
+            <FlatList
+                data={notifications}
+                keyExtractor={notification => notification.id}
+                ListEmptyComponent={
+                    <View style={styles.empty}>
+                        <Icon name="notifications-none" size={40} color={theme.colors.neutral.gray400} />
+                        <Text style={styles.emptyText}>{t('notifications.empty')}</Text>
+                    </View>
+                }
+                renderItem={({ item }) => {
+                    const color = theme.colors.semantic[item.severity];
+                    const time = formatRelativeTime(item.timestamp, now, t);
+                    return (
+                        <TouchableOpacity
+                            style={styles.item}
+                            onPress={() => handlePress(item)}
+                            accessible={true}
+                            accessibilityRole="button"
+                            accessibilityLabel={t(item.read ? 'notifications.item' : 'notifications.itemUnread', {
+                                title: item.title,
+                                message: item.message,
+                                time,
+                            })}>
+                            <Icon
+                                name={SEVERITY_ICONS[item.severity]}
+                                size={22}
+                                color={color}
+                                style={styles.itemIcon}
+                            />
+                            <View style={styles.itemBody}>
+                                <Text style={[styles.itemTitle, !item.read && styles.itemTitleUnread]}>
+                                    {item.title}
+                                </Text>
+                                {item.message !== '' && (
+                                    <Text style={styles.itemMessage}>{item.message}</Text>
+                                )}
+                                <Text style={styles.itemTime}>{time}</Text>
+                            </View>
+                            {!item.read && <View style={styles.unreadDot} />}
+                        </TouchableOpacity>
+                    );
+                }}
+                ListFooterComponent={notifications.length > 0 && (
+                    <TouchableOpacity
+                        style={styles.clearButton}
+                        onPress={clearAll}
+                        accessible={true}
+                        accessibilityRole="button"
+                        accessibilityLabel={t('notifications.clearAllLabel')}>
+                        <Text style={styles.clearButtonText}>{t('notifications.clearAll')}</Text>
+                    </TouchableOpacity>
+                )}
+            />
+        </BottomSheet>
+    );
+};
+
+// The styles are built from the current theme by useThemedStyles.
+const createStyles = (theme) => ({
+    headerAction: {
+        marginEnd: theme.spacing.sm,
+    },
+    headerActionText: {
+        fontFamily: theme.fontFamily.bold,
+        fontSize: theme.typography.caption,
+        fontWeight: 'bold',
+        color: theme.colors.primary.main,
+    },
+    item: {
+        flexDirection: 'row',
+        alignItems: 'flex-start',
+        paddingVertical: theme.spacing.sm,
+        borderBottomWidth: StyleSheet.hairlineWidth,
+        borderBottomColor: theme.colors.neutral.gray300,
+    },
+    itemIcon: {
+        marginEnd: theme.spacing.sm,
+    },
+    itemBody: {
+        flex: 1,
+    },
+    itemTitle: {
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.body,
+        color: theme.colors.neutral.gray800,
+    },
+    itemTitleUnread: {
+        fontFamily: theme.fontFamily.bold,
+        fontWeight: 'bold',
+    },
+    itemMessage: {
+        marginTop: 2,
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.caption,
+        color: theme.colors.neutral.gray600,
+    },
+    itemTime: {
+        marginTop: 2,
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.small,
+        color: theme.colors.neutral.gray500,
+    },
+    unreadDot: {
+        width: 8,
+        height: 8,
+        borderRadius: 4,
+        marginTop: 6,
+        marginStart: theme.spacing.sm,
+        backgroundColor: theme.colors.primary.main,
+    },
+    empty: {
+        alignItems: 'center',
+        paddingVertical: theme.spacing.lg,
+    },
+    emptyText: {
+        marginTop: theme.spacing.sm,
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.caption,
+        color: theme.colors.neutral.gray500,
+    },
+    clearButton: {
+        alignItems: 'center',
+        paddingVertical: theme.spacing.sm,
+        marginTop: theme.spacing.sm,
+    },
+    clearButtonText: {
+        fontFamily: theme.fontFamily.bold,
+        fontSize: theme.typography.body,
+        fontWeight: 'bold',
+        color: theme.colors.semantic.error,
+    },
+});
+
+export default NotificationPanel;
@@ -0,0 +1,248 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, Switch, StyleSheet } from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import BottomSheet from './BottomSheet';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+import { useI18n } from '../context/I18nContext';
+import { useDashboardData } from '../context/DashboardDataContext';
+import {
+    PERIOD_PRESETS,
+    describePeriod,
+    formatDateRange,
+    getPreviousPeriod,
+    isValidPeriod,
+    resolvePeriod,
+} from '../utils/period';
+
+/**
+ * The dashboard's reporting period bar, shown under the header.
+ * It names the period the statistics are for and, when the trends compare it with the previous period, which dates
+ * that one covers. Pressing the period opens a sheet with the presets and a custom range, and the switch turns the
+ * comparison on or off. Both are read from and applied to the DashboardDataProvider, which re-queries the statistics.
+ */
+const PeriodPicker = () => {
+    // The current theme. Reading it here restyles the component live when the theme changes.
+    const { theme } = useTheme();
+    const styles = useThemedStyles(createStyles);
+    const { t, locale } = useI18n();
+    const { period, setPeriod, compare, setCompare } = useDashboardData();
+    const [sheetVisible, setSheetVisible] = useState(false);
+    // The custom range being typed in the sheet, prefilled with the dates of the current period.
+    const [customRange, setCustomRange] = useState({ start: '', end: '' });
+    const [customError, setCustomError] = useState(false);
+
+    const label = describePeriod(period, t, locale);
+    const previous = getPreviousPeriod(resolvePeriod(period));
+
+    /**
+     * Opens the sheet, with the custom range fields showing the current period.
+     */
+    const openSheet = () => {
+        const { start, end } = resolvePeriod(period);
+        setCustomRange({ start, end });
+        setCustomError(false);
+        setSheetVisible(true);
+    };
+
+    /**
+     * Picks one of the presets and closes the sheet.
+     * @param {string} preset - The preset, e.g. 'week'.
+     */
+    const selectPreset = (preset) => {
+        setPeriod({ preset });
+        setSheetVisible(false);
+    };
+
+    /**
+     * Applies the custom range and closes the sheet, or flags the range when it is not usable.
+     */
+    const applyCustomRange = () => {
+        const next = { preset: 'custom', start: customRange.start.trim(), end: customRange.end.trim() };
+        if (!isValidPeriod(next)) {
+            setCustomError(true);
+            return;
+        }
+        setPeriod(next);
+        setSheetVisible(false);
+    };
+
+    return (
+        <View style={styles.container}>
+            <TouchableOpacity
+                style={styles.periodButton}
+                onPress={openSheet}
+                accessible={true}
+                accessibilityRole="button"
+                accessibilityLabel={t('period.change', { period: label })}>
+                <Icon name="date-range" size={20} color={theme.colors.primary.main} />
+                <View style={styles.periodText}>
+                    <Text style={styles.periodLabel} numberOfLines={1}>{label}</Text>
+                    {compare && (
+                        <Text style={styles.versus} numberOfLines={1}>
+                            {t('period.versus', { period: formatDateRange(previous.start, previous.end, locale) })}
+                        </Text>
+                    )}
+                </View>
+                <Icon name="arrow-drop-down" size={24} color={theme.colors.neutral.gray600} />
+            </TouchableOpacity>
+            <Text style={styles.compareLabel}>{t('period.compareShort')}</Text>
+            <Switch
+                value={compare}
+                onValueChange={setCompare}
+                trackColor={{ true: theme.colors.primary.main }}
+                accessibilityLabel={t('period.compare')}
+            />
+            <BottomSheet visible={sheetVisible} title={t('period.title')} onClose={() => setSheetVisible(false)}>
+                <View accessibilityRole="radiogroup">
+                    {PERIOD_PRESETS.map(preset => {
+                        const checked = period.preset === preset;
+                        return (
+                            <TouchableOpacity
+                                key={preset}
+                                style={styles.option}
+                                onPress={() => selectPreset(preset)}
+                                accessible={true}
+                                accessibilityRole="radio"
+                                accessibilityState={{ checked }}
+                                accessibilityLabel={t(`period.${preset}`)}>
+                                <Text style={styles.optionText}>{t(`period.${preset}`)}</Text>
+                                {checked && <Icon name="check" size={22} color={theme.colors.primary.main} />}
+                            </TouchableOpacity>
+                        );
+                    })}
+                </View>
+                <Text style={styles.sectionTitle} accessibilityRole="header">{t('period.custom')}</Text>
+                <View style={styles.customRow}>
+                    {['start', 'end'].map(field => (
+                        <TextInput
+                            key={field}
+                            style={[styles.dateInput, customError && styles.dateInputError]}
+                            value={customRange[field]}
+                            onChangeText={text => {
+                                setCustomRange(current => ({ ...current, [field]: text }));
+                                setCustomError(false);
+                            }}
+                            placeholder="YYYY-MM-DD"
+                            placeholderTextColor={theme.colors.neutral.gray500}
+                            keyboardType="numbers-and-punctuation"
+                            autoCorrect={false}
+                            maxLength={10}
+                            accessibilityLabel={t(`period.${field}`)}
+                        />
+                    ))}
+                    <TouchableOpacity
+                        style={styles.applyButton}
+                        onPress={applyCustomRange}
+                        accessible={true}
+                        accessibilityRole="button">
+                        <Text style={styles.applyText}>{t('period.apply')}</Text>
+                    </TouchableOpacity>
+                </View>
+                {customError && (
+                    <Text style={styles.errorText} accessibilityRole="alert">{t('period.invalidRange')}</Text>
+                )}
+            </BottomSheet>
+        </View>
+    );
+};
+
+// The styles are built from the current theme by useThemedStyles.
+const createStyles = (theme) => ({
+    container: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingHorizontal: theme.spacing.md,
+        paddingVertical: theme.spacing.xs,
+        backgroundColor: theme.colors.background.primary,
+        borderBottomWidth: 1,
+        borderBottomColor: theme.colors.neutral.gray200,
+    },
+    periodButton: {
+        flex: 1,
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: theme.spacing.xs,
+    },
+    periodText: {
+        flexShrink: 1,
+        marginStart: theme.spacing.xs,
+    },
+    periodLabel: {
+        fontFamily: theme.fontFamily.bold,
+        fontSize: theme.typography.body,
+        fontWeight: 'bold',
+        color: theme.colors.neutral.gray800,
+    },
+    versus: {
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.small,
+        color: theme.colors.neutral.gray600,
+    },
+    compareLabel: {
+        marginEnd: theme.spacing.xs,
+        fontFamily: theme.fontFamily.medium,
+        fontSize: theme.typography.caption,
+        color: theme.colors.neutral.gray700,
+    },
+    option: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: theme.spacing.sm,
+        borderBottomWidth: StyleSheet.hairlineWidth,
+        borderBottomColor: theme.colors.neutral.gray300,
+    },
+    optionText: {
+        flex: 1,
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.body,
+        color: theme.colors.neutral.gray800,
+    },
+    sectionTitle: {
+        marginTop: theme.spacing.md,
+        marginBottom: theme.spacing.xs,
+        fontFamily: theme.fontFamily.bold,
+        fontSize: theme.typography.small,
+        fontWeight: 'bold',
+        color: theme.colors.neutral.gray500,
+        textTransform: 'uppercase',
+    },
+    customRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    dateInput: {
+        flex: 1,
+        marginEnd: theme.spacing.xs,
+        paddingHorizontal: theme.spacing.sm,
+        paddingVertical: theme.spacing.xs,
+        borderWidth: 1,
+        borderColor: theme.colors.neutral.gray300,
+        borderRadius: theme.borderRadius.medium,
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.body,
+        color: theme.colors.neutral.gray800,
+    },
+    dateInputError: {
+        borderColor: theme.colors.semantic.error,
+    },
+    applyButton: {
+        paddingHorizontal: theme.spacing.md,
+        paddingVertical: theme.spacing.sm,
+        borderRadius: theme.borderRadius.medium,
+        backgroundColor: theme.colors.primary.main,
+    },
+    applyText: {
+        fontFamily: theme.fontFamily.bold,
+        fontSize: theme.typography.body,
+        fontWeight: 'bold',
+        color: theme.colors.primary.contrast,
+    },
+    errorText: {
+        marginTop: theme.spacing.xs,
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.small,
+        color: theme.colors.semantic.error,
+    },
+});
+
+export default PeriodPicker;
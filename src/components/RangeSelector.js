@@ -0,0 +1,67 @@
+import React from 'react';
+import { View, Text, TouchableOpacity } from 'react-native';
+import { useThemedStyles } from '../context/ThemeContext';
+
+/**
+ * A segmented control for picking one of a few options, e.g. the time range of a chart.
+ *
+ * @param {object} props - The component's properties.
+ * @param {Array<{id: string, label: string}>} props.options - The options, in display order.
+ * @param {string} props.value - The id of the selected option.
+ * @param {function(string): void} props.onChange - Called with the id of the option the user picked.
+ * @param {string} [props.accessibilityLabel] - Describes the control for screen readers.
+ */
+const RangeSelector = ({ options, value, onChange, accessibilityLabel }) => {
+    const styles = useThemedStyles(createStyles);
+    return (
+        <View style={styles.container} accessibilityRole="tablist" accessibilityLabel={accessibilityLabel}>
+            {options.map(option => {
+                const selected = option.id === value;
+                return (
+                    <TouchableOpacity
+                        key={option.id}
+                        style={[styles.segment, selected && styles.segmentSelected]}
+                        onPress={() => onChange(option.id)}
+                        accessible={true}
+                        accessibilityRole="tab"
+                        accessibilityState={{ selected }}
+                        accessibilityLabel={option.label}>
+                        <Text style={[styles.label, selected && styles.labelSelected]}>{option.label}</Text>
+                    </TouchableOpacity>
+                );
+            })}
+        </View>
+    );
+};
+
+// The styles are built from the current theme by useThemedStyles.
+const createStyles = (theme) => ({
+    container: {
+        flexDirection: 'row',
+        padding: 2,
+        borderRadius: theme.borderRadius.medium,
+        backgroundColor: theme.colors.neutral.gray200,
+    },
+    segment: {
+        flex: 1,
+        alignItems: 'center',
+        paddingVertical: theme.spacing.xs,
+        borderRadius: Math.max(0, theme.borderRadius.medium - 2),
+    },
+    segmentSelected: {
+        backgroundColor: theme.colors.background.primary,
+        ...theme.shadows.small,
+    },
+    label: {
+        fontFamily: theme.fontFamily.medium,
+        fontSize: theme.typography.caption,
+        color: theme.colors.neutral.gray600,
+    },
+    labelSelected: {
+        fontFamily: theme.fontFamily.bold,
+        fontWeight: 'bold',
+        color: theme.colors.primary.main,
+    },
+});
+
+export default RangeSelector;
@@ -1,134 +1,204 @@
-import React, { useState, useEffect } from 'react';
-import { View, StyleSheet, Dimensions } from 'react-native';
-import {
-    getGridColumns,
-    listenForOrientationChange,
-    getAdaptivePadding,
-    isTablet,
-} from '../utils/responsive';
-import { theme } from '../styles/theme';
+import React, { useEffect, useMemo, useRef, useCallback } from 'react';
+import { View, FlatList, StyleSheet } from 'react-native';
+import { packGrid, buildGridBands } from '../utils/gridLayout';
+import { getGridColumns } from '../utils/responsive';
+import { useResponsive } from '../context/ResponsiveContext';
+import { useTheme } from '../context/ThemeContext';
 
 /**
  * A grid component that automatically adjusts the number of columns based on screen size and orientation.
- * It can also accept a fixed number of columns.
+ * It can also accept a fixed number of columns. Must be rendered inside a ResponsiveProvider.
+ * Items can be wider or taller than one cell by declaring `colSpan` and `rowSpan`, either as a number,
+ * as 'full' (every column), or per breakpoint, e.g. `{ phone: 'full', tablet: 2 }` (see resolveSpan in gridLayout.js).
+ * Row spans are capped at MAX_ROW_SPAN, and a 'full' row span is a single row.
+ * Items are packed densely, so smaller items fill the gaps left next to larger ones.
+ * Rows are laid out from the start edge, so they run right to left in right-to-left languages.
+ *
+ * By default every item is rendered into a plain View, which suits a handful of widgets inside a ScrollView.
+ * With `virtualized`, the grid becomes its own scroll container backed by FlatList: each band of rows is one
+ * list item, so only the bands near the viewport are mounted. Extra props (e.g. `onEndReached`,
+ * `refreshControl`, `ListHeaderComponent`) are passed to the FlatList in this mode.
  *
  * @param {object} props - The component's properties.
  * @param {Array<object>} [props.data=[]] - The array of data items to render in the grid.
  * @param {function} props.renderItem - A function that takes an item from the data array and returns a rendered component.
  * @param {number} [props.numColumns] - A fixed number of columns. If not provided, columns are calculated automatically.
- * @param {number} [props.spacing] - The spacing between grid items.
+ * @param {object} [props.columnMap] - Column counts keyed by device for this grid, e.g. `{ phone: 2, tablet: 4 }`.
+ * Overrides the column policy of the ResponsiveProvider (see getGridColumns in responsive.js).
+ * @param {number} [props.minItemWidth] - Derive this grid's columns from a minimum item width instead.
+ * @param {number} [props.spacing] - The spacing between grid items. Defaults to the theme's small spacing.
  * @param {object} [props.contentContainerStyle] - Custom styles for the grid container.
+ * @param {boolean} [props.virtualized=false] - Whether to render the grid as a virtualized list.
+ * @param {function} [props.onEndReached] - Called when the end of the virtualized list is reached. Use it to load the next page.
+ * @param {number} [props.onEndReachedThreshold=0.5] - How far from the end (in visible lengths) `onEndReached` is called.
  */
 const ResponsiveGrid = ({
     data = [],
     renderItem,
     numColumns,
-    spacing = theme.spacing.sm,
+    columnMap,
+    minItemWidth,
+    spacing,
     contentContainerStyle,
+    virtualized = false,
+    onEndReached,
+    onEndReachedThreshold = 0.5,
+    ...listProps
 }) => {
-    // State to hold the number of columns.
-    const [columns, setColumns] = useState(numColumns || getGridColumns());
-    // State to hold the screen width.
-    const [screenWidth, setScreenWidth] = useState(Dimensions.get('window').width);
+    // The window size, device type and default column count. These update when the window is rotated or resized.
+    const responsive = useResponsive();
+    const { theme } = useTheme();
+    const gap = spacing ?? theme.spacing.sm;
+    // A fixed number of columns wins over the grid's own column policy, which wins over the provider's.
+    let columns = numColumns || responsive.columns;
+    if (!numColumns && (columnMap || minItemWidth)) {
+        columns = getGridColumns(responsive.width, responsive.height, {
+            breakpoints: responsive.breakpoints,
+            columnMap,
+            minItemWidth,
+            fontScale: responsive.fontScale,
+        });
+    }
 
-    useEffect(() => {
-        // This effect handles the dynamic calculation of columns when the screen orientation changes.
-        const updateLayout = () => {
-            const { width, height } = Dimensions.get('window');
-            setScreenWidth(width);
+    // Pack the items into the grid and split it into bands of rows that no item crosses.
+    // This only needs to be recalculated when the data, the column count, or the window changes.
+    const { deviceType, orientation } = responsive;
+    const bands = useMemo(() => {
+        const context = { deviceType, orientation };
+        return buildGridBands(packGrid(data, columns, context), columns);
+    }, [data, columns, deviceType, orientation]);
 
-            // Only auto-calculate columns if a fixed number isn't provided.
-            if (!numColumns) {
-                const newColumns = getGridColumns(width);
-                setColumns(newColumns);
+    /**
+     * Renders a node of the layout tree built by buildGridBands.
+     * Columns are sized as a percentage of their parent, so nested cells line up with the cells around them.
+     * @param {object} node - The layout tree node.
+     * @param {string} key - The React key for the node.
+     * @returns {React.ReactElement} The rendered node.
+     */
+    const renderNode = (node, key) => {
+        switch (node.type) {
+            case 'item': {
+                const { item, index } = node.placement;
+                return (
+                    <View
+                        key={item.id || key}
+                        style={[styles.item, { paddingHorizontal: gap / 2, paddingBottom: gap }]}>
+                        {renderItem(item, index)}
+                    </View>
+                );
             }
-        };
-
-        // Initial calculation of the layout.
-        updateLayout();
-
-        // Subscribe to dimension changes to update the layout when the screen is rotated.
-        const subscription = Dimensions.addEventListener('change', updateLayout);
+            case 'rows':
+                return (
+                    <View key={key}>
+                        {node.children.map((child, i) => renderNode(child, `${key}-${i}`))}
+                    </View>
+                );
+            case 'columns':
+                return (
+                    <View key={key} style={styles.row}>
+                        {node.children.map((child, i) => (
+                            <View
+                                key={`${key}-${i}`}
+                                style={{ width: `${(child.span / node.span) * 100}%` }}>
+                                {renderNode(child, `${key}-${i}`)}
+                            </View>
+                        ))}
+                    </View>
+                );
+            default:
+                // Empty cells keep the remaining items in their columns.
+                return <View key={key} />;
+        }
+    };
 
-        // Unsubscribe from the event listener when the component unmounts to prevent memory leaks.
-        return () => {
-            subscription?.remove();
-        };
-    }, [numColumns]);
+    // The virtualized list keeps track of the first visible item so that it can be scrolled back into view
+    // after a rotation changes the column count (and therefore which band the item is in).
+    const listRef = useRef(null);
+    const anchorIndexRef = useRef(0);
+    const viewabilityConfig = useRef({ itemVisiblePercentThreshold: 10 }).current;
+    // FlatList does not allow this callback to change between renders, so it is kept in a ref.
+    const handleViewableItemsChanged = useRef(({ viewableItems }) => {
+        const firstBand = viewableItems.find(viewable => viewable.isViewable)?.item;
+        if (firstBand && firstBand.itemIndexes.length > 0) {
+            anchorIndexRef.current = Math.min(...firstBand.itemIndexes);
+        }
+    }).current;
 
-    // This effect updates the columns if the numColumns prop changes.
+    // Restore the scroll position when the layout changes because of a rotation or a column change.
+    // Data changes (e.g. loading the next page) are left alone so the list does not jump.
+    const layoutKey = `${columns}-${responsive.width}x${responsive.height}`;
+    const previousLayoutKeyRef = useRef(layoutKey);
     useEffect(() => {
-        if (numColumns) {
-            setColumns(numColumns);
+        if (!virtualized || previousLayoutKeyRef.current === layoutKey) {
+            return;
         }
-    }, [numColumns]);
+        previousLayoutKeyRef.current = layoutKey;
+        const bandIndex = bands.findIndex(band => band.itemIndexes.includes(anchorIndexRef.current));
+        if (bandIndex > 0) {
+            listRef.current?.scrollToIndex({ index: bandIndex, animated: false });
+        }
+    }, [virtualized, layoutKey, bands]);
+
+    // The pending retry of a failed scrollToIndex call. It is cancelled on unmount, when the list is gone.
+    const retryTimerRef = useRef(null);
+    useEffect(() => () => clearTimeout(retryTimerRef.current), []);
 
     /**
-     * Renders a single row of the grid.
-     * @param {Array<object>} rowData - The data for the current row.
-     * @param {number} rowIndex - The index of the current row.
-     * @returns {React.ReactElement} The rendered row.
+     * Handles a scrollToIndex call for a band that has not been measured yet.
+     * The list is first scrolled to an estimated offset so the band gets rendered, and then the call is retried.
+     * @param {object} info - The failure details provided by FlatList.
      */
-    const renderRow = (rowData, rowIndex) => {
+    const handleScrollToIndexFailed = useCallback((info) => {
+        listRef.current?.scrollToOffset({
+            offset: info.averageItemLength * info.index,
+            animated: false,
+        });
+        clearTimeout(retryTimerRef.current);
+        retryTimerRef.current = setTimeout(() => {
+            if (info.index < bands.length) {
+                listRef.current?.scrollToIndex({ index: info.index, animated: false });
+            }
+        }, 50);
+    }, [bands.length]);
+
+    if (virtualized) {
         return (
-            <View key={rowIndex} style={[styles.row, { marginHorizontal: spacing / 2 }]}>
-                {rowData.map((item, itemIndex) => {
-                    // If an item is null, render an empty view to maintain the grid structure.
-                    // This is important for the last row if it's not full.
-                    if (!item) {
-                        return <View key={itemIndex} style={[styles.item, { flex: 1 }]} />;
-                    }
-                    return (
-                        <View
-                            key={item.id || `empty-${rowIndex}-${itemIndex}`}
-                            style={[
-                                styles.item,
-                                {
-                                    
-                                    marginHorizontal: spacing / 2,
-                                    marginBottom: spacing,
-                                },
-                            ]}>
-                            {renderItem(item, itemIndex)}
-                        </View>
-                    );
-                })}
-            </View>
+            <FlatList
+                ref={listRef}
+                data={bands}
+                keyExtractor={band => band.key}
+                renderItem={({ item: band }) => (
+                    <View style={{ marginHorizontal: gap / 2 }}>
+                        {renderNode(band.tree, band.key)}
+                    </View>
+                )}
+                contentContainerStyle={[{ paddingHorizontal: responsive.adaptivePadding }, contentContainerStyle]}
+                onEndReached={onEndReached}
+                onEndReachedThreshold={onEndReachedThreshold}
+                onViewableItemsChanged={handleViewableItemsChanged}
+                viewabilityConfig={viewabilityConfig}
+                onScrollToIndexFailed={handleScrollToIndexFailed}
+                {...listProps}
+            />
         );
-    };
-
-    // Group data into rows based on the number of columns.
-    // This is necessary to create a grid layout with rows and columns.
-    const groupedData = [];
-    for (let i = 0; i < data.length; i += columns) {
-        const row = data.slice(i, i + columns);
-        // If the last row is not full, fill it with null values to maintain the grid structure.
-        while (row.length < columns) {
-            row.push(null);
-        }
-        groupedData.push(row);
     }
 
     return (
-        <View style={[styles.container, contentContainerStyle]}>
-            {groupedData.map((rowData, rowIndex) => renderRow(rowData, rowIndex))}
+        <View style={[{ paddingHorizontal: responsive.adaptivePadding }, contentContainerStyle]}>
+            <View style={{ marginHorizontal: gap / 2 }}>
+                {bands.map(band => renderNode(band.tree, band.key))}
+            </View>
         </View>
     );
 };
 
 const styles = StyleSheet.create({
-    container: {
-        paddingHorizontal: getAdaptivePadding(),
-    },
     row: {
         flexDirection: 'row',
-        justifyContent: 'space-evenly',
     },
     item: {
-        
-        flex:1, 
-        width:"auto",
-        height:"25%",   
+        // Stretch so that an item spanning several rows is as tall as the rows beside it.
+        flex: 1,
     },
 });
 
@@ -0,0 +1,99 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Animated, Pressable, StyleSheet } from 'react-native';
+import { useThemedStyles } from '../context/ThemeContext';
+import { useResponsive } from '../context/ResponsiveContext';
+import { useI18n } from '../context/I18nContext';
+import { useReducedMotion } from '../utils/accessibility';
+
+// The widest the drawer gets, in pixels. On phones it covers most of the screen instead.
+const MAX_DRAWER_WIDTH = 320;
+
+/**
+ * A drawer that slides in from the start edge over the screen (the right edge in right-to-left languages), with a
+ * backdrop that closes it when pressed.
+ * Nothing is rendered while it is closed. It opens and closes at once when the user has asked for reduced motion.
+ *
+ * @param {object} props - The component's properties.
+ * @param {boolean} props.open - Whether the drawer is open.
+ * @param {function} props.onClose - Called when the backdrop is pressed.
+ * @param {React.ReactNode} props.children - The contents of the drawer.
+ */
+const SideDrawer = ({ open, onClose, children }) => {
+    const styles = useThemedStyles(createStyles);
+    const { width } = useResponsive();
+    const { t, isRTL } = useI18n();
+    const reduceMotion = useReducedMotion();
+    const drawerWidth = Math.min(MAX_DRAWER_WIDTH, Math.round(width * 0.8));
+    // 0 is closed and 1 is open. The drawer stays mounted until the closing animation has finished.
+    const progress = useRef(new Animated.Value(open ? 1 : 0)).current;
+    const [mounted, setMounted] = useState(open);
+
+    useEffect(() => {
+        if (open) {
+            setMounted(true);
+        }
+        const animation = Animated.timing(progress, {
+            toValue: open ? 1 : 0,
+            duration: reduceMotion ? 0 : 220,
+            useNativeDriver: true,
+        });
+        animation.start(({ finished }) => {
+            if (finished && !open) {
+                setMounted(false);
+            }
+        });
+        return () => animation.stop();
+    }, [open, progress, reduceMotion]);
+
+    if (!mounted) {
+        return null;
+    }
+
+    return (
+        <>
+            <Animated.View style={[styles.backdrop, { opacity: progress }]}>
+                <Pressable
+                    style={StyleSheet.absoluteFill}
+                    onPress={onClose}
+                    accessibilityRole="button"
+                    accessibilityLabel={t('menu.close')}
+                />
+            </Animated.View>
+            <Animated.View
+                style={[
+                    styles.drawer,
+                    {
+                        width: drawerWidth,
+                        // Transforms are not mirrored, so the closed drawer is pushed off the matching edge by hand.
+                        transform: [{
+                            translateX: progress.interpolate({
+                                inputRange: [0, 1],
+                                outputRange: [isRTL ? drawerWidth : -drawerWidth, 0],
+                            }),
+                        }],
+                    },
+                ]}
+                accessibilityViewIsModal={true}>
+                {children}
+            </Animated.View>
+        </>
+    );
+};
+
+// The styles are built from the current theme by useThemedStyles.
+const createStyles = (theme) => ({
+    backdrop: {
+        ...StyleSheet.absoluteFillObject,
+        backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    },
+    drawer: {
+        position: 'absolute',
+        top: 0,
+        bottom: 0,
+        start: 0,
+        backgroundColor: theme.colors.background.primary,
+        ...theme.shadows.large,
+    },
+});
+
+export default SideDrawer;
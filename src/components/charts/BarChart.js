@@ -0,0 +1,82 @@
+import React, { useMemo, useState } from 'react';
+import { Pressable, View } from 'react-native';
+import Svg, { Rect } from 'react-native-svg';
+import ChartAxes from './ChartAxes';
+import ChartTooltip from './ChartTooltip';
+import { computeBarChart, findNearestIndex, formatTick } from '../../utils/chartGeometry';
+import { resolveColor } from '../../styles/theme';
+import { useTheme } from '../../context/ThemeContext';
+import { useI18n } from '../../context/I18nContext';
+
+/**
+ * A vertical bar chart, with value gridlines and x-axis labels.
+ * Pressing a bar highlights it and shows a tooltip; pressing it again hides it.
+ *
+ * @param {object} props - The component's properties.
+ * @param {Array<{label: string, value: number, color?: string}>} props.data - The bars, in order.
+ * @param {number} props.width - The chart width.
+ * @param {number} props.height - The chart height.
+ * @param {string} [props.color='secondary.main'] - The bar color (or theme color token). Bars can set their own.
+ * @param {function(number): string} [props.formatValue=formatTick] - Formats values for the tooltip.
+ * @param {string} [props.accessibilityLabel] - Describes the chart for screen readers.
+ */
+const BarChart = ({
+    data,
+    width,
+    height,
+    color = 'secondary.main',
+    formatValue = formatTick,
+    accessibilityLabel,
+}) => {
+    const { theme } = useTheme();
+    const { t } = useI18n();
+    // The pressed bar, kept with the data it was picked from so that new data clears it.
+    const [selection, setSelection] = useState({ data, index: -1 });
+    const selected = selection.data === data ? selection.index : -1;
+    const chart = useMemo(() => computeBarChart(data, { width, height }), [data, width, height]);
+    const bar = chart.bars[selected];
+
+    const handlePress = (event) => {
+        const centers = chart.bars.map(item => ({ x: item.x + item.width / 2 }));
+        const index = findNearestIndex(centers, event.nativeEvent.locationX);
+        setSelection({ data, index: selected === index ? -1 : index });
+    };
+
+    return (
+        <View>
+            <Pressable
+                onPress={handlePress}
+                accessibilityRole="image"
+                accessibilityLabel={accessibilityLabel}
+                accessibilityHint={t('chart.barHint')}>
+                <Svg width={width} height={height}>
+                    <ChartAxes plot={chart.plot} yTicks={chart.yTicks} xLabels={chart.xLabels} />
+                    {chart.bars.map(item => (
+                        <Rect
+                            key={`bar-${item.index}`}
+                            x={item.x}
+                            y={item.y}
+                            width={item.width}
+                            height={item.height}
+                            rx={2}
+                            fill={resolveColor(data[item.index].color || color, theme.colors)}
+                            // Dim the other bars while one is selected.
+                            fillOpacity={selected === -1 || selected === item.index ? 1 : 0.4}
+                        />
+                    ))}
+                </Svg>
+            </Pressable>
+            {bar && (
+                <ChartTooltip
+                    x={bar.x + bar.width / 2}
+                    y={bar.y}
+                    chartWidth={width}
+                    label={bar.label}
+                    value={formatValue(bar.value)}
+                />
+            )}
+        </View>
+    );
+};
+
+export default BarChart;
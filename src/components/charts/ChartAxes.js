@@ -0,0 +1,56 @@
+import React from 'react';
+import { G, Line, Text as SvgText } from 'react-native-svg';
+import { useTheme } from '../../context/ThemeContext';
+
+/**
+ * Draws the horizontal grid lines with their value labels, and the labels along the x-axis.
+ * Rendered inside the Svg of a LineChart or BarChart.
+ *
+ * @param {object} props - The component's properties.
+ * @param {{x: number, y: number, width: number, height: number}} props.plot - The plot area.
+ * @param {Array<{y: number, label: string}>} props.yTicks - The value ticks.
+ * @param {Array<{x: number, label: string}>} props.xLabels - The x-axis labels.
+ */
+const ChartAxes = ({ plot, yTicks, xLabels }) => {
+    const { theme } = useTheme();
+    const labelColor = theme.colors.neutral.gray600;
+    return (
+        <G>
+            {yTicks.map(tick => (
+                <G key={`y-${tick.label}`}>
+                    <Line
+                        x1={plot.x}
+                        x2={plot.x + plot.width}
+                        y1={tick.y}
+                        y2={tick.y}
+                        stroke={theme.colors.neutral.gray300}
+                        strokeWidth={1}
+                    />
+                    <SvgText
+                        x={plot.x - 6}
+                        y={tick.y + 3}
+                        fontSize={10}
+                        fontFamily={theme.fontFamily.regular}
+                        fill={labelColor}
+                        textAnchor="end">
+                        {tick.label}
+                    </SvgText>
+                </G>
+            ))}
+            {xLabels.map(label => (
+                <SvgText
+                    key={`x-${label.index}`}
+                    x={label.x}
+                    y={plot.y + plot.height + 14}
+                    fontSize={10}
+                    fontFamily={theme.fontFamily.regular}
+                    fill={labelColor}
+                    textAnchor="middle">
+                    {label.label}
+                </SvgText>
+            ))}
+        </G>
+    );
+};
+
+export default ChartAxes;
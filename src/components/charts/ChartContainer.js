@@ -0,0 +1,42 @@
+import React, { useState } from 'react';
+import { View } from 'react-native';
+
+/**
+ * Sizes a chart to the space it is given.
+ * The container measures its own width (the width of the grid cell it is rendered in) and derives the height from
+ * an aspect ratio, so charts re-lay out when the grid changes columns. A fixed width skips the measurement, which
+ * is useful in tests.
+ *
+ * @param {object} props - The component's properties.
+ * @param {number} [props.width] - A fixed width. When omitted, the available width is measured.
+ * @param {number} [props.height] - A fixed height. When omitted, it is derived from the width.
+ * @param {number} [props.aspectRatio=0.5] - The height as a fraction of the width.
+ * @param {number} [props.minHeight=120] - The smallest derived height.
+ * @param {number} [props.maxHeight=280] - The largest derived height.
+ * @param {function({width: number, height: number}): React.ReactNode} props.children - Renders the chart for a size.
+ */
+const ChartContainer = ({
+    width: fixedWidth,
+    height: fixedHeight,
+    aspectRatio = 0.5,
+    minHeight = 120,
+    maxHeight = 280,
+    children,
+}) => {
+    const [measuredWidth, setMeasuredWidth] = useState(0);
+    const width = fixedWidth ?? measuredWidth;
+    const height = fixedHeight ?? Math.min(maxHeight, Math.max(minHeight, Math.round(width * aspectRatio)));
+
+    return (
+        <View
+            style={{ height }}
+            onLayout={fixedWidth === undefined
+                ? (event) => setMeasuredWidth(Math.round(event.nativeEvent.layout.width))
+                : undefined}>
+            {/* Nothing is drawn until the width is known, so the chart never flashes at the wrong size. */}
+            {width > 0 && children({ width, height })}
+        </View>
+    );
+};
+
+export default ChartContainer;
@@ -0,0 +1,57 @@
+import React from 'react';
+import { View, Text } from 'react-native';
+import { useThemedStyles } from '../../context/ThemeContext';
+
+// The width of the tooltip, used to keep it inside the chart.
+const TOOLTIP_WIDTH = 96;
+
+/**
+ * A small label shown above the data point the user pressed.
+ *
+ * @param {object} props - The component's properties.
+ * @param {number} props.x - The horizontal position of the data point.
+ * @param {number} props.y - The vertical position of the data point.
+ * @param {number} props.chartWidth - The width of the chart, used to keep the tooltip inside it.
+ * @param {string} props.label - The label of the data point.
+ * @param {string} props.value - The formatted value of the data point.
+ */
+const ChartTooltip = ({ x, y, chartWidth, label, value }) => {
+    const styles = useThemedStyles(createStyles);
+    const left = Math.max(0, Math.min(chartWidth - TOOLTIP_WIDTH, x - TOOLTIP_WIDTH / 2));
+    return (
+        <View
+            pointerEvents="none"
+            style={[styles.tooltip, { left, top: Math.max(0, y - 44) }]}
+            accessibilityLiveRegion="polite">
+            <Text style={styles.label} numberOfLines={1}>{label}</Text>
+            <Text style={styles.value} numberOfLines={1}>{value}</Text>
+        </View>
+    );
+};
+
+// The styles are built from the current theme by useThemedStyles.
+const createStyles = (theme) => ({
+    tooltip: {
+        position: 'absolute',
+        width: TOOLTIP_WIDTH,
+        paddingVertical: 4,
+        paddingHorizontal: 8,
+        borderRadius: theme.borderRadius.small,
+        backgroundColor: theme.colors.neutral.gray800,
+        alignItems: 'center',
+        ...theme.shadows.small,
+    },
+    label: {
+        fontFamily: theme.fontFamily.regular,
+        fontSize: 11,
+        color: theme.colors.neutral.gray200,
+    },
+    value: {
+        fontFamily: theme.fontFamily.bold,
+        fontSize: 13,
+        fontWeight: 'bold',
+        color: theme.colors.neutral.white,
+    },
+});
+
+export default ChartTooltip;
@@ -0,0 +1,136 @@
+import React, { useMemo, useState } from 'react';
+import { Pressable, View, Text } from 'react-native';
+import Svg, { Path } from 'react-native-svg';
+import { computeDonut, findSegmentAt, formatTick } from '../../utils/chartGeometry';
+import { resolveColor } from '../../styles/theme';
+import { useTheme, useThemedStyles } from '../../context/ThemeContext';
+import { useI18n } from '../../context/I18nContext';
+
+// The colors given to segments that do not set their own, in order.
+export const SEGMENT_COLORS = ['primary.main', 'secondary.main', 'accent.main', 'semantic.warning', 'semantic.info'];
+
+/**
+ * A donut chart with the total (or the pressed segment) in the middle and a legend next to it.
+ * Pressing a segment selects it; pressing it again goes back to the total.
+ *
+ * @param {object} props - The component's properties.
+ * @param {Array<{label: string, value: number, color?: string}>} props.data - The segments, in order.
+ * @param {number} props.size - The width and height of the donut.
+ * @param {number} [props.thickness] - The width of the ring. Defaults to a quarter of the radius.
+ * @param {string} [props.totalLabel] - The label shown under the total. Defaults to the translated "Total".
+ * @param {function(number): string} [props.formatValue=formatTick] - Formats the values.
+ * @param {string} [props.accessibilityLabel] - Describes the chart for screen readers.
+ */
+const DonutChart = ({
+    data,
+    size,
+    thickness,
+    totalLabel,
+    formatValue = formatTick,
+    accessibilityLabel,
+}) => {
+    const { theme } = useTheme();
+    const styles = useThemedStyles(createStyles);
+    const { t } = useI18n();
+    // The pressed segment, kept with the data it was picked from so that new data clears it.
+    const [selection, setSelection] = useState({ data, index: -1 });
+    const selected = selection.data === data ? selection.index : -1;
+    const donut = useMemo(() => computeDonut(data, { size, thickness }), [data, size, thickness]);
+    const colorAt = (index) => resolveColor(
+        data[index].color || SEGMENT_COLORS[index % SEGMENT_COLORS.length],
+        theme.colors,
+    );
+    const segment = donut.segments[selected];
+
+    const handlePress = (event) => {
+        const index = findSegmentAt(donut, event.nativeEvent.locationX, event.nativeEvent.locationY);
+        setSelection({ data, index: selected === index ? -1 : index });
+    };
+
+    return (
+        <View style={styles.container}>
+            <Pressable
+                onPress={handlePress}
+                accessibilityRole="image"
+                accessibilityLabel={accessibilityLabel}
+                accessibilityHint={t('chart.donutHint')}>
+                <Svg width={size} height={size}>
+                    {donut.segments.map(item => item.path !== '' && (
+                        <Path
+                            key={`segment-${item.index}`}
+                            d={item.path}
+                            fill={colorAt(item.index)}
+                            fillOpacity={selected === -1 || selected === item.index ? 1 : 0.4}
+                        />
+                    ))}
+                </Svg>
+                {/* The center label. It ignores touches so presses reach the ring. */}
+                <View pointerEvents="none" style={[styles.center, { width: size, height: size }]}>
+                    <Text style={styles.centerValue} numberOfLines={1}>
+                        {formatValue(segment ? segment.value : donut.total)}
+                    </Text>
+                    <Text style={styles.centerLabel} numberOfLines={1}>
+                        {segment ? `${segment.label} · ${Math.round(segment.fraction * 100)}%` : totalLabel ?? t('chart.total')}
+                    </Text>
+                </View>
+            </Pressable>
+            <View style={styles.legend}>
+                {donut.segments.map(item => (
+                    <View key={`legend-${item.index}`} style={styles.legendRow}>
+                        <View style={[styles.swatch, { backgroundColor: colorAt(item.index) }]} />
+                        <Text style={styles.legendText} numberOfLines={1}>{item.label}</Text>
+                    </View>
+                ))}
+            </View>
+        </View>
+    );
+};
+
+// The styles are built from the current theme by useThemedStyles.
+const createStyles = (theme) => ({
+    container: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    center: {
+        position: 'absolute',
+        top: 0,
+        left: 0,
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    centerValue: {
+        fontFamily: theme.fontFamily.bold,
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: theme.colors.neutral.gray800,
+    },
+    centerLabel: {
+        fontFamily: theme.fontFamily.regular,
+        fontSize: 11,
+        color: theme.colors.neutral.gray600,
+    },
+    legend: {
+        flex: 1,
+        marginStart: theme.spacing.sm,
+    },
+    legendRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginVertical: 2,
+    },
+    swatch: {
+        width: 10,
+        height: 10,
+        borderRadius: 5,
+        marginEnd: 6,
+    },
+    legendText: {
+        flex: 1,
+        fontFamily: theme.fontFamily.regular,
+        fontSize: 12,
+        color: theme.colors.neutral.gray700,
+    },
+});
+
+export default DonutChart;
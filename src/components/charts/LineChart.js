@@ -0,0 +1,95 @@
+import React, { useMemo, useState } from 'react';
+import { Pressable, View } from 'react-native';
+import Svg, { Path, Circle, Line } from 'react-native-svg';
+import ChartAxes from './ChartAxes';
+import ChartTooltip from './ChartTooltip';
+import { computeLineChart, findNearestIndex, formatTick } from '../../utils/chartGeometry';
+import { resolveColor } from '../../styles/theme';
+import { useTheme } from '../../context/ThemeContext';
+import { useI18n } from '../../context/I18nContext';
+
+/**
+ * A line chart for a time series, with value gridlines and x-axis labels.
+ * Pressing the chart shows a tooltip for the nearest data point; pressing it again hides it.
+ *
+ * @param {object} props - The component's properties.
+ * @param {Array<{label: string, value: number}>} props.data - The data points, in order.
+ * @param {number} props.width - The chart width.
+ * @param {number} props.height - The chart height.
+ * @param {string} [props.color='primary.main'] - The line color (or theme color token).
+ * @param {boolean} [props.showArea=true] - Whether to shade the area under the line.
+ * @param {function(number): string} [props.formatValue=formatTick] - Formats values for the tooltip.
+ * @param {string} [props.accessibilityLabel] - Describes the chart for screen readers.
+ */
+const LineChart = ({
+    data,
+    width,
+    height,
+    color = 'primary.main',
+    showArea = true,
+    formatValue = formatTick,
+    accessibilityLabel,
+}) => {
+    const { theme } = useTheme();
+    const { t } = useI18n();
+    // The pressed point, kept with the data it was picked from so that a new series or range clears it.
+    const [selection, setSelection] = useState({ data, index: -1 });
+    const selected = selection.data === data ? selection.index : -1;
+    const chart = useMemo(() => computeLineChart(data, { width, height }), [data, width, height]);
+    const stroke = resolveColor(color, theme.colors);
+    const point = chart.points[selected];
+
+    const handlePress = (event) => {
+        const index = findNearestIndex(chart.points, event.nativeEvent.locationX);
+        setSelection({ data, index: selected === index ? -1 : index });
+    };
+
+    return (
+        <View>
+            <Pressable
+                onPress={handlePress}
+                accessibilityRole="image"
+                accessibilityLabel={accessibilityLabel}
+                accessibilityHint={t('chart.lineHint')}>
+                <Svg width={width} height={height}>
+                    <ChartAxes plot={chart.plot} yTicks={chart.yTicks} xLabels={chart.xLabels} />
+                    {showArea && chart.areaPath !== '' && (
+                        <Path d={chart.areaPath} fill={stroke} fillOpacity={0.12} />
+                    )}
+                    <Path d={chart.linePath} fill="none" stroke={stroke} strokeWidth={2} strokeLinejoin="round" />
+                    {point && (
+                        <>
+                            <Line
+                                x1={point.x}
+                                x2={point.x}
+                                y1={chart.plot.y}
+                                y2={chart.plot.y + chart.plot.height}
+                                stroke={theme.colors.neutral.gray500}
+                                strokeDasharray="3,3"
+                            />
+                            <Circle
+                                cx={point.x}
+                                cy={point.y}
+                                r={4}
+                                fill={theme.colors.background.primary}
+                                stroke={stroke}
+                                strokeWidth={2}
+                            />
+                        </>
+                    )}
+                </Svg>
+            </Pressable>
+            {point && (
+                <ChartTooltip
+                    x={point.x}
+                    y={point.y}
+                    chartWidth={width}
+                    label={point.label}
+                    value={formatValue(point.value)}
+                />
+            )}
+        </View>
+    );
+};
+
+export default LineChart;
@@ -0,0 +1,33 @@
+import React, { useMemo } from 'react';
+import Svg, { Path } from 'react-native-svg';
+import { computeSparkline } from '../../utils/chartGeometry';
+import { resolveColor } from '../../styles/theme';
+import { useTheme } from '../../context/ThemeContext';
+
+/**
+ * A small inline line chart without axes, showing the shape of a trend.
+ *
+ * @param {object} props - The component's properties.
+ * @param {Array<number>} props.values - The values, in order.
+ * @param {number} props.width - The width.
+ * @param {number} [props.height=24] - The height.
+ * @param {string} [props.color='primary.main'] - The line color (or theme color token).
+ */
+const Sparkline = ({ values, width, height = 24, color = 'primary.main' }) => {
+    const { theme } = useTheme();
+    const { path } = useMemo(() => computeSparkline(values, { width, height }), [values, width, height]);
+    return (
+        <Svg width={width} height={height} accessibilityElementsHidden={true} importantForAccessibility="no">
+            <Path
+                d={path}
+                fill="none"
+                stroke={resolveColor(color, theme.colors)}
+                strokeWidth={1.5}
+                strokeLinejoin="round"
+                strokeLinecap="round"
+            />
+        </Svg>
+    );
+};
+
+export default Sparkline;
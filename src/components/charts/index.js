@@ -0,0 +1,10 @@
+/**
+ * @file This file re-exports the chart components.
+ * The charts draw with react-native-svg; their geometry lives in utils/chartGeometry.js.
+ */
+
+export { default as ChartContainer } from './ChartContainer';
+export { default as LineChart } from './LineChart';
+export { default as BarChart } from './BarChart';
+export { default as DonutChart } from './DonutChart';
+export { default as Sparkline } from './Sparkline';
@@ -0,0 +1,66 @@
+import React from 'react';
+import { Text } from 'react-native';
+import BaseWidget from './BaseWidget';
+import { ChartContainer, BarChart } from '../charts';
+import { useThemedStyles } from '../../context/ThemeContext';
+import { useI18n } from '../../context/I18nContext';
+
+/**
+ * A widget that displays a series of values as a bar chart.
+ * The chart fills the width of its grid cell and re-lays out when the cell changes size.
+ * It is built on top of the BaseWidget component.
+ *
+ * @param {object} props - The component's properties.
+ * @param {string} props.title - The title of the widget.
+ * @param {string} [props.icon='bar-chart'] - The name of the Material Icon to display in the header.
+ * @param {string} [props.iconColor] - The color (or theme color token) of the header icon.
+ * @param {Array<{label: string, value: number, color?: string}>} [props.data=[]] - The bars, in order.
+ * @param {string} [props.color] - The bar color (or theme color token).
+ * @param {function(number): string} [props.formatValue] - Formats values for the tooltip.
+ * @param {number} [props.chartWidth] - A fixed chart width. By default the width of the widget is used.
+ */
+const BarChartWidget = ({
+    title,
+    icon = 'bar-chart',
+    iconColor,
+    data = [],
+    color,
+    formatValue,
+    chartWidth,
+}) => {
+    const styles = useThemedStyles(createStyles);
+    const { t } = useI18n();
+    return (
+        <BaseWidget title={title} icon={icon} iconColor={iconColor}>
+            {data.length === 0 ? (
+                <Text style={styles.emptyText}>{t('chart.noData')}</Text>
+            ) : (
+                <ChartContainer width={chartWidth}>
+                    {({ width, height }) => (
+                        <BarChart
+                            data={data}
+                            width={width}
+                            height={height}
+                            color={color}
+                            formatValue={formatValue}
+                            accessibilityLabel={t('chart.bar', { title, count: data.length })}
+                        />
+                    )}
+                </ChartContainer>
+            )}
+        </BaseWidget>
+    );
+};
+
+// The styles are built from the current theme by useThemedStyles.
+const createStyles = (theme) => ({
+    emptyText: {
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.caption,
+        color: theme.colors.neutral.gray500,
+        textAlign: 'center',
+        paddingVertical: theme.spacing.md,
+    },
+});
+
+export default React.memo(BarChartWidget);
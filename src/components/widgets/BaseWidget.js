@@ -1,23 +1,34 @@
 import React from 'react';
-import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { View, TouchableOpacity } from 'react-native';
 import Icon from 'react-native-vector-icons/MaterialIcons';
-import { theme } from '../../styles/theme';
-import { isTablet } from '../../utils/responsive';
+import { resolveColor } from '../../styles/theme';
+import { useTheme, useThemedStyles } from '../../context/ThemeContext';
+import { useResponsive } from '../../context/ResponsiveContext';
+import { createResponsiveStyles } from '../../utils/responsive';
+import { useI18n } from '../../context/I18nContext';
+import { useWidgetEdit } from './WidgetEditContext';
+import HighlightedText from '../HighlightedText';
 
 /**
  * A foundational, reusable widget component that provides a consistent card-like structure.
  * It includes a header with an optional icon and title, and a content area.
  * This component is designed to be extended by other, more specific widgets.
+ * While the dashboard layout is being edited (see WidgetEditContext), the widget shows a remove button
+ * instead of the arrow, and presses are ignored so that a long press can start a drag.
+ * The title is announced as a heading, and its matches of the dashboard search are highlighted. With an `accessibilityLabel`, screen readers read the whole widget as one
+ * element with that label instead of its separate texts (except while editing, so the remove button stays reachable).
  *
  * @param {object} props - The component's properties.
  * @param {string} props.title - The title displayed in the widget's header.
  * @param {string} [props.icon] - The name of the Material Icon to display in the header.
- * @param {string} [props.iconColor] - The color of the header icon.
+ * @param {string} [props.iconColor] - The color (or theme color token, e.g. 'semantic.success') of the header icon.
  * @param {React.ReactNode} props.children - The content to be rendered inside the widget.
  * @param {function} [props.onPress] - If provided, wraps the widget in a TouchableOpacity.
  * @param {object} [props.style] - Custom styles for the widget container.
  * @param {object} [props.headerStyle] - Custom styles for the header container.
  * @param {boolean} [props.showArrow=false] - If true, displays a chevron arrow in the header, indicating it's pressable.
+ * The chevron points to the end of the line, so it is mirrored in right-to-left languages.
+ * @param {string} [props.accessibilityLabel] - A label that sums up the widget, e.g. "Total Sales, $24.5K, up 12%".
  */
 const BaseWidget = ({
     title,
@@ -28,31 +39,57 @@ const BaseWidget = ({
     style,
     headerStyle,
     showArrow = false,
+    accessibilityLabel,
 }) => {
+    // The current theme. Reading it here restyles the component live when the theme changes.
+    const { theme } = useTheme();
+    const styles = useThemedStyles(createStyles);
     // Check if the device is a tablet to apply different styles.
-    const isTab = isTablet();
+    const { isTablet: isTab } = useResponsive();
+    // The edit state is set when the dashboard layout is being edited.
+    const edit = useWidgetEdit();
+    const { t, isRTL } = useI18n();
+    // The widget is read as one element when it has a summary, unless it is being edited.
+    const grouped = !!accessibilityLabel && !edit;
 
     // The main content of the widget.
     const content = (
-        <View style={[styles.container, isTab && styles.tabletContainer, style]}>
+        <View
+            style={[styles.container, style]}
+            accessible={grouped && !onPress}
+            accessibilityLabel={grouped && !onPress ? accessibilityLabel : undefined}>
             {/* Widget Header */}
             <View style={[styles.header, headerStyle]}>
-                <View style={styles.headerLeft}>
+                <View style={styles.headerStart}>
                     {icon && (
                         <Icon
                             name={icon}
                             size={isTab ? 24 : 20}
-                            color={iconColor || theme.colors.primary.main}
+                            color={resolveColor(iconColor, theme.colors) || theme.colors.primary.main}
                             style={styles.headerIcon}
                         />
                     )}
-                    <Text style={[styles.title, isTab && styles.tabletTitle]}>
+                    <HighlightedText style={styles.title} accessibilityRole="header">
                         {title}
-                    </Text>
+                    </HighlightedText>
                 </View>
-                {showArrow && (
+                {edit?.onRemove ? (
+                    <TouchableOpacity
+                        style={styles.removeButton}
+                        onPress={edit.onRemove}
+                        hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+                        accessible={true}
+                        accessibilityRole="button"
+                        accessibilityLabel={t('widget.remove', { title })}>
+                        <Icon
+                            name="close"
+                            size={isTab ? 20 : 16}
+                            color={theme.colors.neutral.white}
+                        />
+                    </TouchableOpacity>
+                ) : showArrow && (
                     <Icon
-                        name="chevron-right"
+                        name={isRTL ? 'chevron-left' : 'chevron-right'}
                         size={isTab ? 24 : 20}
                         color={theme.colors.neutral.gray500}
                     />
@@ -66,13 +103,15 @@ const BaseWidget = ({
     );
 
     // If an onPress function is provided, wrap the content in a TouchableOpacity to make it pressable.
-    if (onPress) {
+    // Presses are ignored while editing, so that a long press on the widget can start a drag instead.
+    if (onPress && !edit) {
         return (
             <TouchableOpacity
                 onPress={onPress}
                 accessible={true}
                 accessibilityRole="button"
-                accessibilityLabel={`${title} widget`}>
+                accessibilityLabel={grouped ? accessibilityLabel : t('widget.open', { title })}
+                accessibilityHint={grouped ? t('widget.openHint') : undefined}>
                 {content}
             </TouchableOpacity>
         );
@@ -82,13 +121,14 @@ const BaseWidget = ({
     return content;
 };
 
-const styles = StyleSheet.create({
+// The styles are built from the current theme by useThemedStyles, and resolved for the current breakpoint.
+const createStyles = createResponsiveStyles((theme) => ({
     container: {
         ...theme.card,
         marginBottom: theme.spacing.md,
-    },
-    tabletContainer: {
-        padding: theme.spacing.lg,
+        tablet: {
+            padding: theme.spacing.lg,
+        },
     },
     header: {
         flexDirection: 'row',
@@ -96,27 +136,36 @@ const styles = StyleSheet.create({
         justifyContent: 'space-between',
         marginBottom: theme.spacing.md,
     },
-    headerLeft: {
+    headerStart: {
         flexDirection: 'row',
         alignItems: 'center',
         flex: 1,
     },
     headerIcon: {
-        marginRight: theme.spacing.sm,
+        marginEnd: theme.spacing.sm,
     },
     title: {
+        fontFamily: theme.fontFamily.bold,
         fontSize: theme.typography.h4,
         fontWeight: 'bold',
         color: theme.colors.neutral.gray800,
         flex: 1,
-    },
-    tabletTitle: {
-        fontSize: theme.typography.h3,
+        tablet: {
+            fontSize: theme.typography.h3,
+        },
     },
     content: {
         flex: 1,
     },
-});
+    removeButton: {
+        width: 24,
+        height: 24,
+        borderRadius: 12,
+        backgroundColor: theme.colors.semantic.error,
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+}));
 
 // Memoize the component to prevent unnecessary re-renders.
 export default React.memo(BaseWidget);
\ No newline at end of file
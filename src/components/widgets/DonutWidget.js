@@ -0,0 +1,66 @@
+import React from 'react';
+import { Text } from 'react-native';
+import BaseWidget from './BaseWidget';
+import { ChartContainer, DonutChart } from '../charts';
+import { useThemedStyles } from '../../context/ThemeContext';
+import { useI18n } from '../../context/I18nContext';
+
+/**
+ * A widget that displays how a total splits into parts, as a donut chart with a legend.
+ * The donut is sized from the width of its grid cell and re-lays out when the cell changes size.
+ * It is built on top of the BaseWidget component.
+ *
+ * @param {object} props - The component's properties.
+ * @param {string} props.title - The title of the widget.
+ * @param {string} [props.icon='donut-large'] - The name of the Material Icon to display in the header.
+ * @param {string} [props.iconColor] - The color (or theme color token) of the header icon.
+ * @param {Array<{label: string, value: number, color?: string}>} [props.data=[]] - The segments, in order.
+ * @param {string} [props.totalLabel] - The label shown under the total in the middle of the donut.
+ * @param {function(number): string} [props.formatValue] - Formats the values.
+ * @param {number} [props.chartWidth] - A fixed chart width. By default the width of the widget is used.
+ */
+const DonutWidget = ({
+    title,
+    icon = 'donut-large',
+    iconColor,
+    data = [],
+    totalLabel,
+    formatValue,
+    chartWidth,
+}) => {
+    const styles = useThemedStyles(createStyles);
+    const { t } = useI18n();
+    return (
+        <BaseWidget title={title} icon={icon} iconColor={iconColor}>
+            {data.length === 0 ? (
+                <Text style={styles.emptyText}>{t('chart.noData')}</Text>
+            ) : (
+                // The donut takes a share of the width and the legend takes the rest.
+                <ChartContainer width={chartWidth} aspectRatio={0.45} minHeight={96} maxHeight={180}>
+                    {({ height }) => (
+                        <DonutChart
+                            data={data}
+                            size={height}
+                            totalLabel={totalLabel}
+                            formatValue={formatValue}
+                            accessibilityLabel={t('chart.donut', { title, count: data.length })}
+                        />
+                    )}
+                </ChartContainer>
+            )}
+        </BaseWidget>
+    );
+};
+
+// The styles are built from the current theme by useThemedStyles.
+const createStyles = (theme) => ({
+    emptyText: {
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.caption,
+        color: theme.colors.neutral.gray500,
+        textAlign: 'center',
+        paddingVertical: theme.spacing.md,
+    },
+});
+
+export default React.memo(DonutWidget);
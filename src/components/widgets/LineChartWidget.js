@@ -0,0 +1,69 @@
+import React from 'react';
+import { Text } from 'react-native';
+import BaseWidget from './BaseWidget';
+import { ChartContainer, LineChart } from '../charts';
+import { useThemedStyles } from '../../context/ThemeContext';
+import { useI18n } from '../../context/I18nContext';
+
+/**
+ * A widget that displays a time series as a line chart.
+ * The chart fills the width of its grid cell and re-lays out when the cell changes size.
+ * It is built on top of the BaseWidget component.
+ *
+ * @param {object} props - The component's properties.
+ * @param {string} props.title - The title of the widget.
+ * @param {string} [props.icon='show-chart'] - The name of the Material Icon to display in the header.
+ * @param {string} [props.iconColor] - The color (or theme color token) of the header icon.
+ * @param {Array<{label: string, value: number}>} [props.data=[]] - The data points, in order.
+ * @param {string} [props.color] - The line color (or theme color token).
+ * @param {boolean} [props.showArea=true] - Whether to shade the area under the line.
+ * @param {function(number): string} [props.formatValue] - Formats values for the tooltip.
+ * @param {number} [props.chartWidth] - A fixed chart width. By default the width of the widget is used.
+ */
+const LineChartWidget = ({
+    title,
+    icon = 'show-chart',
+    iconColor,
+    data = [],
+    color,
+    showArea,
+    formatValue,
+    chartWidth,
+}) => {
+    const styles = useThemedStyles(createStyles);
+    const { t } = useI18n();
+    return (
+        <BaseWidget title={title} icon={icon} iconColor={iconColor}>
+            {data.length === 0 ? (
+                <Text style={styles.emptyText}>{t('chart.noData')}</Text>
+            ) : (
+                <ChartContainer width={chartWidth}>
+                    {({ width, height }) => (
+                        <LineChart
+                            data={data}
+                            width={width}
+                            height={height}
+                            color={color}
+                            showArea={showArea}
+                            formatValue={formatValue}
+                            accessibilityLabel={t('chart.line', { title, count: data.length })}
+                        />
+                    )}
+                </ChartContainer>
+            )}
+        </BaseWidget>
+    );
+};
+
+// The styles are built from the current theme by useThemedStyles.
+const createStyles = (theme) => ({
+    emptyText: {
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.caption,
+        color: theme.colors.neutral.gray500,
+        textAlign: 'center',
+        paddingVertical: theme.spacing.md,
+    },
+});
+
+export default React.memo(LineChartWidget);
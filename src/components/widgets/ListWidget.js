@@ -0,0 +1,108 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import BaseWidget from './BaseWidget';
+import { resolveColor } from '../../styles/theme';
+import { useTheme, useThemedStyles } from '../../context/ThemeContext';
+import { useI18n } from '../../context/I18nContext';
+
+/**
+ * A widget that displays a short list of labelled rows, such as recent activity or top products.
+ * It is built on top of the BaseWidget component.
+ * Screen readers read each row as one element: its label, then its value.
+ *
+ * @param {object} props - The component's properties.
+ * @param {string} props.title - The title of the widget.
+ * @param {string} [props.icon] - The name of the Material Icon to display in the header.
+ * @param {string} [props.iconColor] - The color (or theme color token) of the header icon.
+ * @param {Array<{id?: string, label: string, value?: string, icon?: string, iconColor?: string}>} [props.items=[]] - The rows to display.
+ * @param {string} [props.emptyText] - The text displayed when there are no items. Defaults to the translated
+ * "Nothing to show".
+ * @param {function} [props.onPress] - A callback function to handle press events on the widget.
+ */
+const ListWidget = ({
+    title,
+    icon,
+    iconColor,
+    items = [],
+    emptyText,
+    onPress,
+}) => {
+    // The current theme. Reading it here restyles the component live when the theme changes.
+    const { theme } = useTheme();
+    const styles = useThemedStyles(createStyles);
+    const { t } = useI18n();
+    return (
+        <BaseWidget
+            title={title}
+            icon={icon}
+            iconColor={iconColor}
+            onPress={onPress}
+            showArrow={!!onPress}>
+            {items.length === 0 && (
+                <Text style={styles.emptyText}>{emptyText ?? t('widget.empty')}</Text>
+            )}
+            {items.map((item, index) => (
+                <View
+                    key={item.id || index}
+                    style={[styles.row, index === items.length - 1 && styles.lastRow]}
+                    accessible={true}
+                    accessibilityLabel={item.value !== undefined
+                        ? t('widget.listItem', { label: item.label, value: item.value })
+                        : item.label}>
+                    {item.icon && (
+                        <Icon
+                            name={item.icon}
+                            size={18}
+                            color={resolveColor(item.iconColor, theme.colors) || theme.colors.neutral.gray600}
+                            style={styles.rowIcon}
+                        />
+                    )}
+                    <Text style={styles.label} numberOfLines={1}>
+                        {item.label}
+                    </Text>
+                    {item.value !== undefined && (
+                        <Text style={styles.value}>{item.value}</Text>
+                    )}
+                </View>
+            ))}
+        </BaseWidget>
+    );
+};
+
+// The styles are built from the current theme by useThemedStyles.
+const createStyles = (theme) => ({
+    row: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: theme.spacing.xs,
+        borderBottomWidth: StyleSheet.hairlineWidth,
+        borderBottomColor: theme.colors.neutral.gray300,
+    },
+    lastRow: {
+        borderBottomWidth: 0,
+    },
+    rowIcon: {
+        marginEnd: theme.spacing.sm,
+    },
+    label: {
+        flex: 1,
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.caption,
+        color: theme.colors.neutral.gray700,
+    },
+    value: {
+        fontFamily: theme.fontFamily.bold,
+        fontSize: theme.typography.caption,
+        fontWeight: 'bold',
+        color: theme.colors.neutral.gray800,
+    },
+    emptyText: {
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.caption,
+        color: theme.colors.neutral.gray500,
+        textAlign: 'center',
+    },
+});
+
+export default React.memo(ListWidget);
@@ -0,0 +1,199 @@
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity } from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import BaseWidget from './BaseWidget';
+import BottomSheet from '../BottomSheet';
+import { resolveColor } from '../../styles/theme';
+import { useTheme, useThemedStyles } from '../../context/ThemeContext';
+import { useResponsive } from '../../context/ResponsiveContext';
+import { useI18n } from '../../context/I18nContext';
+import { getGridColumns } from '../../utils/responsive';
+
+// The default number of actions per row, keyed by device (see selectForDevice in responsive.js).
+const DEFAULT_COLUMN_MAP = { phone: 4, tablet: 6, largeTablet: 8 };
+
+// The largest badge count shown in full. Larger counts are shown as '99+'.
+const MAX_BADGE_COUNT = 99;
+
+/**
+ * A single action button: an icon in a tinted circle, with an optional badge, above the label.
+ *
+ * @param {object} props - The component's properties.
+ * @param {object} props.action - The resolved action (see resolveQuickActions).
+ * @param {string} props.width - The width of the button, as a percentage of the row.
+ * @param {function} props.onPress - Called when the button is pressed.
+ * @param {string} [props.accessibilityLabel] - The label read by screen readers. Defaults to the action's label and
+ * badge count.
+ */
+const QuickActionTile = ({ action, width, onPress, accessibilityLabel }) => {
+    // The current theme. Reading it here restyles the component live when the theme changes.
+    const { theme } = useTheme();
+    const styles = useThemedStyles(createStyles);
+    const { t } = useI18n();
+    const color = resolveColor(action.color, theme.colors) || theme.colors.primary.main;
+    return (
+        <TouchableOpacity
+            style={[styles.quickAction, { width }]}
+            onPress={onPress}
+            accessible={true}
+            accessibilityRole="button"
+            accessibilityLabel={accessibilityLabel ?? (action.badge
+                ? t('quickActions.badge', { title: action.label, count: action.badge })
+                : action.label)}>
+            <View style={[styles.quickActionIcon, {
+                backgroundColor:
+                    `${color}20` // Add opacity to the background color
+            }]}>
+                <Icon
+                    name={action.icon}
+                    size={24}
+                    color={color}
+                />
+                {action.badge && (
+                    <View style={styles.badge}>
+                        <Text style={styles.badgeText}>
+                            {action.badge > MAX_BADGE_COUNT ? `${MAX_BADGE_COUNT}+` : action.badge}
+                        </Text>
+                    </View>
+                )}
+            </View>
+            <Text style={styles.quickActionText}>{action.label}</Text>
+        </TouchableOpacity>
+    );
+};
+
+/**
+ * A widget that displays a grid of shortcut buttons.
+ * It is built on top of the BaseWidget component.
+ * The actions come from configuration, already resolved for the current user (see resolveQuickActions in
+ * quickActionRegistry.js). The number of actions per row depends on the device, and is reduced for large text.
+ * When there are more actions than fit in `rows` rows, the last button of the card becomes a "More" button that
+ * opens a sheet with the rest.
+ *
+ * @param {object} props - The component's properties.
+ * @param {string} [props.title] - The title of the widget. Defaults to the translated "Quick Actions".
+ * @param {string} [props.icon='flash-on'] - The name of the Material Icon to display in the header.
+ * @param {string} [props.iconColor] - The color (or theme color token) of the header icon.
+ * @param {Array<{id: string, label: string, icon: string, color?: string, badge?: number}>} [props.actions=[]] - The
+ * actions to display.
+ * @param {object} [props.columnMap] - The actions per row, keyed by device, e.g. `{ phone: 3, tablet: 6 }`.
+ * @param {number} [props.rows=1] - The rows of actions shown on the card before the rest overflow into the sheet.
+ * @param {function} [props.onActionPress] - Called with the action when one of the buttons is pressed.
+ */
+const QuickActionsWidget = ({
+    title,
+    icon = 'flash-on',
+    iconColor = 'semantic.warning',
+    actions = [],
+    columnMap = DEFAULT_COLUMN_MAP,
+    rows = 1,
+    onActionPress,
+}) => {
+    const styles = useThemedStyles(createStyles);
+    const { t } = useI18n();
+    const { width, height, breakpoints, fontScale } = useResponsive();
+    const [moreVisible, setMoreVisible] = useState(false);
+    const columns = getGridColumns(width, height, { breakpoints, columnMap, fontScale });
+    const tileWidth = `${100 / columns}%`;
+    // When the actions do not all fit, the last slot is taken by the "More" button.
+    const slots = columns * Math.max(1, rows);
+    const overflowing = actions.length > slots;
+    const shown = overflowing ? actions.slice(0, slots - 1) : actions;
+    const overflow = overflowing ? actions.slice(slots - 1) : [];
+
+    return (
+        <BaseWidget
+            title={title ?? t('layout.quickActions')}
+            icon={icon}
+            iconColor={iconColor}>
+            <View style={styles.quickActions}>
+                {shown.map((action, index) => (
+                    <QuickActionTile
+                        key={action.id || index}
+                        action={action}
+                        width={tileWidth}
+                        onPress={() => onActionPress?.(action)}
+                    />
+                ))}
+                {overflowing && (
+                    <QuickActionTile
+                        action={{
+                            icon: 'more-horiz',
+                            label: t('quickActions.more'),
+                            color: 'neutral.gray600',
+                        }}
+                        width={tileWidth}
+                        accessibilityLabel={t('quickActions.moreLabel')}
+                        onPress={() => setMoreVisible(true)}
+                    />
+                )}
+            </View>
+            <BottomSheet
+                visible={moreVisible}
+                title={t('quickActions.moreLabel')}
+                onClose={() => setMoreVisible(false)}>
+                <View style={styles.quickActions}>
+                    {overflow.map((action, index) => (
+                        <QuickActionTile
+                            key={action.id || index}
+                            action={action}
+                            width={tileWidth}
+                            onPress={() => {
+                                setMoreVisible(false);
+                                onActionPress?.(action);
+                            }}
+                        />
+                    ))}
+                </View>
+            </BottomSheet>
+        </BaseWidget>
+    );
+};
+
+// The styles are built from the current theme by useThemedStyles.
+const createStyles = (theme) => ({
+    quickActions: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+    },
+    quickAction: {
+        alignItems: 'center',
+        paddingVertical: theme.spacing.md,
+        paddingHorizontal: theme.spacing.xs,
+    },
+    quickActionIcon: {
+        width: 50,
+        height: 50,
+        borderRadius: 25,
+        alignItems: 'center',
+        justifyContent: 'center',
+        marginBottom: theme.spacing.xs,
+    },
+    badge: {
+        position: 'absolute',
+        top: -4,
+        end: -4,
+        minWidth: 20,
+        height: 20,
+        paddingHorizontal: 4,
+        borderRadius: 10,
+        alignItems: 'center',
+        justifyContent: 'center',
+        backgroundColor: theme.colors.semantic.error,
+    },
+    badgeText: {
+        fontFamily: theme.fontFamily.bold,
+        fontSize: 11,
+        fontWeight: 'bold',
+        color: theme.colors.neutral.white,
+    },
+    quickActionText: {
+        marginTop: theme.spacing.xs,
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.small,
+        textAlign: 'center',
+        color: theme.colors.neutral.gray700,
+    },
+});
+
+export default React.memo(QuickActionsWidget);
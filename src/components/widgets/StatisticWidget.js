@@ -1,42 +1,106 @@
-import React from 'react';
-import { View, Text, StyleSheet } from 'react-native';
+import React, { useEffect, useRef } from 'react';
+import { Animated, View, Text, StyleSheet } from 'react-native';
 import Icon from 'react-native-vector-icons/MaterialIcons';
 import BaseWidget from './BaseWidget';
-import { theme } from '../../styles/theme';
-import { isTablet } from '../../utils/responsive';
+import HighlightedText from '../HighlightedText';
+import { ChartContainer, Sparkline } from '../charts';
+import { useTheme, useThemedStyles } from '../../context/ThemeContext';
+import { useResponsive } from '../../context/ResponsiveContext';
+import { useI18n } from '../../context/I18nContext';
+import { createResponsiveStyles } from '../../utils/responsive';
+import { resolveStatisticDisplay } from '../../utils/numberFormat';
+import { describeStatistic, useReducedMotion } from '../../utils/accessibility';
+
+// The icon shown for each trend direction.
+const TREND_ICONS = {
+    up: 'trending-up',
+    down: 'trending-down',
+    flat: 'trending-flat',
+};
+
+/**
+ * Animates a change of a value: returns an animated value that jumps to 1 whenever the value changes, and fades
+ * back to 0. Nothing is animated when the component mounts, or while the user has asked for reduced motion.
+ * @param {*} value - The watched value.
+ * @param {boolean} [disabled=false] - Whether to skip the animation.
+ * @returns {Animated.Value} The animated value.
+ */
+const useChangeFlash = (value, disabled = false) => {
+    const flash = useRef(new Animated.Value(0)).current;
+    const previous = useRef(value);
+    useEffect(() => {
+        if (previous.current === value) {
+            return undefined;
+        }
+        previous.current = value;
+        if (disabled) {
+            return undefined;
+        }
+        flash.setValue(1);
+        const animation = Animated.timing(flash, { toValue: 0, duration: 800, useNativeDriver: true });
+        animation.start();
+        return () => animation.stop();
+    }, [value, disabled, flash]);
+    return flash;
+};
 
 /**
  * A widget to display a single statistic, including a title, value, and trend indicator.
  * It is built on top of the BaseWidget component.
+ * A numeric value is formatted for the app's locale with `format`, and with a `previousValue` its trend is
+ * computed (see numberFormat.js). Pre-formatted strings are shown as they are.
+ * When the value changes (e.g. with a live update), it briefly pulses and is highlighted, unless the user has asked
+ * for reduced motion. Screen readers read the tile as one label that sums it up (see describeStatistic).
+ * The title and subtitle highlight their matches of the dashboard search.
  *
  * @param {object} props - The component's properties.
  * @param {string} props.title - The title of the statistic.
- * @param {string} props.value - The main value of the statistic.
+ * @param {number | string} props.value - The main value of the statistic, as a number or a formatted string.
+ * @param {number} [props.previousValue] - The value of the previous period, used to compute the trend.
+ * @param {object} [props.format] - How a numeric value is formatted, e.g. `{style: 'currency', currency: 'EUR'}`.
+ * @param {boolean} [props.invertTrend=false] - Whether a fall is good news (e.g. costs), which colors it as such.
  * @param {string} [props.subtitle] - An optional subtitle for additional context.
  * @param {string} props.icon - The name of the Material Icon to display.
  * @param {string} [props.iconColor] - The color of the icon.
- * @param {'up' | 'down'} [props.trend] - The direction of the trend.
- * @param {string} [props.trendValue] - The value of the trend (e.g., '+12%').
+ * @param {'up' | 'down' | 'flat'} [props.trend] - The direction of the trend. Computed when omitted.
+ * @param {string} [props.trendValue] - The value of the trend (e.g., '+12%'). Computed when omitted.
+ * @param {Array<number>} [props.sparkline] - Recent values, shown as an inline sparkline under the trend.
+ * @param {{severity: 'warning' | 'error', label: string}} [props.alert] - A breached alert rule. The tile is outlined
+ * in the severity's color and shows a badge with the label.
  * @param {function} [props.onPress] - A callback function to handle press events on the widget.
  */
 const StatisticWidget = ({
     title,
     value,
+    previousValue,
+    format,
+    invertTrend,
     subtitle,
     icon,
     iconColor,
     trend,
     trendValue,
+    sparkline,
+    alert,
     onPress,
 }) => {
+    // The current theme. Reading it here restyles the component live when the theme changes.
+    const { theme } = useTheme();
+    const styles = useThemedStyles(createStyles);
     // Check if the device is a tablet to apply different styles.
-    const isTab = isTablet();
-    // Determine if the trend is positive (up) or negative (down).
-    const isPositiveTrend = trend === 'up';
-    // Set the color of the trend indicator based on whether it is positive or negative.
-    const trendColor = isPositiveTrend
-        ? theme.colors.semantic.success
-        : theme.colors.semantic.error;
+    const { isTablet: isTab } = useResponsive();
+    const { t, locale } = useI18n();
+    // Format the value and work out the trend, unless they were given pre-formatted.
+    const display = resolveStatisticDisplay({ value, previousValue, format, trend, trendValue, invertTrend }, locale);
+    // Set the color of the trend indicator based on whether the trend is good or bad news.
+    const trendColor = display.trend === 'flat'
+        ? theme.colors.neutral.gray500
+        : display.favorable
+            ? theme.colors.semantic.success
+            : theme.colors.semantic.error;
+    const alertColor = alert && theme.colors.semantic[alert.severity];
+    const reduceMotion = useReducedMotion();
+    const flash = useChangeFlash(display.value, reduceMotion);
     return (
         // The BaseWidget component provides the card-like container and the header.
         <BaseWidget
@@ -44,71 +108,136 @@ const StatisticWidget = ({
             icon={icon}
             iconColor={iconColor}
             onPress={onPress}
-            showArrow={!!onPress}>
+            showArrow={!!onPress}
+            accessibilityLabel={describeStatistic({ title, display, subtitle, alert }, t)}
+            style={alert && [styles.alerted, { borderColor: alertColor }]}>
             {/* The content of the widget is passed as children to the BaseWidget. */}
             <View style={styles.statisticContainer}>
-                {/* Main Value */}
-                <Text style={[styles.value, isTab && styles.tabletValue]}>
-                    {value}
-                </Text>
+                {/* Alert badge: names the rule that is breached. */}
+                {alert && (
+                    <View
+                        style={[styles.alertBadge, { backgroundColor: alertColor }]}
+                        accessible={true}
+                        accessibilityLabel={t('widget.alert', { label: alert.label })}>
+                        <Icon name="notification-important" size={14} color={theme.colors.neutral.white} />
+                        <Text style={styles.alertText} numberOfLines={1}>{alert.label}</Text>
+                    </View>
+                )}
+                {/* Main Value: highlighted for a moment when it changes. */}
+                <Animated.View
+                    style={[
+                        styles.valueContainer,
+                        { transform: [{ scale: flash.interpolate({ inputRange: [0, 1], outputRange: [1, 1.08] }) }] },
+                    ]}>
+                    <Animated.View
+                        style={[styles.valueHighlight, { backgroundColor: trendColor, opacity: Animated.multiply(flash, 0.15) }]}
+                    />
+                    <Text style={styles.value}>
+                        {display.value}
+                    </Text>
+                </Animated.View>
                 {/* Subtitle */}
                 {subtitle && (
-                    <Text style={[styles.subtitle, isTab && styles.tabletSubtitle]}>
+                    <HighlightedText style={styles.subtitle}>
                         {subtitle}
-                    </Text>
+                    </HighlightedText>
                 )}
                 {/* Trend Indicator */}
-                {trend && trendValue && (
+                {display.trend && display.trendValue && (
                     <View style={styles.trendContainer}>
                         <Icon
-                            name={trend === 'up' ? 'trending-up' : 'trending-down'}
+                            name={TREND_ICONS[display.trend]}
                             size={isTab ? 18 : 16}
                             color={trendColor}
                             style={styles.trendIcon}
                         />
                         <Text style={[styles.trendValue, { color: trendColor }]}>
-                            {trendValue}
+                            {display.trendValue}
                         </Text>
                     </View>
                 )}
+                {/* Sparkline: stretches to the width of the widget. */}
+                {sparkline?.length > 1 && (
+                    <View style={styles.sparkline}>
+                        <ChartContainer height={28}>
+                            {({ width, height }) => (
+                                <Sparkline values={sparkline} width={width} height={height} color={trendColor} />
+                            )}
+                        </ChartContainer>
+                    </View>
+                )}
             </View>
         </BaseWidget>
     );
 };
 
-const styles = StyleSheet.create({
+// The styles are built from the current theme by useThemedStyles, and resolved for the current breakpoint.
+const createStyles = createResponsiveStyles((theme) => ({
     statisticContainer: {
         alignItems: 'center',
     },
+    alerted: {
+        borderWidth: 2,
+    },
+    alertBadge: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        maxWidth: '100%',
+        paddingHorizontal: theme.spacing.xs,
+        paddingVertical: 2,
+        marginBottom: theme.spacing.xs,
+        borderRadius: theme.borderRadius.small,
+    },
+    alertText: {
+        marginStart: 4,
+        fontFamily: theme.fontFamily.bold,
+        fontSize: theme.typography.small,
+        fontWeight: 'bold',
+        color: theme.colors.neutral.white,
+    },
+    valueContainer: {
+        paddingHorizontal: theme.spacing.xs,
+        marginBottom: theme.spacing.xs,
+    },
+    valueHighlight: {
+        ...StyleSheet.absoluteFillObject,
+        borderRadius: theme.borderRadius.small,
+    },
     value: {
+        fontFamily: theme.fontFamily.bold,
         fontSize: theme.typography.h1,
         fontWeight: 'bold',
         color: theme.colors.neutral.gray800,
-        marginBottom: theme.spacing.xs,
-    },
-    tabletValue: {
-        fontSize: theme.typography.h1 * 1.2,
+        tablet: {
+            fontSize: theme.typography.h1 * 1.2,
+        },
     },
     subtitle: {
+        fontFamily: theme.fontFamily.regular,
         fontSize: theme.typography.caption,
         color: theme.colors.neutral.gray600,
         textAlign: 'center',
         marginBottom: theme.spacing.sm,
-    },
-    tabletSubtitle: {
-        fontSize: theme.typography.body,
+        tablet: {
+            fontSize: theme.typography.body,
+        },
     },
     trendContainer: {
         flexDirection: 'row',
         alignItems: 'center',
     },
+    sparkline: {
+        alignSelf: 'stretch',
+        marginTop: theme.spacing.xs,
+    },
     trendIcon: {
-        marginRight: theme.spacing.xs,
+        marginEnd: theme.spacing.xs,
     },
     trendValue: {
+        fontFamily: theme.fontFamily.bold,
         fontSize: theme.typography.caption,
         fontWeight: 'bold',
     },
-});
+}));
 
 export default StatisticWidget;
\ No newline at end of file
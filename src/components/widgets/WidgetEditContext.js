@@ -0,0 +1,18 @@
+import { createContext, useContext } from 'react';
+
+/**
+ * @file This file contains the context that puts a single widget into edit mode.
+ * The dashboard wraps each widget in a provider while the layout is being edited, and BaseWidget reads it
+ * to show its remove button. Because it is read by BaseWidget, every widget built on it supports editing
+ * without having to forward any extra props.
+ */
+
+const WidgetEditContext = createContext(null);
+
+/**
+ * Returns the edit state of the enclosing widget, or null when the widget is not being edited.
+ * @returns {{onRemove?: function(): void} | null} The edit state.
+ */
+export const useWidgetEdit = () => useContext(WidgetEditContext);
+
+export default WidgetEditContext;
@@ -0,0 +1,140 @@
+import { Alert } from 'react-native';
+import { registerWidget } from './widgetRegistry';
+import { registerQuickActionCommand, resolveQuickActions } from './quickActionRegistry';
+import StatisticWidget from './StatisticWidget';
+import QuickActionsWidget from './QuickActionsWidget';
+import ListWidget from './ListWidget';
+import LineChartWidget from './LineChartWidget';
+import BarChartWidget from './BarChartWidget';
+import DonutWidget from './DonutWidget';
+import { describeAlertRule } from '../../utils/alertRules';
+import { resolveStatisticDisplay } from '../../utils/numberFormat';
+import defaultQuickActions from '../../config/quickActions';
+
+/**
+ * @file This file registers the built-in widget types and Quick Action commands, and re-exports the registry APIs.
+ * Import the registries from here (rather than from widgetRegistry.js or quickActionRegistry.js) so the built-ins
+ * are always registered.
+ */
+
+// 'statistic' widgets are bound to an entry of the dashboard data's `statistics` array by `statisticId`.
+// They need the statistic's `permission`, if it has one, and can be found by its `tags`, `category` and trend.
+// Unless the statistic has a `subtitle`, the tile names the reporting period its value is for.
+registerWidget('statistic', {
+    component: StatisticWidget,
+    getPermission: (widget, { statistics = [] }) => (
+        statistics.find(item => item.id === widget.statisticId)?.permission
+    ),
+    getSearchFields: (widget, props, { statistics = [] }) => {
+        const statistic = statistics.find(item => item.id === widget.statisticId);
+        return {
+            tags: statistic?.tags,
+            category: statistic?.category,
+            trend: resolveStatisticDisplay(props).trend,
+        };
+    },
+    resolveProps: (widget, { statistics = [], alerts = {}, periodLabel, onStatisticPress, t }) => {
+        const statistic = statistics.find(item => item.id === widget.statisticId);
+        if (!statistic) {
+            return null;
+        }
+        // The most severe breached alert rule of the statistic, if any.
+        const breaches = alerts[statistic.id] || [];
+        const breach = breaches.find(item => item.rule.severity === 'error') || breaches[0];
+        return {
+            title: statistic.title,
+            value: statistic.value,
+            previousValue: statistic.previousValue,
+            format: statistic.format,
+            invertTrend: statistic.invertTrend,
+            subtitle: statistic.subtitle ?? periodLabel,
+            icon: statistic.icon,
+            iconColor: statistic.iconColor,
+            trend: statistic.trend,
+            trendValue: statistic.trendValue,
+            // The sparkline is opt-in per widget, with `"sparkline": true` in the layout.
+            sparkline: widget.sparkline ? statistic.history : undefined,
+            alert: breach && { severity: breach.rule.severity, label: describeAlertRule(breach.rule, t) },
+            ...widget.props,
+            onPress: onStatisticPress ? () => onStatisticPress(statistic) : undefined,
+        };
+    },
+});
+
+// 'quickActions' widgets show the configured actions (see src/config/quickActions.js), unless the layout entry
+// lists its own in `props.actions`. Only the actions the user has permission for are shown, and the widget is left
+// out when there are none. The widget can be found by the labels of its actions.
+registerWidget('quickActions', {
+    component: QuickActionsWidget,
+    getSearchFields: (widget, props) => ({ tags: props.actions.map(action => action.label) }),
+    resolveProps: (widget, { onQuickActionPress, hasPermission, counts, t }) => {
+        const actions = resolveQuickActions(widget.props?.actions ?? defaultQuickActions, { t, hasPermission, counts });
+        if (actions.length === 0) {
+            return null;
+        }
+        return { ...widget.props, actions, onActionPress: onQuickActionPress };
+    },
+});
+
+registerWidget('list', {
+    component: ListWidget,
+});
+
+/**
+ * Resolves the props of a chart widget.
+ * Chart widgets are bound to an entry of the dashboard data's `series` object by `seriesId`,
+ * or carry their data inline in `props.data`.
+ * @param {object} widget - The widget entry from the layout.
+ * @param {object} context - The widget context.
+ * @returns {object | null} The props, or null when the series does not exist.
+ */
+const resolveChartProps = (widget, { series = {} }) => {
+    if (widget.seriesId === undefined) {
+        return { ...widget.props };
+    }
+    const data = series[widget.seriesId];
+    if (!Array.isArray(data)) {
+        return null;
+    }
+    return { data, ...widget.props };
+};
+
+registerWidget('lineChart', {
+    component: LineChartWidget,
+    resolveProps: resolveChartProps,
+});
+
+registerWidget('barChart', {
+    component: BarChartWidget,
+    resolveProps: resolveChartProps,
+});
+
+registerWidget('donut', {
+    component: DonutWidget,
+    resolveProps: resolveChartProps,
+});
+
+// The built-in Quick Action commands. Each one reads what it needs from the context given to runQuickAction.
+// 'showMessage' stands in for the actions whose screens do not exist yet.
+registerQuickActionCommand('showMessage', (action, { t }) => {
+    Alert.alert(action.label, t('dashboard.actionPressed', { title: action.label }));
+});
+registerQuickActionCommand('openAppearance', (action, { openAppearance }) => openAppearance());
+registerQuickActionCommand('openNotifications', (action, { openNotifications }) => openNotifications());
+
+export {
+    registerQuickActionCommand,
+    unregisterQuickActionCommand,
+    getQuickActionCommand,
+    resolveQuickActions,
+    runQuickAction,
+} from './quickActionRegistry';
+
+export {
+    registerWidget,
+    unregisterWidget,
+    getWidgetDefinition,
+    getRegisteredWidgetTypes,
+    resolveLayout,
+    renderWidget,
+} from './widgetRegistry';
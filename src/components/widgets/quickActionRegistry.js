@@ -0,0 +1,112 @@
+/**
+ * @file This file contains the Quick Actions registry.
+ * A quick action is a shortcut button described by configuration (see src/config/quickActions.js), e.g.
+ * {
+ *   "id": "view-reports",
+ *   "icon": "assessment",
+ *   "label": "View Reports",
+ *   "labelKey": "quickActions.viewReports",
+ *   "color": "secondary.main",
+ *   "badge": 3,
+ *   "handler": { "navigate": "statisticDetail", "params": { "statisticId": 1 } },
+ *   "permission": "reports.view"
+ * }
+ * The handler either navigates to a route (`navigate`, with optional `params`) or runs a registered command
+ * (`command`). Commands are registered by name, like widget types, so apps can add their own.
+ * A `labelKey` names the catalog message used as the label in the current language. The `badge` is a count, or
+ * the name of a live count given when the actions are resolved (e.g. 'unreadNotifications').
+ */
+
+// The registered commands, keyed by name.
+const commands = new Map();
+
+/**
+ * Registers a Quick Action command.
+ * Registering a command that already exists replaces it, which allows apps to override the built-in commands.
+ * @param {string} name - The name used in the actions' `handler.command`.
+ * @param {function(object, object): void} run - Runs the command. It is called with the action and the context
+ * given to runQuickAction.
+ */
+export const registerQuickActionCommand = (name, run) => {
+    if (!name || typeof name !== 'string') {
+        throw new Error('Quick action command name must be a non-empty string');
+    }
+    if (typeof run !== 'function') {
+        throw new Error(`Quick action command "${name}" must be a function`);
+    }
+    commands.set(name, run);
+};
+
+/**
+ * Removes a Quick Action command from the registry.
+ * @param {string} name - The command name to remove.
+ */
+export const unregisterQuickActionCommand = (name) => {
+    commands.delete(name);
+};
+
+/**
+ * Gets the function registered for a Quick Action command.
+ * @param {string} name - The command name.
+ * @returns {function | undefined} The command, if one is registered.
+ */
+export const getQuickActionCommand = (name) => commands.get(name);
+
+/**
+ * Checks whether an action is complete: it has an id, an icon, a label, a handler and a permission.
+ * @param {object} action - The action.
+ * @returns {boolean} Whether the action can be shown.
+ */
+const isCompleteAction = (action) => (
+    !!action?.id
+    && !!action.icon
+    && !!(action.label || action.labelKey)
+    && (typeof action.handler?.navigate === 'string' || typeof action.handler?.command === 'string')
+    && typeof action.permission === 'string'
+);
+
+/**
+ * Resolves the configured actions for display: localizes their labels, reads their badge counts, and leaves out the
+ * actions the user may not run.
+ * Incomplete actions are left out too. Since the permission is required, an action that forgot to declare one is
+ * never shown, rather than shown to everyone.
+ * @param {Array<object>} actions - The configured actions.
+ * @param {object} [options] - Resolution options.
+ * @param {function(string): string} [options.t] - The translation function, for the `labelKey`s.
+ * @param {function(string): boolean} [options.hasPermission] - Checks a permission. Without it, every permission
+ * is granted.
+ * @param {Object<string, number>} [options.counts={}] - The live counts that badges can name.
+ * @returns {Array<object>} The actions to show, each with its `label` and numeric `badge` (or undefined) resolved.
+ */
+export const resolveQuickActions = (actions, { t, hasPermission = () => true, counts = {} } = {}) => (
+    (Array.isArray(actions) ? actions : [])
+        .filter(action => isCompleteAction(action) && hasPermission(action.permission))
+        .map(action => {
+            const badge = typeof action.badge === 'string' ? counts[action.badge] : action.badge;
+            return {
+                ...action,
+                label: t && action.labelKey ? t(action.labelKey) : action.label,
+                badge: Number.isFinite(badge) && badge > 0 ? badge : undefined,
+            };
+        })
+);
+
+/**
+ * Runs an action's handler.
+ * @param {object} action - The pressed action.
+ * @param {object} context - What the handlers need, e.g. `navigate` for navigation targets. The whole context is
+ * passed to commands.
+ * @throws {Error} If the action runs a command that is not registered.
+ */
+export const runQuickAction = (action, context) => {
+    const { handler } = action;
+    if (typeof handler?.navigate === 'string') {
+        context.navigate(handler.navigate, handler.params);
+        return;
+    }
+    const command = commands.get(handler?.command);
+    if (!command) {
+        throw new Error(`Quick action command "${handler?.command}" is not registered`);
+    }
+    command(action, context);
+};
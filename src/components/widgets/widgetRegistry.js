@@ -0,0 +1,210 @@
+import React from 'react';
+import { Text } from 'react-native';
+import BaseWidget from './BaseWidget';
+import { useTheme, useThemedStyles } from '../../context/ThemeContext';
+import { useI18n } from '../../context/I18nContext';
+
+/**
+ * @file This file contains the widget registry.
+ * The registry maps the `type` field of a layout entry (e.g. 'statistic', 'list') to the component that renders it,
+ * which lets a whole dashboard be described by a JSON layout document.
+ *
+ * A layout document looks like this:
+ * {
+ *   "version": 1,
+ *   "widgets": [
+ *     { "id": "total-sales", "type": "statistic", "statisticId": 1 },
+ *     { "id": "activity", "type": "list", "colSpan": { "phone": "full", "tablet": 2 }, "props": { "title": "Recent Activity", "items": [] } }
+ *   ]
+ * }
+ * `colSpan` and `rowSpan` are read by ResponsiveGrid, so any widget can be made wider or taller than one cell.
+ * A `titleKey` in `props` names the catalog message used as the title in the current language; `title` is kept as
+ * the text shown when no translation function is given.
+ * A `permission` restricts an entry to the users who have it (see src/config/roles.js).
+ * `tags` and a `category` make an entry easier to find with the dashboard search (see dashboardSearch.js).
+ */
+
+// The registered widget types, keyed by type name.
+const widgetTypes = new Map();
+
+/**
+ * Registers a widget type.
+ * Registering a type that already exists replaces it, which allows apps to override the built-in widgets.
+ * @param {string} type - The type name used in layout documents.
+ * @param {object} definition - The widget definition.
+ * @param {React.ComponentType} definition.component - The component that renders the widget. It should be built on BaseWidget.
+ * @param {function(object, object): (object|null)} [definition.resolveProps] - Builds the component's props from a layout entry
+ * and the render context. Returning null skips the widget (e.g. when the data it is bound to does not exist).
+ * Defaults to passing the entry's `props` through unchanged.
+ * @param {function(object, object): (string|undefined)} [definition.getPermission] - Finds the permission a layout
+ * entry needs from the data it is bound to (e.g. a restricted statistic), when the entry does not declare one.
+ * @param {function(object, object, object): object} [definition.getSearchFields] - Finds more fields the dashboard
+ * search can match a layout entry by, from the entry, its resolved props and the render context: `tags`, a
+ * `category` (used when the entry has none) and a `trend` direction.
+ */
+export const registerWidget = (type, definition) => {
+    if (!type || typeof type !== 'string') {
+        throw new Error('Widget type must be a non-empty string');
+    }
+    if (!definition?.component) {
+        throw new Error(`Widget type "${type}" must define a component`);
+    }
+    widgetTypes.set(type, definition);
+};
+
+/**
+ * Removes a widget type from the registry.
+ * @param {string} type - The type name to remove.
+ */
+export const unregisterWidget = (type) => {
+    widgetTypes.delete(type);
+};
+
+/**
+ * Gets the definition registered for a widget type.
+ * @param {string} type - The type name.
+ * @returns {object | undefined} The widget definition, if one is registered.
+ */
+export const getWidgetDefinition = (type) => widgetTypes.get(type);
+
+/**
+ * Lists the registered widget types.
+ * @returns {Array<string>} The registered type names.
+ */
+export const getRegisteredWidgetTypes = () => Array.from(widgetTypes.keys());
+
+/**
+ * A placeholder rendered for layout entries whose type is not registered.
+ * Rendering a placeholder instead of throwing keeps one bad entry from breaking the whole dashboard.
+ * @param {object} props - The component's properties.
+ * @param {string} props.type - The unknown widget type.
+ * @param {string} [props.title] - The title from the layout entry, if any.
+ */
+const UnsupportedWidget = ({ type, title }) => {
+    const { theme } = useTheme();
+    const styles = useThemedStyles(createStyles);
+    const { t } = useI18n();
+    return (
+        <BaseWidget
+            title={title || t('widget.unsupportedTitle')}
+            icon="help-outline"
+            iconColor={theme.colors.neutral.gray500}>
+            <Text style={styles.unsupportedText}>
+                {t('widget.unsupported', { type })}
+            </Text>
+        </BaseWidget>
+    );
+};
+
+/**
+ * A placeholder rendered for entries of the user's saved layout that the user is not allowed to see, e.g. after
+ * losing a role. It keeps the saved arrangement in shape without revealing the widget, and can be removed in edit
+ * mode.
+ */
+const RestrictedWidget = () => {
+    const { theme } = useTheme();
+    const styles = useThemedStyles(createStyles);
+    const { t } = useI18n();
+    return (
+        <BaseWidget
+            title={t('widget.restrictedTitle')}
+            icon="lock-outline"
+            iconColor={theme.colors.neutral.gray500}>
+            <Text style={styles.unsupportedText}>
+                {t('widget.restricted')}
+            </Text>
+        </BaseWidget>
+    );
+};
+
+/**
+ * Replaces the title of a layout entry with its translation, when the entry has a `titleKey`.
+ * @param {object} widget - The layout entry.
+ * @param {function(string, object=): string} [t] - The translation function.
+ * @returns {object} The layout entry, with its title translated.
+ */
+const localizeWidget = (widget, t) => {
+    if (!t || !widget.props?.titleKey) {
+        return widget;
+    }
+    return { ...widget, props: { ...widget.props, title: t(widget.props.titleKey) } };
+};
+
+/**
+ * Resolves a layout document into the items rendered by ResponsiveGrid.
+ * Each item keeps the fields of its layout entry and gains the `component` and `props` to render it with.
+ * @param {{widgets: Array<object>}} layout - The layout document.
+ * @param {object} [context={}] - Data and callbacks made available to each widget's `resolveProps`. Its `t`
+ * translation function, if any, translates the entries' `titleKey`s.
+ * @param {function(string): boolean} [context.hasPermission] - Checks a permission. Entries that need a permission
+ * the user lacks are left out, except those in `savedWidgetIds`, which are shown as a "restricted" placeholder.
+ * Without it, every entry is shown.
+ * @param {Array<string>} [context.savedWidgetIds] - The ids of the entries the user's saved layout places.
+ * @returns {Array<object>} The resolved grid items. Each one also has the `search` fields the dashboard search
+ * filters it by: its title, subtitle, tags, category and trend.
+ */
+export const resolveLayout = (layout, context = {}) => {
+    const widgets = Array.isArray(layout?.widgets) ? layout.widgets : [];
+    return widgets.reduce((items, entry, index) => {
+        const widget = localizeWidget(entry, context.t);
+        const definition = widgetTypes.get(widget.type);
+        if (!definition) {
+            items.push({
+                ...widget,
+                id: widget.id || `widget-${index}`,
+                component: UnsupportedWidget,
+                props: { type: widget.type, title: widget.props?.title },
+            });
+            return items;
+        }
+        const permission = widget.permission ?? definition.getPermission?.(widget, context);
+        if (permission && context.hasPermission && !context.hasPermission(permission)) {
+            if (context.savedWidgetIds?.includes(widget.id)) {
+                items.push({ ...widget, component: RestrictedWidget, props: {} });
+            }
+            return items;
+        }
+        const props = definition.resolveProps
+            ? definition.resolveProps(widget, context)
+            : { ...widget.props };
+        // A null result means the widget has nothing to show, so it is left out of the grid.
+        if (props) {
+            const fields = definition.getSearchFields?.(widget, props, context) || {};
+            items.push({
+                ...widget,
+                id: widget.id || `widget-${index}`,
+                component: definition.component,
+                props,
+                search: {
+                    title: props.title,
+                    subtitle: props.subtitle,
+                    tags: [...(widget.tags || []), ...(fields.tags || [])],
+                    category: widget.category ?? fields.category,
+                    trend: fields.trend,
+                },
+            });
+        }
+        return items;
+    }, []);
+};
+
+/**
+ * Renders a grid item produced by `resolveLayout`.
+ * This has the signature of ResponsiveGrid's `renderItem` prop, so it can be passed to it directly.
+ * @param {object} item - The resolved grid item.
+ * @returns {React.ReactElement} The rendered widget.
+ */
+export const renderWidget = (item) => {
+    const Component = item.component;
+    return <Component {...item.props} />;
+};
+
+// The styles are built from the current theme by useThemedStyles.
+const createStyles = (theme) => ({
+    unsupportedText: {
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.caption,
+        color: theme.colors.neutral.gray600,
+        textAlign: 'center',
+    },
+});
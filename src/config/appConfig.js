@@ -0,0 +1,61 @@
+/**
+ * @file This file contains the runtime configuration for the application.
+ * Values here are read by the providers in App.tsx, so pointing the dashboard at a
+ * different backend only requires changing this file.
+ */
+
+export const appConfig = {
+    dashboard: {
+        // The REST endpoint that returns the dashboard data document.
+        // When null, the bundled sample data is used instead of a network request.
+        endpoint: null,
+        // How long (in milliseconds) fetched data is considered fresh.
+        staleTime: 5 * 60 * 1000,
+        // How long (in milliseconds) to wait for the endpoint before giving up.
+        timeout: 10 * 1000,
+        // The REST endpoint that returns the detail of one statistic, as a URL template with `{id}` and `{range}`,
+        // e.g. 'https://api.example.com/statistics/{id}?range={range}'.
+        // When null, sample details are generated from the dashboard data instead.
+        detailEndpoint: null,
+        // Whether the last fetched data is saved, so it shows straight away on the next launch and while offline.
+        cache: true,
+        // The schema version of the cached data. Bump it when the shape of the dashboard data changes, so older
+        // cached documents are dropped (see src/services/dashboardCache.js).
+        cacheVersion: 1,
+    },
+    live: {
+        // The WebSocket URL that pushes changes to the statistics, e.g. 'wss://api.example.com/live'.
+        // When null (and there is no sseEndpoint), the statistics only change when the data is fetched.
+        endpoint: null,
+        // The Server-Sent Events URL used when the WebSocket cannot connect, e.g. 'https://api.example.com/live'.
+        sseEndpoint: null,
+    },
+    notifications: {
+        // The REST endpoint that returns the notifications (see src/services/notificationSources.js).
+        // When null, the bundled sample notifications are shown instead.
+        endpoint: null,
+        // How often (in milliseconds) the endpoint is polled while the app is in the foreground.
+        pollInterval: 60 * 1000,
+    },
+    linking: {
+        // The URL prefixes the app opens, e.g. 'responsivedashboard://statistics/3' opens the detail of statistic 3.
+        // The scheme is also registered in AndroidManifest.xml and Info.plist.
+        prefixes: ['responsivedashboard://'],
+    },
+    auth: {
+        // The base URL of the auth endpoints, e.g. 'https://api.example.com/auth' (see src/services/authApi.js).
+        // When null, the bundled demo accounts (see src/data/sampleUsers.js) sign in without a backend.
+        endpoint: null,
+        // How long (in milliseconds) to wait for the endpoint before giving up.
+        timeout: 10 * 1000,
+        // How long (in milliseconds) before the access token expires it is refreshed.
+        refreshMargin: 60 * 1000,
+    },
+    theme: {
+        // A brand theme definition (see src/styles/brandTheme.js), e.g. require('./brands/example.json').
+        // When null, the default themes from theme.js are used.
+        definition: null,
+    },
+};
+
+export default appConfig;
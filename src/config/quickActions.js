@@ -0,0 +1,67 @@
+/**
+ * @file This file contains the Quick Actions shown by the dashboard's quickActions widget.
+ * Each action has an id, an icon, a label (with the `labelKey` of its translation), a handler and the permission
+ * needed to run it, and optionally a color and a badge count. See quickActionRegistry.js for the format.
+ * The built-in commands are 'showMessage', 'openAppearance' and 'openNotifications' (see widgets/index.js).
+ */
+
+export const quickActions = [
+    {
+        id: 'add-product',
+        icon: 'add-box',
+        label: 'Add Product',
+        labelKey: 'quickActions.addProduct',
+        color: 'primary.main',
+        handler: { command: 'showMessage' },
+        permission: 'products.create',
+    },
+    {
+        id: 'view-reports',
+        icon: 'assessment',
+        label: 'View Reports',
+        labelKey: 'quickActions.viewReports',
+        color: 'secondary.main',
+        handler: { navigate: 'statisticDetail', params: { statisticId: 1 } },
+        permission: 'reports.view',
+    },
+    {
+        id: 'manage-users',
+        icon: 'group',
+        label: 'Manage Users',
+        labelKey: 'quickActions.manageUsers',
+        color: 'accent.main',
+        handler: { command: 'showMessage' },
+        permission: 'users.manage',
+    },
+    {
+        id: 'notifications',
+        icon: 'notifications',
+        label: 'Notifications',
+        labelKey: 'quickActions.notifications',
+        color: 'semantic.warning',
+        // The badge shows the live unread count, which the dashboard passes as `unreadNotifications`.
+        badge: 'unreadNotifications',
+        handler: { command: 'openNotifications' },
+        permission: 'notifications.view',
+    },
+    {
+        id: 'export-data',
+        icon: 'file-download',
+        label: 'Export Data',
+        labelKey: 'quickActions.exportData',
+        color: 'semantic.info',
+        handler: { command: 'showMessage' },
+        permission: 'reports.export',
+    },
+    {
+        id: 'settings',
+        icon: 'settings',
+        label: 'Settings',
+        labelKey: 'quickActions.settings',
+        color: 'neutral.gray600',
+        handler: { command: 'openAppearance' },
+        permission: 'settings.appearance',
+    },
+];
+
+export default quickActions;
@@ -0,0 +1,30 @@
+/**
+ * @file This file contains the user roles and the permissions each one grants.
+ * A permission is a dotted name, e.g. 'reports.view'. A role can grant every permission of a group with a
+ * wildcard, e.g. 'reports.*', or every permission with '*'. Users can have several roles; they get the permissions
+ * of all of them.
+ *
+ * The permissions checked by the app are:
+ * - 'revenue.view': see the revenue statistic.
+ * - 'products.create', 'reports.view', 'reports.export', 'users.manage', 'notifications.view' and
+ *   'settings.appearance': run the matching quick actions (see quickActions.js).
+ * Layout entries and statistics can require any other permission with their `permission` field.
+ */
+
+export const roles = {
+    admin: ['*'],
+    manager: [
+        'products.create',
+        'reports.*',
+        'notifications.view',
+        'settings.appearance',
+    ],
+    salesRep: [
+        'products.create',
+        'reports.view',
+        'notifications.view',
+        'settings.appearance',
+    ],
+};
+
+export default roles;
@@ -0,0 +1,216 @@
+import React, {
+    createContext,
+    useCallback,
+    useContext,
+    useEffect,
+    useMemo,
+    useRef,
+    useState,
+} from 'react';
+import { getDefaultStorage } from '../services/storage';
+import { useDashboardData } from './DashboardDataContext';
+import { useNotifications } from './NotificationContext';
+import { useI18n } from './I18nContext';
+import { useSession } from './SessionContext';
+import {
+    collectDataAlertRules,
+    describeAlertRule,
+    evaluateAlertRules,
+    validateAlertRule,
+} from '../utils/alertRules';
+import { resolveStatisticDisplay } from '../utils/numberFormat';
+import { DEFAULT_PERIOD, getPeriodKey } from '../utils/period';
+
+/**
+ * @file This file contains the threshold alerts.
+ * The AlertProvider combines the alert rules declared in the dashboard data with the rules the user added (which
+ * are persisted for each user), evaluates them whenever the data changes, and sends a notification when a rule starts to breach.
+ * A rule that keeps breaching is not notified again until it has recovered, so refreshing never floods the
+ * notification center. Only the statistics the signed-in user has permission for are watched, so no alert ever
+ * tells them about a statistic they cannot see.
+ * The thresholds have no period of their own, so they are taken to describe DEFAULT_PERIOD, like a custom live
+ * source is (see DashboardDataContext.js). While the statistics are those of another period, the rules are not
+ * evaluated, and the rules that were breaching keep that state until DEFAULT_PERIOD is back; switching periods never
+ * notifies.
+ */
+
+const AlertContext = createContext(null);
+
+/**
+ * Builds the storage key for a user's rules and the rules that were breaching when they last used the app.
+ * @param {string} userId - The id of the user.
+ * @returns {string} The storage key.
+ */
+export const getAlertsStorageKey = (userId) => `alerts.state.${userId}`;
+
+/**
+ * Builds the notification sent when a rule starts to breach.
+ * @param {{rule: object, statistic: object}} breach - The breach.
+ * @param {number} now - The current time, in milliseconds.
+ * @param {{t: function(string, object=): string, locale: string}} i18n - The current language.
+ * @returns {object} The notification.
+ */
+const createBreachNotification = ({ rule, statistic }, now, { t, locale }) => {
+    const display = resolveStatisticDisplay(statistic, locale);
+    return {
+        id: `alert-${rule.id}-${now}`,
+        title: t('alerts.notificationTitle', { title: statistic.title }),
+        message: t('alerts.notificationMessage', {
+            rule: describeAlertRule(rule, t),
+            value: rule.metric === 'trend' ? display.trendValue : display.value,
+        }),
+        severity: rule.severity || 'warning',
+        timestamp: now,
+        link: { screen: 'statisticDetail', params: { statisticId: statistic.id } },
+    };
+};
+
+/**
+ * Provides the alert rules and their breaches to its children.
+ * Must be rendered inside a SessionProvider, a DashboardDataProvider and a NotificationProvider.
+ *
+ * @param {object} props - The component's properties.
+ * @param {string} [props.userId='default'] - The user the rules are saved for.
+ * @param {object} [props.storage] - The storage adapter. Defaults to AsyncStorage, with an in-memory fallback.
+ * @param {React.ReactNode} props.children - The components that consume the alerts.
+ */
+export const AlertProvider = ({ userId = 'default', storage = getDefaultStorage(), children }) => {
+    const { statistics: allStatistics, lastUpdated, dataQuery, compare } = useDashboardData();
+    // Whether the statistics are those of the period the thresholds describe. This follows the loaded data rather
+    // than the selection, so the previous period's data is never checked while the new one loads.
+    const watched = dataQuery?.period === getPeriodKey(DEFAULT_PERIOD);
+    // Whether the statistics have trends: the comparison must be on, and must have been when they were loaded.
+    const compared = compare && !!dataQuery?.compare;
+    const { hasPermission } = useSession();
+    const statistics = useMemo(
+        () => allStatistics.filter(statistic => hasPermission(statistic.permission)),
+        [allStatistics, hasPermission],
+    );
+    const { receive } = useNotifications();
+    const { t, locale } = useI18n();
+    const [userRules, setUserRules] = useState([]);
+    // Saving and notifying are held back until the user's saved state has been read, so that rules which were
+    // already breaching before a restart are not notified again, and one user's rules are never saved for another.
+    // This is the user whose state has been read.
+    const [hydratedFor, setHydratedFor] = useState(null);
+    const hydrated = hydratedFor === userId;
+    const breachingRef = useRef([]);
+
+    // Load the user's saved state, and again whenever the user changes.
+    useEffect(() => {
+        let cancelled = false;
+        storage.getItem(getAlertsStorageKey(userId))
+            .catch(() => null)
+            .then(saved => {
+                if (cancelled) {
+                    return;
+                }
+                const rules = Array.isArray(saved?.rules) ? saved.rules : [];
+                setUserRules(rules.filter(rule => validateAlertRule(rule).length === 0));
+                breachingRef.current = Array.isArray(saved?.breaching) ? saved.breaching : [];
+                setHydratedFor(userId);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [storage, userId]);
+
+    const rules = useMemo(
+        () => [...collectDataAlertRules(statistics), ...userRules],
+        [statistics, userRules],
+    );
+    const breaches = useMemo(
+        () => (watched ? evaluateAlertRules(rules, statistics) : []),
+        [watched, rules, statistics],
+    );
+
+    // Notify the rules that started to breach. This runs whenever the data is refreshed or the rules change.
+    useEffect(() => {
+        if (!hydrated) {
+            return;
+        }
+        if (watched) {
+            const now = Date.now();
+            const started = breaches.filter(breach => !breachingRef.current.includes(breach.rule.id));
+            if (started.length > 0) {
+                receive(started.map(breach => createBreachNotification(breach, now, { t, locale })));
+            }
+            // Without the comparison there is no trend, so the trend rules keep their state until it is back.
+            const unevaluated = compared ? [] : breachingRef.current.filter(id =>
+                rules.some(rule => rule.id === id && rule.metric === 'trend'));
+            breachingRef.current = [...breaches.map(breach => breach.rule.id), ...unevaluated];
+        }
+        storage.setItem(getAlertsStorageKey(userId), { rules: userRules, breaching: breachingRef.current })
+            .catch(() => {
+                // The rules still apply for this session if they cannot be saved.
+            });
+    }, [hydrated, watched, compared, rules, breaches, lastUpdated, userRules, receive, storage, userId, t, locale]);
+
+    /**
+     * Adds a user rule.
+     * @param {{statisticId: (number|string), metric: string, operator: string, threshold: number,
+     *   severity?: string}} rule - The rule.
+     * @returns {object} The saved rule, with its id.
+     * @throws {Error} If the rule is invalid (see validateAlertRule).
+     */
+    const addRule = useCallback((rule) => {
+        const errors = validateAlertRule(rule);
+        if (errors.length > 0) {
+            throw new Error(`Invalid alert rule: ${errors.join('; ')}`);
+        }
+        const saved = {
+            id: `user-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            statisticId: rule.statisticId,
+            metric: rule.metric,
+            operator: rule.operator,
+            threshold: rule.threshold,
+            severity: rule.severity || 'warning',
+            source: 'user',
+        };
+        setUserRules(current => [...current, saved]);
+        return saved;
+    }, []);
+
+    /**
+     * Removes a user rule. Rules from the dashboard data cannot be removed.
+     * @param {string} id - The id of the rule.
+     */
+    const removeRule = useCallback((id) => {
+        setUserRules(current => current.filter(rule => rule.id !== id));
+    }, []);
+
+    const value = useMemo(() => {
+        const breachesByStatistic = {};
+        breaches.forEach(breach => {
+            breachesByStatistic[breach.statistic.id] = [...(breachesByStatistic[breach.statistic.id] || []), breach];
+        });
+        return { rules, breaches, breachesByStatistic, addRule, removeRule };
+    }, [rules, breaches, addRule, removeRule]);
+
+    return (
+        <AlertContext.Provider value={value}>
+            {children}
+        </AlertContext.Provider>
+    );
+};
+
+/**
+ * Returns the alert rules, their current breaches and the actions that change the rules.
+ * Must be called from a component rendered inside an AlertProvider.
+ * @returns {{
+ *   rules: Array<object>,
+ *   breaches: Array<{rule: object, statistic: object, actual: number}>,
+ *   breachesByStatistic: Object<string, Array<object>>,
+ *   addRule: function(object): object,
+ *   removeRule: function(string): void,
+ * }} The alerts.
+ */
+export const useAlerts = () => {
+    const context = useContext(AlertContext);
+    if (!context) {
+        throw new Error('useAlerts must be used within an AlertProvider');
+    }
+    return context;
+};
+
+export default AlertContext;
@@ -0,0 +1,237 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import { isAuthError, isSession } from '../services/authApi';
+import { getDefaultStorage } from '../services/storage';
+
+/**
+ * @file This file contains the authentication state of the app.
+ * The AuthProvider signs users in and out with an auth service (see authApi.js), saves the session so the user
+ * stays signed in across launches, and refreshes the access token shortly before it expires. A refresh that the
+ * server rejects signs the user out; one that fails because the device is offline keeps the session and is retried,
+ * so the cached dashboard stays available.
+ */
+
+// The storage key of the saved session.
+export const AUTH_SESSION_KEY = 'auth.session';
+
+const AuthContext = createContext(null);
+
+/**
+ * Checks whether a session's access token expires within a margin.
+ * @param {object} session - The session.
+ * @param {number} margin - The margin in milliseconds.
+ * @returns {boolean} Whether the access token expires within the margin. Tokens without an expiry never do.
+ */
+const expiresWithin = (session, margin) => session.expiresAt !== null && session.expiresAt - margin <= Date.now();
+
+/**
+ * Provides the authentication state to its children.
+ * The saved session is restored on mount; until then `status` is 'restoring'.
+ *
+ * @param {object} props - The component's properties.
+ * @param {{signIn: function, refresh: function, signOut: function}} props.service - The auth service
+ * (see createAuthService). Should be stable, e.g. created at module level.
+ * @param {object} [props.storage] - The storage adapter of the session. Defaults to AsyncStorage, with an in-memory
+ * fallback.
+ * @param {number} [props.refreshMargin=60000] - How long (in milliseconds) before the access token expires it is
+ * refreshed.
+ * @param {number} [props.retryDelay=30000] - How long (in milliseconds) to wait before retrying a refresh that
+ * failed because the server could not be reached.
+ * @param {function(object): void} [props.onSignOut] - Called with the user when they are signed out, e.g. to clear
+ * the data cached for them.
+ * @param {React.ReactNode} props.children - The components that consume the authentication state.
+ */
+export const AuthProvider = ({
+    service,
+    storage = getDefaultStorage(),
+    refreshMargin = 60 * 1000,
+    retryDelay = 30 * 1000,
+    onSignOut,
+    children,
+}) => {
+    const [state, setState] = useState({ status: 'restoring', session: null });
+    // The current session, read by the callbacks so they do not change with every refresh.
+    const sessionRef = useRef(null);
+    // The refresh in flight, shared by everyone who needs a new token at the same time.
+    const refreshingRef = useRef(null);
+    const onSignOutRef = useRef(onSignOut);
+    onSignOutRef.current = onSignOut;
+
+    const applySession = useCallback((session) => {
+        sessionRef.current = session;
+        setState(session ? { status: 'signedIn', session } : { status: 'signedOut', session: null });
+        (session ? storage.setItem(AUTH_SESSION_KEY, session) : storage.removeItem(AUTH_SESSION_KEY)).catch(() => {
+            // The session in memory is still right; at worst the user is asked to sign in again on the next launch.
+        });
+    }, [storage]);
+
+    const endSession = useCallback(() => {
+        const session = sessionRef.current;
+        if (session) {
+            applySession(null);
+            onSignOutRef.current?.(session.user);
+        }
+    }, [applySession]);
+
+    const refresh = useCallback(() => {
+        if (!refreshingRef.current) {
+            const session = sessionRef.current;
+            refreshingRef.current = (session?.refreshToken
+                ? service.refresh(session)
+                : Promise.reject(new Error('The session cannot be refreshed')))
+                .then(next => {
+                    // The user may have signed out while the request was in flight.
+                    if (sessionRef.current === session) {
+                        applySession(next);
+                    }
+                    return next;
+                })
+                .catch(error => {
+                    if (isAuthError(error) && sessionRef.current === session) {
+                        endSession();
+                    }
+                    throw error;
+                })
+                .finally(() => {
+                    refreshingRef.current = null;
+                });
+        }
+        return refreshingRef.current;
+    }, [service, applySession, endSession]);
+
+    // Restore the saved session. An expired one is refreshed first, or ended when it has no refresh token.
+    useEffect(() => {
+        let cancelled = false;
+        storage.getItem(AUTH_SESSION_KEY)
+            .catch(() => null)
+            .then(saved => {
+                if (cancelled) {
+                    return;
+                }
+                if (!isSession(saved)) {
+                    setState({ status: 'signedOut', session: null });
+                    return;
+                }
+                sessionRef.current = saved;
+                if (!expiresWithin(saved, 0)) {
+                    setState({ status: 'signedIn', session: saved });
+                    return;
+                }
+                // An expired session without a refresh token cannot be renewed, online or not.
+                if (!saved.refreshToken) {
+                    endSession();
+                    return;
+                }
+                refresh().catch(error => {
+                    // Offline, the user stays signed in with the expired session, and the refresh is retried.
+                    if (!cancelled && !isAuthError(error) && sessionRef.current === saved) {
+                        setState({ status: 'signedIn', session: saved });
+                    }
+                });
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [storage, refresh, endSession]);
+
+    // Refresh the access token shortly before it expires, and retry when the server cannot be reached.
+    useEffect(() => {
+        const { status, session } = state;
+        if (status !== 'signedIn' || !session.refreshToken || session.expiresAt === null) {
+            return undefined;
+        }
+        let active = true;
+        let timer = null;
+        const schedule = (delay) => {
+            timer = setTimeout(() => {
+                refresh().catch(error => {
+                    if (active && !isAuthError(error)) {
+                        schedule(retryDelay);
+                    }
+                });
+            }, delay);
+        };
+        schedule(Math.max(0, session.expiresAt - refreshMargin - Date.now()));
+        return () => {
+            active = false;
+            clearTimeout(timer);
+        };
+    }, [state, refresh, refreshMargin, retryDelay]);
+
+    /**
+     * Signs a user in. The promise rejects when the credentials are wrong (see isAuthError) or the server cannot
+     * be reached.
+     * @param {{username: string, password: string}} credentials - The user's credentials.
+     * @returns {Promise<object>} The signed-in user.
+     */
+    const signIn = useCallback(async (credentials) => {
+        const session = await service.signIn(credentials);
+        applySession(session);
+        return session.user;
+    }, [service, applySession]);
+
+    /**
+     * Signs the user out. The server is asked to revoke the tokens, but the user is signed out whatever it answers.
+     */
+    const signOut = useCallback(() => {
+        const session = sessionRef.current;
+        if (session) {
+            service.signOut(session).catch(() => {
+                // The tokens are dropped from the device either way, and expire on the server.
+            });
+            endSession();
+        }
+    }, [service, endSession]);
+
+    /**
+     * Returns an access token to authorize a request with, refreshing it first when it is about to expire.
+     * @returns {Promise<string | null>} The access token, or null when nobody is signed in.
+     */
+    const getAccessToken = useCallback(async () => {
+        const session = sessionRef.current;
+        if (session?.refreshToken && expiresWithin(session, refreshMargin)) {
+            try {
+                return (await refresh()).accessToken;
+            } catch (error) {
+                // Offline, the current token is sent anyway; the server decides whether it is still good.
+            }
+        }
+        return sessionRef.current?.accessToken ?? null;
+    }, [refresh, refreshMargin]);
+
+    const value = useMemo(() => ({
+        status: state.status,
+        user: state.session?.user ?? null,
+        demoAccounts: service.demoAccounts ?? null,
+        signIn,
+        signOut,
+        getAccessToken,
+    }), [state, service, signIn, signOut, getAccessToken]);
+
+    return (
+        <AuthContext.Provider value={value}>
+            {children}
+        </AuthContext.Provider>
+    );
+};
+
+/**
+ * Returns the authentication state.
+ * Must be called from a component rendered inside an AuthProvider.
+ * @returns {{
+ *   status: 'restoring' | 'signedOut' | 'signedIn',
+ *   user: {id: string, name: string, email?: string, avatarUrl?: string, roles: Array<string>} | null,
+ *   demoAccounts: Array<{username: string, password: string, roles: Array<string>}> | null,
+ *   signIn: function({username: string, password: string}): Promise<object>,
+ *   signOut: function(): void,
+ *   getAccessToken: function(): Promise<string | null>,
+ * }} The authentication state. `demoAccounts` lists the accounts of the mock service, and is null otherwise.
+ */
+export const useAuth = () => {
+    const context = useContext(AuthContext);
+    if (!context) {
+        throw new Error('useAuth must be used within an AuthProvider');
+    }
+    return context;
+};
+
+export default AuthContext;
@@ -0,0 +1,480 @@
+import React, {
+    createContext,
+    useCallback,
+    useContext,
+    useEffect,
+    useMemo,
+    useReducer,
+    useRef,
+    useState,
+} from 'react';
+import { AppState } from 'react-native';
+import { fetchDashboardData, fetchStatisticDetail, isNetworkError, withQuery } from '../services/dashboardApi';
+import { DASHBOARD_CACHE_VERSION, readDashboardCache, writeDashboardCache } from '../services/dashboardCache';
+import { createLiveStatisticsSource } from '../services/liveUpdates';
+import { getDefaultStorage } from '../services/storage';
+import { sampleDashboard } from '../data/sampleDashboard';
+import { createSamplePeriodData } from '../data/samplePeriodStatistics';
+import { createSampleStatisticDetail } from '../data/sampleStatisticDetail';
+import {
+    DEFAULT_PERIOD,
+    getPeriodKey,
+    getPreviousPeriod,
+    isValidPeriod,
+    resolvePeriod,
+    toDateKey,
+} from '../utils/period';
+
+/**
+ * @file This file contains the data-provider layer for the dashboard.
+ * The DashboardDataProvider owns the dashboard data and its request lifecycle,
+ * and the useDashboardData hook exposes it to any component below the provider.
+ *
+ * With `cache`, the data is stale-while-revalidate: the last fetched document is saved (see dashboardCache.js),
+ * shown straight away on the next launch, and revalidated in the background. It is revalidated again on
+ * pull-to-refresh and when the app comes back to the foreground with stale data.
+ *
+ * With a live endpoint (or a `liveSource`), statistics are also patched by id as the server pushes changes
+ * (see liveUpdates.js), so the dashboard ticks between requests.
+ *
+ * The statistics are queried for a reporting period (see period.js), which the user picks for the whole dashboard.
+ * The endpoint is sent its first and last days as the `start` and `end` query parameters and, when the trends
+ * compare against the previous period, that period's as `compareStart` and `compareEnd`; it is expected to answer
+ * with each statistic's `value` over the period and, when asked to compare, its `previousValue`. Without the
+ * comparison, the statistics carry no trend.
+ * Live patches describe the period up to now, so they are only applied while the selected period runs up to today,
+ * and the live endpoints are sent the same query parameters. A custom `liveSource` cannot be told the period, so it
+ * is taken to describe DEFAULT_PERIOD and is only applied while that period is selected.
+ */
+
+const DashboardDataContext = createContext(null);
+
+/**
+ * Creates the initial provider state.
+ * @param {object} initialData - The data to show before the first request completes.
+ * @returns {object} The initial state.
+ */
+const createInitialState = (initialData) => ({
+    data: initialData,
+    loading: false,
+    refreshing: false,
+    error: null,
+    lastUpdated: null,
+    isStale: true,
+    isOffline: false,
+    fromCache: false,
+    // The period key and comparison the data was loaded for, or null for the initial data.
+    dataQuery: null,
+});
+
+/**
+ * Builds the headers that authorize a request as the signed-in user.
+ * @param {function(): Promise<string | null>} [getAccessToken] - Returns the access token.
+ * @returns {Promise<object | undefined>} The headers, or undefined when there is no token to send.
+ */
+const getAuthHeaders = async (getAccessToken) => {
+    const token = await getAccessToken?.();
+    return token ? { Authorization: `Bearer ${token}` } : undefined;
+};
+
+/**
+ * Removes the fields a statistic's trend is shown from, for when the trends are not compared.
+ * @param {Array<object>} [statistics] - The statistics.
+ * @returns {Array<object> | undefined} The statistics without `previousValue`, `trend` and `trendValue`.
+ */
+const withoutComparison = (statistics) => statistics?.map(({ previousValue, trend, trendValue, ...statistic }) => (
+    statistic
+));
+
+/**
+ * The reducer that drives the request lifecycle.
+ * @param {object} state - The current state.
+ * @param {object} action - The dispatched action.
+ * @returns {object} The next state.
+ */
+const reducer = (state, action) => {
+    switch (action.type) {
+        case 'CACHE_HIT':
+            return {
+                ...state,
+                data: action.data,
+                lastUpdated: action.timestamp,
+                isStale: true,
+                fromCache: true,
+                dataQuery: action.query,
+            };
+        case 'FETCH_START':
+            return {
+                ...state,
+                // A pull-to-refresh keeps the current data on screen, so it is tracked separately from the initial load.
+                // A background revalidation shows neither.
+                loading: !action.refreshing && !action.background,
+                refreshing: action.refreshing,
+            };
+        case 'FETCH_SUCCESS':
+            return {
+                ...state,
+                data: action.data,
+                loading: false,
+                refreshing: false,
+                error: null,
+                lastUpdated: action.timestamp,
+                isStale: false,
+                isOffline: false,
+                fromCache: false,
+                dataQuery: action.query,
+            };
+        case 'FETCH_FAILURE':
+            return {
+                ...state,
+                loading: false,
+                refreshing: false,
+                error: action.error,
+                isOffline: isNetworkError(action.error),
+            };
+        case 'MARK_STALE':
+            return { ...state, isStale: true };
+        case 'PATCH_STATISTICS': {
+            if (!Array.isArray(state.data?.statistics)) {
+                return state;
+            }
+            // Patches for statistics the data does not have are ignored.
+            const patches = new Map(action.patches.map(patch => [String(patch.id), patch]));
+            const statistics = state.data.statistics.map(statistic => {
+                const patch = patches.get(String(statistic.id));
+                return patch ? { ...statistic, ...patch, id: statistic.id } : statistic;
+            });
+            return { ...state, data: { ...state.data, statistics } };
+        }
+        default:
+            return state;
+    }
+};
+
+/**
+ * Provides the dashboard data to its children.
+ * Data is fetched from `endpoint` on mount and whenever `refresh` is called.
+ * If no endpoint is given, `initialData` is served as if it had been fetched.
+ * Statistic details are fetched on demand with `loadStatisticDetail`; without a `detailEndpoint`, sample details are
+ * generated from the statistic instead.
+ * Picking another period with `setPeriod`, or turning the comparison on or off with `setCompare`, re-queries the
+ * statistics. Without an endpoint, the sample statistics of the period are generated from `initialData`.
+ *
+ * @param {object} props - The component's properties.
+ * @param {string | null} [props.endpoint] - The REST endpoint that serves the dashboard data.
+ * @param {string | null} [props.detailEndpoint] - The URL template of the statistic detail endpoint
+ * (see fetchStatisticDetail).
+ * @param {object} [props.initialData=sampleDashboard] - The data shown before the first request completes.
+ * @param {number} [props.staleTime=300000] - How long (in milliseconds) fetched data is considered fresh.
+ * @param {number} [props.timeout] - The request timeout in milliseconds.
+ * @param {function} [props.fetchImpl] - The fetch implementation to use. Useful for tests.
+ * @param {{preset: string, start?: string, end?: string}} [props.initialPeriod=DEFAULT_PERIOD] - The reporting period
+ * shown first.
+ * @param {boolean} [props.initialCompare=true] - Whether the trends compare against the previous period at first.
+ * @param {function(): Promise<string | null>} [props.getAccessToken] - Returns the signed-in user's access token,
+ * which is sent as a bearer token with every request (see useAuth).
+ * @param {boolean} [props.cache=false] - Whether the fetched data is cached for the next launch and offline use.
+ * @param {number} [props.cacheVersion] - The schema version of the cached data. Defaults to DASHBOARD_CACHE_VERSION.
+ * @param {Object<number, function(object): object>} [props.cacheMigrations] - Upgrades cached data of older
+ * versions (see readDashboardCache).
+ * @param {object} [props.storage] - The storage adapter of the cache. Defaults to AsyncStorage, with an in-memory
+ * fallback.
+ * @param {string | null} [props.liveEndpoint] - The WebSocket URL that pushes statistic patches.
+ * @param {string | null} [props.liveSseEndpoint] - The Server-Sent Events URL used when WebSockets cannot connect.
+ * @param {{subscribe: function}} [props.liveSource] - A custom source of statistic patches, used instead of the
+ * live endpoints. Should be stable (e.g. created at module level), since it is re-subscribed when it changes.
+ * @param {React.ReactNode} props.children - The components that consume the data.
+ */
+export const DashboardDataProvider = ({
+    endpoint,
+    detailEndpoint,
+    initialData = sampleDashboard,
+    staleTime = 5 * 60 * 1000,
+    timeout,
+    fetchImpl,
+    initialPeriod = DEFAULT_PERIOD,
+    initialCompare = true,
+    getAccessToken,
+    cache = false,
+    cacheVersion = DASHBOARD_CACHE_VERSION,
+    cacheMigrations,
+    storage = getDefaultStorage(),
+    liveEndpoint,
+    liveSseEndpoint,
+    liveSource,
+    children,
+}) => {
+    const [state, dispatch] = useReducer(reducer, initialData, createInitialState);
+    // The reporting period the statistics are queried for, and whether their trends compare it with the one before.
+    const [period, setPeriodState] = useState(initialPeriod);
+    const [compare, setCompare] = useState(initialCompare);
+    const periodKey = getPeriodKey(period);
+    // Each request gets an id so that a slow, outdated response can never overwrite a newer one.
+    const requestIdRef = useRef(0);
+    const controllerRef = useRef(null);
+    // The migrations are only needed when the cache is read, so a new object on every render does not re-read it.
+    const migrationsRef = useRef(cacheMigrations);
+    migrationsRef.current = cacheMigrations;
+
+    const load = useCallback(async ({ refreshing = false, background = false } = {}) => {
+        const requestId = ++requestIdRef.current;
+        // Without an endpoint there is nothing to request, so the bundled data is served straight away.
+        if (!endpoint) {
+            dispatch({
+                type: 'FETCH_SUCCESS',
+                data: createSamplePeriodData(initialData, period),
+                timestamp: Date.now(),
+                query: { period: periodKey, compare },
+            });
+            return;
+        }
+        // Presets are resolved now rather than when they were picked, so that "today" moves on with the date.
+        const range = resolvePeriod(period);
+        const previous = compare ? getPreviousPeriod(range) : null;
+
+        controllerRef.current?.abort();
+        const controller = new AbortController();
+        controllerRef.current = controller;
+
+        dispatch({ type: 'FETCH_START', refreshing, background });
+        try {
+            const data = await fetchDashboardData(endpoint, {
+                fetchImpl,
+                timeout,
+                signal: controller.signal,
+                headers: await getAuthHeaders(getAccessToken),
+                params: {
+                    start: range.start,
+                    end: range.end,
+                    compareStart: previous?.start,
+                    compareEnd: previous?.end,
+                },
+            });
+            if (requestId === requestIdRef.current) {
+                const timestamp = Date.now();
+                dispatch({ type: 'FETCH_SUCCESS', data, timestamp, query: { period: periodKey, compare } });
+                if (cache) {
+                    writeDashboardCache(storage, data, {
+                        endpoint,
+                        period: periodKey,
+                        timestamp,
+                        version: cacheVersion,
+                    }).catch(() => {
+                        // The data on screen is still current; only the next launch has to wait for the network.
+                    });
+                }
+            }
+        } catch (error) {
+            if (requestId === requestIdRef.current && !controller.signal.aborted) {
+                dispatch({ type: 'FETCH_FAILURE', error });
+            }
+        }
+    }, [
+        endpoint,
+        initialData,
+        period,
+        periodKey,
+        compare,
+        fetchImpl,
+        getAccessToken,
+        timeout,
+        cache,
+        storage,
+        cacheVersion,
+    ]);
+
+    // Load the data when the provider mounts, and again whenever the endpoint or the period changes.
+    // Cached data is shown first, and the request then revalidates it in the background.
+    useEffect(() => {
+        let cancelled = false;
+        if (cache && endpoint) {
+            readDashboardCache(storage, {
+                endpoint,
+                period: periodKey,
+                version: cacheVersion,
+                migrations: migrationsRef.current,
+            })
+                .then(cached => {
+                    if (cancelled) {
+                        return;
+                    }
+                    if (cached) {
+                        dispatch({
+                            type: 'CACHE_HIT',
+                            data: cached.data,
+                            timestamp: cached.timestamp,
+                            query: { period: periodKey, compare },
+                        });
+                    }
+                    load({ background: !!cached });
+                });
+        } else {
+            load();
+        }
+        return () => {
+            cancelled = true;
+            // Cancel the in-flight request so it cannot update an unmounted provider.
+            controllerRef.current?.abort();
+        };
+    }, [load, cache, endpoint, periodKey, compare, storage, cacheVersion]);
+
+    // Flag the data as stale once it is older than `staleTime`.
+    // Bundled data is never re-fetched, so it is only tracked when an endpoint is configured.
+    useEffect(() => {
+        if (!endpoint || state.lastUpdated === null) {
+            return undefined;
+        }
+        const remaining = state.lastUpdated + staleTime - Date.now();
+        const timer = setTimeout(() => dispatch({ type: 'MARK_STALE' }), Math.max(remaining, 0));
+        return () => clearTimeout(timer);
+    }, [endpoint, state.lastUpdated, staleTime]);
+
+    // Revalidate in the background when the app comes back to the foreground with stale or failed data.
+    const needsRevalidationRef = useRef(false);
+    needsRevalidationRef.current = state.isStale || state.error !== null;
+    useEffect(() => {
+        if (!endpoint) {
+            return undefined;
+        }
+        const subscription = AppState.addEventListener('change', nextState => {
+            if (nextState === 'active' && needsRevalidationRef.current) {
+                load({ background: true });
+            }
+        });
+        return () => subscription.remove();
+    }, [endpoint, load]);
+
+    // The query parameters of the live endpoints, or null when the selected period has ended and cannot change.
+    const { start: liveStart, end: liveEnd, days: liveDays } = resolvePeriod(period);
+    const includesToday = liveEnd === toDateKey(new Date());
+    const liveParams = useMemo(() => {
+        if (!includesToday) {
+            return null;
+        }
+        const previous = compare ? getPreviousPeriod({ start: liveStart, days: liveDays }) : null;
+        return { start: liveStart, end: liveEnd, compareStart: previous?.start, compareEnd: previous?.end };
+    }, [includesToday, liveStart, liveEnd, liveDays, compare]);
+
+    // Apply the statistic patches pushed by the live source, if there is one, while they describe the period.
+    useEffect(() => {
+        if (!liveParams) {
+            return undefined;
+        }
+        let source = null;
+        if (liveSource) {
+            source = periodKey === getPeriodKey(DEFAULT_PERIOD) ? liveSource : null;
+        } else if (liveEndpoint || liveSseEndpoint) {
+            source = createLiveStatisticsSource({
+                url: liveEndpoint && withQuery(liveEndpoint, liveParams),
+                sseUrl: liveSseEndpoint && withQuery(liveSseEndpoint, liveParams),
+            });
+        }
+        if (!source) {
+            return undefined;
+        }
+        return source.subscribe(patches => dispatch({ type: 'PATCH_STATISTICS', patches }), () => {
+            // The source reconnects by itself, and the fetched data still refreshes as usual meanwhile.
+        });
+    }, [liveSource, liveEndpoint, liveSseEndpoint, liveParams, periodKey]);
+
+    /**
+     * Re-fetches the dashboard data while keeping the current data on screen.
+     * @returns {Promise<void>} Resolves once the request has settled.
+     */
+    const refresh = useCallback(() => load({ refreshing: true }), [load]);
+
+    /**
+     * Picks the reporting period the statistics are queried for. Periods that are not usable are ignored.
+     * @param {{preset: string, start?: string, end?: string}} nextPeriod - The period, e.g. `{ preset: 'week' }`.
+     */
+    const setPeriod = useCallback((nextPeriod) => {
+        if (isValidPeriod(nextPeriod)) {
+            setPeriodState(nextPeriod);
+        }
+    }, []);
+
+    // Live patches and cached documents may still carry a previous value, so the comparison is dropped here.
+    const statistics = useMemo(
+        () => (compare ? state.data?.statistics : withoutComparison(state.data?.statistics)),
+        [compare, state.data?.statistics],
+    );
+
+    // The sample details are generated from the statistics, but fetched details do not depend on them. Leaving them
+    // out then keeps loadStatisticDetail stable across refreshes and live patches, so an open detail screen is not
+    // reloaded every time the dashboard data changes.
+    const sampleStatistics = detailEndpoint ? null : statistics;
+
+    /**
+     * Loads the detail document of a statistic over a time range.
+     * @param {number | string} statisticId - The id of the statistic. Ids from deep links are strings.
+     * @param {'day' | 'week' | 'month' | 'quarter'} range - The time range.
+     * @param {object} [options] - Request options.
+     * @param {AbortSignal} [options.signal] - An optional signal used to cancel the request.
+     * @returns {Promise<object>} The detail document.
+     */
+    const loadStatisticDetail = useCallback(async (statisticId, range, { signal } = {}) => {
+        if (!detailEndpoint) {
+            const statistic = sampleStatistics?.find(item => String(item.id) === String(statisticId));
+            if (!statistic) {
+                throw new Error(`There is no statistic with the id "${statisticId}"`);
+            }
+            return createSampleStatisticDetail(statistic, range);
+        }
+        return fetchStatisticDetail(detailEndpoint, statisticId, range, {
+            fetchImpl,
+            timeout,
+            signal,
+            headers: await getAuthHeaders(getAccessToken),
+        });
+    }, [detailEndpoint, sampleStatistics, fetchImpl, getAccessToken, timeout]);
+
+    const value = useMemo(() => ({
+        ...state,
+        statistics: statistics || [],
+        refresh,
+        loadStatisticDetail,
+        period,
+        setPeriod,
+        compare,
+        setCompare,
+    }), [state, statistics, refresh, loadStatisticDetail, period, setPeriod, compare]);
+
+    return (
+        <DashboardDataContext.Provider value={value}>
+            {children}
+        </DashboardDataContext.Provider>
+    );
+};
+
+/**
+ * Returns the dashboard data and its request state.
+ * Must be called from a component rendered inside a DashboardDataProvider.
+ * @returns {{
+ *   data: object,
+ *   statistics: Array<object>,
+ *   loading: boolean,
+ *   refreshing: boolean,
+ *   error: Error | null,
+ *   isStale: boolean,
+ *   isOffline: boolean,
+ *   fromCache: boolean,
+ *   lastUpdated: number | null,
+ *   dataQuery: {period: string, compare: boolean} | null,
+ *   refresh: function(): Promise<void>,
+ *   loadStatisticDetail: function((number|string), string, object=): Promise<object>,
+ *   period: {preset: string, start?: string, end?: string},
+ *   setPeriod: function(object): void,
+ *   compare: boolean,
+ *   setCompare: function(boolean): void,
+ * }} The dashboard data state. `dataQuery` is the period key (see getPeriodKey) and comparison the data was loaded
+ * for; it lags behind `period` and `compare` until the data of a new selection has arrived.
+ */
+export const useDashboardData = () => {
+    const context = useContext(DashboardDataContext);
+    if (!context) {
+        throw new Error('useDashboardData must be used within a DashboardDataProvider');
+    }
+    return context;
+};
+
+export default DashboardDataContext;
@@ -0,0 +1,117 @@
+import React, {
+    createContext,
+    useCallback,
+    useContext,
+    useEffect,
+    useMemo,
+    useState,
+} from 'react';
+import { getDefaultStorage } from '../services/storage';
+import { EMPTY_DASHBOARD_FILTER, TREND_FACETS } from '../utils/dashboardSearch';
+
+/**
+ * @file This file contains the user's search and facet filter of the dashboard widgets.
+ * The filter lives above the screens and is saved for each user, so it survives refreshing the data, rotating the
+ * device and restarting the app. The matching itself is done by dashboardSearch.js.
+ */
+
+const DashboardFilterContext = createContext(null);
+
+/**
+ * Builds the storage key for a user's filter.
+ * @param {string} userId - The id of the user.
+ * @returns {string} The storage key.
+ */
+export const getFilterStorageKey = (userId) => `dashboard.filter.${userId}`;
+
+/**
+ * Turns a saved value into a usable filter, dropping fields that are not.
+ * @param {*} saved - The saved value.
+ * @returns {{query: string, category: (string | null), trend: (string | null)}} The filter.
+ */
+const normalizeFilter = (saved) => ({
+    query: typeof saved?.query === 'string' ? saved.query : '',
+    category: typeof saved?.category === 'string' ? saved.category : null,
+    trend: TREND_FACETS.includes(saved?.trend) ? saved.trend : null,
+});
+
+/**
+ * Provides the dashboard filter and the actions that change it.
+ *
+ * @param {object} props - The component's properties.
+ * @param {string} [props.userId='default'] - The user the filter is saved for.
+ * @param {object} [props.storage] - The storage adapter. Defaults to AsyncStorage, with an in-memory fallback.
+ * @param {React.ReactNode} props.children - The components that consume the filter.
+ */
+export const DashboardFilterProvider = ({ userId = 'default', storage = getDefaultStorage(), children }) => {
+    const [filter, setFilterState] = useState(EMPTY_DASHBOARD_FILTER);
+    // Saving is held back until the user's stored filter has been read, so neither the empty filter nor the
+    // previous user's can ever overwrite it. This is the user whose filter has been read.
+    const [hydratedFor, setHydratedFor] = useState(null);
+    const hydrated = hydratedFor === userId;
+
+    // Load the user's saved filter whenever the user changes.
+    useEffect(() => {
+        let cancelled = false;
+        storage.getItem(getFilterStorageKey(userId))
+            .catch(() => null)
+            .then(saved => {
+                if (!cancelled) {
+                    setFilterState(normalizeFilter(saved));
+                    setHydratedFor(userId);
+                }
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [storage, userId]);
+
+    // Save the filter whenever it changes.
+    useEffect(() => {
+        if (hydrated) {
+            storage.setItem(getFilterStorageKey(userId), filter).catch(() => {
+                // A failed save only means the next launch starts unfiltered.
+            });
+        }
+    }, [storage, userId, filter, hydrated]);
+
+    /**
+     * Changes some fields of the filter.
+     * @param {object} changes - The fields to change, e.g. `{ query: 'sales' }` or `{ trend: null }`.
+     */
+    const setFilter = useCallback((changes) => {
+        setFilterState(current => normalizeFilter({ ...current, ...changes }));
+    }, []);
+
+    /**
+     * Clears the query and the facets, so every widget is shown.
+     */
+    const clearFilter = useCallback(() => setFilterState(EMPTY_DASHBOARD_FILTER), []);
+
+    const value = useMemo(() => ({ filter, setFilter, clearFilter }), [filter, setFilter, clearFilter]);
+
+    return (
+        <DashboardFilterContext.Provider value={value}>
+            {children}
+        </DashboardFilterContext.Provider>
+    );
+};
+
+/**
+ * Returns the dashboard filter and the actions that change it.
+ * Must be called from a component rendered inside a DashboardFilterProvider.
+ * @returns {{
+ *   filter: {query: string, category: (string | null), trend: (string | null)},
+ *   setFilter: function(object): void,
+ *   clearFilter: function(): void,
+ * }} The filter state.
+ */
+export const useDashboardFilter = () => {
+    const context = useContext(DashboardFilterContext);
+    if (!context) {
+        throw new Error('useDashboardFilter must be used within a DashboardFilterProvider');
+    }
+    return context;
+};
+
+export default DashboardFilterContext;
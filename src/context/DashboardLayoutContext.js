@@ -0,0 +1,221 @@
+import React, {
+    createContext,
+    useCallback,
+    useContext,
+    useEffect,
+    useMemo,
+    useState,
+} from 'react';
+import { useDashboardData } from './DashboardDataContext';
+import { getDefaultStorage } from '../services/storage';
+import defaultLayout from '../data/defaultLayout.json';
+
+/**
+ * @file This file contains the user's customization of the dashboard layout.
+ * The base layout comes from the dashboard data (or the bundled default). On top of it, each user keeps
+ * their own widget order and the list of widgets they removed, which is persisted through a storage adapter.
+ * Storing only ids (rather than whole widget entries) means widgets added to the base layout later still show up.
+ */
+
+const DashboardLayoutContext = createContext(null);
+
+// The customization used before anything has been saved.
+const EMPTY_CUSTOMIZATION = { order: [], removed: [] };
+
+/**
+ * Builds the storage key for a user's layout.
+ * @param {string} userId - The id of the user.
+ * @returns {string} The storage key.
+ */
+export const getLayoutStorageKey = (userId) => `dashboard.layout.${userId}`;
+
+/**
+ * Applies a user's customization to the base layout.
+ * Widgets keep the user's order; widgets the user has never seen are appended in base-layout order.
+ * @param {{widgets: Array<object>}} baseLayout - The base layout document.
+ * @param {{order: Array<string>, removed: Array<string>}} customization - The user's customization.
+ * @returns {{layout: object, available: Array<object>}} The customized layout, and the removed widgets
+ * that can be added back.
+ */
+export const applyLayoutCustomization = (baseLayout, { order, removed }) => {
+    const widgets = baseLayout?.widgets || [];
+    const byId = new Map(widgets.map(widget => [widget.id, widget]));
+    const ordered = order.filter(id => byId.has(id) && !removed.includes(id)).map(id => byId.get(id));
+    const unseen = widgets.filter(widget => !order.includes(widget.id) && !removed.includes(widget.id));
+    return {
+        layout: { ...baseLayout, widgets: [...ordered, ...unseen] },
+        available: widgets.filter(widget => removed.includes(widget.id)),
+    };
+};
+
+/**
+ * Provides the customized dashboard layout, the edit mode flag and the actions that change the layout.
+ * Must be rendered inside a DashboardDataProvider.
+ *
+ * @param {object} props - The component's properties.
+ * @param {string} [props.userId='default'] - The user the layout is saved for.
+ * @param {object} [props.baseLayout] - The base layout. Defaults to the layout served with the dashboard data,
+ * or the bundled default layout if the data has none.
+ * @param {object} [props.storage] - The storage adapter. Defaults to AsyncStorage, with an in-memory fallback.
+ * @param {React.ReactNode} props.children - The components that consume the layout.
+ */
+export const DashboardLayoutProvider = ({
+    userId = 'default',
+    baseLayout,
+    storage = getDefaultStorage(),
+    children,
+}) => {
+    const { data } = useDashboardData();
+    const activeBaseLayout = baseLayout || data?.layout || defaultLayout;
+
+    const [customization, setCustomization] = useState(EMPTY_CUSTOMIZATION);
+    // Saving is held back until the user's stored layout has been read, so neither the default nor the previous
+    // user's layout can ever overwrite it. This is the user whose layout has been read.
+    const [hydratedFor, setHydratedFor] = useState(null);
+    const hydrated = hydratedFor === userId;
+    const [editing, setEditing] = useState(false);
+
+    // Load the user's saved layout whenever the user changes.
+    useEffect(() => {
+        let cancelled = false;
+        storage.getItem(getLayoutStorageKey(userId))
+            .catch(() => null)
+            .then(saved => {
+                if (cancelled) {
+                    return;
+                }
+                setCustomization({
+                    order: Array.isArray(saved?.order) ? saved.order : [],
+                    removed: Array.isArray(saved?.removed) ? saved.removed : [],
+                });
+                setHydratedFor(userId);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [storage, userId]);
+
+    // Save the layout whenever the user changes it.
+    useEffect(() => {
+        if (hydrated) {
+            storage.setItem(getLayoutStorageKey(userId), customization).catch(() => {
+                // A failed save only loses the latest change; the layout on screen is still correct.
+            });
+        }
+    }, [storage, userId, customization, hydrated]);
+
+    const { layout, available } = useMemo(
+        () => applyLayoutCustomization(activeBaseLayout, customization),
+        [activeBaseLayout, customization],
+    );
+
+    /**
+     * Moves a widget to a new position in the layout.
+     * @param {string} widgetId - The id of the widget to move.
+     * @param {number} toIndex - The index the widget should end up at.
+     */
+    const moveWidget = useCallback((widgetId, toIndex) => {
+        setCustomization(current => {
+            const ids = applyLayoutCustomization(activeBaseLayout, current).layout.widgets.map(w => w.id);
+            const fromIndex = ids.indexOf(widgetId);
+            if (fromIndex === -1 || fromIndex === toIndex) {
+                return current;
+            }
+            ids.splice(fromIndex, 1);
+            ids.splice(Math.max(0, Math.min(toIndex, ids.length)), 0, widgetId);
+            return { ...current, order: ids };
+        });
+    }, [activeBaseLayout]);
+
+    /**
+     * Removes a widget from the layout. It can be added back with `addWidget`.
+     * @param {string} widgetId - The id of the widget to remove.
+     */
+    const removeWidget = useCallback((widgetId) => {
+        setCustomization(current => ({
+            order: current.order.filter(id => id !== widgetId),
+            removed: current.removed.includes(widgetId) ? current.removed : [...current.removed, widgetId],
+        }));
+    }, []);
+
+    /**
+     * Adds a previously removed widget back to the end of the layout.
+     * @param {string} widgetId - The id of the widget to add.
+     */
+    const addWidget = useCallback((widgetId) => {
+        setCustomization(current => {
+            const ids = applyLayoutCustomization(activeBaseLayout, current).layout.widgets.map(w => w.id);
+            return {
+                order: [...ids.filter(id => id !== widgetId), widgetId],
+                removed: current.removed.filter(id => id !== widgetId),
+            };
+        });
+    }, [activeBaseLayout]);
+
+    /**
+     * Discards the user's customization and goes back to the base layout.
+     */
+    const resetLayout = useCallback(() => {
+        setCustomization(EMPTY_CUSTOMIZATION);
+    }, []);
+
+    const toggleEditing = useCallback(() => setEditing(current => !current), []);
+
+    const value = useMemo(() => ({
+        layout,
+        available,
+        savedWidgetIds: customization.order,
+        hydrated,
+        editing,
+        setEditing,
+        toggleEditing,
+        moveWidget,
+        removeWidget,
+        addWidget,
+        resetLayout,
+    }), [
+        layout,
+        available,
+        customization.order,
+        hydrated,
+        editing,
+        toggleEditing,
+        moveWidget,
+        removeWidget,
+        addWidget,
+        resetLayout,
+    ]);
+
+    return (
+        <DashboardLayoutContext.Provider value={value}>
+            {children}
+        </DashboardLayoutContext.Provider>
+    );
+};
+
+/**
+ * Returns the customized dashboard layout and the actions that change it.
+ * Must be called from a component rendered inside a DashboardLayoutProvider.
+ * @returns {{
+ *   layout: object,
+ *   available: Array<object>,
+ *   savedWidgetIds: Array<string>,
+ *   hydrated: boolean,
+ *   editing: boolean,
+ *   setEditing: function(boolean): void,
+ *   toggleEditing: function(): void,
+ *   moveWidget: function(string, number): void,
+ *   removeWidget: function(string): void,
+ *   addWidget: function(string): void,
+ *   resetLayout: function(): void,
+ * }} The layout state. `savedWidgetIds` lists the widgets placed by the user's saved layout, in order.
+ */
+export const useDashboardLayout = () => {
+    const context = useContext(DashboardLayoutContext);
+    if (!context) {
+        throw new Error('useDashboardLayout must be used within a DashboardLayoutProvider');
+    }
+    return context;
+};
+
+export default DashboardLayoutContext;
@@ -0,0 +1,131 @@
+import React, {
+    createContext,
+    useCallback,
+    useContext,
+    useEffect,
+    useMemo,
+    useState,
+} from 'react';
+import { I18nManager } from 'react-native';
+import { LANGUAGES, createTranslator, resolveLanguage, translate } from '../i18n';
+import { getDefaultStorage } from '../services/storage';
+import { getDeviceLocale } from '../utils/numberFormat';
+
+/**
+ * @file This file contains the runtime language.
+ * The I18nProvider follows the device language unless the user has picked one, and the useI18n hook gives
+ * components the translation function and the layout direction of the current language.
+ *
+ * Right-to-left languages are mirrored by the app itself: the navigator and the bottom sheets set the `direction`
+ * style, and components use start/end rather than left/right. Unlike I18nManager.forceRTL, this takes effect
+ * without restarting the app, so the language can be switched at runtime.
+ */
+
+// The storage key for the user's language preference.
+export const LANGUAGE_PREFERENCE_KEY = 'settings.language';
+
+// The preferences a user can pick. 'system' follows the device language.
+export const LANGUAGE_PREFERENCES = ['system', ...LANGUAGES.map(language => language.code)];
+
+// Components rendered without an I18nProvider (e.g. in isolated tests) get English.
+const I18nContext = createContext({
+    language: 'en',
+    locale: 'en',
+    direction: 'ltr',
+    isRTL: false,
+    preference: 'system',
+    languages: LANGUAGES,
+    setPreference: () => {},
+    t: translate,
+});
+
+/**
+ * Provides the current language to its children.
+ *
+ * @param {object} props - The component's properties.
+ * @param {string} [props.initialPreference='system'] - The preference used until the saved one has been loaded.
+ * @param {string} [props.deviceLocale] - The device locale. Defaults to the one reported by Intl.
+ * @param {object} [props.storage] - The storage adapter used to persist the preference.
+ * @param {React.ReactNode} props.children - The components that consume the language.
+ */
+export const I18nProvider = ({
+    initialPreference = 'system',
+    deviceLocale = getDeviceLocale(),
+    storage = getDefaultStorage(),
+    children,
+}) => {
+    const [preference, setPreferenceState] = useState(initialPreference);
+
+    // The app mirrors its own layout, so the native one is kept left-to-right to avoid mirroring it twice.
+    // This takes effect from the next launch.
+    useEffect(() => {
+        I18nManager.allowRTL(false);
+    }, []);
+
+    // Load the saved preference once.
+    useEffect(() => {
+        let cancelled = false;
+        storage.getItem(LANGUAGE_PREFERENCE_KEY)
+            .catch(() => null)
+            .then(saved => {
+                if (!cancelled && LANGUAGE_PREFERENCES.includes(saved)) {
+                    setPreferenceState(saved);
+                }
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [storage]);
+
+    /**
+     * Changes and saves the user's language preference.
+     * @param {string} nextPreference - 'system' or a language code.
+     */
+    const setPreference = useCallback((nextPreference) => {
+        if (!LANGUAGE_PREFERENCES.includes(nextPreference)) {
+            return;
+        }
+        setPreferenceState(nextPreference);
+        storage.setItem(LANGUAGE_PREFERENCE_KEY, nextPreference).catch(() => {
+            // The preference still applies for this session if it cannot be saved.
+        });
+    }, [storage]);
+
+    const value = useMemo(() => {
+        const { code, locale } = resolveLanguage(preference, deviceLocale);
+        const direction = LANGUAGES.find(language => language.code === code).direction;
+        return {
+            language: code,
+            locale,
+            direction,
+            isRTL: direction === 'rtl',
+            preference,
+            languages: LANGUAGES,
+            setPreference,
+            t: createTranslator(code, locale),
+        };
+    }, [preference, deviceLocale, setPreference]);
+
+    return (
+        <I18nContext.Provider value={value}>
+            {children}
+        </I18nContext.Provider>
+    );
+};
+
+/**
+ * Returns the current language, its translation function and its layout direction.
+ * @returns {{
+ *   language: string,
+ *   locale: string,
+ *   direction: 'ltr' | 'rtl',
+ *   isRTL: boolean,
+ *   preference: string,
+ *   languages: Array<{code: string, name: string, direction: string}>,
+ *   setPreference: function(string): void,
+ *   t: function(string, object=): string,
+ * }} The language state.
+ */
+export const useI18n = () => useContext(I18nContext);
+
+export default I18nContext;
@@ -0,0 +1,209 @@
+import React, {
+    createContext,
+    useCallback,
+    useContext,
+    useEffect,
+    useMemo,
+    useReducer,
+} from 'react';
+import { getDefaultStorage } from '../services/storage';
+import { createEndpointSource, createStaticSource } from '../services/notificationSources';
+import { normalizeNotification, mergeNotifications } from '../utils/notifications';
+import { sampleNotifications } from '../data/sampleNotifications';
+
+/**
+ * @file This file contains the notification center.
+ * The NotificationProvider keeps the notifications delivered by its sources (see notificationSources.js), tracks
+ * which are read, and persists them for each user through a storage adapter. The useNotifications hook exposes them, with the
+ * unread count and the actions that change them, to any component below the provider.
+ */
+
+const NotificationContext = createContext(null);
+
+/**
+ * Builds the storage key for a user's saved notifications.
+ * @param {string} userId - The id of the user.
+ * @returns {string} The storage key.
+ */
+export const getNotificationsStorageKey = (userId) => `notifications.state.${userId}`;
+
+// How many cleared notification ids are remembered, so a source that re-sends them does not bring them back.
+const MAX_DISMISSED = 200;
+
+// `hydratedFor` is the user whose saved notifications have been loaded, or null before the first load.
+const INITIAL_STATE = { items: [], dismissed: [], hydratedFor: null };
+
+/**
+ * The reducer that drives the notification store.
+ * @param {object} state - The current state.
+ * @param {object} action - The dispatched action.
+ * @returns {object} The next state.
+ */
+const reducer = (state, action) => {
+    switch (action.type) {
+        case 'HYDRATE': {
+            const saved = action.saved || {};
+            // When the user changes, nothing of the previous user's notifications is kept.
+            const current = state.hydratedFor === null ? state : INITIAL_STATE;
+            const dismissed = Array.isArray(saved.dismissed) ? saved.dismissed : [];
+            const items = (Array.isArray(saved.items) ? saved.items : [])
+                .map(item => normalizeNotification(item))
+                .filter(Boolean);
+            // Notifications delivered while the saved state was being read are kept, unless they were cleared before.
+            const delivered = current.items.filter(item => !dismissed.includes(item.id));
+            return {
+                items: mergeNotifications(items, delivered, action.maxItems),
+                dismissed: [...new Set([...dismissed, ...current.dismissed])].slice(-MAX_DISMISSED),
+                hydratedFor: action.userId,
+            };
+        }
+        case 'RECEIVE': {
+            const incoming = action.notifications.filter(item => !state.dismissed.includes(item.id));
+            if (incoming.length === 0) {
+                return state;
+            }
+            return { ...state, items: mergeNotifications(state.items, incoming, action.maxItems) };
+        }
+        case 'MARK_READ':
+            return {
+                ...state,
+                items: state.items.map(item => (item.id === action.id && !item.read ? { ...item, read: true } : item)),
+            };
+        case 'MARK_ALL_READ':
+            return { ...state, items: state.items.map(item => (item.read ? item : { ...item, read: true })) };
+        case 'CLEAR_ALL':
+            return {
+                ...state,
+                items: [],
+                dismissed: [...state.dismissed, ...state.items.map(item => item.id)].slice(-MAX_DISMISSED),
+            };
+        default:
+            return state;
+    }
+};
+
+// The default for `sources`. Kept at module level so that it is stable.
+const NO_SOURCES = [];
+
+/**
+ * Provides the notification center to its children.
+ * Without an endpoint or sources, the bundled sample notifications are shown.
+ *
+ * @param {object} props - The component's properties.
+ * @param {string | null} [props.endpoint] - A REST endpoint to poll for notifications (see fetchNotifications).
+ * @param {number} [props.pollInterval=60000] - The time between two polls of the endpoint, in milliseconds.
+ * @param {Array<{subscribe: function}>} [props.sources] - Extra notification sources, e.g. a push source.
+ * Should be stable (e.g. created at module level), since the sources are re-subscribed when it changes.
+ * @param {number} [props.maxItems=50] - The most notifications to keep. The oldest are dropped first.
+ * @param {string} [props.userId='default'] - The user the notifications are saved for.
+ * @param {object} [props.storage] - The storage adapter. Defaults to AsyncStorage, with an in-memory fallback.
+ * @param {React.ReactNode} props.children - The components that consume the notifications.
+ */
+export const NotificationProvider = ({
+    endpoint,
+    pollInterval = 60 * 1000,
+    sources = NO_SOURCES,
+    maxItems = 50,
+    userId = 'default',
+    storage = getDefaultStorage(),
+    children,
+}) => {
+    const [state, dispatch] = useReducer(reducer, INITIAL_STATE);
+
+    // Load the user's saved notifications, and again whenever the user changes.
+    useEffect(() => {
+        let cancelled = false;
+        storage.getItem(getNotificationsStorageKey(userId))
+            .catch(() => null)
+            .then(saved => {
+                if (!cancelled) {
+                    dispatch({ type: 'HYDRATE', saved, maxItems, userId });
+                }
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [storage, maxItems, userId]);
+
+    // Save the notifications whenever they change, once the user's saved ones have been loaded. Until then, the
+    // state may still be the previous user's, which must not be written under the new user's key.
+    useEffect(() => {
+        if (state.hydratedFor !== userId) {
+            return;
+        }
+        storage.setItem(getNotificationsStorageKey(userId), { items: state.items, dismissed: state.dismissed })
+            .catch(() => {
+                // The notifications still work for this session if they cannot be saved.
+            });
+    }, [storage, userId, state]);
+
+    /**
+     * Adds notifications to the store. Sources call this through `emit`, and the app can call it directly for
+     * notifications it raises itself.
+     * @param {object | Array<object>} notifications - One notification or an array of them.
+     */
+    const receive = useCallback((notifications) => {
+        const now = Date.now();
+        const normalized = (Array.isArray(notifications) ? notifications : [notifications])
+            .map(item => normalizeNotification(item, now))
+            .filter(Boolean);
+        dispatch({ type: 'RECEIVE', notifications: normalized, maxItems });
+    }, [maxItems]);
+
+    // Subscribe to the sources. Without an endpoint or sources, the samples stand in for them.
+    useEffect(() => {
+        let primary = null;
+        if (endpoint) {
+            primary = createEndpointSource(endpoint, { interval: pollInterval });
+        } else if (sources.length === 0) {
+            primary = createStaticSource(sampleNotifications);
+        }
+        const active = primary ? [primary, ...sources] : sources;
+        const unsubscribes = active.map(source => source.subscribe(receive, () => {
+            // A failed poll keeps the current notifications; the next one tries again.
+        }));
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    }, [endpoint, pollInterval, sources, receive]);
+
+    const markRead = useCallback((id) => dispatch({ type: 'MARK_READ', id }), []);
+    const markAllRead = useCallback(() => dispatch({ type: 'MARK_ALL_READ' }), []);
+    const clearAll = useCallback(() => dispatch({ type: 'CLEAR_ALL' }), []);
+
+    const value = useMemo(() => ({
+        notifications: state.items,
+        unreadCount: state.items.filter(item => !item.read).length,
+        receive,
+        markRead,
+        markAllRead,
+        clearAll,
+    }), [state.items, receive, markRead, markAllRead, clearAll]);
+
+    return (
+        <NotificationContext.Provider value={value}>
+            {children}
+        </NotificationContext.Provider>
+    );
+};
+
+/**
+ * Returns the notifications, the unread count and the actions that change them.
+ * Must be called from a component rendered inside a NotificationProvider.
+ * @returns {{
+ *   notifications: Array<{id: string, title: string, message: string, severity: string, timestamp: number,
+ *     read: boolean, link: {screen: string, params: object} | null}>,
+ *   unreadCount: number,
+ *   receive: function((object|Array<object>)): void,
+ *   markRead: function(string): void,
+ *   markAllRead: function(): void,
+ *   clearAll: function(): void,
+ * }} The notification center.
+ */
+export const useNotifications = () => {
+    const context = useContext(NotificationContext);
+    if (!context) {
+        throw new Error('useNotifications must be used within a NotificationProvider');
+    }
+    return context;
+};
+
+export default NotificationContext;
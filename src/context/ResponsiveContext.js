@@ -0,0 +1,64 @@
+import React, { createContext, useContext, useMemo } from 'react';
+import { useWindowDimensions } from 'react-native';
+import { getResponsiveMetrics } from '../utils/responsive';
+
+/**
+ * @file This file contains the reactive responsive values.
+ * The ResponsiveProvider listens to the window size (rotation, split screen, resizing) and the user's font scale, and
+ * shares the device type, orientation, grid columns and scaled spacing and typography with its children, so they
+ * re-layout when either changes.
+ */
+
+const ResponsiveContext = createContext(null);
+
+/**
+ * Provides the responsive values for the current window size to its children.
+ *
+ * Providers can be nested to give one screen a different density: a nested provider keeps the breakpoints and
+ * column policy of its parent, except for the props it sets. The props should be stable (e.g. defined at module
+ * level), since the values are recalculated whenever they change.
+ *
+ * @param {object} props - The component's properties.
+ * @param {object} [props.breakpoints] - Custom breakpoint widths (see resolveBreakpoints in responsive.js).
+ * @param {object} [props.columnMap] - Grid column counts keyed by device, e.g. `{ phone: 1, tabletLandscape: 3 }`.
+ * @param {number} [props.minItemWidth] - Derive the grid columns from this minimum item width instead.
+ * @param {React.ReactNode} props.children - The components that consume the responsive values.
+ */
+export const ResponsiveProvider = ({ breakpoints, columnMap, minItemWidth, children }) => {
+    const { width, height, fontScale } = useWindowDimensions();
+    const parent = useContext(ResponsiveContext);
+    const activeBreakpoints = breakpoints ?? parent?.breakpoints;
+    const activeColumnMap = columnMap ?? parent?.columnMap;
+    const activeMinItemWidth = minItemWidth ?? parent?.minItemWidth;
+    // Everything is derived from the window, font scale and policy, so it is only recalculated when they change.
+    const value = useMemo(
+        () => getResponsiveMetrics({ width, height, fontScale }, {
+            breakpoints: activeBreakpoints,
+            columnMap: activeColumnMap,
+            minItemWidth: activeMinItemWidth,
+        }),
+        [width, height, fontScale, activeBreakpoints, activeColumnMap, activeMinItemWidth],
+    );
+
+    return (
+        <ResponsiveContext.Provider value={value}>
+            {children}
+        </ResponsiveContext.Provider>
+    );
+};
+
+/**
+ * Returns the responsive values for the current window size.
+ * Components that call it re-render when the window size changes.
+ * Must be called from a component rendered inside a ResponsiveProvider.
+ * @returns {ReturnType<typeof getResponsiveMetrics>} The responsive values (see getResponsiveMetrics).
+ */
+export const useResponsive = () => {
+    const context = useContext(ResponsiveContext);
+    if (!context) {
+        throw new Error('useResponsive must be used within a ResponsiveProvider');
+    }
+    return context;
+};
+
+export default ResponsiveContext;
@@ -0,0 +1,54 @@
+import React, { createContext, useContext, useMemo } from 'react';
+import defaultRoles from '../config/roles';
+import { createPermissionCheck, getRolePermissions } from '../utils/permissions';
+
+/**
+ * @file This file contains the session of the signed-in user.
+ * The SessionProvider shares the user, the permissions their roles grant, and a `hasPermission` check, which the
+ * dashboard uses to decide which widgets, statistics and quick actions to show.
+ */
+
+const SessionContext = createContext(null);
+
+/**
+ * Provides the session of the signed-in user to its children.
+ *
+ * @param {object} props - The component's properties.
+ * @param {{id: string, name: string, roles: Array<string>} | null} [props.user=null] - The signed-in user, or null
+ * when nobody is signed in, who then has no permissions. It should be stable, since the permissions are
+ * recalculated whenever it changes.
+ * @param {Object<string, Array<string>>} [props.roles] - The permissions of each role. Defaults to
+ * src/config/roles.js.
+ * @param {React.ReactNode} props.children - The components that consume the session.
+ */
+export const SessionProvider = ({ user = null, roles = defaultRoles, children }) => {
+    const value = useMemo(() => {
+        const permissions = getRolePermissions(user?.roles, roles);
+        return { user, permissions, hasPermission: createPermissionCheck(permissions) };
+    }, [user, roles]);
+
+    return (
+        <SessionContext.Provider value={value}>
+            {children}
+        </SessionContext.Provider>
+    );
+};
+
+/**
+ * Returns the session of the signed-in user.
+ * Must be called from a component rendered inside a SessionProvider.
+ * @returns {{
+ *   user: {id: string, name: string, roles: Array<string>} | null,
+ *   permissions: Array<string>,
+ *   hasPermission: function((string | undefined)): boolean,
+ * }} The session. `hasPermission` allows anything that requires no permission.
+ */
+export const useSession = () => {
+    const context = useContext(SessionContext);
+    if (!context) {
+        throw new Error('useSession must be used within a SessionProvider');
+    }
+    return context;
+};
+
+export default SessionContext;
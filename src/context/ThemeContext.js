@@ -0,0 +1,177 @@
+import React, {
+    createContext,
+    useCallback,
+    useContext,
+    useEffect,
+    useMemo,
+    useRef,
+    useState,
+} from 'react';
+import { StyleSheet, useColorScheme } from 'react-native';
+import { theme as lightTheme, themes as defaultThemes } from '../styles/theme';
+import { createBrandThemes, ThemeDefinitionError } from '../styles/brandTheme';
+import { getDefaultStorage } from '../services/storage';
+import ResponsiveContext, { useResponsive } from './ResponsiveContext';
+
+/**
+ * @file This file contains the runtime theme.
+ * The ThemeProvider follows the system color scheme unless the user has picked a theme, and the
+ * useTheme and useThemedStyles hooks let components restyle live when the theme changes.
+ */
+
+// The storage key for the user's theme preference.
+export const THEME_PREFERENCE_KEY = 'settings.themePreference';
+
+// The preferences a user can pick. 'system' follows the device's light/dark setting.
+export const THEME_PREFERENCES = ['system', 'light', 'dark', 'highContrast'];
+
+// The `definitionErrors` of a valid (or missing) brand theme definition.
+const NO_ERRORS = [];
+
+// Components rendered without a ThemeProvider (e.g. in isolated tests) get the light theme.
+const ThemeContext = createContext({
+    theme: lightTheme,
+    mode: 'light',
+    preference: 'system',
+    setPreference: () => {},
+    definitionErrors: NO_ERRORS,
+});
+
+/**
+ * Provides the current theme to its children.
+ * Inside a ResponsiveProvider, the theme's spacing and typography follow the window size.
+ *
+ * @param {object} props - The component's properties.
+ * @param {'system' | 'light' | 'dark' | 'highContrast'} [props.initialPreference='system'] - The preference used until
+ * the saved one has been loaded.
+ * @param {object} [props.storage] - The storage adapter used to persist the preference.
+ * @param {object | null} [props.definition] - A brand theme definition (see brandTheme.js). Tokens it leaves out keep
+ * their default values. An invalid definition is ignored in favor of the default themes, and its problems are
+ * shared as `definitionErrors`.
+ * @param {function(ThemeDefinitionError): void} [props.onDefinitionError] - Called with the error listing every
+ * problem of an invalid definition.
+ * @param {React.ReactNode} props.children - The components that consume the theme.
+ */
+export const ThemeProvider = ({
+    initialPreference = 'system',
+    storage = getDefaultStorage(),
+    definition,
+    onDefinitionError,
+    children,
+}) => {
+    // The scaled spacing and typography for the current window, when a ResponsiveProvider is above this one.
+    const responsive = useContext(ResponsiveContext);
+    const spacing = responsive?.spacing;
+    const typography = responsive?.typography;
+    // The themes are only rebuilt when the definition or the window size changes.
+    // Without either, the default themes are used as they are.
+    const { themes, definitionError } = useMemo(() => {
+        const scaled = () => (spacing ? createBrandThemes(null, { spacing, typography }) : defaultThemes);
+        if (!definition) {
+            return { themes: scaled(), definitionError: null };
+        }
+        try {
+            return { themes: createBrandThemes(definition, { spacing, typography }), definitionError: null };
+        } catch (error) {
+            // A broken brand definition must not take the app down with it.
+            if (!(error instanceof ThemeDefinitionError)) {
+                throw error;
+            }
+            return { themes: scaled(), definitionError: error };
+        }
+    }, [definition, spacing, typography]);
+    const onDefinitionErrorRef = useRef(onDefinitionError);
+    onDefinitionErrorRef.current = onDefinitionError;
+
+    // Report an invalid definition once per definition.
+    useEffect(() => {
+        if (definitionError) {
+            onDefinitionErrorRef.current?.(definitionError);
+        }
+    }, [definitionError]);
+    // The system color scheme ('light', 'dark', or null when unknown).
+    const systemScheme = useColorScheme();
+    const [preference, setPreferenceState] = useState(initialPreference);
+
+    // Load the saved preference once.
+    useEffect(() => {
+        let cancelled = false;
+        storage.getItem(THEME_PREFERENCE_KEY)
+            .catch(() => null)
+            .then(saved => {
+                if (!cancelled && THEME_PREFERENCES.includes(saved)) {
+                    setPreferenceState(saved);
+                }
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [storage]);
+
+    /**
+     * Changes and saves the user's theme preference.
+     * @param {'system' | 'light' | 'dark' | 'highContrast'} nextPreference - The new preference.
+     */
+    const setPreference = useCallback((nextPreference) => {
+        if (!THEME_PREFERENCES.includes(nextPreference)) {
+            return;
+        }
+        setPreferenceState(nextPreference);
+        storage.setItem(THEME_PREFERENCE_KEY, nextPreference).catch(() => {
+            // The preference still applies for this session if it cannot be saved.
+        });
+    }, [storage]);
+
+    const mode = preference === 'system'
+        ? (systemScheme === 'dark' ? 'dark' : 'light')
+        : preference;
+
+    const value = useMemo(() => ({
+        theme: themes[mode],
+        mode,
+        preference,
+        setPreference,
+        definitionErrors: definitionError ? definitionError.errors : NO_ERRORS,
+    }), [themes, mode, preference, setPreference, definitionError]);
+
+    return (
+        <ThemeContext.Provider value={value}>
+            {children}
+        </ThemeContext.Provider>
+    );
+};
+
+/**
+ * Returns the current theme, its mode, and the user's preference.
+ * @returns {{
+ *   theme: import('../styles/theme').Theme,
+ *   mode: 'light' | 'dark' | 'highContrast',
+ *   preference: 'system' | 'light' | 'dark' | 'highContrast',
+ *   setPreference: function(string): void,
+ *   definitionErrors: Array<string>,
+ * }} The theme state. `definitionErrors` lists the problems of an invalid brand theme definition.
+ */
+export const useTheme = () => useContext(ThemeContext);
+
+/**
+ * Builds a StyleSheet from the current theme and the responsive values for the current window.
+ * It accepts either a factory `(theme, responsive) => styles`, or breakpoint-aware styles made with
+ * createResponsiveStyles (see responsive.js), which are resolved for the current breakpoint.
+ * The factory should be defined at module level, so the StyleSheet is only rebuilt when the theme or the window
+ * size changes. Must be called from a component rendered inside a ResponsiveProvider.
+ * @param {function(import('../styles/theme').Theme, ReturnType<typeof useResponsive>): object | {resolve: function}}
+ * createStyles - The style factory, or the result of createResponsiveStyles.
+ * @returns {object} The StyleSheet for the current theme.
+ */
+export const useThemedStyles = (createStyles) => {
+    const { theme } = useTheme();
+    const responsive = useResponsive();
+    return useMemo(
+        () => (typeof createStyles === 'function'
+            ? StyleSheet.create(createStyles(theme, responsive))
+            : createStyles.resolve(responsive.breakpoint, theme, responsive)),
+        [createStyles, theme, responsive],
+    );
+};
+
+export default ThemeContext;
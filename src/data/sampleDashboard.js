@@ -0,0 +1,105 @@
+/**
+ * @file This file contains the sample dashboard data bundled with the app.
+ * It is shown when no dashboard endpoint is configured, and it is the shape the endpoint is expected to return.
+ * Colors are theme tokens (e.g. 'semantic.success') so that the data stays valid JSON.
+ * Statistic values are raw numbers with a `format` spec, and the trend is computed from `previousValue`; set
+ * `invertTrend` on metrics where a fall is good news (see numberFormat.js). Pre-formatted strings such as '$24.5K'
+ * with a `trend` and `trendValue` are accepted too.
+ * Each statistic may carry a `history` of recent values for its sparkline, and `series` holds the data of the
+ * chart widgets, keyed by the `seriesId` used in the layout.
+ * A statistic may also declare threshold `alerts`, e.g. `{ metric: 'value', operator: 'below', threshold: 500 }`
+ * (see alertRules.js); breaching tiles are flagged and notified.
+ * A statistic with a `permission` is only shown to the users who have it (see src/config/roles.js).
+ * `tags` and a `category` help the dashboard search find a statistic; categories are translated with the
+ * `category.<name>` messages when there is one.
+ * The values are those of the default reporting period (see period.js), and a statistic's tile names the selected
+ * period unless the statistic has a `subtitle` of its own.
+ */
+
+export const sampleDashboard = {
+    statistics: [
+        {
+            id: 1,
+            title: 'Total Sales',
+            value: 24500,
+            previousValue: 21875,
+            format: { style: 'currency', currency: 'USD', notation: 'compact', decimals: 1 },
+            icon: 'trending-up',
+            iconColor: 'semantic.success',
+            category: 'sales',
+            tags: ['income', 'turnover'],
+            history: [18.2, 19.1, 18.7, 20.4, 21.0, 22.3, 21.8, 24.5],
+        },
+        {
+            id: 2,
+            title: 'New Users',
+            value: 1234,
+            previousValue: 1143,
+            icon: 'people',
+            iconColor: 'primary.main',
+            category: 'customers',
+            tags: ['signups', 'growth'],
+            history: [980, 1010, 1045, 1102, 1090, 1150, 1198, 1234],
+        },
+        {
+            id: 3,
+            title: 'Orders',
+            value: 456,
+            previousValue: 470,
+            icon: 'shopping-cart',
+            iconColor: 'secondary.main',
+            category: 'sales',
+            tags: ['purchases', 'checkout'],
+            history: [492, 501, 478, 470, 481, 466, 460, 456],
+            alerts: [
+                { id: 'orders-low', metric: 'value', operator: 'below', threshold: 500 },
+                { id: 'orders-falling', metric: 'trend', operator: 'below', threshold: -5, severity: 'error' },
+            ],
+        },
+        {
+            id: 4,
+            title: 'Revenue',
+            value: 12300,
+            previousValue: 10700,
+            format: { style: 'currency', currency: 'USD', notation: 'compact', decimals: 1 },
+            icon: 'attach-money',
+            iconColor: 'accent.main',
+            category: 'finance',
+            tags: ['income', 'earnings'],
+            permission: 'revenue.view',
+            history: [9.1, 9.8, 10.2, 10.0, 10.9, 11.4, 11.8, 12.3],
+            alerts: [
+                { id: 'revenue-spike', metric: 'trend', operator: 'above', threshold: 20 },
+            ],
+        },
+    ],
+    series: {
+        'sales-trend': [
+            { label: 'Jan', value: 15200 },
+            { label: 'Feb', value: 16800 },
+            { label: 'Mar', value: 16100 },
+            { label: 'Apr', value: 18400 },
+            { label: 'May', value: 19900 },
+            { label: 'Jun', value: 21300 },
+            { label: 'Jul', value: 20700 },
+            { label: 'Aug', value: 24500 },
+        ],
+        'orders-by-day': [
+            { label: 'Mon', value: 412 },
+            { label: 'Tue', value: 468 },
+            { label: 'Wed', value: 501 },
+            { label: 'Thu', value: 477 },
+            { label: 'Fri', value: 536 },
+            { label: 'Sat', value: 389 },
+            { label: 'Sun', value: 456 },
+        ],
+        'revenue-by-channel': [
+            { label: 'Online', value: 6400 },
+            { label: 'Retail', value: 3100 },
+            { label: 'Wholesale', value: 1900 },
+            { label: 'Other', value: 900 },
+        ],
+    },
+};
+
+export default sampleDashboard;
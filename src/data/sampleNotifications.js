@@ -0,0 +1,37 @@
+/**
+ * @file This file contains the sample notifications bundled with the app.
+ * They are shown when no notifications endpoint is configured, and they have the shape the endpoint is expected
+ * to return. Timestamps are relative to when the app started, so the samples always look recent.
+ */
+
+const MINUTE = 60 * 1000;
+const startedAt = Date.now();
+
+export const sampleNotifications = [
+    {
+        id: 'sample-sales-record',
+        title: 'Sales record',
+        message: 'Total sales passed $24K this month, 12% above last month.',
+        severity: 'success',
+        timestamp: startedAt - 5 * MINUTE,
+        link: { screen: 'statisticDetail', params: { statisticId: 1, range: 'month' } },
+    },
+    {
+        id: 'sample-orders-drop',
+        title: 'Orders are down',
+        message: 'Orders today are 3% below yesterday.',
+        severity: 'warning',
+        timestamp: startedAt - 47 * MINUTE,
+        link: { screen: 'statisticDetail', params: { statisticId: 3, range: 'day' } },
+    },
+    {
+        id: 'sample-report-ready',
+        title: 'Weekly report ready',
+        message: 'Your weekly summary is available.',
+        severity: 'info',
+        timestamp: startedAt - 26 * 60 * MINUTE,
+        read: true,
+    },
+];
+
+export default sampleNotifications;
@@ -0,0 +1,65 @@
+import { DEFAULT_PERIOD, getPreviousPeriod, parseDateKey, resolvePeriod } from '../utils/period';
+
+/**
+ * @file This file generates the sample statistics of a reporting period.
+ * They are shown when no dashboard endpoint is configured, in place of the statistics the endpoint would return for
+ * the period. The bundled sample values are read as the values of DEFAULT_PERIOD, with `previousValue` as the
+ * values of the period before it; other periods are derived from them in proportion to their length, with a small
+ * deterministic variation so that the trends differ from one period to the next.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Picks a variation between -8% and +8% for a statistic over a period.
+ * @param {string} start - The first day of the period.
+ * @param {number | string} id - The id of the statistic.
+ * @returns {number} The factor to apply to the value.
+ */
+const getVariation = (start, id) => {
+    const day = Math.round(parseDateKey(start).getTime() / DAY);
+    const seed = String(id).split('').reduce((sum, character) => sum + character.charCodeAt(0), 0);
+    return 1 + (((day * 7 + seed * 13) % 17) - 8) / 100;
+};
+
+/**
+ * Checks whether a statistic's value can be derived for another period.
+ * Pre-formatted strings cannot be scaled, and percentages (e.g. a conversion rate) do not add up over days.
+ * @param {object} statistic - The statistic.
+ * @returns {boolean} Whether it can be derived.
+ */
+const isScalable = (statistic) => typeof statistic.value === 'number' && statistic.format?.style !== 'percent';
+
+/**
+ * Generates the sample dashboard data of a period.
+ * @param {object} data - The sample dashboard data, whose values are those of DEFAULT_PERIOD.
+ * @param {{preset: string, start?: string, end?: string}} period - The period.
+ * @param {Date} [now=new Date()] - The current date.
+ * @returns {object} The data, with the statistics' `value` and `previousValue` for the period and the one before.
+ */
+export const createSamplePeriodData = (data, period, now = new Date()) => {
+    const base = resolvePeriod(DEFAULT_PERIOD, now);
+    const range = resolvePeriod(period, now);
+    if (range.start === base.start && range.end === base.end) {
+        return data;
+    }
+    const previous = getPreviousPeriod(range);
+    /**
+     * Derives a sample value for a range.
+     * @param {number} value - The value over the default period.
+     * @param {{start: string, days: number}} target - The range.
+     * @param {number | string} id - The id of the statistic.
+     * @returns {number} The value over the range.
+     */
+    const derive = (value, target, id) => Math.round(value * (target.days / base.days) * getVariation(target.start, id));
+    return {
+        ...data,
+        statistics: data.statistics.map(statistic => (isScalable(statistic)
+            ? {
+                ...statistic,
+                value: derive(statistic.value, range, statistic.id),
+                previousValue: derive(statistic.previousValue ?? statistic.value, previous, statistic.id),
+            }
+            : statistic)),
+    };
+};
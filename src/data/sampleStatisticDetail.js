@@ -0,0 +1,74 @@
+import { getMetricValue } from '../utils/alertRules';
+
+/**
+ * @file This file generates the sample statistic details bundled with the app.
+ * They are shown when no detail endpoint is configured, and they have the shape the endpoint is expected to return.
+ * The values are derived from the statistic's sample `history` (read as weekly values), so they are deterministic
+ * and consistent with the dashboard.
+ */
+
+// The points of each time range: how many there are, how they are labelled, and how many weeks the range spans.
+const RANGE_POINTS = {
+    day: { count: 24, weeks: 1 / 7, label: index => `${index}h` },
+    week: { count: 7, weeks: 1, label: index => ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'][index] },
+    month: { count: 30, weeks: 30 / 7, label: index => String(index + 1) },
+    quarter: { count: 13, weeks: 13, label: index => `W${index + 1}` },
+};
+
+// The categories each sample statistic is broken down by, with their share of the total.
+const SAMPLE_BREAKDOWNS = {
+    1: [['Online', 0.52], ['Retail', 0.26], ['Wholesale', 0.15], ['Other', 0.07]],
+    2: [['Organic search', 0.41], ['Referral', 0.23], ['Social', 0.21], ['Campaigns', 0.15]],
+    3: [['Delivery', 0.58], ['Pick-up', 0.29], ['In store', 0.13]],
+    4: [['Subscriptions', 0.47], ['One-off sales', 0.38], ['Services', 0.15]],
+};
+
+const DEFAULT_BREAKDOWN = [['Online', 0.6], ['Offline', 0.4]];
+
+/**
+ * Rounds a sample value to one decimal.
+ * @param {number} value - The value.
+ * @returns {number} The rounded value.
+ */
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Builds a sample series: a wave around an average value, so that the charts have something to show.
+ * @param {object} points - The points of the range (see RANGE_POINTS).
+ * @param {number} average - The average value of a point.
+ * @param {number} phase - Shifts the wave, so that different series do not look the same.
+ * @returns {Array<{label: string, value: number}>} The series.
+ */
+const sampleSeries = (points, average, phase) => Array.from({ length: points.count }, (_, index) => ({
+    label: points.label(index),
+    value: round(average * (1 + 0.25 * Math.sin(index * 1.3 + phase))),
+}));
+
+/**
+ * Creates the sample detail document of a statistic.
+ * @param {object} statistic - The statistic, from the dashboard data.
+ * @param {'day' | 'week' | 'month' | 'quarter'} range - The time range.
+ * @returns {{statisticId: number, range: string, series: Array<{label: string, value: number}>,
+ *   previous: Array<{label: string, value: number}>, breakdown: Array<{label: string, value: number}>}} The detail
+ * document.
+ */
+export const createSampleStatisticDetail = (statistic, range) => {
+    const points = RANGE_POINTS[range];
+    const history = statistic.history || [];
+    const weekly = history.length ? history[history.length - 1] : 100;
+    const average = (weekly * points.weeks) / points.count;
+    // The previous period is scaled back by the statistic's trend, e.g. '+12%'.
+    const growth = 1 + (getMetricValue(statistic, 'trend') || 0) / 100;
+    const series = sampleSeries(points, average, statistic.id);
+    const total = series.reduce((sum, point) => sum + point.value, 0);
+    return {
+        statisticId: statistic.id,
+        range,
+        series,
+        previous: sampleSeries(points, average / growth, statistic.id + 2),
+        breakdown: (SAMPLE_BREAKDOWNS[statistic.id] || DEFAULT_BREAKDOWN).map(([label, share]) => ({
+            label,
+            value: round(total * share),
+        })),
+    };
+};
@@ -0,0 +1,37 @@
+/**
+ * @file This file contains the demo accounts bundled with the app.
+ * They can sign in when no auth endpoint is configured (see createMockAuthService in authApi.js), one per role, so
+ * every role can be tried without a backend. Passwords are only checked locally and must never be real ones.
+ */
+
+export const sampleUsers = [
+    {
+        id: 'demo-admin',
+        username: 'admin',
+        password: 'admin',
+        name: 'Alex Morgan',
+        email: 'alex.morgan@example.com',
+        roles: ['admin'],
+        avatarUrl: null,
+    },
+    {
+        id: 'demo-manager',
+        username: 'manager',
+        password: 'manager',
+        name: 'Sam Rivera',
+        email: 'sam.rivera@example.com',
+        roles: ['manager'],
+        avatarUrl: null,
+    },
+    {
+        id: 'demo-sales',
+        username: 'sales',
+        password: 'sales',
+        name: 'Jordan Lee',
+        email: 'jordan.lee@example.com',
+        roles: ['salesRep'],
+        avatarUrl: null,
+    },
+];
+
+export default sampleUsers;
@@ -0,0 +1,286 @@
+/**
+ * @file This file contains the Arabic messages. Arabic is written right to left, so the app mirrors its layout
+ * while it is selected.
+ */
+
+export default {
+    code: 'ar',
+    name: 'العربية',
+    direction: 'rtl',
+    /**
+     * Picks the plural category of a count, following the CLDR rules for Arabic.
+     * @param {number} count - The count.
+     * @returns {string} The plural category.
+     */
+    pluralRule: (count) => {
+        const lastTwo = count % 100;
+        if (count === 0) {
+            return 'zero';
+        }
+        if (count === 1) {
+            return 'one';
+        }
+        if (count === 2) {
+            return 'two';
+        }
+        if (lastTwo >= 3 && lastTwo <= 10) {
+            return 'few';
+        }
+        if (lastTwo >= 11 && lastTwo <= 99) {
+            return 'many';
+        }
+        return 'other';
+    },
+    messages: {
+        'common.close': 'إغلاق',
+        'common.closeSheet': 'إغلاق {title}',
+        'common.tryAgain': 'إعادة المحاولة',
+        'common.listSeparator': '، ',
+
+        'header.title': 'لوحة المعلومات',
+        'header.welcome': 'مرحبًا بعودتك، {name}!',
+        'header.openMenu': 'فتح القائمة',
+        'header.logo': 'شعار {name}',
+        'header.brand': 'العلامة التجارية',
+        'header.editLayout': 'تعديل التخطيط',
+        'header.finishEditing': 'إنهاء تعديل التخطيط',
+        'header.notifications': 'عرض الإشعارات',
+        'header.notificationsUnread': {
+            zero: 'عرض الإشعارات، لا توجد إشعارات غير مقروءة',
+            one: 'عرض الإشعارات، إشعار واحد غير مقروء',
+            two: 'عرض الإشعارات، إشعاران غير مقروءين',
+            few: 'عرض الإشعارات، {count} إشعارات غير مقروءة',
+            many: 'عرض الإشعارات، {count} إشعارًا غير مقروء',
+            other: 'عرض الإشعارات، {count} إشعار غير مقروء',
+        },
+        'header.openProfile': 'فتح الملف الشخصي',
+        'header.search': 'البحث في الأدوات',
+        'header.closeSearch': 'إغلاق البحث',
+        'header.openProfileOf': 'فتح الملف الشخصي لـ {name}',
+
+        'dashboard.refreshFailed': 'تعذر تحديث البيانات. يتم عرض آخر القيم المحملة.',
+        'dashboard.loadFailed': 'تعذر تحميل بيانات لوحة المعلومات. اسحب لأسفل للمحاولة مرة أخرى.',
+        'dashboard.offline': 'أنت غير متصل. آخر تحديث {time}.',
+        'dashboard.offlineNoData': 'أنت غير متصل. اسحب لأسفل للمحاولة مرة أخرى بعد الاتصال.',
+        'dashboard.editHint': 'اضغط مطولًا واسحب أداة لنقلها. انقر على × لإزالتها.',
+        'dashboard.addWidget': 'إضافة أداة',
+        'dashboard.actionPressed': 'تم الضغط على {title}',
+
+        'search.placeholder': 'البحث في الأدوات',
+        'search.clear': 'مسح نص البحث',
+        'search.close': 'إغلاق البحث',
+        'search.results': {
+            zero: 'لا توجد أدوات معروضة من {total}',
+            one: 'أداة واحدة معروضة من {total}',
+            two: 'أداتان معروضتان من {total}',
+            few: '{count} أدوات معروضة من {total}',
+            many: '{count} أداة معروضة من {total}',
+            other: '{count} أداة معروضة من {total}',
+        },
+        'search.noResults': 'لا توجد أدوات تطابق بحثك.',
+        'search.clearFilters': 'مسح عوامل التصفية',
+        'search.trend.up': 'في ارتفاع',
+        'search.trend.down': 'في انخفاض',
+        'search.trend.flat': 'دون تغيير',
+
+        'category.sales': 'المبيعات',
+        'category.customers': 'العملاء',
+        'category.finance': 'المالية',
+
+        'period.title': 'فترة التقرير',
+        'period.change': 'فترة التقرير: {period}. تغيير الفترة',
+        'period.today': 'اليوم',
+        'period.week': 'هذا الأسبوع',
+        'period.month': 'هذا الشهر',
+        'period.quarter': 'هذا الربع',
+        'period.custom': 'نطاق مخصص',
+        'period.start': 'تاريخ البداية',
+        'period.end': 'تاريخ النهاية',
+        'period.apply': 'تطبيق',
+        'period.invalidRange': 'أدخل التواريخ بالصيغة YYYY-MM-DD، على ألا تسبق النهاية البداية ولا تتجاوز اليوم.',
+        'period.compare': 'المقارنة بالفترة السابقة',
+        'period.compareShort': 'مقارنة',
+        'period.versus': 'مقابل {period}',
+
+        'login.title': 'تسجيل الدخول',
+        'login.subtitle': 'سجّل الدخول لعرض لوحة المعلومات.',
+        'login.username': 'اسم المستخدم',
+        'login.password': 'كلمة المرور',
+        'login.submit': 'تسجيل الدخول',
+        'login.invalid': 'اسم المستخدم أو كلمة المرور غير صحيحة.',
+        'login.failed': 'تعذّر الوصول إلى الخادم. تحقق من اتصالك وحاول مرة أخرى.',
+        'login.demoHint': 'الحسابات التجريبية: {accounts}',
+
+        'profile.title': 'الملف الشخصي',
+        'profile.roles': 'الأدوار',
+        'profile.signOut': 'تسجيل الخروج',
+
+        'role.admin': 'مسؤول',
+        'role.manager': 'مدير',
+        'role.salesRep': 'مندوب مبيعات',
+
+        'layout.salesTrend': 'اتجاه المبيعات',
+        'layout.ordersByDay': 'الطلبات حسب اليوم',
+        'layout.revenueByChannel': 'الإيرادات حسب القناة',
+        'layout.quickActions': 'إجراءات سريعة',
+
+        'quickActions.addProduct': 'إضافة منتج',
+        'quickActions.viewReports': 'عرض التقارير',
+        'quickActions.manageUsers': 'إدارة المستخدمين',
+        'quickActions.notifications': 'الإشعارات',
+        'quickActions.exportData': 'تصدير البيانات',
+        'quickActions.settings': 'الإعدادات',
+        'quickActions.more': 'المزيد',
+        'quickActions.moreLabel': 'مزيد من الإجراءات',
+        'quickActions.badge': '{title}، {count} جديد',
+
+        'widget.open': 'أداة {title}',
+        'widget.remove': 'إزالة أداة {title}',
+        'widget.dragHint': 'اضغط مطولًا واسحب لنقل هذه الأداة',
+        'widget.unsupportedTitle': 'أداة غير مدعومة',
+        'widget.unsupported': 'نوع الأداة "{type}" غير مدعوم.',
+        'widget.empty': 'لا يوجد ما يُعرض',
+        'widget.restrictedTitle': 'أداة مقيدة',
+        'widget.restricted': 'ليس لديك إذن لعرض هذه الأداة.',
+        'widget.openHint': 'يفتح التفاصيل',
+        'widget.listItem': '{label}، {value}',
+        'widget.alert': 'تنبيه: {label}',
+
+        'a11y.trendUp': 'ارتفاع بنسبة {value}',
+        'a11y.trendDown': 'انخفاض بنسبة {value}',
+        'a11y.trendFlat': 'دون تغيير',
+
+        'chart.line': {
+            zero: 'مخطط خطي {title} بدون نقاط',
+            one: 'مخطط خطي {title} بنقطة واحدة',
+            two: 'مخطط خطي {title} بنقطتين',
+            few: 'مخطط خطي {title} بـ {count} نقاط',
+            many: 'مخطط خطي {title} بـ {count} نقطة',
+            other: 'مخطط خطي {title} بـ {count} نقطة',
+        },
+        'chart.bar': {
+            zero: 'مخطط أعمدة {title} بدون أعمدة',
+            one: 'مخطط أعمدة {title} بعمود واحد',
+            two: 'مخطط أعمدة {title} بعمودين',
+            few: 'مخطط أعمدة {title} بـ {count} أعمدة',
+            many: 'مخطط أعمدة {title} بـ {count} عمودًا',
+            other: 'مخطط أعمدة {title} بـ {count} عمود',
+        },
+        'chart.donut': {
+            zero: 'مخطط دائري {title} بدون أجزاء',
+            one: 'مخطط دائري {title} بجزء واحد',
+            two: 'مخطط دائري {title} بجزأين',
+            few: 'مخطط دائري {title} بـ {count} أجزاء',
+            many: 'مخطط دائري {title} بـ {count} جزءًا',
+            other: 'مخطط دائري {title} بـ {count} جزء',
+        },
+        'chart.total': 'الإجمالي',
+        'chart.noData': 'لا توجد بيانات بعد',
+        'chart.lineHint': 'اضغط لعرض قيمة أقرب نقطة',
+        'chart.barHint': 'اضغط على عمود لعرض قيمته',
+        'chart.donutHint': 'اضغط على جزء لعرض قيمته',
+
+        'addWidget.title': 'إضافة أداة',
+        'addWidget.empty': 'جميع الأدوات موجودة بالفعل في لوحة المعلومات.',
+        'addWidget.add': 'إضافة أداة {title}',
+
+        'appearance.title': 'المظهر',
+        'appearance.theme': 'السمة',
+        'appearance.system': 'إعداد النظام',
+        'appearance.light': 'فاتح',
+        'appearance.dark': 'داكن',
+        'appearance.highContrast': 'تباين عالٍ',
+        'appearance.language': 'اللغة',
+
+        'notifications.title': 'الإشعارات',
+        'notifications.markAllRead': 'تعليم الكل كمقروء',
+        'notifications.markAllReadLabel': 'تعليم جميع الإشعارات كمقروءة',
+        'notifications.empty': 'لا توجد إشعارات جديدة.',
+        'notifications.clearAll': 'مسح الكل',
+        'notifications.clearAllLabel': 'مسح جميع الإشعارات',
+        'notifications.item': '{title}. {message} {time}',
+        'notifications.itemUnread': 'غير مقروء. {title}. {message} {time}',
+
+        'time.justNow': 'الآن',
+        'time.minutesAgo': {
+            one: 'قبل دقيقة',
+            two: 'قبل دقيقتين',
+            few: 'قبل {count} دقائق',
+            many: 'قبل {count} دقيقة',
+            other: 'قبل {count} دقيقة',
+        },
+        'time.hoursAgo': {
+            one: 'قبل ساعة',
+            two: 'قبل ساعتين',
+            few: 'قبل {count} ساعات',
+            many: 'قبل {count} ساعة',
+            other: 'قبل {count} ساعة',
+        },
+        'time.daysAgo': {
+            one: 'قبل يوم',
+            two: 'قبل يومين',
+            few: 'قبل {count} أيام',
+            many: 'قبل {count} يومًا',
+            other: 'قبل {count} يوم',
+        },
+
+        'menu.dashboard': 'لوحة المعلومات',
+        'menu.statistics': 'الإحصاءات',
+        'menu.close': 'إغلاق القائمة',
+
+        'detail.back': 'العودة إلى لوحة المعلومات',
+        'detail.statistic': 'إحصائية',
+        'detail.unavailable': 'هذه الإحصائية غير متاحة.',
+        'detail.restricted': 'ليس لديك إذن لعرض هذه الإحصائية.',
+        'detail.timeRange': 'النطاق الزمني',
+        'detail.loadFailed': 'تعذر تحميل التفاصيل.',
+        'detail.periodValue': '{period}: {value}',
+        'detail.versus': 'مقارنة بـ {period} ({value})',
+        'detail.history': 'السجل',
+        'detail.breakdown': 'التفصيل',
+        'detail.noBreakdown': 'لا يوجد تفصيل لهذا النطاق.',
+        'detail.chart': {
+            zero: '{title}، {period}، بدون نقاط',
+            one: '{title}، {period}، نقطة واحدة',
+            two: '{title}، {period}، نقطتان',
+            few: '{title}، {period}، {count} نقاط',
+            many: '{title}، {period}، {count} نقطة',
+            other: '{title}، {period}، {count} نقطة',
+        },
+        'detail.breakdownRow': '{label}: {value}، {share}%',
+
+        'range.day': 'يوم',
+        'range.week': 'أسبوع',
+        'range.month': 'شهر',
+        'range.quarter': 'ربع سنة',
+        'range.day.current': 'اليوم',
+        'range.week.current': 'هذا الأسبوع',
+        'range.month.current': 'هذا الشهر',
+        'range.quarter.current': 'هذا الربع',
+        'range.day.previous': 'أمس',
+        'range.week.previous': 'الأسبوع الماضي',
+        'range.month.previous': 'الشهر الماضي',
+        'range.quarter.previous': 'الربع الماضي',
+
+        'alerts.title': 'التنبيهات',
+        'alerts.empty': 'لا توجد تنبيهات لهذه الإحصائية.',
+        'alerts.rule': '{metric} {operator} {threshold}',
+        'alerts.metric.value': 'القيمة',
+        'alerts.metric.trend': 'الاتجاه (%)',
+        'alerts.subject.value': 'القيمة',
+        'alerts.subject.trend': 'الاتجاه',
+        'alerts.operator.below': 'أقل من',
+        'alerts.operator.above': 'أعلى من',
+        'alerts.breached': 'تم التجاوز',
+        'alerts.ruleState': '{rule}، تم التجاوز',
+        'alerts.ruleStateOk': '{rule}، لم يتم التجاوز',
+        'alerts.remove': 'إزالة التنبيه: {rule}',
+        'alerts.metricLabel': 'مقياس التنبيه',
+        'alerts.operatorLabel': 'شرط التنبيه',
+        'alerts.thresholdLabel': 'حد التنبيه',
+        'alerts.add': 'إضافة تنبيه',
+        'alerts.invalidThreshold': 'يجب أن يكون الحد رقمًا',
+        'alerts.notificationTitle': 'تنبيه {title}',
+        'alerts.notificationMessage': '{rule}: الآن {value}',
+    },
+};
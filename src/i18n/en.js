@@ -0,0 +1,228 @@
+/**
+ * @file This file contains the English messages. English is the fallback language: a key missing from another
+ * catalog is shown in English.
+ * Messages can contain `{name}` placeholders, and plural messages are objects keyed by plural category
+ * ('zero', 'one', 'two', 'few', 'many', 'other'), picked with the `count` parameter.
+ */
+
+export default {
+    code: 'en',
+    name: 'English',
+    direction: 'ltr',
+    /**
+     * Picks the plural category of a count.
+     * @param {number} count - The count.
+     * @returns {string} The plural category.
+     */
+    pluralRule: (count) => (count === 1 ? 'one' : 'other'),
+    messages: {
+        'common.close': 'Close',
+        'common.closeSheet': 'Close {title}',
+        'common.tryAgain': 'Try again',
+        'common.listSeparator': ', ',
+
+        'header.title': 'Dashboard',
+        'header.welcome': 'Welcome back, {name}!',
+        'header.openMenu': 'Open menu',
+        'header.logo': '{name} logo',
+        'header.brand': 'Brand',
+        'header.editLayout': 'Edit layout',
+        'header.finishEditing': 'Finish editing layout',
+        'header.notifications': 'View notifications',
+        'header.notificationsUnread': {
+            one: 'View notifications, {count} unread',
+            other: 'View notifications, {count} unread',
+        },
+        'header.openProfile': 'Open profile',
+        'header.search': 'Search widgets',
+        'header.closeSearch': 'Close search',
+        'header.openProfileOf': 'Open profile of {name}',
+
+        'dashboard.refreshFailed': 'Could not refresh the data. Showing the last loaded values.',
+        'dashboard.loadFailed': 'Could not load the dashboard data. Pull down to try again.',
+        'dashboard.offline': 'You\'re offline. Last updated {time}.',
+        'dashboard.offlineNoData': 'You\'re offline. Pull down to try again once you\'re connected.',
+        'dashboard.editHint': 'Long press and drag a widget to move it. Tap × to remove it.',
+        'dashboard.addWidget': 'Add widget',
+        'dashboard.actionPressed': '{title} pressed',
+
+        'search.placeholder': 'Search widgets',
+        'search.clear': 'Clear search text',
+        'search.close': 'Close search',
+        'search.results': {
+            one: '{count} of {total} widgets shown',
+            other: '{count} of {total} widgets shown',
+        },
+        'search.noResults': 'No widgets match your search.',
+        'search.clearFilters': 'Clear filters',
+        'search.trend.up': 'Trending up',
+        'search.trend.down': 'Trending down',
+        'search.trend.flat': 'Unchanged',
+
+        'category.sales': 'Sales',
+        'category.customers': 'Customers',
+        'category.finance': 'Finance',
+
+        'period.title': 'Reporting period',
+        'period.change': 'Reporting period: {period}. Change period',
+        'period.today': 'Today',
+        'period.week': 'This week',
+        'period.month': 'This month',
+        'period.quarter': 'This quarter',
+        'period.custom': 'Custom range',
+        'period.start': 'Start date',
+        'period.end': 'End date',
+        'period.apply': 'Apply',
+        'period.invalidRange': 'Enter dates as YYYY-MM-DD, ending on or after the start and no later than today.',
+        'period.compare': 'Compare to previous period',
+        'period.compareShort': 'Compare',
+        'period.versus': 'vs {period}',
+
+        'login.title': 'Sign in',
+        'login.subtitle': 'Sign in to see your dashboard.',
+        'login.username': 'Username',
+        'login.password': 'Password',
+        'login.submit': 'Sign in',
+        'login.invalid': 'The username or password is incorrect.',
+        'login.failed': 'Could not reach the server. Check your connection and try again.',
+        'login.demoHint': 'Demo accounts: {accounts}',
+
+        'profile.title': 'Profile',
+        'profile.roles': 'Roles',
+        'profile.signOut': 'Sign out',
+
+        'role.admin': 'Administrator',
+        'role.manager': 'Manager',
+        'role.salesRep': 'Sales representative',
+
+        'layout.salesTrend': 'Sales Trend',
+        'layout.ordersByDay': 'Orders by Day',
+        'layout.revenueByChannel': 'Revenue by Channel',
+        'layout.quickActions': 'Quick Actions',
+
+        'quickActions.addProduct': 'Add Product',
+        'quickActions.viewReports': 'View Reports',
+        'quickActions.manageUsers': 'Manage Users',
+        'quickActions.notifications': 'Notifications',
+        'quickActions.exportData': 'Export Data',
+        'quickActions.settings': 'Settings',
+        'quickActions.more': 'More',
+        'quickActions.moreLabel': 'More actions',
+        'quickActions.badge': '{title}, {count} new',
+
+        'widget.open': '{title} widget',
+        'widget.remove': 'Remove {title} widget',
+        'widget.dragHint': 'Long press and drag to move this widget',
+        'widget.unsupportedTitle': 'Unsupported widget',
+        'widget.unsupported': 'Widget type "{type}" is not supported.',
+        'widget.empty': 'Nothing to show',
+        'widget.restrictedTitle': 'Restricted widget',
+        'widget.restricted': 'You do not have permission to see this widget.',
+        'widget.openHint': 'Opens the details',
+        'widget.listItem': '{label}, {value}',
+        'widget.alert': 'Alert: {label}',
+
+        'a11y.trendUp': 'up {value}',
+        'a11y.trendDown': 'down {value}',
+        'a11y.trendFlat': 'unchanged',
+
+        'chart.line': {
+            one: '{title} line chart with {count} point',
+            other: '{title} line chart with {count} points',
+        },
+        'chart.bar': {
+            one: '{title} bar chart with {count} bar',
+            other: '{title} bar chart with {count} bars',
+        },
+        'chart.donut': {
+            one: '{title} donut chart with {count} segment',
+            other: '{title} donut chart with {count} segments',
+        },
+        'chart.total': 'Total',
+        'chart.noData': 'No data yet',
+        'chart.lineHint': 'Press to show the value of the nearest point',
+        'chart.barHint': 'Press a bar to show its value',
+        'chart.donutHint': 'Press a segment to show its value',
+
+        'addWidget.title': 'Add widget',
+        'addWidget.empty': 'All widgets are already on your dashboard.',
+        'addWidget.add': 'Add {title} widget',
+
+        'appearance.title': 'Appearance',
+        'appearance.theme': 'Theme',
+        'appearance.system': 'System default',
+        'appearance.light': 'Light',
+        'appearance.dark': 'Dark',
+        'appearance.highContrast': 'High contrast',
+        'appearance.language': 'Language',
+
+        'notifications.title': 'Notifications',
+        'notifications.markAllRead': 'Mark all read',
+        'notifications.markAllReadLabel': 'Mark all notifications as read',
+        'notifications.empty': 'You\'re all caught up.',
+        'notifications.clearAll': 'Clear all',
+        'notifications.clearAllLabel': 'Clear all notifications',
+        'notifications.item': '{title}. {message} {time}',
+        'notifications.itemUnread': 'Unread. {title}. {message} {time}',
+
+        'time.justNow': 'Just now',
+        'time.minutesAgo': { one: '{count} min ago', other: '{count} min ago' },
+        'time.hoursAgo': { one: '{count} h ago', other: '{count} h ago' },
+        'time.daysAgo': { one: '{count} d ago', other: '{count} d ago' },
+
+        'menu.dashboard': 'Dashboard',
+        'menu.statistics': 'Statistics',
+        'menu.close': 'Close menu',
+
+        'detail.back': 'Back to the dashboard',
+        'detail.statistic': 'Statistic',
+        'detail.unavailable': 'This statistic is not available.',
+        'detail.restricted': 'You do not have permission to see this statistic.',
+        'detail.timeRange': 'Time range',
+        'detail.loadFailed': 'Could not load the details.',
+        'detail.periodValue': '{period}: {value}',
+        'detail.versus': 'vs {period} ({value})',
+        'detail.history': 'History',
+        'detail.breakdown': 'Breakdown',
+        'detail.noBreakdown': 'No breakdown for this range.',
+        'detail.chart': {
+            one: '{title}, {period}, {count} point',
+            other: '{title}, {period}, {count} points',
+        },
+        'detail.breakdownRow': '{label}: {value}, {share}%',
+
+        'range.day': 'Day',
+        'range.week': 'Week',
+        'range.month': 'Month',
+        'range.quarter': 'Quarter',
+        'range.day.current': 'Today',
+        'range.week.current': 'This week',
+        'range.month.current': 'This month',
+        'range.quarter.current': 'This quarter',
+        'range.day.previous': 'yesterday',
+        'range.week.previous': 'last week',
+        'range.month.previous': 'last month',
+        'range.quarter.previous': 'last quarter',
+
+        'alerts.title': 'Alerts',
+        'alerts.empty': 'No alerts for this statistic.',
+        'alerts.rule': '{metric} {operator} {threshold}',
+        'alerts.metric.value': 'Value',
+        'alerts.metric.trend': 'Trend (%)',
+        'alerts.subject.value': 'Value',
+        'alerts.subject.trend': 'Trend',
+        'alerts.operator.below': 'below',
+        'alerts.operator.above': 'above',
+        'alerts.breached': 'Breached',
+        'alerts.ruleState': '{rule}, breached',
+        'alerts.ruleStateOk': '{rule}, not breached',
+        'alerts.remove': 'Remove alert: {rule}',
+        'alerts.metricLabel': 'Alert metric',
+        'alerts.operatorLabel': 'Alert operator',
+        'alerts.thresholdLabel': 'Alert threshold',
+        'alerts.add': 'Add alert',
+        'alerts.invalidThreshold': 'The threshold must be a number',
+        'alerts.notificationTitle': '{title} alert',
+        'alerts.notificationMessage': '{rule}: now {value}',
+    },
+};
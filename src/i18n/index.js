@@ -0,0 +1,80 @@
+import en from './en';
+import ar from './ar';
+
+/**
+ * @file This file contains the message catalogs and the translator built from them.
+ * A catalog is `{ code, name, direction, pluralRule, messages }` (see en.js). To add a language, add its catalog
+ * file and list it in LANGUAGES; keys it leaves out are shown in English.
+ * Plural categories are picked by each catalog's `pluralRule`, since Intl.PluralRules is not available on Hermes.
+ */
+
+// The languages the app is translated into, in the order they are offered to the user.
+export const LANGUAGES = [en, ar];
+
+// The language used when the device's is not translated, and for missing keys.
+export const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Finds the catalog of a language.
+ * @param {string} code - The language code, e.g. 'ar'.
+ * @returns {object | undefined} The catalog, or undefined if the language is not translated.
+ */
+export const getLanguage = (code) => LANGUAGES.find(language => language.code === code);
+
+/**
+ * Picks the language to show for a preference.
+ * 'system' follows the device locale when its language is translated, and falls back to English otherwise.
+ * @param {string} preference - 'system' or a language code.
+ * @param {string} deviceLocale - The device locale, e.g. 'ar-EG'.
+ * @returns {{code: string, locale: string}} The language code, and the locale used to format numbers and dates.
+ */
+export const resolveLanguage = (preference, deviceLocale) => {
+    if (preference !== 'system' && getLanguage(preference)) {
+        return { code: preference, locale: preference };
+    }
+    const deviceLanguage = String(deviceLocale || '').split(/[-_]/)[0].toLowerCase();
+    return getLanguage(deviceLanguage)
+        ? { code: deviceLanguage, locale: deviceLocale }
+        : { code: DEFAULT_LANGUAGE, locale: DEFAULT_LANGUAGE };
+};
+
+/**
+ * Creates the translation function of a language.
+ * `t(key, params)` looks the key up in the language's catalog, then in English, and falls back to the key itself.
+ * Plural messages are picked with `params.count`. `{name}` placeholders are replaced by the matching parameter;
+ * numbers are formatted for the locale.
+ * @param {string} code - The language code.
+ * @param {string} [locale=code] - The locale used to format numeric parameters.
+ * @returns {function(string, object=): string} The translation function.
+ */
+export const createTranslator = (code, locale = code) => {
+    const language = getLanguage(code) || getLanguage(DEFAULT_LANGUAGE);
+    const fallback = getLanguage(DEFAULT_LANGUAGE);
+    let numberFormat = null;
+    try {
+        numberFormat = new Intl.NumberFormat(locale);
+    } catch (error) {
+        // Numbers are shown as they are when the locale is not supported.
+    }
+    return (key, params = {}) => {
+        const own = language.messages[key];
+        const source = own !== undefined ? language : fallback;
+        let message = source.messages[key];
+        if (message === undefined) {
+            return key;
+        }
+        if (typeof message === 'object') {
+            message = message[source.pluralRule(params.count)] ?? message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            const value = params[name];
+            if (value === undefined || value === null) {
+                return placeholder;
+            }
+            return typeof value === 'number' && numberFormat ? numberFormat.format(value) : String(value);
+        });
+    };
+};
+
+// The English translation function, used outside an I18nProvider and as the default of the formatting helpers.
+export const translate = createTranslator(DEFAULT_LANGUAGE);
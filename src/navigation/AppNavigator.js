@@ -0,0 +1,86 @@
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import DrawerMenu from '../components/DrawerMenu';
+import SideDrawer from '../components/SideDrawer';
+import { ROUTES } from './routes';
+import { useNavigation } from './NavigationContext';
+import { useDeepLinks } from './linking';
+import { useThemedStyles } from '../context/ThemeContext';
+import { useI18n } from '../context/I18nContext';
+
+// The default for `linkingPrefixes`, kept stable so the deep link listener is not re-subscribed on every render.
+const NO_PREFIXES = [];
+
+/**
+ * Renders the navigation stack and the navigation menu.
+ * Every screen on the stack stays mounted, so going back returns to it as it was left (e.g. scrolled); only the
+ * top one is shown. The menu is a side drawer, except on large tablets in landscape, where it is a persistent
+ * sidebar. The screens keep their place in the tree when the menu switches between the two, so rotating the
+ * device does not remount them. The layout direction of the current language is set here, so the whole app is
+ * mirrored in right-to-left languages. Must be rendered inside a NavigationProvider.
+ *
+ * @param {object} props - The component's properties.
+ * @param {Array<string>} [props.linkingPrefixes=[]] - The URL prefixes of the deep links to handle
+ * (see linking.js). Should be stable.
+ */
+const AppNavigator = ({ linkingPrefixes = NO_PREFIXES }) => {
+    const styles = useThemedStyles(createStyles);
+    const { stack, drawerOpen, sidebarPinned, navigate, closeDrawer } = useNavigation();
+    const { direction } = useI18n();
+
+    // Deep links open their screen on top of the current one.
+    useDeepLinks(linkingPrefixes, (link) => navigate(link.screen, link.params));
+
+    return (
+        <View style={[styles.container, { direction }]}>
+            {sidebarPinned && (
+                <View style={styles.sidebar}>
+                    <DrawerMenu />
+                </View>
+            )}
+            <View style={styles.screens}>
+                {stack.map((route, index) => {
+                    const Screen = ROUTES[route.name].component;
+                    const isTop = index === stack.length - 1;
+                    return (
+                        <View
+                            key={route.key}
+                            style={[StyleSheet.absoluteFill, !isTop && styles.hidden]}
+                            // Screens under the top one are hidden from screen readers as well.
+                            importantForAccessibility={isTop ? 'auto' : 'no-hide-descendants'}
+                            accessibilityElementsHidden={!isTop}>
+                            <Screen {...route.params} />
+                        </View>
+                    );
+                })}
+            </View>
+            {!sidebarPinned && (
+                <SideDrawer open={drawerOpen} onClose={closeDrawer}>
+                    <DrawerMenu />
+                </SideDrawer>
+            )}
+        </View>
+    );
+};
+
+// The styles are built from the current theme by useThemedStyles.
+const createStyles = (theme) => ({
+    container: {
+        flex: 1,
+        flexDirection: 'row',
+        backgroundColor: theme.colors.background.secondary,
+    },
+    sidebar: {
+        width: 280,
+        borderEndWidth: StyleSheet.hairlineWidth,
+        borderEndColor: theme.colors.neutral.gray300,
+    },
+    screens: {
+        flex: 1,
+    },
+    hidden: {
+        display: 'none',
+    },
+});
+
+export default AppNavigator;
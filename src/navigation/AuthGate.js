@@ -0,0 +1,47 @@
+import React from 'react';
+import { View, ActivityIndicator } from 'react-native';
+import LoginScreen from '../screens/LoginScreen';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+import { useI18n } from '../context/I18nContext';
+import { useAuth } from '../context/AuthContext';
+
+/**
+ * Shows the app only to a signed-in user.
+ * While the saved session is being restored a spinner is shown, and while nobody is signed in the login screen.
+ * Its children are unmounted when the user signs out, so nothing loaded for them outlives the session.
+ * Must be rendered inside an AuthProvider.
+ *
+ * @param {object} props - The component's properties.
+ * @param {React.ReactNode} props.children - The app, shown once a user is signed in.
+ */
+const AuthGate = ({ children }) => {
+    // The current theme. Reading it here restyles the component live when the theme changes.
+    const { theme } = useTheme();
+    const styles = useThemedStyles(createStyles);
+    const { direction } = useI18n();
+    const { status } = useAuth();
+
+    if (status === 'signedIn') {
+        return children;
+    }
+    return (
+        <View style={[styles.container, { direction }]}>
+            {status === 'restoring'
+                ? <ActivityIndicator style={styles.spinner} size="large" color={theme.colors.primary.main} />
+                : <LoginScreen />}
+        </View>
+    );
+};
+
+// The styles are built from the current theme by useThemedStyles.
+const createStyles = (theme) => ({
+    container: {
+        flex: 1,
+        backgroundColor: theme.colors.background.secondary,
+    },
+    spinner: {
+        flex: 1,
+    },
+});
+
+export default AuthGate;
@@ -0,0 +1,167 @@
+import React, {
+    createContext,
+    useCallback,
+    useContext,
+    useEffect,
+    useMemo,
+    useReducer,
+} from 'react';
+import { BackHandler } from 'react-native';
+import { useResponsive } from '../context/ResponsiveContext';
+
+/**
+ * @file This file contains the navigation state of the app.
+ * The NavigationProvider owns a stack of routes and whether the side drawer is open, and the useNavigation hook
+ * exposes them, with the actions that change them, to any component below the provider. The state lives above the
+ * screens and does not depend on the window size, so rotating the device or resizing the window never resets it.
+ */
+
+const NavigationContext = createContext(null);
+
+/**
+ * Checks whether the navigation menu is shown as a persistent sidebar instead of a drawer.
+ * This is the case on large tablets in landscape, where there is room for both the menu and the screen.
+ * @param {{breakpoint: string, isLandscape: boolean}} responsive - The responsive values (see useResponsive).
+ * @returns {boolean} Whether the sidebar is persistent.
+ */
+export const hasPersistentSidebar = ({ breakpoint, isLandscape }) => breakpoint === 'largeTablet' && isLandscape;
+
+/**
+ * Creates the initial navigation state.
+ * @param {{name: string, params?: object}} initialRoute - The route at the bottom of the stack.
+ * @returns {object} The initial state.
+ */
+const createInitialState = (initialRoute) => ({
+    stack: [{ key: 'route-0', name: initialRoute.name, params: initialRoute.params || {} }],
+    drawerOpen: false,
+    // Every route gets a unique key, so a screen is remounted when it is replaced by another route.
+    nextKey: 1,
+});
+
+/**
+ * The reducer that drives the navigation state.
+ * @param {object} state - The current state.
+ * @param {object} action - The dispatched action.
+ * @returns {object} The next state.
+ */
+const reducer = (state, action) => {
+    switch (action.type) {
+        case 'NAVIGATE': {
+            const route = { key: `route-${state.nextKey}`, name: action.name, params: action.params || {} };
+            const top = state.stack[state.stack.length - 1];
+            // Navigating to the screen that is already shown replaces it, so the stack does not grow with
+            // e.g. one statistic after another picked from the menu.
+            const stack = top.name === action.name
+                ? [...state.stack.slice(0, -1), route]
+                : [...state.stack, route];
+            return { stack, drawerOpen: false, nextKey: state.nextKey + 1 };
+        }
+        case 'GO_BACK':
+            if (state.stack.length === 1) {
+                return state;
+            }
+            return { ...state, stack: state.stack.slice(0, -1) };
+        case 'POP_TO_TOP':
+            return { ...state, stack: state.stack.slice(0, 1), drawerOpen: false };
+        case 'SET_DRAWER':
+            return state.drawerOpen === action.open ? state : { ...state, drawerOpen: action.open };
+        default:
+            return state;
+    }
+};
+
+// The default first screen. Kept at module level so that it is stable.
+const DEFAULT_ROUTE = { name: 'dashboard' };
+
+/**
+ * Provides the navigation state to its children.
+ * On Android, the hardware back button closes the drawer, then goes back through the stack.
+ * Must be rendered inside a ResponsiveProvider.
+ *
+ * @param {object} props - The component's properties.
+ * @param {{name: string, params?: object}} [props.initialRoute={name: 'dashboard'}] - The first screen.
+ * @param {React.ReactNode} props.children - The components that consume the navigation state.
+ */
+export const NavigationProvider = ({ initialRoute = DEFAULT_ROUTE, children }) => {
+    const [state, dispatch] = useReducer(reducer, initialRoute, createInitialState);
+    const sidebarPinned = hasPersistentSidebar(useResponsive());
+
+    /**
+     * Opens a screen. If it is already shown, it is replaced with the new params.
+     * @param {string} name - The name of the screen (see routes.js).
+     * @param {object} [params] - The screen's params.
+     */
+    const navigate = useCallback((name, params) => dispatch({ type: 'NAVIGATE', name, params }), []);
+    const goBack = useCallback(() => dispatch({ type: 'GO_BACK' }), []);
+    const popToTop = useCallback(() => dispatch({ type: 'POP_TO_TOP' }), []);
+    const openDrawer = useCallback(() => dispatch({ type: 'SET_DRAWER', open: true }), []);
+    const closeDrawer = useCallback(() => dispatch({ type: 'SET_DRAWER', open: false }), []);
+
+    // A drawer left open while the sidebar appears (e.g. when the tablet is rotated) would cover the screen.
+    useEffect(() => {
+        if (sidebarPinned) {
+            closeDrawer();
+        }
+    }, [sidebarPinned, closeDrawer]);
+
+    useEffect(() => {
+        const subscription = BackHandler.addEventListener('hardwareBackPress', () => {
+            if (state.drawerOpen) {
+                closeDrawer();
+                return true;
+            }
+            if (state.stack.length > 1) {
+                goBack();
+                return true;
+            }
+            // Let the system handle it (i.e. leave the app).
+            return false;
+        });
+        return () => subscription.remove();
+    }, [state.drawerOpen, state.stack.length, closeDrawer, goBack]);
+
+    const value = useMemo(() => ({
+        stack: state.stack,
+        route: state.stack[state.stack.length - 1],
+        canGoBack: state.stack.length > 1,
+        drawerOpen: state.drawerOpen,
+        sidebarPinned,
+        navigate,
+        goBack,
+        popToTop,
+        openDrawer,
+        closeDrawer,
+    }), [state, sidebarPinned, navigate, goBack, popToTop, openDrawer, closeDrawer]);
+
+    return (
+        <NavigationContext.Provider value={value}>
+            {children}
+        </NavigationContext.Provider>
+    );
+};
+
+/**
+ * Returns the navigation state and the actions that change it.
+ * Must be called from a component rendered inside a NavigationProvider.
+ * @returns {{
+ *   stack: Array<{key: string, name: string, params: object}>,
+ *   route: {key: string, name: string, params: object},
+ *   canGoBack: boolean,
+ *   drawerOpen: boolean,
+ *   sidebarPinned: boolean,
+ *   navigate: function(string, object=): void,
+ *   goBack: function(): void,
+ *   popToTop: function(): void,
+ *   openDrawer: function(): void,
+ *   closeDrawer: function(): void,
+ * }} The navigation state.
+ */
+export const useNavigation = () => {
+    const context = useContext(NavigationContext);
+    if (!context) {
+        throw new Error('useNavigation must be used within a NavigationProvider');
+    }
+    return context;
+};
+
+export default NavigationContext;
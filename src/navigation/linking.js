@@ -0,0 +1,81 @@
+import { useEffect, useRef } from 'react';
+import { Linking } from 'react-native';
+import { isStatisticRange } from '../utils/statisticDetail';
+
+/**
+ * @file This file contains the deep links the app understands.
+ * A deep link is a URL that starts with one of the configured prefixes (see appConfig.linking) and names a screen:
+ *
+ *   responsivedashboard://statistics/3               opens the detail of statistic 3
+ *   responsivedashboard://statistics/3?range=month   opens it on the month range
+ */
+
+/**
+ * Parses a deep link into the screen it opens.
+ * @param {string} url - The URL that opened the app.
+ * @param {Array<string>} prefixes - The URL prefixes the app handles.
+ * @returns {{screen: 'statisticDetail', params: {statisticId: string, range?: string}} | null} The screen and its
+ * params, or null if the URL is not a link to a known screen.
+ */
+export const parseDeepLink = (url, prefixes) => {
+    const prefix = url && prefixes.find(item => url.startsWith(item));
+    if (!prefix) {
+        return null;
+    }
+    const [path, query = ''] = url.slice(prefix.length).split('?');
+    const segments = path.split('/').filter(Boolean).map(decodeURIComponent);
+    if (segments.length === 2 && segments[0] === 'statistics') {
+        const range = query.split('&')
+            .map(pair => pair.split('='))
+            .find(([key]) => key === 'range')?.[1];
+        return {
+            screen: 'statisticDetail',
+            params: {
+                statisticId: segments[1],
+                // An unknown range is dropped, so the screen opens on its default range.
+                ...(isStatisticRange(range) ? { range } : {}),
+            },
+        };
+    }
+    return null;
+};
+
+/**
+ * Builds the deep link to the detail of a statistic.
+ * @param {string} prefix - The URL prefix, e.g. 'responsivedashboard://'.
+ * @param {number | string} statisticId - The id of the statistic.
+ * @param {string} [range] - The time range to open.
+ * @returns {string} The deep link.
+ */
+export const buildStatisticLink = (prefix, statisticId, range) =>
+    `${prefix}statistics/${encodeURIComponent(statisticId)}${range ? `?range=${range}` : ''}`;
+
+/**
+ * Calls `onLink` with every deep link the app is opened with: the URL that launched it, and the URLs opened
+ * while it is running. URLs that are not deep links to a known screen are ignored.
+ * @param {Array<string>} prefixes - The URL prefixes the app handles. Should be stable.
+ * @param {function({screen: string, params: object}): void} onLink - Called with the parsed link.
+ */
+export const useDeepLinks = (prefixes, onLink) => {
+    // The latest callback is kept in a ref, so the listener does not have to be re-subscribed when it changes.
+    const onLinkRef = useRef(onLink);
+    onLinkRef.current = onLink;
+
+    useEffect(() => {
+        let cancelled = false;
+        const handleUrl = (url) => {
+            const link = parseDeepLink(url, prefixes);
+            if (link && !cancelled) {
+                onLinkRef.current(link);
+            }
+        };
+        Linking.getInitialURL().then(handleUrl).catch(() => {
+            // Without an initial URL the app simply opens on the dashboard.
+        });
+        const subscription = Linking.addEventListener('url', ({ url }) => handleUrl(url));
+        return () => {
+            cancelled = true;
+            subscription.remove();
+        };
+    }, [prefixes]);
+};
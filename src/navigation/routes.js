@@ -0,0 +1,17 @@
+import DashboardScreen from '../screens/DashboardScreen';
+import StatisticDetailScreen from '../screens/StatisticDetailScreen';
+import ProfileScreen from '../screens/ProfileScreen';
+
+/**
+ * @file This file lists the screens the app can navigate to.
+ * A route's params are passed to its screen component as props, e.g.
+ * `navigate('statisticDetail', { statisticId: 3 })` renders `<StatisticDetailScreen statisticId={3} />`.
+ */
+
+export const ROUTES = {
+    dashboard: { component: DashboardScreen },
+    statisticDetail: { component: StatisticDetailScreen },
+    profile: { component: ProfileScreen },
+};
+
+export default ROUTES;
@@ -1,211 +1,344 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useCallback, useMemo } from 'react';
 import {
-    ScrollView,
     View,
     RefreshControl,
-    StyleSheet,
     SafeAreaView,
-    Alert,
-    TouchableOpacity,
     Text,
+    TouchableOpacity,
+    ActivityIndicator,
 } from 'react-native';
-import Orientation from 'react-native-orientation-locker';
 import Icon from 'react-native-vector-icons/MaterialIcons';
 import DashboardHeader from '../components/DashboardHeader';
 import ResponsiveGrid from '../components/ResponsiveGrid';
-import StatisticWidget from '../components/widgets/StatisticWidget';
-import BaseWidget from '../components/widgets/BaseWidget';
-import { theme } from '../styles/theme';
-import { isTablet, listenForOrientationChange } from '../utils/responsive';
+import AddWidgetPicker from '../components/AddWidgetPicker';
+import AppearancePicker from '../components/AppearancePicker';
+import NotificationPanel from '../components/NotificationPanel';
+import DashboardSearchBar from '../components/DashboardSearchBar';
+import PeriodPicker from '../components/PeriodPicker';
+import { SearchHighlightContext } from '../components/HighlightedText';
+import { DragReorderProvider, DraggableItem } from '../components/DragToReorder';
+import { resolveLayout, renderWidget, runQuickAction } from '../components/widgets';
+import WidgetEditContext from '../components/widgets/WidgetEditContext';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+import { useDashboardData } from '../context/DashboardDataContext';
+import { useDashboardLayout } from '../context/DashboardLayoutContext';
+import { useDashboardFilter } from '../context/DashboardFilterContext';
+import { useNotifications } from '../context/NotificationContext';
+import { useAlerts } from '../context/AlertContext';
+import { useI18n } from '../context/I18nContext';
+import { useSession } from '../context/SessionContext';
+import { useNavigation } from '../navigation/NavigationContext';
+import { formatRelativeTime } from '../utils/notifications';
+import { filterGridItems, getDashboardCategories, isFilterActive } from '../utils/dashboardSearch';
+import { describePeriod } from '../utils/period';
 
 /**
  * The main screen of the application, displaying the dashboard.
- * It includes a header, a grid of statistics, and a quick actions widget.
- * It also features pull-to-refresh functionality and handles orientation changes.
+ * It includes a header and a grid of widgets described by a JSON layout document.
+ * It also features pull-to-refresh functionality and re-lays out when the window is rotated or resized.
+ * In edit mode, toggled from the header, widgets can be reordered with a long-press drag, removed, and added back.
+ * Pressing a statistic opens its detail screen, and the header's menu button opens the navigation drawer.
+ * The header's bell opens the notification center, and its badge shows the unread count. The header greets the
+ * signed-in user, and their avatar opens the profile screen. Its search button expands a search bar that filters the
+ * widgets by text and facets, and highlights the matches; the filter is kept while it is active (see
+ * DashboardFilterContext). Edit mode always shows every widget.
+ * Under the header, the period bar picks the reporting period of every statistic and whether their trends compare
+ * it with the previous period; the statistic tiles name the period.
+ * Only the widgets and quick actions the signed-in user has permission for are shown.
+ * The statistics are read from the DashboardDataProvider, the layout from the DashboardLayoutProvider, the filter
+ * from the DashboardFilterProvider, the notifications from the NotificationProvider, the user from the
+ * SessionProvider, and the navigation from the NavigationProvider, which must all wrap this screen.
  */
 const DashboardScreen = () => {
-    // State for the pull-to-refresh indicator.
-    const [refreshing, setRefreshing] = useState(false);
-    // State to track the current device orientation.
-    const [orientation, setOrientation] = useState('portrait');
+    // The current theme. Reading it here restyles the component live when the theme changes.
+    const { theme } = useTheme();
+    const styles = useThemedStyles(createStyles);
+    const { t, locale } = useI18n();
 
-    // Sample data for the dashboard widgets. In a real app, this would come from an API.
-    const [dashboardData, setDashboardData] = useState({
-        statistics: [
-            {
-                id: 1,
-                title: 'Total Sales',
-                value: '$24.5K',
-                subtitle: 'This month',
-                icon: 'trending-up',
-                iconColor: theme.colors.semantic.success,
-                trend: 'up',
-                trendValue: '+12%',
-            },
-            {
-                id: 2,
-                title: 'New Users',
-                value: '1,234',
-                subtitle: 'This week',
-                icon: 'people',
-                iconColor: theme.colors.primary.main,
-                trend: 'up',
-                trendValue: '+8%',
-            },
-            {
-                id: 3,
-                title: 'Orders',
-                value: '456',
-                subtitle: 'Today',
-                icon: 'shopping-cart',
-                iconColor: theme.colors.secondary.main,
-                trend: 'down',
-                trendValue: '-3%',
-            },
-            {
-                id: 4,
-                title: 'Revenue',
-                value: '$12.3K',
-                subtitle: 'This week',
-                icon: 'attach-money',
-                iconColor: theme.colors.accent.main,
-                trend: 'up',
-                trendValue: '+15%',
-            },
-        ],
-    });
+    // The dashboard data, its request state and its reporting period come from the DashboardDataProvider.
+    const {
+        data,
+        statistics,
+        loading,
+        refreshing,
+        error,
+        isOffline,
+        lastUpdated,
+        refresh,
+        period,
+    } = useDashboardData();
+    const periodLabel = describePeriod(period, t, locale);
+    // The user's layout and the actions that change it come from the DashboardLayoutProvider.
+    const {
+        layout,
+        available,
+        savedWidgetIds,
+        editing,
+        toggleEditing,
+        moveWidget,
+        removeWidget,
+        addWidget,
+    } = useDashboardLayout();
+    // The search filter, and whether the search bar was opened. The bar also stays open while a filter is active,
+    // e.g. one restored from the last session.
+    const { filter, clearFilter } = useDashboardFilter();
+    const [searchOpen, setSearchOpen] = useState(false);
+    const searchVisible = !editing && (searchOpen || isFilterActive(filter));
+    // State for the "add widget" picker, and whether a widget is being dragged (which locks scrolling).
+    const [pickerVisible, setPickerVisible] = useState(false);
+    const [dragging, setDragging] = useState(false);
+    // State for the appearance picker, opened from the "Settings" quick action.
+    const [appearanceVisible, setAppearanceVisible] = useState(false);
+    // State for the notification panel, opened from the header's bell.
+    const [notificationsVisible, setNotificationsVisible] = useState(false);
+    const { unreadCount } = useNotifications();
+    // The breached alert rules, which flag their statistic tiles.
+    const { breachesByStatistic } = useAlerts();
+    // The signed-in user's permissions decide which widgets and quick actions are shown.
+    const { user, hasPermission } = useSession();
+    // The navigation menu is a drawer, except where it is shown as a persistent sidebar.
+    const { navigate, openDrawer, sidebarPinned } = useNavigation();
 
-    useEffect(() => {
-        // This effect subscribes to orientation changes to update the UI accordingly.
-        const subscription = listenForOrientationChange(() => {
-            // When the orientation changes, we toggle the orientation state.
-            setOrientation(prev => prev === 'portrait' ? 'landscape' : 'portrait');
-        });
+    /**
+     * Handles a press on a statistic widget by opening its detail screen.
+     * @param {object} statistic - The statistic that was pressed.
+     */
+    const handleStatisticPress = useCallback((statistic) => {
+        navigate('statisticDetail', { statisticId: statistic.id });
+    }, [navigate]);
 
-        // Get the initial orientation when the component mounts.
-        Orientation.getOrientation((orientation) => {
-            setOrientation(orientation);
+    /**
+     * Handles a press on one of the quick actions by running its handler: a navigation target, or a registered
+     * command, which can open this screen's sheets.
+     * @param {object} action - The action that was pressed.
+     */
+    const handleQuickActionPress = useCallback((action) => {
+        runQuickAction(action, {
+            t,
+            navigate,
+            openAppearance: () => setAppearanceVisible(true),
+            openNotifications: () => setNotificationsVisible(true),
         });
+    }, [t, navigate]);
 
-        // Unsubscribe from the event listener when the component unmounts to prevent memory leaks.
-        return () => {
-            subscription?.remove();
-        };
-    }, []);
+    // Resolve the layout document into grid items. Each item knows which registered widget renders it.
+    // This is memoized so that the ResponsiveGrid only re-renders when the layout, the data or the language changes.
+    const widgetContext = useMemo(() => ({
+        t,
+        hasPermission,
+        savedWidgetIds,
+        statistics,
+        series: data?.series,
+        alerts: breachesByStatistic,
+        periodLabel,
+        onStatisticPress: handleStatisticPress,
+        onQuickActionPress: handleQuickActionPress,
+        // The live counts that quick action badges can show.
+        counts: { unreadNotifications: unreadCount },
+    }), [
+        t,
+        hasPermission,
+        savedWidgetIds,
+        statistics,
+        data?.series,
+        breachesByStatistic,
+        periodLabel,
+        handleStatisticPress,
+        handleQuickActionPress,
+        unreadCount,
+    ]);
+    const gridItems = useMemo(() => resolveLayout(layout, widgetContext), [layout, widgetContext]);
+    // The filter hides the widgets that do not match. It is not applied in edit mode, so every widget can be moved.
+    const filtering = !editing && isFilterActive(filter);
+    const visibleItems = useMemo(
+        () => (filtering ? filterGridItems(gridItems, filter) : gridItems),
+        [filtering, gridItems, filter],
+    );
+    const categories = useMemo(() => getDashboardCategories(gridItems), [gridItems]);
 
     /**
-     * Handles the pull-to-refresh action.
-     * It simulates fetching new data from a server.
+     * Collapses the search bar and clears the filter, so every widget is shown again.
      */
-    const handleRefresh = async () => {
-        setRefreshing(true);
-        // Simulate a network request with a 2-second delay.
-        setTimeout(() => {
-            // Update the data (e.g., with new values from an API)
-            setDashboardData(prev => ({
-                ...prev,
-                statistics: prev.statistics.map(stat => ({
-                    ...stat,
-                    value: stat.id === 1 ? '$25.2K' : stat.value, // Example of updating a single value
-                })),
-            }));
-            setRefreshing(false);
-        }, 2000);
-    };
+    const closeSearch = useCallback(() => {
+        setSearchOpen(false);
+        clearFilter();
+    }, [clearFilter]);
+    // The removed widgets are resolved too, so that the picker can show their titles and icons.
+    const availableItems = useMemo(
+        () => resolveLayout({ widgets: available }, widgetContext),
+        [available, widgetContext],
+    );
 
     /**
-     * Renders a single statistic widget.
-     * This function is memoized with useCallback to prevent unnecessary re-renders of the ResponsiveGrid.
-     * @param {object} item - The data for the statistic widget.
-     * @returns {React.ReactElement} The rendered StatisticWidget component.
+     * Moves a dragged widget to the position of the widget it was dropped on.
+     * @param {string} draggedId - The id of the dragged widget.
+     * @param {string} targetId - The id of the widget it was dropped on.
      */
-    const renderStatisticWidget = useCallback((item) => (
-        <StatisticWidget
-            title={item.title}
-            value={item.value}
-            subtitle={item.subtitle}
-            icon={item.icon}
-            iconColor={item.iconColor}
-            trend={item.trend}
-            trendValue={item.trendValue}
-            onPress={() => Alert.alert(item.title, `Detailed view for ${item.title}`)}
-        />
-    ), []);
+    const handleReorder = useCallback((draggedId, targetId) => {
+        moveWidget(draggedId, layout.widgets.findIndex(widget => widget.id === targetId));
+    }, [layout, moveWidget]);
 
-    // Check if the device is a tablet to apply different styles.
-    const isTab = isTablet();
-    // Check if the device is in landscape mode.
-    const isLandscape = orientation === 'landscape';
+    /**
+     * Renders a grid item. In edit mode, the widget is made draggable and given a remove button.
+     * @param {object} item - The resolved grid item.
+     * @returns {React.ReactElement} The rendered widget.
+     */
+    const renderGridItem = useCallback((item) => {
+        if (!editing) {
+            return renderWidget(item);
+        }
+        return (
+            <WidgetEditContext.Provider value={{ onRemove: () => removeWidget(item.id) }}>
+                <DraggableItem id={item.id}>
+                    {renderWidget(item)}
+                </DraggableItem>
+            </WidgetEditContext.Provider>
+        );
+    }, [editing, removeWidget]);
+
+    // The status banners are rendered above the grid, inside the scrollable list.
+    const listHeader = (
+        <>
+            {/* Shows why the data may be out of date when the last request failed: the device is offline, and the
+                last known (possibly cached) data is shown, or the request itself failed. */}
+            {isOffline && (
+                <View style={[styles.errorBanner, styles.offlineBanner]} accessibilityRole="alert">
+                    <Icon name="cloud-off" size={20} color={theme.colors.semantic.warning} />
+                    <Text style={[styles.errorText, styles.offlineText]}>
+                        {lastUpdated
+                            ? t('dashboard.offline', { time: formatRelativeTime(lastUpdated, Date.now(), t) })
+                            : t('dashboard.offlineNoData')}
+                    </Text>
+                </View>
+            )}
+            {error && !isOffline && (
+                <View style={styles.errorBanner} accessibilityRole="alert">
+                    <Icon name="error-outline" size={20} color={theme.colors.semantic.error} />
+                    <Text style={styles.errorText}>
+                        {lastUpdated
+                            ? t('dashboard.refreshFailed')
+                            : t('dashboard.loadFailed')}
+                    </Text>
+                </View>
+            )}
+            {/* Shows a spinner while the first request is in flight. */}
+            {loading && (
+                <ActivityIndicator
+                    style={styles.loadingIndicator}
+                    color={theme.colors.primary.main}
+                />
+            )}
+            {/* Explains why the grid is empty when no widget matches the search. */}
+            {filtering && visibleItems.length === 0 && (
+                <View style={styles.emptySearch}>
+                    <Icon name="search-off" size={40} color={theme.colors.neutral.gray500} />
+                    <Text style={styles.emptySearchText}>{t('search.noResults')}</Text>
+                    <TouchableOpacity
+                        onPress={clearFilter}
+                        accessible={true}
+                        accessibilityRole="button">
+                        <Text style={styles.clearFiltersText}>{t('search.clearFilters')}</Text>
+                    </TouchableOpacity>
+                </View>
+            )}
+            {/* Explains how to edit the layout while in edit mode. */}
+            {editing && (
+                <Text style={styles.editHint}>{t('dashboard.editHint')}</Text>
+            )}
+        </>
+    );
+
+    // In edit mode, a button below the grid opens the "add widget" picker.
+    const listFooter = editing ? (
+        <TouchableOpacity
+            style={styles.addWidgetButton}
+            onPress={() => setPickerVisible(true)}
+            accessible={true}
+            accessibilityRole="button"
+            accessibilityLabel={t('dashboard.addWidget')}>
+            <Icon name="add-circle-outline" size={24} color={theme.colors.primary.main} />
+            <Text style={styles.addWidgetText}>{t('dashboard.addWidget')}</Text>
+        </TouchableOpacity>
+    ) : null;
 
     return (
         <SafeAreaView style={styles.container}>
             <DashboardHeader
-                title="Dashboard"
-                subtitle={`Welcome back, ${isTab ? 'tablet' : 'mobile'} user!`}
-                onMenuPress={() => Alert.alert('Menu', 'Menu opened')}
-                onNotificationPress={() => Alert.alert('Notifications', 'You have 3 notifications')}
-                onProfilePress={() => Alert.alert('Profile', 'Profile opened')}
+                title={t('header.title')}
+                subtitle={user ? t('header.welcome', { name: user.name }) : undefined}
+                showMenu={!sidebarPinned}
+                onMenuPress={openDrawer}
+                onNotificationPress={() => setNotificationsVisible(true)}
+                notificationCount={unreadCount}
+                user={user}
+                onProfilePress={() => navigate('profile')}
+                onSearchPress={editing ? undefined : () => (searchVisible ? closeSearch() : setSearchOpen(true))}
+                searchActive={searchVisible}
+                onEditPress={toggleEditing}
+                editing={editing}
             />
-            <ScrollView
-                style={styles.scrollContainer}
-                contentContainerStyle={styles.contentContainer}
-                showsVerticalScrollIndicator={false}
-                refreshControl={
-                    <RefreshControl
-                        refreshing={refreshing}
-                        onRefresh={handleRefresh}
-                        colors={[theme.colors.primary.main]}
-                        tintColor={theme.colors.primary.main}
-                    />
-                }>
-                {/* Renders the grid of statistic widgets using the ResponsiveGrid component. */}
-                <ResponsiveGrid
-                    data={dashboardData.statistics}
-                    renderItem={renderStatisticWidget}
-                    spacing={theme.spacing.md}                    
+            <PeriodPicker />
+            {/* The search bar sits outside the grid, so the query field keeps its focus while the grid re-renders. */}
+            {searchVisible && (
+                <DashboardSearchBar
+                    categories={categories}
+                    resultCount={visibleItems.length}
+                    totalCount={gridItems.length}
+                    onClose={closeSearch}
+                    autoFocus={searchOpen}
                 />
-                {/* Renders the quick actions widget. */}
-                <View style={styles.widgetsContainer}>
-                    <BaseWidget
-                        title="Quick Actions"
-                        icon="flash-on"
-                        iconColor={theme.colors.semantic.warning}>
-                        <View style={styles.quickActions}>
-                            {[
-                                { title: 'Add Product', icon: 'add-box', color: theme.colors.primary.main },
-                                {
-                                    title: 'View Reports', icon: 'assessment', color:
-                                        theme.colors.secondary.main
-                                },
-                                { title: 'Manage Users', icon: 'group', color: theme.colors.accent.main },
-                                { title: 'Settings', icon: 'settings', color: theme.colors.neutral.gray600 },
-                            ].map((action, index) => (
-                                <TouchableOpacity
-                                    key={index}
-                                    style={styles.quickAction}
-                                    onPress={() => Alert.alert(action.title, `${action.title} pressed`)}>
-                                    <View style={[styles.quickActionIcon, {
-                                        backgroundColor:
-                                            `${action.color}20` // Add opacity to the background color
-                                    }]}>
-                                        <Icon
-                                            name={action.icon}
-                                            size={24}
-                                            color={action.color}
-                                        />
-                                    </View>
-                                    <Text style={styles.quickActionText}>{action.title}</Text>
-                                </TouchableOpacity>
-                            ))}
-                        </View>
-                    </BaseWidget>
-                </View>
-            </ScrollView>
+            )}
+            {/* Renders the widgets described by the layout using the ResponsiveGrid component.
+                The grid is virtualized, so it is also the scroll container and hosts the pull-to-refresh control.
+                The widgets highlight the matches of the search query they read from SearchHighlightContext. */}
+            <SearchHighlightContext.Provider value={filtering ? filter.query : ''}>
+                <DragReorderProvider onReorder={handleReorder} onDragStateChange={setDragging}>
+                    <ResponsiveGrid
+                        virtualized
+                        data={visibleItems}
+                        renderItem={renderGridItem}
+                        spacing={theme.spacing.md}
+                        style={styles.scrollContainer}
+                        contentContainerStyle={styles.contentContainer}
+                        showsVerticalScrollIndicator={false}
+                        scrollEnabled={!dragging}
+                        ListHeaderComponent={listHeader}
+                        ListFooterComponent={listFooter}
+                        refreshControl={
+                            <RefreshControl
+                                refreshing={refreshing}
+                                onRefresh={refresh}
+                                colors={[theme.colors.primary.main]}
+                                tintColor={theme.colors.primary.main}
+                            />
+                        }
+                    />
+                </DragReorderProvider>
+            </SearchHighlightContext.Provider>
+            <AddWidgetPicker
+                visible={pickerVisible}
+                widgets={availableItems}
+                onSelect={(widgetId) => {
+                    addWidget(widgetId);
+                    setPickerVisible(false);
+                }}
+                onClose={() => setPickerVisible(false)}
+            />
+            <AppearancePicker
+                visible={appearanceVisible}
+                onClose={() => setAppearanceVisible(false)}
+            />
+            <NotificationPanel
+                visible={notificationsVisible}
+                onClose={() => setNotificationsVisible(false)}
+                onOpenLink={(link) => navigate(link.screen, link.params)}
+            />
         </SafeAreaView>
     );
 };
 
-const styles = StyleSheet.create({
+// The styles are built from the current theme by useThemedStyles.
+const createStyles = (theme) => ({
     container: {
         flex: 1,
         backgroundColor: theme.colors.background.secondary,
@@ -216,32 +349,76 @@ const styles = StyleSheet.create({
     contentContainer: {
         paddingBottom: theme.spacing.xl,
     },
-    widgetsContainer: {
-        paddingHorizontal: theme.spacing.md,
-    },
-    quickActions: {
+    errorBanner: {
         flexDirection: 'row',
-        flexWrap: 'wrap',
-        justifyContent: 'space-between',
-    },
-    quickAction: {
         alignItems: 'center',
-        width: '22%',
-        paddingVertical: theme.spacing.md,
+        marginHorizontal: theme.spacing.md,
+        marginTop: theme.spacing.sm,
+        padding: theme.spacing.sm,
+        borderRadius: theme.borderRadius.medium,
+        backgroundColor: `${theme.colors.semantic.error}15`,
+    },
+    errorText: {
+        flex: 1,
+        marginStart: theme.spacing.sm,
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.small,
+        color: theme.colors.semantic.error,
+    },
+    offlineBanner: {
+        backgroundColor: `${theme.colors.semantic.warning}15`,
+    },
+    offlineText: {
+        color: theme.colors.semantic.warning,
     },
-    quickActionIcon: {
-        width: 50,
-        height: 50,
-        borderRadius: 25,
+    loadingIndicator: {
+        marginVertical: theme.spacing.md,
+    },
+    emptySearch: {
         alignItems: 'center',
-        justifyContent: 'center',
-        marginBottom: theme.spacing.xs,
+        marginHorizontal: theme.spacing.md,
+        marginTop: theme.spacing.xl,
+    },
+    emptySearchText: {
+        marginTop: theme.spacing.sm,
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.body,
+        color: theme.colors.neutral.gray600,
+        textAlign: 'center',
+    },
+    clearFiltersText: {
+        marginTop: theme.spacing.sm,
+        padding: theme.spacing.xs,
+        fontFamily: theme.fontFamily.bold,
+        fontSize: theme.typography.body,
+        fontWeight: 'bold',
+        color: theme.colors.primary.main,
     },
-    quickActionText: {
-        marginTop: theme.spacing.xs,
+    editHint: {
+        marginHorizontal: theme.spacing.md,
+        marginTop: theme.spacing.sm,
+        fontFamily: theme.fontFamily.regular,
         fontSize: theme.typography.small,
+        color: theme.colors.neutral.gray600,
         textAlign: 'center',
-        color: theme.colors.neutral.gray700,
+    },
+    addWidgetButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        marginHorizontal: theme.spacing.md,
+        paddingVertical: theme.spacing.sm,
+        borderRadius: theme.borderRadius.large,
+        borderWidth: 2,
+        borderStyle: 'dashed',
+        borderColor: theme.colors.primary.light,
+    },
+    addWidgetText: {
+        marginStart: theme.spacing.xs,
+        fontFamily: theme.fontFamily.bold,
+        fontSize: theme.typography.body,
+        fontWeight: 'bold',
+        color: theme.colors.primary.main,
     },
 });
 
@@ -0,0 +1,211 @@
+import React, { useRef, useState } from 'react';
+import {
+    View,
+    Text,
+    TextInput,
+    ScrollView,
+    TouchableOpacity,
+    ActivityIndicator,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import { isAuthError } from '../services/authApi';
+import { createResponsiveStyles } from '../utils/responsive';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+import { useI18n } from '../context/I18nContext';
+import { useAuth } from '../context/AuthContext';
+
+/**
+ * The login screen, shown instead of the app while nobody is signed in.
+ * The user signs in with a username and password. Wrong credentials and unreachable servers get different
+ * messages. Without an auth endpoint, the demo accounts are listed below the form. On tablets the form is a
+ * centered card.
+ */
+const LoginScreen = () => {
+    // The current theme. Reading it here restyles the component live when the theme changes.
+    const { theme } = useTheme();
+    const styles = useThemedStyles(createStyles);
+    const { t } = useI18n();
+    const { signIn, demoAccounts } = useAuth();
+    const [username, setUsername] = useState('');
+    const [password, setPassword] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+    const [error, setError] = useState(null);
+    const passwordRef = useRef(null);
+    const canSubmit = !submitting && username.trim() !== '' && password !== '';
+
+    const handleSubmit = async () => {
+        if (!canSubmit) {
+            return;
+        }
+        setSubmitting(true);
+        setError(null);
+        try {
+            // Once signed in, this screen is replaced by the app, so there is nothing to reset.
+            await signIn({ username: username.trim(), password });
+        } catch (signInError) {
+            setError(t(isAuthError(signInError) ? 'login.invalid' : 'login.failed'));
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <SafeAreaView style={styles.container}>
+            <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+                <View style={styles.card}>
+                    <View style={styles.icon}>
+                        <Icon name="dashboard" size={32} color={theme.colors.primary.contrast} />
+                    </View>
+                    <Text style={styles.title} accessibilityRole="header">{t('login.title')}</Text>
+                    <Text style={styles.subtitle}>{t('login.subtitle')}</Text>
+                    <TextInput
+                        style={styles.input}
+                        value={username}
+                        onChangeText={setUsername}
+                        placeholder={t('login.username')}
+                        placeholderTextColor={theme.colors.neutral.gray500}
+                        autoCapitalize="none"
+                        autoCorrect={false}
+                        autoComplete="username"
+                        textContentType="username"
+                        returnKeyType="next"
+                        onSubmitEditing={() => passwordRef.current?.focus()}
+                        editable={!submitting}
+                        accessibilityLabel={t('login.username')}
+                    />
+                    <TextInput
+                        ref={passwordRef}
+                        style={styles.input}
+                        value={password}
+                        onChangeText={setPassword}
+                        placeholder={t('login.password')}
+                        placeholderTextColor={theme.colors.neutral.gray500}
+                        secureTextEntry={true}
+                        autoComplete="password"
+                        textContentType="password"
+                        returnKeyType="go"
+                        onSubmitEditing={handleSubmit}
+                        editable={!submitting}
+                        accessibilityLabel={t('login.password')}
+                    />
+                    {error && (
+                        <Text style={styles.error} accessibilityRole="alert" accessibilityLiveRegion="polite">
+                            {error}
+                        </Text>
+                    )}
+                    <TouchableOpacity
+                        style={[styles.submitButton, !canSubmit && styles.submitDisabled]}
+                        onPress={handleSubmit}
+                        disabled={!canSubmit}
+                        accessible={true}
+                        accessibilityRole="button"
+                        accessibilityLabel={t('login.submit')}
+                        accessibilityState={{ disabled: !canSubmit, busy: submitting }}>
+                        {submitting ? (
+                            <ActivityIndicator color={theme.colors.primary.contrast} />
+                        ) : (
+                            <Text style={styles.submitText}>{t('login.submit')}</Text>
+                        )}
+                    </TouchableOpacity>
+                    {demoAccounts && (
+                        <Text style={styles.demoHint}>
+                            {t('login.demoHint', {
+                                accounts: demoAccounts
+                                    .map(account => `${account.username} / ${account.password}`)
+                                    .join(t('common.listSeparator')),
+                            })}
+                        </Text>
+                    )}
+                </View>
+            </ScrollView>
+        </SafeAreaView>
+    );
+};
+
+// The styles are built from the current theme by useThemedStyles, and resolved for the current breakpoint.
+const createStyles = createResponsiveStyles((theme) => ({
+    container: {
+        flex: 1,
+        backgroundColor: theme.colors.background.secondary,
+    },
+    content: {
+        flexGrow: 1,
+        justifyContent: 'center',
+        padding: theme.spacing.md,
+    },
+    card: {
+        ...theme.card,
+        alignItems: 'stretch',
+        padding: theme.spacing.lg,
+        tablet: {
+            alignSelf: 'center',
+            width: '100%',
+            maxWidth: 420,
+            padding: theme.spacing.xl,
+        },
+    },
+    icon: {
+        alignSelf: 'center',
+        width: 64,
+        height: 64,
+        borderRadius: 32,
+        alignItems: 'center',
+        justifyContent: 'center',
+        backgroundColor: theme.colors.primary.main,
+    },
+    title: {
+        marginTop: theme.spacing.md,
+        fontFamily: theme.fontFamily.bold,
+        fontSize: theme.typography.h2,
+        fontWeight: 'bold',
+        textAlign: 'center',
+        color: theme.colors.neutral.gray800,
+    },
+    subtitle: {
+        marginTop: theme.spacing.xs,
+        marginBottom: theme.spacing.md,
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.body,
+        textAlign: 'center',
+        color: theme.colors.neutral.gray600,
+    },
+    input: {
+        marginTop: theme.spacing.sm,
+        paddingHorizontal: theme.spacing.md,
+        paddingVertical: theme.spacing.sm,
+        borderWidth: 1,
+        borderColor: theme.colors.neutral.gray300,
+        borderRadius: theme.borderRadius.medium,
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.body,
+        color: theme.colors.neutral.gray800,
+    },
+    error: {
+        marginTop: theme.spacing.sm,
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.caption,
+        color: theme.colors.semantic.error,
+    },
+    submitButton: {
+        ...theme.button.primary,
+        marginTop: theme.spacing.lg,
+    },
+    submitDisabled: {
+        opacity: 0.5,
+    },
+    submitText: {
+        fontFamily: theme.fontFamily.bold,
+        fontSize: theme.typography.body,
+        fontWeight: 'bold',
+        color: theme.colors.primary.contrast,
+    },
+    demoHint: {
+        marginTop: theme.spacing.md,
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.small,
+        textAlign: 'center',
+        color: theme.colors.neutral.gray600,
+    },
+}));
+
+export default LoginScreen;
@@ -0,0 +1,170 @@
+import React from 'react';
+import { View, Text, ScrollView, TouchableOpacity } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import Avatar from '../components/Avatar';
+import { createResponsiveStyles } from '../utils/responsive';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+import { useI18n } from '../context/I18nContext';
+import { useAuth } from '../context/AuthContext';
+import { useSession } from '../context/SessionContext';
+import { useNavigation } from '../navigation/NavigationContext';
+
+/**
+ * The profile screen of the signed-in user.
+ * It shows the user's avatar, name, email and roles, and lets them sign out. On tablets the profile is a centered
+ * card. The screen is opened from the avatar in the dashboard header.
+ */
+const ProfileScreen = () => {
+    // The current theme. Reading it here restyles the component live when the theme changes.
+    const { theme } = useTheme();
+    const styles = useThemedStyles(createStyles);
+    const { t, isRTL } = useI18n();
+    const { signOut } = useAuth();
+    const { user } = useSession();
+    const { goBack } = useNavigation();
+
+    return (
+        <SafeAreaView style={styles.container}>
+            <View style={styles.header}>
+                <TouchableOpacity
+                    style={styles.backButton}
+                    onPress={goBack}
+                    accessible={true}
+                    accessibilityRole="button"
+                    accessibilityLabel={t('detail.back')}>
+                    {/* The back arrow points toward the start of the line, so it is mirrored in right-to-left languages. */}
+                    <Icon name={isRTL ? 'arrow-forward' : 'arrow-back'} size={24} color={theme.colors.neutral.white} />
+                </TouchableOpacity>
+                <Text style={styles.headerTitle} numberOfLines={1} accessibilityRole="header">
+                    {t('profile.title')}
+                </Text>
+            </View>
+            <ScrollView contentContainerStyle={styles.content}>
+                <View style={styles.card}>
+                    {user && (
+                        <>
+                            <Avatar name={user.name} uri={user.avatarUrl} size={96} />
+                            <Text style={styles.name}>{user.name}</Text>
+                            {user.email && <Text style={styles.email}>{user.email}</Text>}
+                            <Text style={styles.sectionTitle}>{t('profile.roles')}</Text>
+                            <View style={styles.roles}>
+                                {user.roles.map(role => (
+                                    <View key={role} style={styles.role}>
+                                        <Text style={styles.roleText}>{t(`role.${role}`)}</Text>
+                                    </View>
+                                ))}
+                            </View>
+                        </>
+                    )}
+                    <TouchableOpacity
+                        style={styles.signOutButton}
+                        onPress={signOut}
+                        accessible={true}
+                        accessibilityRole="button">
+                        <Icon name="logout" size={20} color={theme.colors.semantic.error} />
+                        <Text style={styles.signOutText}>{t('profile.signOut')}</Text>
+                    </TouchableOpacity>
+                </View>
+            </ScrollView>
+        </SafeAreaView>
+    );
+};
+
+// The styles are built from the current theme by useThemedStyles, and resolved for the current breakpoint.
+const createStyles = createResponsiveStyles((theme) => ({
+    container: {
+        flex: 1,
+        backgroundColor: theme.colors.background.secondary,
+    },
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingHorizontal: theme.spacing.sm,
+        paddingVertical: theme.spacing.sm,
+        backgroundColor: theme.colors.primary.main,
+    },
+    backButton: {
+        padding: theme.spacing.xs,
+        marginEnd: theme.spacing.sm,
+    },
+    headerTitle: {
+        flex: 1,
+        fontFamily: theme.fontFamily.bold,
+        fontSize: theme.typography.h3,
+        fontWeight: 'bold',
+        color: theme.colors.neutral.white,
+    },
+    content: {
+        padding: theme.spacing.md,
+        tablet: {
+            padding: theme.spacing.xl,
+        },
+    },
+    card: {
+        ...theme.card,
+        alignItems: 'center',
+        padding: theme.spacing.lg,
+        tablet: {
+            alignSelf: 'center',
+            width: '100%',
+            maxWidth: 480,
+        },
+    },
+    name: {
+        marginTop: theme.spacing.md,
+        fontFamily: theme.fontFamily.bold,
+        fontSize: theme.typography.h2,
+        fontWeight: 'bold',
+        textAlign: 'center',
+        color: theme.colors.neutral.gray800,
+    },
+    email: {
+        marginTop: theme.spacing.xs,
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.body,
+        color: theme.colors.neutral.gray600,
+    },
+    sectionTitle: {
+        marginTop: theme.spacing.lg,
+        fontFamily: theme.fontFamily.medium,
+        fontSize: theme.typography.caption,
+        color: theme.colors.neutral.gray600,
+    },
+    roles: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        justifyContent: 'center',
+        marginTop: theme.spacing.xs,
+    },
+    role: {
+        margin: theme.spacing.xs,
+        paddingHorizontal: theme.spacing.sm,
+        paddingVertical: theme.spacing.xs,
+        borderRadius: theme.borderRadius.small,
+        backgroundColor: `${theme.colors.primary.main}20`, // Add opacity to the background color
+    },
+    roleText: {
+        fontFamily: theme.fontFamily.medium,
+        fontSize: theme.typography.small,
+        color: theme.colors.primary.main,
+    },
+    signOutButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginTop: theme.spacing.xl,
+        paddingHorizontal: theme.spacing.lg,
+        paddingVertical: theme.spacing.sm,
+        borderWidth: 1,
+        borderColor: theme.colors.semantic.error,
+        borderRadius: theme.borderRadius.medium,
+    },
+    signOutText: {
+        marginStart: theme.spacing.sm,
+        fontFamily: theme.fontFamily.medium,
+        fontSize: theme.typography.body,
+        color: theme.colors.semantic.error,
+    },
+}));
+
+export default ProfileScreen;
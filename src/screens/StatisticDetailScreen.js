@@ -0,0 +1,449 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+    View,
+    Text,
+    ScrollView,
+    TouchableOpacity,
+    ActivityIndicator,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import BaseWidget from '../components/widgets/BaseWidget';
+import RangeSelector from '../components/RangeSelector';
+import AlertRulesPanel from '../components/AlertRulesPanel';
+import { ChartContainer, LineChart } from '../components/charts';
+import { resolveColor } from '../styles/theme';
+import { formatTick } from '../utils/chartGeometry';
+import { createResponsiveStyles } from '../utils/responsive';
+import {
+    STATISTIC_RANGES,
+    DEFAULT_STATISTIC_RANGE,
+    summarizeSeries,
+    comparePeriods,
+    formatChange,
+    buildBreakdownRows,
+} from '../utils/statisticDetail';
+import { resolveStatisticDisplay } from '../utils/numberFormat';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+import { useDashboardData } from '../context/DashboardDataContext';
+import { useI18n } from '../context/I18nContext';
+import { useSession } from '../context/SessionContext';
+import { useNavigation } from '../navigation/NavigationContext';
+
+/**
+ * Loads the detail document of a statistic, and re-loads it when the statistic or the range changes.
+ * The previous document stays available while the next one loads, so the screen does not blank out.
+ * @param {number | string | null} statisticId - The id of the statistic, or null to load nothing.
+ * @param {string} range - The time range.
+ * @returns {{detail: object | null, loading: boolean, error: Error | null, retry: function(): void}} The request
+ * state.
+ */
+const useStatisticDetail = (statisticId, range) => {
+    const { loadStatisticDetail } = useDashboardData();
+    const [state, setState] = useState({ detail: null, loading: true, error: null });
+    // Bumped by `retry` to run the effect again.
+    const [attempt, setAttempt] = useState(0);
+
+    useEffect(() => {
+        if (statisticId == null) {
+            setState({ detail: null, loading: false, error: null });
+            return;
+        }
+        const controller = new AbortController();
+        setState(current => ({ ...current, loading: true, error: null }));
+        loadStatisticDetail(statisticId, range, { signal: controller.signal })
+            .then(detail => {
+                if (!controller.signal.aborted) {
+                    setState({ detail, loading: false, error: null });
+                }
+            })
+            .catch(error => {
+                if (!controller.signal.aborted) {
+                    setState(current => ({ ...current, loading: false, error }));
+                }
+            });
+        return () => controller.abort();
+    }, [loadStatisticDetail, statisticId, range, attempt]);
+
+    const retry = useCallback(() => setAttempt(current => current + 1), []);
+    return { ...state, retry };
+};
+
+/**
+ * The detail screen of a single statistic.
+ * It shows the statistic's history over a selectable time range, compares the range with the period before it,
+ * and breaks the range's total down by category. On tablets, the chart and the breakdown sit side by side.
+ * Below them, the statistic's alert rules can be reviewed and edited.
+ * The screen is opened by pressing a statistic widget, from the navigation menu, or with a deep link
+ * (see navigation/linking.js). Its props are the params of its route.
+ *
+ * @param {object} props - The component's properties.
+ * @param {number | string} props.statisticId - The id of the statistic. Ids from deep links are strings.
+ * @param {'day' | 'week' | 'month' | 'quarter'} [props.range='week'] - The range shown first.
+ */
+const StatisticDetailScreen = ({ statisticId, range: initialRange = DEFAULT_STATISTIC_RANGE }) => {
+    // The current theme. Reading it here restyles the component live when the theme changes.
+    const { theme } = useTheme();
+    const styles = useThemedStyles(createStyles);
+    const { statistics } = useDashboardData();
+    const { goBack } = useNavigation();
+    const { t, locale, isRTL } = useI18n();
+    const { hasPermission } = useSession();
+    const found = statistics.find(item => String(item.id) === String(statisticId));
+    // A statistic the user may not see is treated as missing, so a deep link cannot reveal it.
+    const restricted = !!found && !hasPermission(found.permission);
+    const statistic = restricted ? undefined : found;
+    const [range, setRange] = useState(initialRange);
+    // The detail of a restricted statistic is not loaded at all, so it never reaches memory.
+    const { detail, loading, error, retry } = useStatisticDetail(restricted ? null : statisticId, range);
+    const rangeOptions = STATISTIC_RANGES.map(item => ({ id: item.id, label: t(`range.${item.id}`) }));
+    const currentPeriod = t(`range.${range}.current`);
+    const previousPeriod = t(`range.${range}.previous`);
+
+    const comparison = useMemo(() => detail && comparePeriods(
+        summarizeSeries(detail.series, statistic?.aggregate),
+        summarizeSeries(detail.previous, statistic?.aggregate),
+    ), [detail, statistic?.aggregate]);
+    const breakdownRows = useMemo(() => (detail ? buildBreakdownRows(detail.breakdown) : []), [detail]);
+    // A fall is shown as good news for statistics with an inverted trend, e.g. costs.
+    const unfavorable = comparison?.trend !== 'flat'
+        && (comparison?.trend === 'down') !== !!statistic?.invertTrend;
+    const changeColor = unfavorable
+        ? theme.colors.semantic.error
+        : theme.colors.semantic.success;
+    const accentColor = statistic?.iconColor || 'primary.main';
+
+    const header = (
+        <View style={styles.header}>
+            <TouchableOpacity
+                style={styles.backButton}
+                onPress={goBack}
+                accessible={true}
+                accessibilityRole="button"
+                accessibilityLabel={t('detail.back')}>
+                {/* The back arrow points toward the start of the line, so it is mirrored in right-to-left languages. */}
+                <Icon name={isRTL ? 'arrow-forward' : 'arrow-back'} size={24} color={theme.colors.neutral.white} />
+            </TouchableOpacity>
+            <Text style={styles.headerTitle} numberOfLines={1} accessibilityRole="header">
+                {statistic?.title || t('detail.statistic')}
+            </Text>
+        </View>
+    );
+
+    // A link to a statistic that does not exist (e.g. an outdated deep link), or that the user may not see, gets an
+    // explanation, not a blank screen.
+    if (!statistic) {
+        return (
+            <SafeAreaView style={styles.container}>
+                {header}
+                <View style={styles.message}>
+                    <Icon
+                        name={restricted ? 'lock-outline' : 'search-off'}
+                        size={48}
+                        color={theme.colors.neutral.gray500}
+                    />
+                    <Text style={styles.messageText}>{t(restricted ? 'detail.restricted' : 'detail.unavailable')}</Text>
+                </View>
+            </SafeAreaView>
+        );
+    }
+
+    return (
+        <SafeAreaView style={styles.container}>
+            {header}
+            <ScrollView contentContainerStyle={styles.content}>
+                {/* Summary: the dashboard value, and the selected range compared with the period before it. */}
+                <View style={styles.summary}>
+                    <Text style={styles.value}>{resolveStatisticDisplay(statistic, locale).value}</Text>
+                    {statistic.subtitle && <Text style={styles.subtitle}>{statistic.subtitle}</Text>}
+                    {comparison && (
+                        <View style={styles.comparison} accessible={true}>
+                            <Text style={styles.periodValue}>
+                                {t('detail.periodValue', { period: currentPeriod, value: formatTick(comparison.current) })}
+                            </Text>
+                            <View style={styles.changeRow}>
+                                <Icon
+                                    name={comparison.trend === 'down' ? 'trending-down' : 'trending-up'}
+                                    size={16}
+                                    color={changeColor}
+                                />
+                                <Text style={[styles.change, { color: changeColor }]}>
+                                    {formatChange(comparison.changePercent)}
+                                </Text>
+                                <Text style={styles.previous}>
+                                    {t('detail.versus', { period: previousPeriod, value: formatTick(comparison.previous) })}
+                                </Text>
+                            </View>
+                        </View>
+                    )}
+                </View>
+
+                <RangeSelector
+                    options={rangeOptions}
+                    value={range}
+                    onChange={setRange}
+                    accessibilityLabel={t('detail.timeRange')}
+                />
+
+                {error && (
+                    <View style={styles.errorBanner} accessibilityRole="alert">
+                        <Icon name="error-outline" size={20} color={theme.colors.semantic.error} />
+                        <Text style={styles.errorText}>{t('detail.loadFailed')}</Text>
+                        <TouchableOpacity
+                            onPress={retry}
+                            accessible={true}
+                            accessibilityRole="button"
+                            accessibilityLabel={t('common.tryAgain')}>
+                            <Text style={styles.retryText}>{t('common.tryAgain')}</Text>
+                        </TouchableOpacity>
+                    </View>
+                )}
+                {loading && (
+                    <ActivityIndicator style={styles.loadingIndicator} color={theme.colors.primary.main} />
+                )}
+
+                {detail && (
+                    <View style={styles.panels}>
+                        {/* History: the selected range as a line chart. */}
+                        <View style={styles.panel}>
+                            <BaseWidget title={t('detail.history')} icon="show-chart" iconColor={accentColor}>
+                                <ChartContainer aspectRatio={0.6}>
+                                    {({ width, height }) => (
+                                        <LineChart
+                                            data={detail.series}
+                                            width={width}
+                                            height={height}
+                                            color={accentColor}
+                                            accessibilityLabel={t('detail.chart', {
+                                                title: statistic.title,
+                                                period: currentPeriod,
+                                                count: detail.series.length,
+                                            })}
+                                        />
+                                    )}
+                                </ChartContainer>
+                            </BaseWidget>
+                        </View>
+                        {/* Breakdown: the range's total by category, largest first. */}
+                        <View style={styles.panel}>
+                            <BaseWidget title={t('detail.breakdown')} icon="table-chart" iconColor={accentColor}>
+                                {breakdownRows.length === 0 && (
+                                    <Text style={styles.emptyText}>{t('detail.noBreakdown')}</Text>
+                                )}
+                                {breakdownRows.map(row => (
+                                    <View
+                                        key={row.label}
+                                        style={styles.row}
+                                        accessible={true}
+                                        accessibilityLabel={t('detail.breakdownRow', {
+                                            label: row.label,
+                                            value: formatTick(row.value),
+                                            share: Math.round(row.share * 100),
+                                        })}>
+                                        <View style={styles.rowText}>
+                                            <Text style={styles.rowLabel} numberOfLines={1}>{row.label}</Text>
+                                            <Text style={styles.rowValue}>{formatTick(row.value)}</Text>
+                                            <Text style={styles.rowShare}>{`${Math.round(row.share * 100)}%`}</Text>
+                                        </View>
+                                        <View style={styles.shareTrack}>
+                                            <View
+                                                style={[
+                                                    styles.shareBar,
+                                                    {
+                                                        width: `${row.share * 100}%`,
+                                                        backgroundColor: resolveColor(accentColor, theme.colors),
+                                                    },
+                                                ]}
+                                            />
+                                        </View>
+                                    </View>
+                                ))}
+                            </BaseWidget>
+                        </View>
+                    </View>
+                )}
+
+                {/* Alerts: the statistic's threshold rules, and a form to add one. */}
+                <View style={styles.alerts}>
+                    <AlertRulesPanel statistic={statistic} />
+                </View>
+            </ScrollView>
+        </SafeAreaView>
+    );
+};
+
+// The styles are built from the current theme by useThemedStyles, and resolved for the current breakpoint.
+const createStyles = createResponsiveStyles((theme) => ({
+    container: {
+        flex: 1,
+        backgroundColor: theme.colors.background.secondary,
+    },
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingHorizontal: theme.spacing.sm,
+        paddingVertical: theme.spacing.sm,
+        backgroundColor: theme.colors.primary.main,
+    },
+    backButton: {
+        padding: theme.spacing.xs,
+        marginEnd: theme.spacing.sm,
+    },
+    headerTitle: {
+        flex: 1,
+        fontFamily: theme.fontFamily.bold,
+        fontSize: theme.typography.h3,
+        fontWeight: 'bold',
+        color: theme.colors.neutral.white,
+    },
+    content: {
+        padding: theme.spacing.md,
+        paddingBottom: theme.spacing.xl,
+        tablet: {
+            padding: theme.spacing.lg,
+        },
+    },
+    summary: {
+        alignItems: 'center',
+        marginBottom: theme.spacing.md,
+    },
+    value: {
+        fontFamily: theme.fontFamily.bold,
+        fontSize: theme.typography.h1,
+        fontWeight: 'bold',
+        color: theme.colors.neutral.gray800,
+        tablet: {
+            fontSize: theme.typography.h1 * 1.2,
+        },
+    },
+    subtitle: {
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.caption,
+        color: theme.colors.neutral.gray600,
+    },
+    comparison: {
+        alignItems: 'center',
+        marginTop: theme.spacing.sm,
+    },
+    periodValue: {
+        fontFamily: theme.fontFamily.medium,
+        fontSize: theme.typography.body,
+        color: theme.colors.neutral.gray800,
+    },
+    changeRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginTop: theme.spacing.xs,
+    },
+    change: {
+        marginStart: theme.spacing.xs,
+        fontFamily: theme.fontFamily.bold,
+        fontSize: theme.typography.caption,
+        fontWeight: 'bold',
+    },
+    previous: {
+        marginStart: theme.spacing.xs,
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.caption,
+        color: theme.colors.neutral.gray600,
+    },
+    errorBanner: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginTop: theme.spacing.sm,
+        padding: theme.spacing.sm,
+        borderRadius: theme.borderRadius.medium,
+        backgroundColor: `${theme.colors.semantic.error}15`,
+    },
+    errorText: {
+        flex: 1,
+        marginStart: theme.spacing.sm,
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.small,
+        color: theme.colors.semantic.error,
+    },
+    retryText: {
+        fontFamily: theme.fontFamily.bold,
+        fontSize: theme.typography.small,
+        fontWeight: 'bold',
+        color: theme.colors.semantic.error,
+    },
+    loadingIndicator: {
+        marginVertical: theme.spacing.md,
+    },
+    panels: {
+        marginTop: theme.spacing.md,
+        tablet: {
+            flexDirection: 'row',
+            alignItems: 'flex-start',
+            marginHorizontal: -theme.spacing.sm / 2,
+        },
+    },
+    panel: {
+        tablet: {
+            flex: 1,
+            marginHorizontal: theme.spacing.sm / 2,
+        },
+    },
+    alerts: {
+        marginTop: theme.spacing.md,
+    },
+    row: {
+        paddingVertical: theme.spacing.xs,
+    },
+    rowText: {
+        flexDirection: 'row',
+        alignItems: 'baseline',
+    },
+    rowLabel: {
+        flex: 1,
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.body,
+        color: theme.colors.neutral.gray800,
+    },
+    rowValue: {
+        fontFamily: theme.fontFamily.bold,
+        fontSize: theme.typography.body,
+        fontWeight: 'bold',
+        color: theme.colors.neutral.gray800,
+    },
+    rowShare: {
+        width: 48,
+        textAlign: 'right',
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.caption,
+        color: theme.colors.neutral.gray600,
+    },
+    shareTrack: {
+        height: 4,
+        marginTop: 4,
+        borderRadius: 2,
+        backgroundColor: theme.colors.neutral.gray200,
+        overflow: 'hidden',
+    },
+    shareBar: {
+        height: 4,
+    },
+    emptyText: {
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.caption,
+        color: theme.colors.neutral.gray500,
+        textAlign: 'center',
+        paddingVertical: theme.spacing.md,
+    },
+    message: {
+        flex: 1,
+        alignItems: 'center',
+        justifyContent: 'center',
+        padding: theme.spacing.lg,
+    },
+    messageText: {
+        marginTop: theme.spacing.sm,
+        fontFamily: theme.fontFamily.regular,
+        fontSize: theme.typography.body,
+        color: theme.colors.neutral.gray600,
+        textAlign: 'center',
+    },
+}));
+
+export default StatisticDetailScreen;
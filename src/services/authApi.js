@@ -0,0 +1,156 @@
+import { fetchJson } from './dashboardApi';
+import { sampleUsers } from '../data/sampleUsers';
+
+/**
+ * @file This file contains the auth services that sign users in and out.
+ * A service has three methods, which all work with sessions of the shape
+ * `{ accessToken, refreshToken, expiresAt, user }`:
+ * - `signIn({ username, password })` resolves with a new session, or rejects with an error whose `status` is 401
+ *   when the credentials are wrong;
+ * - `refresh(session)` resolves with a session holding new tokens, or rejects with a 401 error when the refresh
+ *   token is no longer valid;
+ * - `signOut(session)` revokes the session's tokens.
+ *
+ * createEndpointAuthService talks to a REST backend; createMockAuthService checks the bundled demo accounts, so the
+ * app can be tried without one.
+ */
+
+// How long (in seconds) the tokens of the mock service stay valid.
+const MOCK_TOKEN_LIFETIME = 15 * 60;
+
+/**
+ * Checks whether a request failed because the credentials or tokens were rejected, rather than because the server
+ * could not be reached.
+ * @param {Error} error - The error the request failed with.
+ * @returns {boolean} Whether the credentials or tokens were rejected.
+ */
+export const isAuthError = (error) => error?.status === 401 || error?.status === 403;
+
+/**
+ * Creates an error for rejected credentials or tokens.
+ * @param {string} message - The error message.
+ * @returns {Error} The error, with a `status` of 401.
+ */
+const createAuthError = (message) => {
+    const error = new Error(message);
+    error.status = 401;
+    return error;
+};
+
+/**
+ * Turns a token response into a session.
+ * The response must contain an `accessToken` and a `user` with an `id` and a `name`, and may contain a
+ * `refreshToken` and the lifetime of the access token in seconds as `expiresIn`. Without `expiresIn`, `expiresAt` is
+ * null and the access token is treated as if it never expires.
+ * @param {*} body - The token response.
+ * @param {number} [now=Date.now()] - The time the response was received.
+ * @returns {{accessToken: string, refreshToken: string | null, expiresAt: number | null, user: object}} The
+ * session.
+ * @throws {Error} If the response is not usable.
+ */
+export const createSession = (body, now = Date.now()) => {
+    if (typeof body?.accessToken !== 'string' || !body.accessToken) {
+        throw new Error('Auth response is missing an "accessToken"');
+    }
+    if (body.user?.id === undefined || typeof body.user.name !== 'string') {
+        throw new Error('Auth response is missing a "user" with an "id" and a "name"');
+    }
+    return {
+        accessToken: body.accessToken,
+        refreshToken: body.refreshToken || null,
+        expiresAt: typeof body.expiresIn === 'number' ? now + body.expiresIn * 1000 : null,
+        user: { roles: [], ...body.user },
+    };
+};
+
+/**
+ * Checks whether a value, e.g. a saved session, has the shape of a session.
+ * @param {*} session - The value to check.
+ * @returns {boolean} Whether it is a session.
+ */
+export const isSession = (session) => (
+    typeof session?.accessToken === 'string'
+    && (session.expiresAt === null || typeof session.expiresAt === 'number')
+    && session.user?.id !== undefined
+);
+
+/**
+ * Creates a service that signs users in against a REST backend.
+ * The backend is expected to answer `POST {endpoint}/login` with `{ username, password }` and
+ * `POST {endpoint}/refresh` with `{ refreshToken }` with a token response (see createSession), and to revoke the
+ * tokens on `POST {endpoint}/logout`. A refresh response without a `user` keeps the session's user.
+ * @param {string} endpoint - The base URL of the auth endpoints, e.g. 'https://api.example.com/auth'.
+ * @param {object} [options] - Service options.
+ * @param {number} [options.timeout] - The request timeout in milliseconds.
+ * @param {function} [options.fetchImpl] - The fetch implementation to use. Useful for tests.
+ * @returns {{signIn: function, refresh: function, signOut: function}} The service.
+ */
+export const createEndpointAuthService = (endpoint, { timeout, fetchImpl } = {}) => {
+    const post = (path, body, headers) => fetchJson(`${endpoint}${path}`, {
+        method: 'POST',
+        body,
+        headers,
+        timeout,
+        fetchImpl,
+    });
+    return {
+        signIn: async ({ username, password }) => createSession(await post('/login', { username, password })),
+        refresh: async (session) => {
+            const body = await post('/refresh', { refreshToken: session.refreshToken });
+            return createSession({ user: session.user, ...body });
+        },
+        signOut: async (session) => {
+            await post('/logout', { refreshToken: session.refreshToken }, {
+                Authorization: `Bearer ${session.accessToken}`,
+            });
+        },
+    };
+};
+
+/**
+ * Creates a service that signs in the bundled demo accounts, without a backend.
+ * Its tokens are opaque strings that only this service understands. It also lists its accounts as `demoAccounts`,
+ * so the login screen can show them.
+ * @param {Array<object>} [users=sampleUsers] - The accounts, with a `username` and `password` each.
+ * @param {object} [options] - Service options.
+ * @param {number} [options.tokenLifetime=900] - How long (in seconds) the access tokens stay valid.
+ * @returns {{signIn: function, refresh: function, signOut: function, demoAccounts: Array<object>}} The service.
+ */
+export const createMockAuthService = (users = sampleUsers, { tokenLifetime = MOCK_TOKEN_LIFETIME } = {}) => {
+    const issue = ({ id, username, name, email, roles, avatarUrl }) => createSession({
+        accessToken: `mock-access.${id}.${Date.now()}`,
+        refreshToken: `mock-refresh.${id}`,
+        expiresIn: tokenLifetime,
+        user: { id, username, name, email, roles, avatarUrl },
+    });
+    return {
+        signIn: async ({ username, password }) => {
+            const user = users.find(item => item.username === username?.trim() && item.password === password);
+            if (!user) {
+                throw createAuthError('The username or password is incorrect');
+            }
+            return issue(user);
+        },
+        refresh: async (session) => {
+            const user = users.find(item => session.refreshToken === `mock-refresh.${item.id}`);
+            if (!user) {
+                throw createAuthError('The refresh token is not valid');
+            }
+            return issue(user);
+        },
+        signOut: async () => {},
+        demoAccounts: users.map(({ username, password, roles }) => ({ username, password, roles })),
+    };
+};
+
+/**
+ * Creates the auth service for the app's configuration.
+ * @param {object} [config] - The auth configuration (see appConfig.auth).
+ * @param {string | null} [config.endpoint] - The base URL of the auth endpoints. When null, the demo accounts are
+ * used instead.
+ * @param {number} [config.timeout] - The request timeout in milliseconds.
+ * @returns {{signIn: function, refresh: function, signOut: function, demoAccounts?: Array<object>}} The service.
+ */
+export const createAuthService = ({ endpoint, timeout } = {}) => (
+    endpoint ? createEndpointAuthService(endpoint, { timeout }) : createMockAuthService()
+);
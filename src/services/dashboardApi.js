@@ -0,0 +1,144 @@
+/**
+ * @file This file contains the network layer for the dashboard data.
+ * It knows how to talk to the configured REST endpoint and how to validate the response,
+ * but it holds no React state of its own.
+ */
+
+/**
+ * Fetches a JSON document from a REST endpoint with a timeout.
+ * The request is aborted if it takes longer than `timeout`, or if the caller's signal is aborted.
+ * @param {string} url - The URL to request.
+ * @param {object} [options] - Request options.
+ * @param {function} [options.fetchImpl=fetch] - The fetch implementation to use. Useful for tests.
+ * @param {number} [options.timeout=10000] - The timeout in milliseconds.
+ * @param {AbortSignal} [options.signal] - An optional signal used to cancel the request.
+ * @param {object} [options.headers] - Extra request headers.
+ * @param {string} [options.method='GET'] - The request method.
+ * @param {object} [options.body] - A request body, sent as JSON.
+ * @returns {Promise<object>} The parsed JSON response body.
+ */
+export const fetchJson = async (
+    url,
+    { fetchImpl = fetch, timeout = 10000, signal, headers, method = 'GET', body } = {},
+) => {
+    const controller = new AbortController();
+    // Forward an abort from the caller to our own controller.
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort);
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        const response = await fetchImpl(url, {
+            method,
+            headers: {
+                Accept: 'application/json',
+                ...(body !== undefined && { 'Content-Type': 'application/json' }),
+                ...headers,
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined,
+            signal: controller.signal,
+        });
+        if (!response.ok) {
+            const error = new Error(`Request to ${url} failed with status ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return await response.json();
+    } catch (error) {
+        // Replace the generic abort error with a clearer message when our own timer fired.
+        if (error.name === 'AbortError' && !signal?.aborted) {
+            const timeoutError = new Error(`Request to ${url} timed out after ${timeout}ms`);
+            timeoutError.name = 'TimeoutError';
+            throw timeoutError;
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    }
+};
+
+/**
+ * Checks whether a request failed because the server could not be reached at all, e.g. because the device is
+ * offline, rather than because of its response. fetch rejects with a TypeError in that case.
+ * @param {Error} error - The error the request failed with.
+ * @returns {boolean} Whether it is a network error.
+ */
+export const isNetworkError = (error) => error?.name === 'TypeError';
+
+/**
+ * Checks that a value is a usable dashboard data document.
+ * The document must contain a `statistics` array and may contain a `layout` document and chart `series`.
+ * @param {*} body - The value to check, e.g. a response body or a cached document.
+ * @returns {object} The document.
+ * @throws {Error} If the document is not usable.
+ */
+export const validateDashboardData = (body) => {
+    if (!body || !Array.isArray(body.statistics)) {
+        throw new Error('Dashboard response is missing a "statistics" array');
+    }
+    // The layout is optional, but when the endpoint sends one it must be usable.
+    if (body.layout !== undefined && !Array.isArray(body.layout?.widgets)) {
+        throw new Error('Dashboard response has a "layout" without a "widgets" array');
+    }
+    // Chart series are optional too, and keyed by series id.
+    if (body.series !== undefined && (typeof body.series !== 'object' || body.series === null
+        || Array.isArray(body.series))) {
+        throw new Error('Dashboard response has a "series" that is not an object');
+    }
+    return body;
+};
+
+/**
+ * Appends query parameters to a URL. Parameters whose value is undefined or null are left out.
+ * @param {string} url - The URL, which may already have a query string.
+ * @param {Object<string, (string | number | null | undefined)>} [params] - The parameters.
+ * @returns {string} The URL with the parameters.
+ */
+export const withQuery = (url, params = {}) => {
+    const query = Object.entries(params)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+        .join('&');
+    if (!query) {
+        return url;
+    }
+    return `${url}${url.includes('?') ? '&' : '?'}${query}`;
+};
+
+/**
+ * Fetches the dashboard data document from the given endpoint.
+ * A document that fails validateDashboardData is treated as an error so that a misconfigured endpoint never
+ * blanks out the dashboard.
+ * @param {string} endpoint - The REST endpoint that serves the dashboard data.
+ * @param {object} [options] - Options forwarded to `fetchJson`.
+ * @param {object} [options.params] - Query parameters appended to the endpoint, e.g. the reporting period.
+ * @returns {Promise<{statistics: Array<object>, layout?: object, series?: object}>} The dashboard data.
+ */
+export const fetchDashboardData = async (endpoint, { params, ...options } = {}) => (
+    validateDashboardData(await fetchJson(withQuery(endpoint, params), options))
+);
+
+/**
+ * Fetches the detail document of one statistic over a time range.
+ * The endpoint is a URL template in which `{id}` and `{range}` are replaced, e.g.
+ * `https://api.example.com/statistics/{id}?range={range}`.
+ * The document must contain `series`, `previous` and `breakdown` arrays of `{label, value}` entries.
+ * @param {string} endpoint - The URL template of the detail endpoint.
+ * @param {number | string} statisticId - The id of the statistic.
+ * @param {'day' | 'week' | 'month' | 'quarter'} range - The time range.
+ * @param {object} [options] - Options forwarded to `fetchJson`.
+ * @returns {Promise<{series: Array<object>, previous: Array<object>, breakdown: Array<object>}>} The detail document.
+ */
+export const fetchStatisticDetail = async (endpoint, statisticId, range, options) => {
+    const url = endpoint
+        .replace('{id}', encodeURIComponent(statisticId))
+        .replace('{range}', encodeURIComponent(range));
+    const body = await fetchJson(url, options);
+    ['series', 'previous', 'breakdown'].forEach(key => {
+        if (!Array.isArray(body?.[key])) {
+            throw new Error(`Statistic detail response is missing a "${key}" array`);
+        }
+    });
+    return body;
+};
@@ -0,0 +1,84 @@
+import { validateDashboardData } from './dashboardApi';
+
+/**
+ * @file This file contains the persistent cache of the dashboard data.
+ * The last document fetched from the endpoint is saved with the time it was fetched, so the dashboard can show it
+ * straight away on the next launch, or while the device is offline, and revalidate it in the background.
+ *
+ * Entries carry a schema version. When the shape of the dashboard data changes (e.g. a widget type gains a required
+ * field), bump DASHBOARD_CACHE_VERSION: older entries are then upgraded by the matching migrations, or dropped if
+ * there is no migration for them, so a cached document can never break the new widgets.
+ */
+
+// The storage key of the cached dashboard data.
+export const DASHBOARD_CACHE_KEY = 'dashboard.cache';
+
+// The schema version of the cached dashboard data.
+export const DASHBOARD_CACHE_VERSION = 1;
+
+/**
+ * Reads the cached dashboard data.
+ * Entries cached for another endpoint or period are ignored. Entries of an older version are upgraded with `migrations`,
+ * where `migrations[n]` turns a version `n` document into a version `n + 1` one; entries that cannot be upgraded,
+ * or that are not usable once upgraded, are removed.
+ * @param {object} storage - The storage adapter.
+ * @param {object} options - Cache options.
+ * @param {string} options.endpoint - The endpoint the data was fetched from.
+ * @param {string} [options.period] - The key of the reporting period the data was fetched for (see getPeriodKey).
+ * @param {number} [options.version=DASHBOARD_CACHE_VERSION] - The current schema version.
+ * @param {Object<number, function(object): object>} [options.migrations={}] - The migrations between versions.
+ * @returns {Promise<{data: object, timestamp: number} | null>} The cached data and the time it was fetched, or null
+ * if there is none.
+ */
+export const readDashboardCache = async (
+    storage,
+    { endpoint, period = null, version = DASHBOARD_CACHE_VERSION, migrations = {} },
+) => {
+    const entry = await storage.getItem(DASHBOARD_CACHE_KEY).catch(() => null);
+    if (!entry || entry.endpoint !== endpoint || (entry.period ?? null) !== period
+        || typeof entry.timestamp !== 'number') {
+        return null;
+    }
+    try {
+        if (typeof entry.version !== 'number' || entry.version > version) {
+            throw new Error(`Version ${entry.version} of the dashboard cache is not supported`);
+        }
+        let { data } = entry;
+        for (let from = entry.version; from < version; from += 1) {
+            if (typeof migrations[from] !== 'function') {
+                throw new Error(`There is no migration from version ${from} of the dashboard cache`);
+            }
+            data = migrations[from](data);
+        }
+        return { data: validateDashboardData(data), timestamp: entry.timestamp };
+    } catch (error) {
+        await clearDashboardCache(storage);
+        return null;
+    }
+};
+
+/**
+ * Saves the dashboard data to the cache, replacing the previous entry.
+ * @param {object} storage - The storage adapter.
+ * @param {object} data - The dashboard data.
+ * @param {object} options - Cache options.
+ * @param {string} options.endpoint - The endpoint the data was fetched from.
+ * @param {string} [options.period] - The key of the reporting period the data was fetched for (see getPeriodKey).
+ * @param {number} options.timestamp - The time the data was fetched, in milliseconds.
+ * @param {number} [options.version=DASHBOARD_CACHE_VERSION] - The current schema version.
+ * @returns {Promise<void>} Resolves once the entry has been saved.
+ */
+export const writeDashboardCache = (
+    storage,
+    data,
+    { endpoint, period = null, timestamp, version = DASHBOARD_CACHE_VERSION },
+) => storage.setItem(DASHBOARD_CACHE_KEY, { version, endpoint, period, timestamp, data });
+
+/**
+ * Removes the cached dashboard data, e.g. when the user signs out.
+ * @param {object} storage - The storage adapter.
+ * @returns {Promise<void>} Resolves once the entry has been removed.
+ */
+export const clearDashboardCache = (storage) => storage.removeItem(DASHBOARD_CACHE_KEY).catch(() => {
+    // A stale entry is ignored on the next read anyway, since it fails the same checks.
+});
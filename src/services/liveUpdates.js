@@ -0,0 +1,228 @@
+/**
+ * @file This file contains the live update stream of the dashboard statistics.
+ * The server pushes patches of individual statistics as JSON messages:
+ * `{ "statistics": [{ "id": 1, "value": 24700, "previousValue": 21875 }] }`.
+ * Each patch only carries the fields that changed, and is merged into the statistic with the same id.
+ *
+ * The stream uses a WebSocket, and falls back to Server-Sent Events when WebSockets cannot connect (e.g. behind a
+ * proxy that does not support them). Dropped connections are re-opened with exponential backoff.
+ * Like the notification sources, the stream is a source with a `subscribe(emit, onError)` method.
+ */
+
+/**
+ * Computes how long to wait before the next reconnection attempt.
+ * The delay doubles with every failed attempt, up to `maxDelay`. Up to `jitter` of it is taken off at random, so
+ * that clients dropped at the same time (e.g. by a server restart) do not all reconnect at once.
+ * @param {number} attempt - The number of failed attempts since the last successful connection, from 0.
+ * @param {object} [options] - Backoff options.
+ * @param {number} [options.initialDelay=1000] - The delay after the first failure, in milliseconds.
+ * @param {number} [options.maxDelay=30000] - The longest delay, in milliseconds.
+ * @param {number} [options.jitter=0.2] - The largest fraction of the delay taken off at random.
+ * @returns {number} The delay in milliseconds.
+ */
+export const getReconnectDelay = (attempt, { initialDelay = 1000, maxDelay = 30000, jitter = 0.2 } = {}) => {
+    const delay = Math.min(maxDelay, initialDelay * 2 ** attempt);
+    return Math.round(delay * (1 - jitter * Math.random()));
+};
+
+/**
+ * Reads the statistic patches from a message.
+ * Messages that are not JSON, or have no `statistics` array, are ignored, so the server can send other events
+ * (e.g. heartbeats) on the same stream. Patches without an id are left out.
+ * @param {string} text - The message.
+ * @returns {Array<object>} The patches.
+ */
+export const parseStatisticPatches = (text) => {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (error) {
+        return [];
+    }
+    if (!Array.isArray(message?.statistics)) {
+        return [];
+    }
+    return message.statistics.filter(patch => patch && patch.id !== undefined && patch.id !== null);
+};
+
+/**
+ * Creates a parser for a Server-Sent Events stream.
+ * Feed it the stream as it arrives, in chunks of any size; it calls `onMessage` with the data of every complete
+ * event. Comments and the `event`, `id` and `retry` fields are ignored.
+ * @param {function(string): void} onMessage - Called with the data of each event.
+ * @returns {function(string): void} The function to feed the chunks to.
+ */
+export const createEventStreamParser = (onMessage) => {
+    let buffer = '';
+    let data = [];
+    return (chunk) => {
+        buffer += chunk;
+        const lines = buffer.split(/\r\n|\r|\n/);
+        // The last line may be incomplete, so it waits for the next chunk.
+        buffer = lines.pop();
+        lines.forEach(line => {
+            if (line === '') {
+                if (data.length > 0) {
+                    onMessage(data.join('\n'));
+                }
+                data = [];
+            } else if (line.startsWith('data:')) {
+                data.push(line.slice(line.startsWith('data: ') ? 6 : 5));
+            }
+        });
+    };
+};
+
+/**
+ * Opens a WebSocket.
+ * @param {string} url - The WebSocket URL.
+ * @param {function} WebSocketImpl - The WebSocket class.
+ * @param {{onOpen: function, onMessage: function(string), onClose: function(Error)}} handlers - The connection
+ * handlers. `onClose` is called once, when the connection fails or drops.
+ * @returns {function(): void} Closes the connection without calling `onClose`.
+ */
+const openWebSocket = (url, WebSocketImpl, { onOpen, onMessage, onClose }) => {
+    const socket = new WebSocketImpl(url);
+    let closed = false;
+    const fail = (error) => {
+        if (!closed) {
+            closed = true;
+            onClose(error);
+        }
+    };
+    socket.onopen = () => onOpen();
+    socket.onmessage = (event) => onMessage(String(event.data));
+    socket.onerror = (event) => fail(new Error(event?.message || `The live connection to ${url} failed`));
+    socket.onclose = (event) => fail(new Error(`The live connection to ${url} closed with code ${event?.code}`));
+    return () => {
+        closed = true;
+        // The handlers stay set, since some implementations throw on an error event nobody listens to.
+        socket.close();
+    };
+};
+
+/**
+ * Opens a Server-Sent Events stream.
+ * It is read with XMLHttpRequest, which delivers the response as it arrives on every platform React Native
+ * supports, whereas EventSource is not available there.
+ * @param {string} url - The event stream URL.
+ * @param {function} XMLHttpRequestImpl - The XMLHttpRequest class.
+ * @param {{onOpen: function, onMessage: function(string), onClose: function(Error)}} handlers - The connection
+ * handlers. `onClose` is called once, when the stream fails or ends.
+ * @returns {function(): void} Closes the stream without calling `onClose`.
+ */
+const openEventStream = (url, XMLHttpRequestImpl, { onOpen, onMessage, onClose }) => {
+    const request = new XMLHttpRequestImpl();
+    const parse = createEventStreamParser(onMessage);
+    let received = 0;
+    let opened = false;
+    let closed = false;
+    const fail = (error) => {
+        if (!closed) {
+            closed = true;
+            request.abort();
+            onClose(error);
+        }
+    };
+    const read = () => {
+        if (closed || request.readyState < 3) {
+            return;
+        }
+        if (request.status !== 200) {
+            fail(new Error(`The live event stream ${url} failed with status ${request.status}`));
+            return;
+        }
+        if (!opened) {
+            opened = true;
+            onOpen();
+        }
+        const text = request.responseText || '';
+        parse(text.slice(received));
+        received = text.length;
+        if (request.readyState === 4) {
+            fail(new Error(`The live event stream ${url} ended`));
+        }
+    };
+    request.onreadystatechange = read;
+    request.onprogress = read;
+    request.onerror = () => fail(new Error(`The live event stream ${url} failed`));
+    request.open('GET', url);
+    request.setRequestHeader('Accept', 'text/event-stream');
+    request.setRequestHeader('Cache-Control', 'no-cache');
+    request.send();
+    return () => {
+        closed = true;
+        request.abort();
+    };
+};
+
+/**
+ * Creates the live update source of the dashboard statistics.
+ * It connects when subscribed to, emits the patches of every message, and reconnects with backoff whenever the
+ * connection drops. Once the WebSocket has failed to connect `fallbackAfter` times in a row, the event stream is
+ * used instead for the rest of the subscription.
+ * @param {object} options - Source options.
+ * @param {string | null} [options.url] - The WebSocket URL, e.g. 'wss://api.example.com/live'.
+ * @param {string | null} [options.sseUrl] - The Server-Sent Events URL, e.g. 'https://api.example.com/live'.
+ * @param {number} [options.fallbackAfter=2] - The failed WebSocket connections before falling back to the stream.
+ * @param {object} [options.backoff] - The reconnection delays (see getReconnectDelay).
+ * @param {function} [options.WebSocketImpl=WebSocket] - The WebSocket class to use. Useful for tests.
+ * @param {function} [options.XMLHttpRequestImpl=XMLHttpRequest] - The XMLHttpRequest class to use. Useful for tests.
+ * @returns {{subscribe: function(function(Array<object>), function(Error)=): function}} The source.
+ */
+export const createLiveStatisticsSource = ({
+    url,
+    sseUrl,
+    fallbackAfter = 2,
+    backoff,
+    WebSocketImpl = global.WebSocket,
+    XMLHttpRequestImpl = global.XMLHttpRequest,
+}) => ({
+    subscribe: (emit, onError = () => {}) => {
+        let useEventStream = !url || !WebSocketImpl;
+        let attempt = 0;
+        let failedSockets = 0;
+        let stopped = false;
+        let close = null;
+        let timer = null;
+
+        const connect = () => {
+            let opened = false;
+            const handlers = {
+                onOpen: () => {
+                    opened = true;
+                    attempt = 0;
+                    failedSockets = 0;
+                },
+                onMessage: (text) => {
+                    const patches = parseStatisticPatches(text);
+                    if (patches.length > 0) {
+                        emit(patches);
+                    }
+                },
+                onClose: (error) => {
+                    if (stopped) {
+                        return;
+                    }
+                    onError(error);
+                    if (!opened && !useEventStream && sseUrl && XMLHttpRequestImpl) {
+                        failedSockets += 1;
+                        useEventStream = failedSockets >= fallbackAfter;
+                    }
+                    timer = setTimeout(connect, getReconnectDelay(attempt, backoff));
+                    attempt += 1;
+                },
+            };
+            close = useEventStream
+                ? openEventStream(sseUrl, XMLHttpRequestImpl, handlers)
+                : openWebSocket(url, WebSocketImpl, handlers);
+        };
+
+        connect();
+        return () => {
+            stopped = true;
+            clearTimeout(timer);
+            close?.();
+        };
+    },
+});
@@ -0,0 +1,112 @@
+import { AppState } from 'react-native';
+import { fetchJson } from './dashboardApi';
+
+/**
+ * @file This file contains the sources that feed the notification center.
+ * A source is an object with a `subscribe(emit, onError)` method that starts delivering notifications and returns
+ * a function that stops it. `emit` takes one notification or an array of them; the NotificationProvider
+ * normalizes and de-duplicates whatever it receives, so a source can simply forward what its backend sends.
+ *
+ * Sources can poll (createPollingSource, createEndpointSource), receive pushed events (createPushSource), or
+ * serve a fixed list (createStaticSource). Any object with a compatible `subscribe` method works too.
+ */
+
+/**
+ * Creates a source that calls `load` on an interval and emits what it returns.
+ * It loads once straight away, then every `interval` milliseconds while the app is in the foreground.
+ * @param {function({signal: AbortSignal}): Promise<Array<object>>} load - Loads the current notifications.
+ * @param {object} [options] - Source options.
+ * @param {number} [options.interval=60000] - The time between two loads, in milliseconds.
+ * @returns {{subscribe: function(function, function=): function}} The source.
+ */
+export const createPollingSource = (load, { interval = 60 * 1000 } = {}) => ({
+    subscribe: (emit, onError = () => {}) => {
+        let controller = null;
+        const poll = () => {
+            controller?.abort();
+            controller = new AbortController();
+            const { signal } = controller;
+            load({ signal })
+                .then(items => {
+                    if (!signal.aborted) {
+                        emit(items);
+                    }
+                })
+                .catch(error => {
+                    if (!signal.aborted) {
+                        onError(error);
+                    }
+                });
+        };
+        poll();
+        const timer = setInterval(() => {
+            // Polling in the background only costs battery, and the next foreground tick catches up.
+            if (AppState.currentState === 'active') {
+                poll();
+            }
+        }, interval);
+        return () => {
+            clearInterval(timer);
+            controller?.abort();
+        };
+    },
+});
+
+/**
+ * Fetches the notifications from a REST endpoint.
+ * The endpoint must return `{ notifications: [...] }`.
+ * @param {string} endpoint - The REST endpoint that serves the notifications.
+ * @param {object} [options] - Options forwarded to `fetchJson`.
+ * @returns {Promise<Array<object>>} The notifications.
+ */
+export const fetchNotifications = async (endpoint, options) => {
+    const body = await fetchJson(endpoint, options);
+    if (!Array.isArray(body?.notifications)) {
+        throw new Error('Notifications response is missing a "notifications" array');
+    }
+    return body.notifications;
+};
+
+/**
+ * Creates a source that polls a REST endpoint (see fetchNotifications).
+ * @param {string} endpoint - The REST endpoint that serves the notifications.
+ * @param {object} [options] - Source options.
+ * @param {number} [options.interval] - The time between two requests, in milliseconds.
+ * @param {number} [options.timeout] - The request timeout in milliseconds.
+ * @param {function} [options.fetchImpl] - The fetch implementation to use. Useful for tests.
+ * @returns {{subscribe: function(function, function=): function}} The source.
+ */
+export const createEndpointSource = (endpoint, { interval, timeout, fetchImpl } = {}) => createPollingSource(
+    ({ signal }) => fetchNotifications(endpoint, { signal, timeout, fetchImpl }),
+    { interval },
+);
+
+/**
+ * Creates a source for pushed events, e.g. from a push notification module or a socket.
+ * Call `push` with a notification (or an array of them) whenever one arrives; it is delivered to every subscriber.
+ * @returns {{subscribe: function(function): function, push: function((object|Array<object>)): void}} The source.
+ */
+export const createPushSource = () => {
+    const listeners = new Set();
+    return {
+        subscribe: (emit) => {
+            listeners.add(emit);
+            return () => listeners.delete(emit);
+        },
+        push: (notification) => {
+            listeners.forEach(emit => emit(notification));
+        },
+    };
+};
+
+/**
+ * Creates a source that emits a fixed list of notifications once, e.g. the bundled samples.
+ * @param {Array<object>} notifications - The notifications.
+ * @returns {{subscribe: function(function): function}} The source.
+ */
+export const createStaticSource = (notifications) => ({
+    subscribe: (emit) => {
+        emit(notifications);
+        return () => {};
+    },
+});
@@ -0,0 +1,60 @@
+/**
+ * @file This file contains the key-value storage adapters used to persist user data.
+ * Every adapter exposes the same async API (getItem, setItem, removeItem) and stores JSON values,
+ * so callers never need to know whether AsyncStorage is available.
+ */
+
+/**
+ * Creates a storage adapter that keeps values in memory.
+ * Values are lost when the app restarts. This is the fallback when AsyncStorage is not available,
+ * which is the case in Jest, and it is also handy for tests that want an isolated store.
+ * @param {object} [initialValues={}] - Values to seed the store with, keyed by storage key.
+ * @returns {{getItem: function, setItem: function, removeItem: function}} The storage adapter.
+ */
+export const createMemoryStorage = (initialValues = {}) => {
+    const values = new Map(Object.entries(initialValues));
+    return {
+        getItem: async (key) => (values.has(key) ? values.get(key) : null),
+        setItem: async (key, value) => {
+            values.set(key, value);
+        },
+        removeItem: async (key) => {
+            values.delete(key);
+        },
+    };
+};
+
+/**
+ * Creates a storage adapter backed by AsyncStorage.
+ * Values are serialized to JSON, since AsyncStorage only stores strings.
+ * @param {object} asyncStorage - The AsyncStorage module.
+ * @returns {{getItem: function, setItem: function, removeItem: function}} The storage adapter.
+ */
+export const createAsyncStorageAdapter = (asyncStorage) => ({
+    getItem: async (key) => {
+        const raw = await asyncStorage.getItem(key);
+        return raw === null ? null : JSON.parse(raw);
+    },
+    setItem: (key, value) => asyncStorage.setItem(key, JSON.stringify(value)),
+    removeItem: (key) => asyncStorage.removeItem(key),
+});
+
+let defaultStorage = null;
+
+/**
+ * Gets the app-wide storage adapter.
+ * AsyncStorage is used when its native module is linked; otherwise values are kept in memory.
+ * @returns {{getItem: function, setItem: function, removeItem: function}} The storage adapter.
+ */
+export const getDefaultStorage = () => {
+    if (!defaultStorage) {
+        try {
+            // AsyncStorage throws on import when its native module is missing (e.g. in Jest).
+            const AsyncStorage = require('@react-native-async-storage/async-storage').default;
+            defaultStorage = createAsyncStorageAdapter(AsyncStorage);
+        } catch (error) {
+            defaultStorage = createMemoryStorage();
+        }
+    }
+    return defaultStorage;
+};
@@ -0,0 +1,268 @@
+import { Platform } from 'react-native';
+import {
+    colors,
+    darkColors,
+    highContrastColors,
+    shadows,
+    borderRadius,
+    createTheme,
+} from './theme';
+
+/**
+ * @file This file loads brand (white-label) themes from a JSON theme definition.
+ * A definition may override any color token, border radius or shadow level, and may set a font family and a logo.
+ * Tokens the definition leaves out keep the values from theme.js. Invalid tokens are never silently ignored:
+ * every problem is collected and reported in a single ThemeDefinitionError.
+ *
+ * Example definition:
+ * {
+ *   "name": "Acme",
+ *   "colors": { "primary": { "main": "#ff6600", "dark": "#cc5200" } },
+ *   "borderRadius": { "large": 4 },
+ *   "shadows": { "medium": { "color": "#000000", "offsetY": 2, "opacity": 0.2, "radius": 3, "elevation": 3 } },
+ *   "fontFamily": { "regular": "Inter-Regular", "bold": "Inter-Bold" },
+ *   "logo": { "uri": "https://cdn.acme.example/logo.png", "width": 96, "height": 24 }
+ * }
+ */
+
+// A color is a hex value (#rgb, #rgba, #rrggbb, #rrggbbaa) or an rgb()/rgba() function.
+const COLOR_PATTERN = /^(#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})|rgba?\(\s*\d{1,3}\s*,\s*\d{1,3}\s*,\s*\d{1,3}\s*(,\s*(0|1|0?\.\d+)\s*)?\))$/i;
+
+/**
+ * Builds the schema of a color palette from an existing palette, so every token of theme.js can be overridden
+ * and nothing else can.
+ * @param {object} palette - The palette to describe.
+ * @returns {object} The schema node.
+ */
+const paletteSchema = (palette) => ({
+    type: 'object',
+    properties: Object.fromEntries(Object.entries(palette).map(([group, tokens]) => [group, {
+        type: 'object',
+        properties: Object.fromEntries(Object.keys(tokens).map(token => [token, { type: 'color' }])),
+    }])),
+});
+
+// A platform-neutral shadow level. It is turned into iOS shadow props or an Android elevation.
+const shadowSchema = {
+    type: 'object',
+    properties: {
+        color: { type: 'color' },
+        offsetX: { type: 'number' },
+        offsetY: { type: 'number' },
+        opacity: { type: 'number', minimum: 0, maximum: 1 },
+        radius: { type: 'number', minimum: 0 },
+        elevation: { type: 'number', minimum: 0 },
+    },
+};
+
+// The schema of a theme definition. Every node has a `type`; objects list their allowed `properties`.
+export const THEME_DEFINITION_SCHEMA = {
+    type: 'object',
+    properties: {
+        name: { type: 'string' },
+        colors: paletteSchema(colors),
+        darkColors: paletteSchema(darkColors),
+        highContrastColors: paletteSchema(highContrastColors),
+        borderRadius: {
+            type: 'object',
+            properties: Object.fromEntries(Object.keys(borderRadius).map(key => [key, { type: 'number', minimum: 0 }])),
+        },
+        shadows: {
+            type: 'object',
+            properties: Object.fromEntries(Object.keys(shadows).map(level => [level, shadowSchema])),
+        },
+        fontFamily: {
+            type: ['string', 'object'],
+            properties: {
+                regular: { type: 'string' },
+                medium: { type: 'string' },
+                bold: { type: 'string' },
+            },
+        },
+        logo: {
+            type: 'object',
+            required: ['uri'],
+            properties: {
+                uri: { type: 'string' },
+                width: { type: 'number', minimum: 1 },
+                height: { type: 'number', minimum: 1 },
+                accessibilityLabel: { type: 'string' },
+            },
+        },
+    },
+};
+
+/**
+ * The error thrown for an invalid theme definition.
+ * `errors` lists every problem, each prefixed with the path of the offending token.
+ */
+export class ThemeDefinitionError extends Error {
+    /**
+     * @param {Array<string>} errors - The validation errors.
+     */
+    constructor(errors) {
+        super(`Invalid theme definition:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+        this.name = 'ThemeDefinitionError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Returns the schema type of a JSON value.
+ * @param {*} value - The value.
+ * @returns {string} 'array', 'null', 'object', 'string', 'number' or 'boolean'.
+ */
+const typeOf = (value) => {
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    return value === null ? 'null' : typeof value;
+};
+
+/**
+ * Checks a value against a schema node and collects the problems.
+ * @param {*} value - The value to check.
+ * @param {object} schema - The schema node.
+ * @param {string} path - The path of the value, used in the error messages.
+ * @param {Array<string>} errors - The list the problems are added to.
+ */
+const validateNode = (value, schema, path, errors) => {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = typeOf(value);
+
+    if (allowed.includes('color')) {
+        if (actual !== 'string' || !COLOR_PATTERN.test(value)) {
+            errors.push(`${path}: expected a hex or rgb() color, got ${JSON.stringify(value)}`);
+        }
+        return;
+    }
+    if (!allowed.includes(actual)) {
+        errors.push(`${path}: expected ${allowed.join(' or ')}, got ${actual}`);
+        return;
+    }
+    if (actual === 'number') {
+        if (!Number.isFinite(value)) {
+            errors.push(`${path}: expected a finite number`);
+        } else if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path}: must be at least ${schema.minimum}, got ${value}`);
+        } else if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path}: must be at most ${schema.maximum}, got ${value}`);
+        }
+    }
+    if (actual === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push(`${path}.${key}: is required`);
+            }
+        });
+        Object.entries(value).forEach(([key, child]) => {
+            const childSchema = schema.properties?.[key];
+            if (!childSchema) {
+                // Unknown keys are usually typos ("primay"), so they are reported rather than dropped.
+                const known = Object.keys(schema.properties || {}).join(', ');
+                errors.push(`${path}.${key}: unknown token (expected one of: ${known})`);
+                return;
+            }
+            validateNode(child, childSchema, `${path}.${key}`, errors);
+        });
+    }
+};
+
+/**
+ * Validates a theme definition against THEME_DEFINITION_SCHEMA.
+ * @param {object} definition - The theme definition, usually parsed from JSON.
+ * @returns {Array<string>} The validation errors. Empty when the definition is valid.
+ */
+export const validateThemeDefinition = (definition) => {
+    const errors = [];
+    validateNode(definition, THEME_DEFINITION_SCHEMA, 'theme', errors);
+    return errors;
+};
+
+/**
+ * Merges color overrides into a palette, one group at a time.
+ * @param {object} palette - The base palette.
+ * @param {...object} overrides - The color overrides, applied in order.
+ * @returns {object} The merged palette.
+ */
+const mergePalette = (palette, ...overrides) => Object.fromEntries(
+    Object.entries(palette).map(([group, tokens]) => [
+        group,
+        Object.assign({}, tokens, ...overrides.map(override => override?.[group])),
+    ]),
+);
+
+/**
+ * Turns a platform-neutral shadow level into the platform's shadow style.
+ * Missing values are taken from the default shadow of the same level.
+ * @param {object} level - The shadow level from the definition.
+ * @param {object} fallback - The default shadow style for this level.
+ * @returns {object} The shadow style.
+ */
+const toShadowStyle = (level, fallback) => Platform.select({
+    ios: {
+        shadowColor: level.color ?? fallback.shadowColor,
+        shadowOffset: {
+            width: level.offsetX ?? fallback.shadowOffset?.width ?? 0,
+            height: level.offsetY ?? fallback.shadowOffset?.height ?? 0,
+        },
+        shadowOpacity: level.opacity ?? fallback.shadowOpacity,
+        shadowRadius: level.radius ?? fallback.shadowRadius,
+    },
+    android: {
+        elevation: level.elevation ?? fallback.elevation,
+    },
+    default: {},
+});
+
+/**
+ * Validates a theme definition and builds the light, dark and high-contrast themes from it.
+ * The brand colors (primary, secondary and accent) from `colors` are carried into the dark palette,
+ * so a brand only needs `darkColors` to fine-tune them. The high-contrast palette only takes `highContrastColors`,
+ * because brand colors would usually undo its contrast guarantees.
+ * @param {object} [definition] - The theme definition. Without one, the default palettes are used.
+ * @param {object} [scale] - The spacing and typography for the current window size, passed on to createTheme.
+ * @returns {{light: object, dark: object, highContrast: object}} The themes, keyed by theme mode.
+ * @throws {ThemeDefinitionError} If the definition does not match the schema.
+ */
+export const createBrandThemes = (definition, scale) => {
+    if (definition) {
+        const errors = validateThemeDefinition(definition);
+        if (errors.length > 0) {
+            throw new ThemeDefinitionError(errors);
+        }
+    }
+    const {
+        name,
+        colors: lightOverrides,
+        darkColors: darkOverrides,
+        highContrastColors: highContrastOverrides,
+        fontFamily,
+        logo,
+    } = definition || {};
+    const brandColors = lightOverrides && {
+        primary: lightOverrides.primary,
+        secondary: lightOverrides.secondary,
+        accent: lightOverrides.accent,
+    };
+    const brand = {
+        name,
+        logo,
+        borderRadius: { ...borderRadius, ...definition?.borderRadius },
+        shadows: Object.fromEntries(Object.entries(shadows).map(([level, style]) => [
+            level,
+            definition?.shadows?.[level] ? toShadowStyle(definition.shadows[level], style) : style,
+        ])),
+        fontFamily: typeof fontFamily === 'string' ? { regular: fontFamily } : fontFamily,
+    };
+    return {
+        light: createTheme(mergePalette(colors, lightOverrides), 'light', brand, scale),
+        dark: createTheme(mergePalette(darkColors, brandColors, darkOverrides), 'dark', brand, scale),
+        highContrast: createTheme(
+            mergePalette(highContrastColors, highContrastOverrides),
+            'highContrast',
+            brand,
+            scale,
+        ),
+    };
+};
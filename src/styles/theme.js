@@ -4,9 +4,10 @@ import { wp, hp, rf, spacing as responsiveSpacing, typography as responsiveTypog
 /**
  * @file This file defines the visual theme for the application.
  * It includes color palettes, shadow styles, border radii, and common component styles.
+ * There is one palette per theme mode (light, dark and high contrast); the ThemeProvider picks one at runtime.
  */
 
-// The main color palette for the application.
+// The main (light) color palette for the application.
 export const colors = {
     primary: {
         main: '#3498db',
@@ -52,6 +53,107 @@ export const colors = {
     },
 };
 
+// The dark color palette. It keeps the token names of the light palette, so components never branch on the mode:
+// the neutral scale is inverted (gray800 is the primary text color in both palettes) and the accents are toned down.
+export const darkColors = {
+    primary: {
+        main: '#2c7fb8',
+        light: '#5dade2',
+        dark: '#1f5f8b',
+        contrast: '#ffffff',
+    },
+    secondary: {
+        main: '#27ae60',
+        light: '#58d68d',
+        dark: '#1e8449',
+        contrast: '#ffffff',
+    },
+    accent: {
+        main: '#e74c3c',
+        light: '#f1948a',
+        dark: '#c0392b',
+        contrast: '#ffffff',
+    },
+    neutral: {
+        white: '#ffffff',
+        gray100: '#212529',
+        gray200: '#343a40',
+        gray300: '#495057',
+        gray400: '#6c757d',
+        gray500: '#8d959d',
+        gray600: '#adb5bd',
+        gray700: '#ced4da',
+        gray800: '#e9ecef',
+        gray900: '#f8f9fa',
+        black: '#000000',
+    },
+    semantic: {
+        success: '#4cd07d',
+        warning: '#ffd54f',
+        error: '#ff6b6b',
+        info: '#4dd0e1',
+    },
+    background: {
+        primary: '#1e2226',
+        secondary: '#121416',
+        tertiary: '#2a2f34',
+    },
+};
+
+// The high-contrast color palette, for users who need stronger separation between text and background.
+// Text is pure black on white, and the accent colors are darkened to meet WCAG AAA contrast on white.
+export const highContrastColors = {
+    primary: {
+        main: '#003d80',
+        light: '#0059b3',
+        dark: '#002447',
+        contrast: '#ffffff',
+    },
+    secondary: {
+        main: '#005c2b',
+        light: '#00802b',
+        dark: '#003d1c',
+        contrast: '#ffffff',
+    },
+    accent: {
+        main: '#a00000',
+        light: '#c00000',
+        dark: '#700000',
+        contrast: '#ffffff',
+    },
+    neutral: {
+        white: '#ffffff',
+        gray100: '#ffffff',
+        gray200: '#f0f0f0',
+        gray300: '#000000',
+        gray400: '#000000',
+        gray500: '#1a1a1a',
+        gray600: '#000000',
+        gray700: '#000000',
+        gray800: '#000000',
+        gray900: '#000000',
+        black: '#000000',
+    },
+    semantic: {
+        success: '#005c2b',
+        warning: '#7a4d00',
+        error: '#a00000',
+        info: '#004d5c',
+    },
+    background: {
+        primary: '#ffffff',
+        secondary: '#ffffff',
+        tertiary: '#f0f0f0',
+    },
+};
+
+// The palettes available at runtime, keyed by theme mode.
+export const palettes = {
+    light: colors,
+    dark: darkColors,
+    highContrast: highContrastColors,
+};
+
 // Platform-specific shadow styles.
 // This uses Platform.select to provide different styles for iOS and Android.
 export const shadows = {
@@ -105,55 +207,131 @@ export const borderRadius = {
     round: 50,
 };
 
-// The main theme object that combines all the theme properties.
-// This object is imported into components to provide consistent styling.
-export const theme = {
-    colors,
-    spacing: responsiveSpacing,
-    typography: responsiveTypography,
-    shadows,
-    borderRadius,
-    // Common component styles that can be reused across the application.
-    card: {
-        backgroundColor: colors.background.primary,
-        borderRadius: borderRadius.large,
-        padding: responsiveSpacing.md,
-        margin: responsiveSpacing.sm,
-        ...shadows.medium,
-    },
-    button: {
-        primary: {
-            backgroundColor: colors.primary.main,
-            paddingVertical: responsiveSpacing.md,
-            paddingHorizontal: responsiveSpacing.lg,
-            borderRadius: borderRadius.medium,
-            alignItems: 'center',
-            justifyContent: 'center',
-            ...shadows.small,
-        },
-        secondary: {
-            backgroundColor: 'transparent',
-            borderWidth: 2,
-            borderColor: colors.primary.main,
-            paddingVertical: responsiveSpacing.md,
-            paddingHorizontal: responsiveSpacing.lg,
-            borderRadius: borderRadius.medium,
-            alignItems: 'center',
-            justifyContent: 'center',
+/**
+ * Creates a theme object from a color palette.
+ * The theme combines the palette with the spacing, typography, shadows and border radii,
+ * and with common component styles built from them.
+ * @param {typeof colors} [palette=colors] - The color palette.
+ * @param {'light' | 'dark' | 'highContrast'} [mode='light'] - The mode the palette belongs to.
+ * @param {object} [brand] - Brand overrides, as built by createBrandThemes in brandTheme.js.
+ * @param {string} [brand.name] - The brand name.
+ * @param {{uri: string, width?: number, height?: number, accessibilityLabel?: string}} [brand.logo] - The brand logo.
+ * @param {typeof borderRadius} [brand.borderRadius] - The border radii.
+ * @param {typeof shadows} [brand.shadows] - The shadow levels.
+ * @param {{regular?: string, medium?: string, bold?: string}} [brand.fontFamily] - The font families.
+ * @param {object} [scale] - The spacing and typography for the current window size (see useResponsive).
+ * Defaults to the values calculated at startup.
+ * @param {typeof responsiveSpacing} [scale.spacing] - The spacing values.
+ * @param {typeof responsiveTypography} [scale.typography] - The font sizes.
+ * @returns The theme object (see the Theme type below).
+ */
+export const createTheme = (palette = colors, mode = 'light', brand = {}, scale = {}) => {
+    const spacing = scale.spacing || responsiveSpacing;
+    const typography = scale.typography || responsiveTypography;
+    const radii = brand.borderRadius || borderRadius;
+    const shadowLevels = brand.shadows || shadows;
+    // Weights without their own font family fall back to the regular one (undefined means the system font).
+    const regularFont = brand.fontFamily?.regular;
+    const fontFamily = {
+        regular: regularFont,
+        medium: brand.fontFamily?.medium || regularFont,
+        bold: brand.fontFamily?.bold || regularFont,
+    };
+    return {
+        mode,
+        isDark: mode === 'dark',
+        // The status bar sits on the primary color in every mode, so its content is always light.
+        statusBarStyle: /** @type {'light-content' | 'dark-content'} */ ('light-content'),
+        colors: palette,
+        spacing,
+        typography,
+        fontFamily,
+        shadows: shadowLevels,
+        borderRadius: radii,
+        // The brand name and logo, when the theme was loaded from a brand theme definition.
+        brand: {
+            name: brand.name,
+            logo: brand.logo,
         },
-    },
-    text: {
-        primary: {
-            color: colors.neutral.gray800,
-            fontSize: responsiveTypography.body,
+        // Common component styles that can be reused across the application.
+        card: {
+            backgroundColor: palette.background.primary,
+            borderRadius: radii.large,
+            padding: spacing.md,
+            margin: spacing.sm,
+            ...shadowLevels.medium,
+            // High-contrast cards get a solid outline, since shadows alone do not separate them from the background.
+            ...(mode === 'highContrast' && { borderWidth: 2, borderColor: palette.neutral.black }),
         },
-        secondary: {
-            color: colors.neutral.gray600,
-            fontSize: responsiveTypography.body,
+        button: {
+            primary: {
+                backgroundColor: palette.primary.main,
+                paddingVertical: spacing.md,
+                paddingHorizontal: spacing.lg,
+                borderRadius: radii.medium,
+                alignItems: 'center',
+                justifyContent: 'center',
+                ...shadowLevels.small,
+            },
+            secondary: {
+                backgroundColor: 'transparent',
+                borderWidth: 2,
+                borderColor: palette.primary.main,
+                paddingVertical: spacing.md,
+                paddingHorizontal: spacing.lg,
+                borderRadius: radii.medium,
+                alignItems: 'center',
+                justifyContent: 'center',
+            },
         },
-        heading: {
-            color: colors.neutral.gray900,
-            fontWeight: 'bold',
+        text: {
+            primary: {
+                color: palette.neutral.gray800,
+                fontFamily: fontFamily.regular,
+                fontSize: typography.body,
+            },
+            secondary: {
+                color: palette.neutral.gray600,
+                fontFamily: fontFamily.regular,
+                fontSize: typography.body,
+            },
+            heading: {
+                color: palette.neutral.gray900,
+                fontFamily: fontFamily.bold,
+                fontWeight: 'bold',
+            },
         },
-    },
-};
\ No newline at end of file
+    };
+};
+
+/**
+ * The shape of a theme object, as built by createTheme.
+ * @typedef {ReturnType<typeof createTheme>} Theme
+ */
+
+// The light theme. Modules that are not yet theme-aware import this directly.
+export const theme = createTheme(colors, 'light');
+
+// The default themes available at runtime, keyed by theme mode. Use the ThemeProvider to switch between them.
+// Brand themes loaded from a JSON definition are built by createBrandThemes in brandTheme.js.
+export const themes = {
+    light: theme,
+    dark: createTheme(darkColors, 'dark'),
+    highContrast: createTheme(highContrastColors, 'highContrast'),
+};
+
+/**
+ * Resolves a color token such as 'primary.main' or 'semantic.warning' against a color palette.
+ * This lets JSON documents (dashboard data, layouts) refer to theme colors by name.
+ * Values that are not a known token, such as plain hex strings, are returned unchanged.
+ * @param {string} [value] - A color token or a literal color value.
+ * @param {object} [palette=colors] - The palette to resolve the token against.
+ * @returns {string | undefined} The resolved color.
+ */
+export const resolveColor = (value, palette = colors) => {
+    if (typeof value !== 'string' || !value.includes('.')) {
+        return value;
+    }
+    const resolved = value.split('.').reduce((node, key) => node?.[key], palette);
+    return typeof resolved === 'string' ? resolved : value;
+};
@@ -0,0 +1,84 @@
+import { useEffect, useState } from 'react';
+import { AccessibilityInfo } from 'react-native';
+import { translate } from '../i18n';
+
+/**
+ * @file This file contains helpers for screen readers and the system's accessibility settings.
+ * Widgets are read as one grouped label that sums them up (e.g. "Total Sales, $24.5K, up 12%, This month"),
+ * rather than as a series of unrelated texts, and animations are skipped when the user has asked for reduced motion.
+ */
+
+// The signs and direction marks a formatted trend can start with. The trend direction is spoken as a word instead.
+const LEADING_SIGN = /^[\u061C\u200E\u200F+\-\u2212]+/;
+
+/**
+ * Joins the parts of an accessibility label with the list separator of the language.
+ * Empty parts are left out.
+ * @param {Array<string | null | undefined | false>} parts - The parts of the label.
+ * @param {function} [t=translate] - The translation function.
+ * @returns {string} The label.
+ */
+export const joinAccessibilityLabel = (parts, t = translate) => (
+    parts.filter(Boolean).join(t('common.listSeparator'))
+);
+
+/**
+ * Describes a trend in words, e.g. "up 12%".
+ * @param {'up' | 'down' | 'flat' | undefined} trend - The direction of the trend.
+ * @param {string} [trendValue] - The formatted trend, e.g. '+12%'.
+ * @param {function} [t=translate] - The translation function.
+ * @returns {string | null} The description, or null if there is no trend.
+ */
+export const describeTrend = (trend, trendValue, t = translate) => {
+    if (!trend || !trendValue) {
+        return null;
+    }
+    if (trend === 'flat') {
+        return t('a11y.trendFlat');
+    }
+    return t(trend === 'up' ? 'a11y.trendUp' : 'a11y.trendDown', {
+        value: String(trendValue).replace(LEADING_SIGN, ''),
+    });
+};
+
+/**
+ * Builds the grouped accessibility label of a statistic tile: its title, value, trend, subtitle and breached alert.
+ * @param {object} statistic - The statistic.
+ * @param {string} statistic.title - The title.
+ * @param {{value: string, trend?: string, trendValue?: string}} statistic.display - What the tile shows (see
+ * resolveStatisticDisplay in numberFormat.js).
+ * @param {string} [statistic.subtitle] - The subtitle.
+ * @param {{label: string}} [statistic.alert] - A breached alert rule.
+ * @param {function} [t=translate] - The translation function.
+ * @returns {string} The label.
+ */
+export const describeStatistic = ({ title, display, subtitle, alert }, t = translate) => joinAccessibilityLabel([
+    title,
+    display.value,
+    describeTrend(display.trend, display.trendValue, t),
+    subtitle,
+    alert && t('widget.alert', { label: alert.label }),
+], t);
+
+/**
+ * Returns whether the user has asked the system to reduce motion.
+ * Components that call it re-render when the setting changes. It is false until the setting has been read.
+ * @returns {boolean} Whether animations should be skipped.
+ */
+export const useReducedMotion = () => {
+    const [reduceMotion, setReduceMotion] = useState(false);
+    useEffect(() => {
+        let active = true;
+        AccessibilityInfo.isReduceMotionEnabled()
+            .then(enabled => active && setReduceMotion(enabled))
+            .catch(() => {
+                // The setting cannot be read on this platform, so animations stay on.
+            });
+        const subscription = AccessibilityInfo.addEventListener('reduceMotionChanged', setReduceMotion);
+        return () => {
+            active = false;
+            subscription?.remove();
+        };
+    }, []);
+    return reduceMotion;
+};
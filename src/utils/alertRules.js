@@ -0,0 +1,141 @@
+/**
+ * @file This file contains the threshold alert rules and their evaluation.
+ * A rule watches one statistic: `{ id, statisticId, metric, operator, threshold, severity }`, e.g.
+ * "Orders value below 500" or "Revenue trend above 20%". Rules come from the dashboard data (the `alerts` array of
+ * a statistic) or are added by the user. Everything here is pure, so rules can be evaluated on every refresh.
+ */
+
+import { computeTrend } from './numberFormat';
+import { translate } from '../i18n';
+
+// What a rule can watch: the statistic's value, or its trend in percent (e.g. '+12%' is 12).
+// The labels are in English; translated ones are the `alerts.metric.<id>` and `alerts.operator.<id>` messages.
+export const ALERT_METRICS = [
+    { id: 'value', label: 'Value' },
+    { id: 'trend', label: 'Trend (%)' },
+];
+
+// How a rule compares the metric with its threshold.
+export const ALERT_OPERATORS = [
+    { id: 'below', label: 'below' },
+    { id: 'above', label: 'above' },
+];
+
+// The severities a rule can have. They match the notification severities.
+export const ALERT_SEVERITIES = ['warning', 'error'];
+
+// The multipliers of the compact suffixes used in statistic values, e.g. '$24.5K'.
+const SUFFIXES = { K: 1e3, M: 1e6, B: 1e9 };
+
+/**
+ * Reads the number from a formatted statistic value, e.g. 24500 from '$24.5K' or 1234 from '1,234'.
+ * @param {number | string} value - The value.
+ * @returns {number} The number, or NaN if the value has none.
+ */
+export const parseStatisticNumber = (value) => {
+    if (typeof value === 'number') {
+        return value;
+    }
+    const match = /(-?[\d,]*\.?\d+)\s*([KMB])?/i.exec(String(value ?? ''));
+    if (!match) {
+        return NaN;
+    }
+    const number = parseFloat(match[1].replace(/,/g, ''));
+    return number * (match[2] ? SUFFIXES[match[2].toUpperCase()] : 1);
+};
+
+/**
+ * Reads the metric a rule watches from a statistic.
+ * The trend is computed from `previousValue` when the statistic has raw numbers, and read from `trendValue`
+ * otherwise.
+ * @param {object} statistic - The statistic.
+ * @param {'value' | 'trend'} metric - The metric.
+ * @returns {number} The metric, or NaN if the statistic does not have it.
+ */
+export const getMetricValue = (statistic, metric) => {
+    if (metric !== 'trend') {
+        return parseStatisticNumber(statistic.value);
+    }
+    if (typeof statistic.value === 'number' && typeof statistic.previousValue === 'number') {
+        const { changePercent } = computeTrend(statistic.value, statistic.previousValue);
+        return changePercent === null ? NaN : changePercent * 100;
+    }
+    return parseStatisticNumber(statistic.trendValue);
+};
+
+/**
+ * Checks a rule for problems, e.g. before saving one the user entered.
+ * @param {object} rule - The rule.
+ * @returns {Array<string>} The problems. Empty when the rule is valid.
+ */
+export const validateAlertRule = (rule) => {
+    const errors = [];
+    if (rule.statisticId === undefined || rule.statisticId === null) {
+        errors.push('The rule needs a statistic');
+    }
+    if (!ALERT_METRICS.some(metric => metric.id === rule.metric)) {
+        errors.push(`Unknown metric "${rule.metric}"`);
+    }
+    if (!ALERT_OPERATORS.some(operator => operator.id === rule.operator)) {
+        errors.push(`Unknown operator "${rule.operator}"`);
+    }
+    if (typeof rule.threshold !== 'number' || !Number.isFinite(rule.threshold)) {
+        errors.push('The threshold must be a number');
+    }
+    if (rule.severity !== undefined && !ALERT_SEVERITIES.includes(rule.severity)) {
+        errors.push(`Unknown severity "${rule.severity}"`);
+    }
+    return errors;
+};
+
+/**
+ * Describes a rule in words, e.g. 'Value below 500' or 'Trend above 20%'.
+ * @param {object} rule - The rule.
+ * @param {function(string, object=): string} [t] - The translation function. Defaults to English.
+ * @returns {string} The description.
+ */
+export const describeAlertRule = (rule, t = translate) => t('alerts.rule', {
+    metric: t(rule.metric === 'trend' ? 'alerts.subject.trend' : 'alerts.subject.value'),
+    operator: t(`alerts.operator.${rule.operator}`),
+    threshold: rule.metric === 'trend' ? `${rule.threshold}%` : rule.threshold,
+});
+
+/**
+ * Collects the rules declared in the dashboard data, in the `alerts` array of each statistic.
+ * Their ids are scoped to their statistic, so two statistics can both declare e.g. a rule `"low"`. Rules without an
+ * id get one from their position instead, so they can be told apart across refreshes.
+ * Invalid rules are left out.
+ * @param {Array<object>} statistics - The statistics from the dashboard data.
+ * @returns {Array<object>} The rules.
+ */
+export const collectDataAlertRules = (statistics) => statistics.flatMap(statistic =>
+    (Array.isArray(statistic.alerts) ? statistic.alerts : [])
+        .map((rule, index) => ({
+            severity: 'warning',
+            ...rule,
+            id: `data-${statistic.id}-${rule.id ?? index}`,
+            statisticId: statistic.id,
+            source: 'data',
+        }))
+        .filter(rule => validateAlertRule(rule).length === 0));
+
+/**
+ * Evaluates rules against the statistics.
+ * A rule breaches when its metric is strictly below (or above) its threshold. Rules whose statistic is missing,
+ * or has no such metric, never breach.
+ * @param {Array<object>} rules - The rules.
+ * @param {Array<object>} statistics - The statistics.
+ * @returns {Array<{rule: object, statistic: object, actual: number}>} The breaches, in rule order.
+ */
+export const evaluateAlertRules = (rules, statistics) => rules.flatMap(rule => {
+    const statistic = statistics.find(item => String(item.id) === String(rule.statisticId));
+    if (!statistic) {
+        return [];
+    }
+    const actual = getMetricValue(statistic, rule.metric);
+    if (Number.isNaN(actual)) {
+        return [];
+    }
+    const breached = rule.operator === 'below' ? actual < rule.threshold : actual > rule.threshold;
+    return breached ? [{ rule, statistic, actual }] : [];
+});
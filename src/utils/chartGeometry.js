@@ -0,0 +1,351 @@
+/**
+ * @file This file contains the geometry behind the chart components.
+ * Every function is pure: it turns data and a size into coordinates and SVG path strings, so the charts can be
+ * tested (and snapshotted) without rendering, and re-laid out by simply calling them again with a new size.
+ * Coordinates are rounded to two decimals to keep the paths short and the snapshots stable.
+ */
+
+// The space left around the plot area for the axis labels, in pixels.
+export const DEFAULT_CHART_PADDING = { top: 8, right: 8, bottom: 20, left: 36 };
+
+/**
+ * Rounds a coordinate to two decimals.
+ * @param {number} value - The coordinate.
+ * @returns {number} The rounded coordinate.
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Creates a linear scale that maps a domain onto a range.
+ * @param {[number, number]} domain - The input interval.
+ * @param {[number, number]} range - The output interval.
+ * @returns {function(number): number} The scale.
+ */
+export const scaleLinear = ([d0, d1], [r0, r1]) => {
+    const span = d1 - d0;
+    // A flat domain maps everything to the middle of the range.
+    if (span === 0) {
+        return () => (r0 + r1) / 2;
+    }
+    return (value) => r0 + ((value - d0) / span) * (r1 - r0);
+};
+
+/**
+ * Calculates "nice" axis ticks (multiples of 1, 2 or 5 times a power of ten) that cover a range of values.
+ * @param {number} min - The smallest value to cover.
+ * @param {number} max - The largest value to cover.
+ * @param {number} [count=4] - The approximate number of intervals.
+ * @returns {{min: number, max: number, step: number, ticks: Array<number>}} The axis bounds, the tick interval,
+ * and the tick values.
+ */
+export const niceTicks = (min, max, count = 4) => {
+    if (min === max) {
+        // Give a flat series some room, so it is drawn in the middle of the plot.
+        const pad = Math.abs(min) || 1;
+        return niceTicks(min - pad, max + pad, count);
+    }
+    const rawStep = (max - min) / count;
+    const magnitude = 10 ** Math.floor(Math.log10(rawStep));
+    const normalized = rawStep / magnitude;
+    const factor = normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 5 ? 5 : 10;
+    const step = factor * magnitude;
+    const niceMin = Math.floor(min / step) * step;
+    const niceMax = Math.ceil(max / step) * step;
+    const ticks = [];
+    for (let value = niceMin; value <= niceMax + step / 2; value += step) {
+        // Avoid floating point noise such as 0.30000000000000004.
+        ticks.push(Number(value.toPrecision(12)));
+    }
+    return { min: niceMin, max: niceMax, step, ticks };
+};
+
+/**
+ * Formats an axis value compactly, e.g. 1200 as '1.2K' and 3500000 as '3.5M'.
+ * @param {number} value - The value.
+ * @returns {string} The formatted value.
+ */
+export const formatTick = (value) => {
+    const abs = Math.abs(value);
+    const units = [[1e9, 'B'], [1e6, 'M'], [1e3, 'K']];
+    const unit = units.find(([size]) => abs >= size);
+    if (!unit) {
+        return String(Number(value.toPrecision(3)));
+    }
+    return `${Number((value / unit[0]).toPrecision(3))}${unit[1]}`;
+};
+
+/**
+ * Picks which x-axis labels to show so that they do not overlap.
+ * @param {number} count - The number of data points.
+ * @param {number} width - The width of the plot area.
+ * @param {number} [minLabelWidth=40] - The space a label needs, in pixels.
+ * @returns {function(number): boolean} Whether the label at an index is shown.
+ */
+const labelFilter = (count, width, minLabelWidth = 40) => {
+    const maxLabels = Math.max(1, Math.floor(width / minLabelWidth));
+    const every = Math.ceil(count / maxLabels);
+    return (index) => index % every === 0;
+};
+
+/**
+ * Calculates the plot area inside a chart.
+ * @param {number} width - The chart width.
+ * @param {number} height - The chart height.
+ * @param {object} padding - The space around the plot area.
+ * @returns {{x: number, y: number, width: number, height: number}} The plot area.
+ */
+const plotArea = (width, height, padding) => ({
+    x: padding.left,
+    y: padding.top,
+    width: Math.max(0, width - padding.left - padding.right),
+    height: Math.max(0, height - padding.top - padding.bottom),
+});
+
+/**
+ * Calculates the y-axis of a chart.
+ * @param {Array<number>} values - The values plotted.
+ * @param {object} plot - The plot area.
+ * @param {boolean} includeZero - Whether the axis must start at zero.
+ * @returns {{scale: function(number): number, ticks: Array<{value: number, y: number, label: string}>}} The scale
+ * and the ticks.
+ */
+const valueAxis = (values, plot, includeZero) => {
+    const min = values.length ? Math.min(...values) : 0;
+    const max = values.length ? Math.max(...values) : 1;
+    const axis = niceTicks(includeZero ? Math.min(0, min) : min, includeZero ? Math.max(0, max) : max);
+    const scale = scaleLinear([axis.min, axis.max], [plot.y + plot.height, plot.y]);
+    return {
+        scale,
+        ticks: axis.ticks.map(value => ({ value, y: round(scale(value)), label: formatTick(value) })),
+    };
+};
+
+/**
+ * Lays out a line chart.
+ * @param {Array<{label: string, value: number}>} data - The data points, in order.
+ * @param {object} size - The chart size.
+ * @param {number} size.width - The chart width.
+ * @param {number} size.height - The chart height.
+ * @param {object} [size.padding=DEFAULT_CHART_PADDING] - The space around the plot area for the axes.
+ * @returns {{
+ *   plot: {x: number, y: number, width: number, height: number},
+ *   points: Array<{x: number, y: number, label: string, value: number, index: number}>,
+ *   linePath: string,
+ *   areaPath: string,
+ *   yTicks: Array<{value: number, y: number, label: string}>,
+ *   xLabels: Array<{x: number, label: string, index: number}>,
+ * }} The chart geometry.
+ */
+export const computeLineChart = (data, { width, height, padding = DEFAULT_CHART_PADDING }) => {
+    const plot = plotArea(width, height, padding);
+    const { scale: yScale, ticks: yTicks } = valueAxis(data.map(point => point.value), plot, false);
+    const xScale = scaleLinear([0, Math.max(1, data.length - 1)], [plot.x, plot.x + plot.width]);
+    const points = data.map((point, index) => ({
+        x: round(data.length === 1 ? plot.x + plot.width / 2 : xScale(index)),
+        y: round(yScale(point.value)),
+        label: point.label,
+        value: point.value,
+        index,
+    }));
+    const linePath = points.map((point, index) => `${index === 0 ? 'M' : 'L'}${point.x},${point.y}`).join(' ');
+    const bottom = round(plot.y + plot.height);
+    const areaPath = points.length
+        ? `${linePath} L${points[points.length - 1].x},${bottom} L${points[0].x},${bottom} Z`
+        : '';
+    const showLabel = labelFilter(points.length, plot.width);
+    return {
+        plot,
+        points,
+        linePath,
+        areaPath,
+        yTicks,
+        xLabels: points.filter(point => showLabel(point.index))
+            .map(point => ({ x: point.x, label: point.label, index: point.index })),
+    };
+};
+
+/**
+ * Lays out a bar chart. The value axis always includes zero, so bar lengths stay comparable.
+ * @param {Array<{label: string, value: number}>} data - The bars, in order.
+ * @param {object} size - The chart size.
+ * @param {number} size.width - The chart width.
+ * @param {number} size.height - The chart height.
+ * @param {object} [size.padding=DEFAULT_CHART_PADDING] - The space around the plot area for the axes.
+ * @param {number} [size.gap=0.3] - The gap between bars, as a fraction of each bar's slot.
+ * @returns {{
+ *   plot: {x: number, y: number, width: number, height: number},
+ *   bars: Array<{x: number, y: number, width: number, height: number, label: string, value: number, index: number}>,
+ *   yTicks: Array<{value: number, y: number, label: string}>,
+ *   xLabels: Array<{x: number, label: string, index: number}>,
+ * }} The chart geometry.
+ */
+export const computeBarChart = (data, { width, height, padding = DEFAULT_CHART_PADDING, gap = 0.3 }) => {
+    const plot = plotArea(width, height, padding);
+    const { scale: yScale, ticks: yTicks } = valueAxis(data.map(bar => bar.value), plot, true);
+    const slot = data.length ? plot.width / data.length : 0;
+    const barWidth = slot * (1 - gap);
+    const zeroY = yScale(0);
+    const bars = data.map((bar, index) => {
+        const valueY = yScale(bar.value);
+        return {
+            x: round(plot.x + slot * index + (slot - barWidth) / 2),
+            // Negative values hang down from the zero line.
+            y: round(Math.min(valueY, zeroY)),
+            width: round(barWidth),
+            height: round(Math.abs(zeroY - valueY)),
+            label: bar.label,
+            value: bar.value,
+            index,
+        };
+    });
+    const showLabel = labelFilter(bars.length, plot.width);
+    return {
+        plot,
+        bars,
+        yTicks,
+        xLabels: bars.filter(bar => showLabel(bar.index))
+            .map(bar => ({ x: round(bar.x + bar.width / 2), label: bar.label, index: bar.index })),
+    };
+};
+
+/**
+ * Converts an angle (clockwise from 12 o'clock, in radians) to a point on a circle.
+ * @param {number} cx - The x coordinate of the center.
+ * @param {number} cy - The y coordinate of the center.
+ * @param {number} radius - The radius.
+ * @param {number} angle - The angle.
+ * @returns {{x: number, y: number}} The point.
+ */
+const polar = (cx, cy, radius, angle) => ({
+    x: round(cx + radius * Math.sin(angle)),
+    y: round(cy - radius * Math.cos(angle)),
+});
+
+/**
+ * Builds the SVG path of a ring segment.
+ * @param {number} cx - The x coordinate of the center.
+ * @param {number} cy - The y coordinate of the center.
+ * @param {number} outer - The outer radius.
+ * @param {number} inner - The inner radius.
+ * @param {number} start - The start angle.
+ * @param {number} end - The end angle.
+ * @returns {string} The path.
+ */
+const ringSegmentPath = (cx, cy, outer, inner, start, end) => {
+    // A full circle cannot be drawn with a single arc, so it is split in two.
+    if (end - start >= Math.PI * 2 - 1e-6) {
+        const mid = start + Math.PI;
+        return `${ringSegmentPath(cx, cy, outer, inner, start, mid)} ${ringSegmentPath(cx, cy, outer, inner, mid, end)}`;
+    }
+    const largeArc = end - start > Math.PI ? 1 : 0;
+    const p1 = polar(cx, cy, outer, start);
+    const p2 = polar(cx, cy, outer, end);
+    const p3 = polar(cx, cy, inner, end);
+    const p4 = polar(cx, cy, inner, start);
+    return [
+        `M${p1.x},${p1.y}`,
+        `A${outer},${outer} 0 ${largeArc} 1 ${p2.x},${p2.y}`,
+        `L${p3.x},${p3.y}`,
+        `A${inner},${inner} 0 ${largeArc} 0 ${p4.x},${p4.y}`,
+        'Z',
+    ].join(' ');
+};
+
+/**
+ * Lays out a donut chart. Segments start at 12 o'clock and run clockwise.
+ * Negative values are treated as zero.
+ * @param {Array<{label: string, value: number}>} data - The segments, in order.
+ * @param {object} size - The chart size.
+ * @param {number} size.size - The width and height of the chart.
+ * @param {number} [size.thickness] - The width of the ring. Defaults to a quarter of the radius.
+ * @returns {{
+ *   center: {x: number, y: number},
+ *   radius: number,
+ *   innerRadius: number,
+ *   total: number,
+ *   segments: Array<{path: string, startAngle: number, endAngle: number, fraction: number, label: string,
+ *     value: number, index: number}>,
+ * }} The chart geometry.
+ */
+export const computeDonut = (data, { size, thickness }) => {
+    const radius = size / 2;
+    const innerRadius = Math.max(0, radius - (thickness ?? radius / 4));
+    const center = { x: radius, y: radius };
+    const total = data.reduce((sum, segment) => sum + Math.max(0, segment.value), 0);
+    let angle = 0;
+    const segments = data.map((segment, index) => {
+        const fraction = total > 0 ? Math.max(0, segment.value) / total : 0;
+        const startAngle = angle;
+        angle += fraction * Math.PI * 2;
+        return {
+            path: fraction > 0 ? ringSegmentPath(center.x, center.y, radius, innerRadius, startAngle, angle) : '',
+            startAngle: round(startAngle),
+            endAngle: round(angle),
+            fraction,
+            label: segment.label,
+            value: segment.value,
+            index,
+        };
+    });
+    return { center, radius, innerRadius, total, segments };
+};
+
+/**
+ * Lays out a sparkline: a small line chart without axes.
+ * @param {Array<number>} values - The values, in order.
+ * @param {object} size - The sparkline size.
+ * @param {number} size.width - The width.
+ * @param {number} size.height - The height.
+ * @param {number} [size.inset=2] - Space kept free around the line, so the stroke is not clipped.
+ * @returns {{path: string, points: Array<{x: number, y: number}>}} The path and the points.
+ */
+export const computeSparkline = (values, { width, height, inset = 2 }) => {
+    const min = values.length ? Math.min(...values) : 0;
+    const max = values.length ? Math.max(...values) : 0;
+    const xScale = scaleLinear([0, Math.max(1, values.length - 1)], [inset, width - inset]);
+    const yScale = scaleLinear([min, max], [height - inset, inset]);
+    const points = values.map((value, index) => ({ x: round(xScale(index)), y: round(yScale(value)) }));
+    return {
+        path: points.map((point, index) => `${index === 0 ? 'M' : 'L'}${point.x},${point.y}`).join(' '),
+        points,
+    };
+};
+
+/**
+ * Finds the point nearest to a horizontal position, e.g. where the user pressed a chart.
+ * @param {Array<{x: number}>} points - The points (or bar centers).
+ * @param {number} x - The horizontal position.
+ * @returns {number} The index of the nearest point, or -1 if there are none.
+ */
+export const findNearestIndex = (points, x) => {
+    let nearest = -1;
+    let distance = Infinity;
+    points.forEach((point, index) => {
+        const d = Math.abs(point.x - x);
+        if (d < distance) {
+            nearest = index;
+            distance = d;
+        }
+    });
+    return nearest;
+};
+
+/**
+ * Finds the donut segment at a position, e.g. where the user pressed the chart.
+ * @param {ReturnType<typeof computeDonut>} donut - The donut geometry.
+ * @param {number} x - The horizontal position.
+ * @param {number} y - The vertical position.
+ * @returns {number} The index of the segment, or -1 if the position is outside the ring.
+ */
+export const findSegmentAt = (donut, x, y) => {
+    const dx = x - donut.center.x;
+    const dy = y - donut.center.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    if (distance < donut.innerRadius || distance > donut.radius) {
+        return -1;
+    }
+    // Angle clockwise from 12 o'clock, between 0 and 2π.
+    const angle = (Math.atan2(dx, -dy) + Math.PI * 2) % (Math.PI * 2);
+    return donut.segments.findIndex(segment =>
+        segment.fraction > 0 && angle >= segment.startAngle && angle <= segment.endAngle);
+};
@@ -0,0 +1,127 @@
+/**
+ * @file This file contains the search and facet filtering of the dashboard widgets.
+ * Every grid item carries the fields it can be found by as `search` (see resolveLayout): its title, subtitle and
+ * tags, which the query is matched against, and its category and trend direction, which the facets filter on.
+ * A filter is `{ query, category, trend }`; empty fields do not filter.
+ */
+
+// The filter that shows every widget.
+export const EMPTY_DASHBOARD_FILTER = { query: '', category: null, trend: null };
+
+// The trend directions the trend facet offers.
+export const TREND_FACETS = ['up', 'down', 'flat'];
+
+/**
+ * Splits a search query into lowercase terms.
+ * @param {string} [query] - The query.
+ * @returns {Array<string>} The terms.
+ */
+const getTerms = (query) => String(query ?? '').toLocaleLowerCase().split(/\s+/).filter(Boolean);
+
+/**
+ * Checks whether a filter filters anything.
+ * @param {{query: string, category: (string | null), trend: (string | null)}} filter - The filter.
+ * @returns {boolean} Whether it hides any widget.
+ */
+export const isFilterActive = (filter) => (
+    getTerms(filter?.query).length > 0 || !!filter?.category || !!filter?.trend
+);
+
+/**
+ * Checks whether a widget's search fields pass a filter.
+ * Every term of the query must appear in the title, the subtitle or one of the tags, ignoring case. A category or
+ * trend facet only passes widgets that have that category or trend.
+ * @param {{title?: string, subtitle?: string, tags?: Array<string>, category?: string, trend?: string}} [search] -
+ * The widget's search fields.
+ * @param {{query: string, category: (string | null), trend: (string | null)}} filter - The filter.
+ * @returns {boolean} Whether the widget passes.
+ */
+export const matchesDashboardFilter = (search = {}, filter) => {
+    if (filter.category && search.category !== filter.category) {
+        return false;
+    }
+    if (filter.trend && search.trend !== filter.trend) {
+        return false;
+    }
+    const haystack = [search.title, search.subtitle, ...(search.tags || [])]
+        .filter(Boolean)
+        .map(text => String(text).toLocaleLowerCase());
+    return getTerms(filter.query).every(term => haystack.some(text => text.includes(term)));
+};
+
+/**
+ * Keeps the grid items that pass a filter.
+ * @param {Array<object>} items - The resolved grid items.
+ * @param {{query: string, category: (string | null), trend: (string | null)}} filter - The filter.
+ * @returns {Array<object>} The items that pass, or `items` itself when the filter is not active.
+ */
+export const filterGridItems = (items, filter) => (
+    isFilterActive(filter) ? items.filter(item => matchesDashboardFilter(item.search, filter)) : items
+);
+
+/**
+ * Lists the categories of the grid items, in the order they first appear, for the category facet.
+ * @param {Array<object>} items - The resolved grid items.
+ * @returns {Array<string>} The categories.
+ */
+export const getDashboardCategories = (items) => (
+    Array.from(new Set(items.map(item => item.search?.category).filter(Boolean)))
+);
+
+/**
+ * Gets the translated name of a category, falling back to the category itself.
+ * @param {string} category - The category, e.g. 'sales'.
+ * @param {function(string, object=): string} t - The translation function.
+ * @returns {string} The name of the category.
+ */
+export const getCategoryLabel = (category, t) => {
+    const key = `category.${category}`;
+    const label = t(key);
+    return label === key ? category : label;
+};
+
+/**
+ * Splits a text into the parts that match a query and the parts that do not, for highlighting.
+ * Every occurrence of every term is matched, ignoring case; overlapping matches are merged.
+ * @param {string} text - The text.
+ * @param {string} [query] - The query.
+ * @returns {Array<{text: string, match: boolean}>} The parts, in order. Without a match, the whole text is one part.
+ */
+export const splitMatches = (text, query) => {
+    const source = String(text ?? '');
+    const lower = source.toLocaleLowerCase();
+    // Lowercasing can change the length of some characters, in which case the offsets would not line up.
+    const terms = lower.length === source.length ? getTerms(query) : [];
+    const ranges = [];
+    terms.forEach(term => {
+        for (let start = lower.indexOf(term); start !== -1; start = lower.indexOf(term, start + 1)) {
+            ranges.push([start, start + term.length]);
+        }
+    });
+    if (ranges.length === 0) {
+        return [{ text: source, match: false }];
+    }
+    ranges.sort((a, b) => a[0] - b[0]);
+    const merged = ranges.reduce((all, range) => {
+        const last = all[all.length - 1];
+        if (last && range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            all.push([...range]);
+        }
+        return all;
+    }, []);
+    const parts = [];
+    let position = 0;
+    merged.forEach(([start, end]) => {
+        if (start > position) {
+            parts.push({ text: source.slice(position, start), match: false });
+        }
+        parts.push({ text: source.slice(start, end), match: true });
+        position = end;
+    });
+    if (position < source.length) {
+        parts.push({ text: source.slice(position), match: false });
+    }
+    return parts;
+};
@@ -0,0 +1,255 @@
+import { selectForDevice } from './responsive';
+
+/**
+ * @file This file contains the layout engine behind ResponsiveGrid.
+ * It resolves per-breakpoint column and row spans, packs the items into a grid of cells,
+ * and turns the packed grid into a tree of rows and columns that can be rendered with Flexbox alone.
+ */
+
+/**
+ * Resolves a span declaration for the current device.
+ * A span is either a number, the string 'full' (every column), or an object keyed by device.
+ * Object keys are looked up from the most to the least specific (see selectForDevice in responsive.js):
+ * `${deviceType}${Orientation}` (e.g. 'tabletLandscape'), `deviceType` (e.g. 'largeTablet'),
+ * `${group}${Orientation}` (e.g. 'phonePortrait'), `group` ('phone' or 'tablet'), and finally 'default'.
+ *
+ * @param {number | string | object} [span] - The span declaration.
+ * @param {object} context - The current device.
+ * @param {string} context.deviceType - The device type from getDeviceType().
+ * @param {'portrait' | 'landscape'} context.orientation - The current orientation.
+ * @param {number} context.columns - The number of columns in the grid, used to clamp the span.
+ * @returns {number} The span, between 1 and `columns`.
+ */
+export const resolveSpan = (span, { deviceType, orientation, columns }) => {
+    let value = span;
+    if (value && typeof value === 'object') {
+        value = selectForDevice(value, { deviceType, orientation }) ?? 1;
+    }
+    if (value === 'full') {
+        return columns;
+    }
+    const number = Math.floor(Number(value));
+    if (!Number.isFinite(number) || number < 1) {
+        return 1;
+    }
+    return Math.min(number, columns);
+};
+
+// The most rows an item can span. This keeps a bad layout entry (e.g. from the endpoint) from growing the grid
+// without bound.
+export const MAX_ROW_SPAN = 12;
+
+/**
+ * Resolves a row span declaration for the current device.
+ * It takes the same declarations as resolveSpan, except that 'full' means a single row, since a grid has no fixed
+ * number of rows.
+ *
+ * @param {number | string | object} [span] - The row span declaration.
+ * @param {object} context - The current device (see resolveSpan).
+ * @returns {number} The row span, between 1 and MAX_ROW_SPAN.
+ */
+export const resolveRowSpan = (span, context) => {
+    let value = span;
+    if (value && typeof value === 'object') {
+        value = selectForDevice(value, context) ?? 1;
+    }
+    return value === 'full' ? 1 : resolveSpan(value, { ...context, columns: MAX_ROW_SPAN });
+};
+
+/**
+ * Packs items into a grid of `columns` columns.
+ * Items are placed in order, each at the first free position (top to bottom, left to right) where it fits.
+ * This "dense" packing fills gaps left by wide or tall items with the items that follow them.
+ *
+ * @param {Array<object>} items - The items to place. `colSpan` and `rowSpan` are read from each item (see
+ * resolveSpan and resolveRowSpan).
+ * @param {number} columns - The number of columns in the grid.
+ * @param {object} [context] - The current device, used to resolve per-breakpoint spans (see resolveSpan).
+ * @returns {{placements: Array<{item: object, index: number, row: number, col: number, colSpan: number, rowSpan: number}>,
+ *   rowCount: number, cells: Array<Array<number>>}} The placements, the number of rows used, and a
+ * row-major map of cells to placement indexes (-1 for empty cells).
+ */
+export const packGrid = (items, columns, context = {}) => {
+    const spanContext = { ...context, columns };
+    const cells = [];
+    const placements = [];
+    // Every row above this one is full, so the search for a free position can start here.
+    let firstOpenRow = 0;
+
+    const ensureRow = (row) => {
+        while (cells.length <= row) {
+            cells.push(new Array(columns).fill(-1));
+        }
+    };
+
+    const fits = (row, col, colSpan, rowSpan) => {
+        for (let r = row; r < row + rowSpan; r++) {
+            ensureRow(r);
+            for (let c = col; c < col + colSpan; c++) {
+                if (cells[r][c] !== -1) {
+                    return false;
+                }
+            }
+        }
+        return true;
+    };
+
+    items.forEach((item, index) => {
+        if (!item) {
+            return;
+        }
+        const colSpan = resolveSpan(item.colSpan, spanContext);
+        const rowSpan = resolveRowSpan(item.rowSpan, context);
+
+        let row = firstOpenRow;
+        let col = 0;
+        // Scan row by row until the item fits. A fresh row at the bottom always fits, so this terminates.
+        for (; ; row++) {
+            col = 0;
+            while (col + colSpan <= columns && !fits(row, col, colSpan, rowSpan)) {
+                col++;
+            }
+            if (col + colSpan <= columns) {
+                break;
+            }
+        }
+
+        const placementIndex = placements.length;
+        for (let r = row; r < row + rowSpan; r++) {
+            for (let c = col; c < col + colSpan; c++) {
+                cells[r][c] = placementIndex;
+            }
+        }
+        placements.push({ item, index, row, col, colSpan, rowSpan });
+
+        while (firstOpenRow < cells.length && !cells[firstOpenRow].includes(-1)) {
+            firstOpenRow++;
+        }
+    });
+
+    return { placements, rowCount: cells.length, cells };
+};
+
+/**
+ * Finds the boundaries inside a region that no item crosses.
+ * @param {Array<object>} placements - The placements inside the region.
+ * @param {number} start - The first line of the region.
+ * @param {number} end - The last line of the region (exclusive).
+ * @param {'row' | 'col'} axis - Whether to look for row or column boundaries.
+ * @returns {Array<number>} The boundaries, in increasing order.
+ */
+const findCuts = (placements, start, end, axis) => {
+    const spanKey = axis === 'row' ? 'rowSpan' : 'colSpan';
+    const cuts = [];
+    for (let line = start + 1; line < end; line++) {
+        const crossed = placements.some(placement =>
+            placement[axis] < line && placement[axis] + placement[spanKey] > line);
+        if (!crossed) {
+            cuts.push(line);
+        }
+    }
+    return cuts;
+};
+
+/**
+ * Recursively splits a region of the packed grid into nested rows and columns.
+ * @param {Array<object>} placements - The placements inside the region.
+ * @param {{row: number, col: number, rowEnd: number, colEnd: number}} region - The region to split.
+ * @returns {object} The layout tree for the region.
+ */
+const splitRegion = (placements, region) => {
+    const { row, col, rowEnd, colEnd } = region;
+    const width = colEnd - col;
+
+    if (placements.length === 0) {
+        return { type: 'empty', span: width };
+    }
+    if (placements.length === 1) {
+        const [placement] = placements;
+        if (placement.row === row && placement.col === col
+            && placement.row + placement.rowSpan === rowEnd && placement.col + placement.colSpan === colEnd) {
+            return { type: 'item', span: width, placement };
+        }
+    }
+
+    // Prefer horizontal cuts: stacked rows keep the reading order of the grid.
+    const rowCuts = findCuts(placements, row, rowEnd, 'row');
+    if (rowCuts.length > 0) {
+        const bounds = [row, ...rowCuts, rowEnd];
+        return {
+            type: 'rows',
+            span: width,
+            children: bounds.slice(0, -1).map((start, i) => splitRegion(
+                placements.filter(p => p.row >= start && p.row < bounds[i + 1]),
+                { row: start, col, rowEnd: bounds[i + 1], colEnd },
+            )),
+        };
+    }
+
+    // Only the first column cut is taken here. The part on its right is split again, which lets it
+    // go back to stacking rows so that items sharing a row also share a row height.
+    const [colCut] = findCuts(placements, col, colEnd, 'col');
+    if (colCut !== undefined) {
+        const bounds = [col, colCut, colEnd];
+        return {
+            type: 'columns',
+            span: width,
+            children: bounds.slice(0, -1).map((start, i) => splitRegion(
+                placements.filter(p => p.col >= start && p.col < bounds[i + 1]),
+                { row, col: start, rowEnd, colEnd: bounds[i + 1] },
+            )),
+        };
+    }
+
+    // The items interlock so that no straight cut separates them (a "pinwheel").
+    // Fall back to one row per starting row; the tall items lose their row span but nothing overlaps.
+    const startRows = [...new Set(placements.map(p => p.row))].sort((a, b) => a - b);
+    return {
+        type: 'rows',
+        span: width,
+        children: startRows.map(startRow => {
+            const children = [];
+            let cursor = col;
+            placements
+                .filter(p => p.row === startRow)
+                .sort((a, b) => a.col - b.col)
+                .forEach(p => {
+                    // Keep the items in their columns by filling the gaps between them.
+                    if (p.col > cursor) {
+                        children.push({ type: 'empty', span: p.col - cursor });
+                    }
+                    children.push({ type: 'item', span: p.colSpan, placement: { ...p, rowSpan: 1 } });
+                    cursor = p.col + p.colSpan;
+                });
+            if (cursor < colEnd) {
+                children.push({ type: 'empty', span: colEnd - cursor });
+            }
+            return { type: 'columns', span: width, children };
+        }),
+    };
+};
+
+/**
+ * Splits the packed grid into horizontal bands that no item crosses.
+ * Each band is an independent layout tree, which is what a virtualized list renders as one row.
+ *
+ * @param {{placements: Array<object>, rowCount: number}} packed - The result of packGrid.
+ * @param {number} columns - The number of columns in the grid.
+ * @returns {Array<{key: string, row: number, rowEnd: number, itemIndexes: Array<number>, tree: object}>} The bands,
+ * from top to bottom.
+ */
+export const buildGridBands = ({ placements, rowCount }, columns) => {
+    const bounds = [0, ...findCuts(placements, 0, rowCount, 'row'), rowCount];
+    return bounds.slice(0, -1).map((start, i) => {
+        const end = bounds[i + 1];
+        const inBand = placements.filter(p => p.row >= start && p.row < end);
+        return {
+            key: `band-${start}`,
+            row: start,
+            rowEnd: end,
+            // The indexes (in the original data) of the items in the band, in placement order.
+            itemIndexes: inBand.map(p => p.index),
+            tree: splitRegion(inBand, { row: start, col: 0, rowEnd: end, colEnd: columns }),
+        };
+    });
+};
@@ -0,0 +1,75 @@
+/**
+ * @file This file contains the notification model.
+ * A notification is `{ id, title, message, severity, timestamp, read, link }`, where `link` is the screen it opens
+ * (`{ screen, params }`, see navigation/routes.js) or null. Sources may send partial or loosely typed items
+ * (e.g. ISO timestamps), so everything goes through normalizeNotification first.
+ */
+
+import { translate } from '../i18n';
+
+// The severities a notification can have, from least to most urgent.
+export const NOTIFICATION_SEVERITIES = ['info', 'success', 'warning', 'error'];
+
+/**
+ * Turns a notification from a source into the shape the store keeps.
+ * @param {object} raw - The notification as sent by the source.
+ * @param {number} [now=Date.now()] - The time used when the notification has no timestamp.
+ * @returns {object | null} The notification, or null if it has no id or title and cannot be shown.
+ */
+export const normalizeNotification = (raw, now = Date.now()) => {
+    if (!raw || (typeof raw.id !== 'string' && typeof raw.id !== 'number') || !raw.title) {
+        return null;
+    }
+    const timestamp = typeof raw.timestamp === 'string' ? Date.parse(raw.timestamp) : raw.timestamp;
+    return {
+        id: String(raw.id),
+        title: String(raw.title),
+        message: raw.message ? String(raw.message) : '',
+        severity: NOTIFICATION_SEVERITIES.includes(raw.severity) ? raw.severity : 'info',
+        timestamp: Number.isFinite(timestamp) ? timestamp : now,
+        read: raw.read === true,
+        link: raw.link?.screen ? { screen: raw.link.screen, params: raw.link.params || {} } : null,
+    };
+};
+
+/**
+ * Adds incoming notifications to a list, newest first.
+ * An incoming notification with the id of one already in the list updates its content but keeps its read state,
+ * so a source that re-sends its items (e.g. a poll) never marks them unread again.
+ * @param {Array<object>} current - The notifications in the store.
+ * @param {Array<object>} incoming - The normalized notifications to add.
+ * @param {number} maxItems - The most notifications to keep. The oldest are dropped first.
+ * @returns {Array<object>} The merged list.
+ */
+export const mergeNotifications = (current, incoming, maxItems) => {
+    const byId = new Map(current.map(item => [item.id, item]));
+    incoming.forEach(item => {
+        const existing = byId.get(item.id);
+        byId.set(item.id, existing ? { ...item, read: existing.read || item.read } : item);
+    });
+    return [...byId.values()]
+        .sort((a, b) => b.timestamp - a.timestamp)
+        .slice(0, maxItems);
+};
+
+/**
+ * Formats how long ago something happened, e.g. 'Just now', '5 min ago', '3 h ago' or '2 d ago'.
+ * @param {number} timestamp - The time it happened, in milliseconds.
+ * @param {number} [now=Date.now()] - The current time, in milliseconds.
+ * @param {function(string, object=): string} [t] - The translation function. Defaults to English.
+ * @returns {string} The formatted time.
+ */
+export const formatRelativeTime = (timestamp, now = Date.now(), t = translate) => {
+    const minutes = Math.floor((now - timestamp) / 60000);
+    if (minutes < 1) {
+        return t('time.justNow');
+    }
+    if (minutes < 60) {
+        return t('time.minutesAgo', { count: minutes });
+    }
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) {
+        return t('time.hoursAgo', { count: hours });
+    }
+    return t('time.daysAgo', { count: Math.floor(hours / 24) });
+};
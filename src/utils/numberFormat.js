@@ -0,0 +1,137 @@
+/**
+ * @file This file contains the locale-aware formatting of statistic values.
+ * Statistics can carry raw numbers and a format spec instead of pre-formatted strings:
+ * `{ value: 24500, previousValue: 21875, format: { style: 'currency', currency: 'USD', notation: 'compact' } }`.
+ * The numbers are formatted with Intl for the device locale, and the trend is computed from the two values.
+ * Pre-formatted strings (e.g. '$24.5K' and '+12%') are still shown as they are.
+ */
+
+// The locale used when the device's cannot be read.
+const FALLBACK_LOCALE = 'en-US';
+
+/**
+ * Reads the device locale from Intl, e.g. 'en-US' or 'de-DE'.
+ * @returns {string} The locale.
+ */
+export const getDeviceLocale = () => {
+    try {
+        return Intl.DateTimeFormat().resolvedOptions().locale || FALLBACK_LOCALE;
+    } catch (error) {
+        return FALLBACK_LOCALE;
+    }
+};
+
+/**
+ * Converts a format spec to Intl.NumberFormat options.
+ * @param {object} format - The format spec (see formatNumber).
+ * @returns {object} The Intl.NumberFormat options.
+ */
+const toIntlOptions = ({ style = 'number', currency, unit, notation, decimals, signDisplay }) => {
+    const options = { style: style === 'number' ? 'decimal' : style };
+    if (style === 'currency') {
+        options.currency = currency || 'USD';
+    }
+    if (style === 'unit') {
+        options.unit = unit;
+    }
+    if (notation === 'compact') {
+        options.notation = 'compact';
+    }
+    if (typeof decimals === 'number') {
+        options.minimumFractionDigits = decimals;
+        options.maximumFractionDigits = decimals;
+    }
+    if (signDisplay) {
+        options.signDisplay = signDisplay;
+    }
+    return options;
+};
+
+// Intl.NumberFormat instances are costly to create, so they are cached by locale and format spec.
+const formatters = new Map();
+
+/**
+ * Formats a number for a locale.
+ * If the format cannot be honored (e.g. an unknown currency code or unit), the number is formatted plainly and the
+ * currency code or unit is appended, rather than throwing while rendering.
+ * @param {number} value - The number. Percentages are fractions, e.g. 0.12 for 12%.
+ * @param {object} [format] - The format spec.
+ * @param {'number' | 'currency' | 'percent' | 'unit'} [format.style='number'] - How the number is shown.
+ * @param {string} [format.currency='USD'] - The ISO 4217 currency code, for the currency style.
+ * @param {string} [format.unit] - The unit, for the unit style, e.g. 'kilogram' or 'megabyte-per-second'.
+ * @param {'standard' | 'compact'} [format.notation='standard'] - Compact notation shortens large numbers, e.g. 24.5K.
+ * @param {number} [format.decimals] - The exact number of decimals. By default, Intl picks a sensible number.
+ * @param {'auto' | 'exceptZero' | 'always' | 'never'} [format.signDisplay] - When to show the sign.
+ * @param {string} [locale] - The locale. Defaults to the device locale.
+ * @returns {string} The formatted number.
+ */
+export const formatNumber = (value, format = {}, locale = getDeviceLocale()) => {
+    const key = `${locale}|${JSON.stringify(format)}`;
+    try {
+        if (!formatters.has(key)) {
+            formatters.set(key, new Intl.NumberFormat(locale, toIntlOptions(format)));
+        }
+        return formatters.get(key).format(value);
+    } catch (error) {
+        const number = typeof format.decimals === 'number' ? value.toFixed(format.decimals) : String(value);
+        const suffix = format.style === 'currency' ? format.currency : format.unit;
+        return suffix ? `${number} ${suffix}` : number;
+    }
+};
+
+/**
+ * Computes the trend of a metric from its current and previous values.
+ * @param {number} current - The current value.
+ * @param {number} previous - The previous value.
+ * @param {object} [options] - Trend options.
+ * @param {boolean} [options.invert=false] - Whether a fall is good news, e.g. for costs or response times.
+ * @returns {{direction: 'up' | 'down' | 'flat', change: number, changePercent: number | null, favorable: boolean}}
+ * The trend. `changePercent` is a fraction (0.12 for +12%), or null when the previous value is 0. `favorable` tells
+ * whether the trend should be shown as good news.
+ */
+export const computeTrend = (current, previous, { invert = false } = {}) => {
+    const change = current - previous;
+    const direction = change > 0 ? 'up' : change < 0 ? 'down' : 'flat';
+    return {
+        direction,
+        change,
+        changePercent: previous === 0 ? null : change / Math.abs(previous),
+        favorable: direction === 'flat' || (direction === 'up') !== invert,
+    };
+};
+
+/**
+ * Resolves what a statistic shows: its formatted value and its trend.
+ * A numeric `value` is formatted with `format`; with a numeric `previousValue`, the trend direction and percent
+ * change are computed. An explicit `trend` and `trendValue` (e.g. 'up' and '+12%') still win, so statistics with
+ * pre-formatted strings keep working.
+ * @param {object} statistic - The statistic, or the props of a statistic widget.
+ * @param {number | string} statistic.value - The value.
+ * @param {number} [statistic.previousValue] - The value of the previous period.
+ * @param {object} [statistic.format] - The format spec of the value (see formatNumber).
+ * @param {'up' | 'down' | 'flat'} [statistic.trend] - The direction of the trend, if it is not computed.
+ * @param {string} [statistic.trendValue] - The formatted trend, if it is not computed.
+ * @param {boolean} [statistic.invertTrend=false] - Whether a fall is good news.
+ * @param {string} [locale] - The locale. Defaults to the device locale.
+ * @returns {{value: string, trend: ('up' | 'down' | 'flat' | undefined), trendValue: (string | undefined),
+ *   changePercent: (number | null), favorable: boolean}} What the statistic shows.
+ */
+export const resolveStatisticDisplay = (
+    { value, previousValue, format, trend, trendValue, invertTrend = false },
+    locale = getDeviceLocale(),
+) => {
+    const numeric = typeof value === 'number' && Number.isFinite(value);
+    const computed = numeric && typeof previousValue === 'number'
+        ? computeTrend(value, previousValue, { invert: invertTrend })
+        : null;
+    const direction = trend || computed?.direction;
+    return {
+        value: numeric ? formatNumber(value, format, locale) : String(value ?? ''),
+        trend: direction,
+        trendValue: trendValue ?? (computed?.changePercent != null
+            ? formatNumber(computed.changePercent, { style: 'percent', signDisplay: 'exceptZero' }, locale)
+            : undefined),
+        changePercent: computed ? computed.changePercent : null,
+        favorable: direction === 'flat' || (direction === 'up') !== invertTrend,
+    };
+};
@@ -0,0 +1,173 @@
+/**
+ * @file This file contains the reporting periods the dashboard statistics are queried for.
+ * A period is either a preset, `{ preset: 'month' }`, which is resolved against the current date (e.g. "this month"
+ * runs from the first of the month to today), or a custom range, `{ preset: 'custom', start, end }`, with inclusive
+ * dates written as 'YYYY-MM-DD' in the device's time zone.
+ * The previous period, which the trends compare against, is the same number of days right before it.
+ */
+
+// The preset periods, in display order. Each one runs up to and including today.
+export const PERIOD_PRESETS = ['today', 'week', 'month', 'quarter'];
+
+// The period the dashboard shows until the user picks another one.
+export const DEFAULT_PERIOD = { preset: 'month' };
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Formats a date as a 'YYYY-MM-DD' date key, in the device's time zone.
+ * @param {Date} date - The date.
+ * @returns {string} The date key.
+ */
+export const toDateKey = (date) => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+].join('-');
+
+/**
+ * Parses a 'YYYY-MM-DD' date key into the local midnight of that day.
+ * @param {string} key - The date key.
+ * @returns {Date | null} The date, or null when the key is not a valid date (e.g. '2026-02-30').
+ */
+export const parseDateKey = (key) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(key ?? ''));
+    if (!match) {
+        return null;
+    }
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(year, month - 1, day);
+    // The Date constructor rolls over out-of-range days, so a key that does not survive the round trip is invalid.
+    return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+};
+
+/**
+ * Adds a number of days to a date, keeping it at local midnight across daylight saving changes.
+ * @param {Date} date - The date.
+ * @param {number} days - The number of days, which may be negative.
+ * @returns {Date} The new date.
+ */
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+/**
+ * Counts the days of an inclusive range.
+ * @param {Date} start - The first day.
+ * @param {Date} end - The last day.
+ * @returns {number} The number of days.
+ */
+const countDays = (start, end) => Math.round((end - start) / DAY) + 1;
+
+/**
+ * Checks whether a value is a usable period.
+ * A custom range must start on or before its end, and cannot end after today.
+ * @param {*} period - The value to check.
+ * @param {Date} [now=new Date()] - The current date.
+ * @returns {boolean} Whether it is a usable period.
+ */
+export const isValidPeriod = (period, now = new Date()) => {
+    if (PERIOD_PRESETS.includes(period?.preset)) {
+        return true;
+    }
+    if (period?.preset !== 'custom') {
+        return false;
+    }
+    const start = parseDateKey(period.start);
+    const end = parseDateKey(period.end);
+    return !!start && !!end && start <= end && period.end <= toDateKey(now);
+};
+
+/**
+ * Resolves a period into its first and last days.
+ * A period that is not usable resolves like DEFAULT_PERIOD.
+ * @param {{preset: string, start?: string, end?: string}} period - The period.
+ * @param {Date} [now=new Date()] - The current date.
+ * @returns {{start: string, end: string, days: number}} The inclusive date keys of the range, and its length in days.
+ */
+export const resolvePeriod = (period, now = new Date()) => {
+    if (!isValidPeriod(period, now)) {
+        return resolvePeriod(DEFAULT_PERIOD, now);
+    }
+    if (period.preset === 'custom') {
+        return {
+            start: period.start,
+            end: period.end,
+            days: countDays(parseDateKey(period.start), parseDateKey(period.end)),
+        };
+    }
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    let start;
+    switch (period.preset) {
+        case 'today':
+            start = today;
+            break;
+        case 'week':
+            // Weeks start on Monday.
+            start = addDays(today, -((today.getDay() + 6) % 7));
+            break;
+        case 'quarter':
+            start = new Date(today.getFullYear(), today.getMonth() - (today.getMonth() % 3), 1);
+            break;
+        default:
+            start = new Date(today.getFullYear(), today.getMonth(), 1);
+    }
+    return { start: toDateKey(start), end: toDateKey(today), days: countDays(start, today) };
+};
+
+/**
+ * Gets the period a resolved range is compared against: the same number of days right before it.
+ * @param {{start: string, days: number}} range - The resolved range.
+ * @returns {{start: string, end: string, days: number}} The previous range.
+ */
+export const getPreviousPeriod = ({ start, days }) => {
+    const first = parseDateKey(start);
+    return {
+        start: toDateKey(addDays(first, -days)),
+        end: toDateKey(addDays(first, -1)),
+        days,
+    };
+};
+
+/**
+ * Builds a key that identifies a period, e.g. to tell cached data of different periods apart.
+ * Presets are identified by name, since they move with the current date.
+ * @param {{preset: string, start?: string, end?: string}} period - The period.
+ * @returns {string} The key, e.g. 'month' or 'custom:2026-01-01..2026-01-31'.
+ */
+export const getPeriodKey = (period) => (
+    period.preset === 'custom' ? `custom:${period.start}..${period.end}` : period.preset
+);
+
+/**
+ * Formats an inclusive range of date keys for display, e.g. "Jan 1 – 31, 2026".
+ * @param {string} start - The first day.
+ * @param {string} end - The last day.
+ * @param {string} [locale] - The locale to format with.
+ * @returns {string} The formatted range.
+ */
+export const formatDateRange = (start, end, locale) => {
+    const first = parseDateKey(start);
+    const last = parseDateKey(end);
+    try {
+        const format = new Intl.DateTimeFormat(locale, { year: 'numeric', month: 'short', day: 'numeric' });
+        if (start === end) {
+            return format.format(first);
+        }
+        // Not every JavaScript engine implements formatRange.
+        return typeof format.formatRange === 'function'
+            ? format.formatRange(first, last)
+            : `${format.format(first)} – ${format.format(last)}`;
+    } catch (error) {
+        return `${start} – ${end}`;
+    }
+};
+
+/**
+ * Describes a period for display, e.g. "This month", or the dates of a custom range.
+ * @param {{preset: string, start?: string, end?: string}} period - The period.
+ * @param {function(string, object=): string} t - The translation function.
+ * @param {string} [locale] - The locale custom ranges are formatted with.
+ * @returns {string} The description.
+ */
+export const describePeriod = (period, t, locale) => (
+    period.preset === 'custom' ? formatDateRange(period.start, period.end, locale) : t(`period.${period.preset}`)
+);
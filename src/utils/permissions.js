@@ -0,0 +1,44 @@
+/**
+ * @file This file contains the permission checks behind role-based access control.
+ * Roles map to the permissions they grant (see src/config/roles.js), and a user gets the permissions of all their
+ * roles. Checks only decide what the app shows; the backend must still enforce access to the data itself.
+ */
+
+/**
+ * Checks whether a granted permission covers a required one.
+ * '*' covers every permission, and 'group.*' covers every permission of the group (e.g. 'reports.view').
+ * @param {string} granted - The granted permission.
+ * @param {string} required - The required permission.
+ * @returns {boolean} Whether the granted permission covers the required one.
+ */
+export const matchesPermission = (granted, required) => {
+    if (granted === '*' || granted === required) {
+        return true;
+    }
+    return granted.endsWith('.*') && required.startsWith(granted.slice(0, -1));
+};
+
+/**
+ * Collects the permissions granted by a user's roles.
+ * Unknown roles grant nothing.
+ * @param {Array<string>} roleNames - The user's roles.
+ * @param {Object<string, Array<string>>} roleDefinitions - The permissions of each role.
+ * @returns {Array<string>} The granted permissions, without duplicates.
+ */
+export const getRolePermissions = (roleNames, roleDefinitions) => {
+    const permissions = new Set();
+    (Array.isArray(roleNames) ? roleNames : []).forEach(role => {
+        (roleDefinitions[role] || []).forEach(permission => permissions.add(permission));
+    });
+    return Array.from(permissions);
+};
+
+/**
+ * Creates a permission check for a set of granted permissions.
+ * The check allows anything that requires no permission.
+ * @param {Array<string>} permissions - The granted permissions.
+ * @returns {function((string | undefined)): boolean} The check.
+ */
+export const createPermissionCheck = (permissions) => (required) => (
+    !required || permissions.some(granted => matchesPermission(granted, required))
+);
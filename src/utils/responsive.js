@@ -1,11 +1,63 @@
-import { Dimensions, PixelRatio, Platform } from 'react-native';
+import { Dimensions, PixelRatio, Platform, StyleSheet } from 'react-native';
 
 /**
  * @file This file contains utility functions for creating responsive layouts in React Native.
  * It provides functions for scaling dimensions and fonts based on the screen size,
  * and for determining the device type and orientation.
+ * Font sizes also follow the user's font scale (the text size set in the system's accessibility settings), up to a
+ * cap per text style, so large text stays legible without overflowing the widgets.
+ * The functions without a window argument read the window size at the time they are called. Components should
+ * use the useResponsive hook instead (see ResponsiveContext.js), which re-renders them when the window changes.
  */
 
+/**
+ * Calculates a percentage of a length.
+ * @param {number | string} percentage - The percentage, as a number or a string such as '4%'.
+ * @param {number} length - The length in pixels.
+ * @returns {number} The calculated length in pixels.
+ */
+const percentOf = (percentage, length) => {
+    const value = (parseFloat(String(percentage)) * length) / 100;
+    return Math.round(PixelRatio.roundToNearestPixel(value));
+};
+
+// The largest font scale text follows by default. At 2, text can grow to 200% of its size.
+export const DEFAULT_MAX_FONT_SCALE = 2;
+
+// The largest font scale each typography size follows. Headings and statistic values are large to begin with, so
+// they stop growing sooner than body text, which keeps them inside their tiles.
+export const MAX_FONT_SCALES = {
+    h1: 1.5,
+    h2: 1.5,
+    h3: 1.75,
+    h4: 1.75,
+    body: DEFAULT_MAX_FONT_SCALE,
+    caption: DEFAULT_MAX_FONT_SCALE,
+    small: DEFAULT_MAX_FONT_SCALE,
+};
+
+/**
+ * Scales a font size to a window width and the user's font scale.
+ * The scaling is based on a base width of 640 pixels.
+ * Text components multiply their font size by the font scale themselves, so the size returned here is divided by
+ * it again: text is then rendered at `min(fontScale, maxFontScale)` times the width-scaled size.
+ * @param {number} size - The base font size.
+ * @param {number} width - The window width.
+ * @param {number} [fontScale=1] - The user's font scale.
+ * @param {number} [maxFontScale=DEFAULT_MAX_FONT_SCALE] - The largest font scale the text follows.
+ * @returns {number} The scaled font size.
+ */
+const scaleFont = (size, width, fontScale = 1, maxFontScale = DEFAULT_MAX_FONT_SCALE) => {
+    const scale = fontScale > 0 ? fontScale : 1;
+    const newSize = size * (width / 640) * (Math.min(scale, maxFontScale) / scale);
+    if (Platform.OS === 'ios') {
+        return Math.round(PixelRatio.roundToNearestPixel(newSize));
+    } else {
+        // Android fonts often appear slightly larger, so we subtract 2 to compensate.
+        return Math.round(PixelRatio.roundToNearestPixel(newSize)) - 2;
+    }
+};
+
 /**
  * Gets the current window dimensions.
  * This is a wrapper around Dimensions.get('window') to ensure we are always getting the latest dimensions.
@@ -18,45 +70,30 @@ export const getCurrentDimensions = () => {
 /**
  * Calculates a percentage of the screen width.
  * This is useful for creating elements that scale with the screen size.
- * @param {number} percentage - The percentage of the screen width to calculate.
+ * @param {number | string} percentage - The percentage of the screen width to calculate, e.g. 4 or '4%'.
  * @returns {number} The calculated width in pixels.
  */
-export const wp = (percentage) => {
-    const { width } = getCurrentDimensions();
-    const value = (percentage * width) / 100;
-    return Math.round(PixelRatio.roundToNearestPixel(value));
-};
+export const wp = (percentage) => percentOf(percentage, getCurrentDimensions().width);
 
 /**
  * Calculates a percentage of the screen height.
  * This is useful for creating elements that scale with the screen size.
- * @param {number} percentage - The percentage of the screen height to calculate.
+ * @param {number | string} percentage - The percentage of the screen height to calculate, e.g. 6 or '6%'.
  * @returns {number} The calculated height in pixels.
  */
-export const hp = (percentage) => {
-    const { height } = getCurrentDimensions();
-    const value = (percentage * height) / 100;
-    return Math.round(PixelRatio.roundToNearestPixel(value));
-};
+export const hp = (percentage) => percentOf(percentage, getCurrentDimensions().height);
 
 /**
- * Calculates a responsive font size based on the screen width.
- * This ensures that fonts are scaled appropriately on different screen sizes.
+ * Calculates a responsive font size based on the screen width and the user's font scale.
+ * This ensures that fonts are scaled appropriately on different screen sizes and text size settings.
  * The scaling is based on a base width of 640 pixels.
  * @param {number} size - The base font size.
+ * @param {number} [maxFontScale=DEFAULT_MAX_FONT_SCALE] - The largest font scale the text follows.
  * @returns {number} The calculated responsive font size.
  */
-export const rf = (size) => {
-    const screenData = getCurrentDimensions();
-    const scale = screenData.width / 640;
-    const newSize = size * scale;
-    if (Platform.OS === 'ios') {
-        return Math.round(PixelRatio.roundToNearestPixel(newSize));
-    } else {
-        // Android fonts often appear slightly larger, so we subtract 2 to compensate.
-        return Math.round(PixelRatio.roundToNearestPixel(newSize)) - 2;
-    }
-};
+export const rf = (size, maxFontScale) => (
+    scaleFont(size, getCurrentDimensions().width, PixelRatio.getFontScale(), maxFontScale)
+);
 
 /**
  * Subscribes to orientation changes and calls a callback function when the orientation changes.
@@ -72,29 +109,48 @@ export const listenForOrientationChange = (callback) => {
     return subscription;
 };
 
-// Pre-calculated responsive spacing values.
-// Using pre-calculated values can improve performance by avoiding repeated calculations.
-export const spacing = {
-    xs: wp('2%'),
-    sm: wp('4%'),
-    md: wp('8%'),
-    lg: wp('12%'),
-    xl: wp('16%'),
-};
+/**
+ * Creates the responsive spacing values for a window width.
+ * @param {number} width - The window width.
+ * @returns {{xs: number, sm: number, md: number, lg: number, xl: number}} The spacing values in pixels.
+ */
+export const createSpacing = (width) => ({
+    xs: percentOf('2%', width),
+    sm: percentOf('4%', width),
+    md: percentOf('8%', width),
+    lg: percentOf('12%', width),
+    xl: percentOf('16%', width),
+});
 
-// Pre-calculated responsive typography sizes.
-export const typography = {
-    h1: rf(56),
-    h2: rf(48),
-    h3: rf(40),
-    h4: rf(36),
-    body: rf(32),
-    caption: rf(28),
-    small: rf(24),
-};
+/**
+ * Creates the responsive typography sizes for a window width and font scale.
+ * Each size follows the font scale up to its cap in MAX_FONT_SCALES.
+ * @param {number} width - The window width.
+ * @param {number} [fontScale=1] - The user's font scale.
+ * @returns {{h1: number, h2: number, h3: number, h4: number, body: number, caption: number, small: number}}
+ * The font sizes.
+ */
+export const createTypography = (width, fontScale = 1) => ({
+    h1: scaleFont(56, width, fontScale, MAX_FONT_SCALES.h1),
+    h2: scaleFont(48, width, fontScale, MAX_FONT_SCALES.h2),
+    h3: scaleFont(40, width, fontScale, MAX_FONT_SCALES.h3),
+    h4: scaleFont(36, width, fontScale, MAX_FONT_SCALES.h4),
+    body: scaleFont(32, width, fontScale, MAX_FONT_SCALES.body),
+    caption: scaleFont(28, width, fontScale, MAX_FONT_SCALES.caption),
+    small: scaleFont(24, width, fontScale, MAX_FONT_SCALES.small),
+});
+
+// Responsive spacing values, calculated once for the window size at startup.
+// They do not follow rotation or resizing; use the spacing from useResponsive (or the theme) in components.
+export const spacing = createSpacing(getCurrentDimensions().width);
+
+// Responsive typography sizes, calculated once for the window size and font scale at startup. See the note on
+// `spacing`.
+export const typography = createTypography(getCurrentDimensions().width, PixelRatio.getFontScale());
 
 // Breakpoints for different device sizes.
-// These are used to determine the device type.
+// These are used to determine the device type. They are the defaults; custom breakpoints can be given to the
+// ResponsiveProvider (or passed to the functions below) and are checked by resolveBreakpoints.
 export const breakpoints = {
     small: 360,
     medium: 400,
@@ -103,82 +159,329 @@ export const breakpoints = {
     largeTablet: 1024,
 };
 
+// The breakpoint names, from the narrowest to the widest. Per-breakpoint style overrides are applied in this order.
+export const BREAKPOINT_ORDER = ['small', 'medium', 'large', 'tablet', 'largeTablet'];
+
+// The default number of grid columns per device type and orientation. See selectForDevice for the key format.
+export const DEFAULT_COLUMN_MAP = {
+    phonePortrait: 1,
+    phoneLandscape: 2,
+    tabletPortrait: 2,
+    tabletLandscape: 4,
+    largeTabletPortrait: 3,
+    largeTabletLandscape: 5,
+};
+
+// The device types reported by getDeviceType() that count as phones.
+const PHONE_TYPES = ['smallPhone', 'mediumPhone', 'largePhone'];
+
+/**
+ * Merges custom breakpoints over the defaults and checks them.
+ * @param {object} [custom] - Custom breakpoint widths, keyed by breakpoint name. Missing names keep their default.
+ * @returns {typeof breakpoints} The complete breakpoints.
+ * @throws {Error} If a breakpoint name is unknown, a width is not a positive number, or the widths are not
+ * in ascending order.
+ */
+export const resolveBreakpoints = (custom) => {
+    if (!custom || custom === breakpoints) {
+        return breakpoints;
+    }
+    Object.entries(custom).forEach(([name, value]) => {
+        if (!BREAKPOINT_ORDER.includes(name)) {
+            throw new Error(`Unknown breakpoint "${name}". Expected one of: ${BREAKPOINT_ORDER.join(', ')}`);
+        }
+        if (typeof value !== 'number' || !(value > 0)) {
+            throw new Error(`Breakpoint "${name}" must be a positive number, got ${JSON.stringify(value)}`);
+        }
+    });
+    const resolved = { ...breakpoints, ...custom };
+    BREAKPOINT_ORDER.slice(1).forEach((name, index) => {
+        const previous = BREAKPOINT_ORDER[index];
+        if (resolved[name] <= resolved[previous]) {
+            throw new Error(
+                `Breakpoint "${name}" (${resolved[name]}) must be wider than "${previous}" (${resolved[previous]})`,
+            );
+        }
+    });
+    return resolved;
+};
+
+/**
+ * Picks the value for the current device from an object keyed by device.
+ * Keys are looked up from the most to the least specific:
+ * `${deviceType}${Orientation}` (e.g. 'tabletLandscape'), `deviceType` (e.g. 'largeTablet'),
+ * `${group}${Orientation}` (e.g. 'phonePortrait'), `group` ('phone' or 'tablet'), and finally 'default'.
+ * @param {object} values - The values, keyed by device.
+ * @param {object} context - The current device.
+ * @param {string} context.deviceType - The device type from getDeviceType().
+ * @param {'portrait' | 'landscape'} context.orientation - The current orientation.
+ * @returns {*} The value for the current device, or undefined if no key matches.
+ */
+export const selectForDevice = (values, { deviceType, orientation }) => {
+    const group = PHONE_TYPES.includes(deviceType) ? 'phone' : 'tablet';
+    const suffix = orientation === 'landscape' ? 'Landscape' : 'Portrait';
+    const key = [`${deviceType}${suffix}`, deviceType, `${group}${suffix}`, group, 'default']
+        .find(candidate => values[candidate] !== undefined);
+    return key ? values[key] : undefined;
+};
+
+/**
+ * Determines the breakpoint for a window size: the widest breakpoint the window has reached.
+ * Like getDeviceType, the tablet breakpoints need the smaller window dimension to be tablet-sized,
+ * so a phone in landscape never gets tablet styles.
+ * @param {number} [width] - An optional width to use for calculation.
+ * @param {number} [height] - An optional height to use for calculation. Defaults to the window height.
+ * @param {object} [customBreakpoints] - Custom breakpoints (see resolveBreakpoints). Defaults to `breakpoints`.
+ * @returns {'base' | 'small' | 'medium' | 'large' | 'tablet' | 'largeTablet'} The breakpoint. 'base' is below
+ * the smallest breakpoint.
+ */
+export const getBreakpoint = (width = null, height = null, customBreakpoints = breakpoints) => {
+    const { width: screenWidth, height: windowHeight } = getCurrentDimensions();
+    const currentWidth = width || screenWidth;
+    const screenHeight = height || windowHeight;
+    const active = resolveBreakpoints(customBreakpoints);
+
+    if (Math.min(currentWidth, screenHeight) >= active.tablet) {
+        return currentWidth >= active.largeTablet ? 'largeTablet' : 'tablet';
+    }
+    if (currentWidth >= active.large) return 'large';
+    if (currentWidth >= active.medium) return 'medium';
+    if (currentWidth >= active.small) return 'small';
+    return 'base';
+};
+
+/**
+ * Resolves one style declaration for a breakpoint.
+ * Keys named after a breakpoint hold overrides; the overrides of every breakpoint up to and including the current
+ * one are merged over the base style, narrowest first.
+ * @param {object} style - The style declaration, with optional per-breakpoint overrides.
+ * @param {string} breakpoint - The current breakpoint.
+ * @returns {object} The plain style.
+ */
+const resolveBreakpointStyle = (style, breakpoint) => {
+    const base = {};
+    Object.entries(style).forEach(([key, value]) => {
+        if (!BREAKPOINT_ORDER.includes(key)) {
+            base[key] = value;
+        }
+    });
+    const reached = BREAKPOINT_ORDER.slice(0, BREAKPOINT_ORDER.indexOf(breakpoint) + 1);
+    return reached.reduce((resolved, name) => ({ ...resolved, ...style[name] }), base);
+};
+
+/**
+ * Creates breakpoint-aware styles.
+ * Each style may declare overrides under a breakpoint name, which apply from that breakpoint up:
+ *
+ *     const responsiveStyles = createResponsiveStyles((theme) => ({
+ *         title: { fontSize: theme.typography.h4, tablet: { fontSize: theme.typography.h3 } },
+ *     }));
+ *
+ * The definitions can be a plain object or a factory that receives the theme and the responsive values.
+ * Pass the result to useThemedStyles, or call `resolve` directly. Resolved StyleSheets are cached per breakpoint
+ * (and, for a factory, per theme and per responsive values object), so rendering in the same window never rebuilds
+ * them, while a resize that keeps the breakpoint still rebuilds sizes such as `hp('4%')`.
+ * @param {object | function(object, object): object} definitions - The style definitions, or a factory for them.
+ * @returns {{resolve: function(string, object=, object=): object}} The responsive styles. `resolve(breakpoint,
+ * theme, responsive)` returns the StyleSheet for a breakpoint.
+ */
+export const createResponsiveStyles = (definitions) => {
+    const staticCache = new Map();
+    // Factories depend on the theme and the responsive values, so their sheets are cached per theme object, then per
+    // responsive values object, then per breakpoint. NO_RESPONSIVE stands in when no responsive values are given.
+    const themedCache = new WeakMap();
+    const NO_RESPONSIVE = {};
+
+    const resolve = (breakpoint, theme, responsive) => {
+        let cache = staticCache;
+        if (typeof definitions === 'function') {
+            const windowCache = themedCache.get(theme) || new WeakMap();
+            themedCache.set(theme, windowCache);
+            const key = responsive || NO_RESPONSIVE;
+            cache = windowCache.get(key) || new Map();
+            windowCache.set(key, cache);
+        }
+        if (!cache.has(breakpoint)) {
+            const styles = typeof definitions === 'function' ? definitions(theme, responsive) : definitions;
+            const resolved = {};
+            Object.entries(styles).forEach(([name, style]) => {
+                resolved[name] = resolveBreakpointStyle(style, breakpoint);
+            });
+            cache.set(breakpoint, StyleSheet.create(resolved));
+        }
+        return cache.get(breakpoint);
+    };
+
+    return { resolve };
+};
+
 /**
  * Determines the device type based on the screen width.
  * This is used to apply different layouts for different devices.
  * @param {number} [width] - An optional width to use for calculation.
+ * @param {number} [height] - An optional height to use for calculation. Defaults to the window height.
+ * @param {object} [customBreakpoints] - Custom breakpoints (see resolveBreakpoints). Defaults to `breakpoints`.
  * @returns {string} The device type (e.g., 'smallPhone', 'tablet').
  */
-export const getDeviceType = (width = null) => {
-    const { width: screenWidth, height: screenHeight } = getCurrentDimensions();
+export const getDeviceType = (width = null, height = null, customBreakpoints = breakpoints) => {
+    const { width: screenWidth, height: windowHeight } = getCurrentDimensions();
     const currentWidth = width || screenWidth;
+    const screenHeight = height || windowHeight;
+    const active = resolveBreakpoints(customBreakpoints);
     
     // Use the smaller dimension to determine device type for better reliability on orientation change.
     // This prevents a tablet in portrait mode from being detected as a phone.
     const minDimension = Math.min(currentWidth, screenHeight);
     
-    if (minDimension < breakpoints.tablet) {
+    if (minDimension < active.tablet) {
         // It's a phone
-        if (currentWidth < breakpoints.small) return 'smallPhone';
-        if (currentWidth < breakpoints.medium) return 'mediumPhone';
+        if (currentWidth < active.small) return 'smallPhone';
+        if (currentWidth < active.medium) return 'mediumPhone';
         return 'largePhone';
     } else {
         // It's a tablet
-        if (currentWidth < breakpoints.largeTablet) return 'tablet';
+        if (currentWidth < active.largeTablet) return 'tablet';
         return 'largeTablet';
     }
 };
 
+/**
+ * Works out how much larger than normal text is rendered for a font scale: the scale itself, between 1 and
+ * DEFAULT_MAX_FONT_SCALE. Font scales below 1 shrink text, but never the layout.
+ * @param {number} [fontScale=1] - The user's font scale.
+ * @returns {number} The text scale.
+ */
+export const getTextScale = (fontScale = 1) => Math.min(DEFAULT_MAX_FONT_SCALE, Math.max(1, fontScale || 1));
+
 /**
  * Calculates the number of grid columns based on the device type and orientation.
  * This is the core of the responsive grid system.
+ * The column policy can be configured: a column map picks a count per device type and orientation, and a minimum
+ * item width derives the count from the space available instead.
  * @param {number} [width] - An optional width to use for calculation.
+ * @param {number} [height] - An optional height to use for calculation. Defaults to the window height.
+ * @param {object} [options] - The column policy.
+ * @param {object} [options.breakpoints] - Custom breakpoints (see resolveBreakpoints).
+ * @param {object} [options.columnMap] - Column counts keyed by device (see selectForDevice), e.g.
+ * `{ phone: 1, tabletLandscape: 3 }`. Devices the map does not cover use DEFAULT_COLUMN_MAP.
+ * @param {number} [options.minItemWidth] - The narrowest an item may be, in pixels. When set, the grid gets as many
+ * columns as fit in the window (less the adaptive padding), and the column map is ignored.
+ * @param {number} [options.fontScale=1] - The user's font scale. Larger text needs wider items, so the columns are
+ * divided by the scale (up to DEFAULT_MAX_FONT_SCALE): at 200% text, a 4-column grid gets 2 columns.
  * @returns {number} The number of columns for the grid.
  */
-export const getGridColumns = (width = null) => {
-    const { width: screenWidth, height: screenHeight } = getCurrentDimensions();
+export const getGridColumns = (width = null, height = null, options = {}) => {
+    const { width: screenWidth, height: windowHeight } = getCurrentDimensions();
     const currentWidth = width || screenWidth;
-    const isLandscape = currentWidth > screenHeight;
-    const deviceType = getDeviceType(currentWidth);
-    
-    // The number of columns changes based on the device type and orientation.
-    switch (deviceType) {
-        case 'smallPhone':
-        case 'mediumPhone':
-        case 'largePhone':
-            return isLandscape ? 2 : 1;
-        case 'tablet':
-            return isLandscape ? 4 : 2; // More columns for tablets
-        case 'largeTablet':
-            return isLandscape ? 5 : 3;
-        default:
-            return isLandscape ? 2 : 1;
+    const screenHeight = height || windowHeight;
+    const context = {
+        deviceType: getDeviceType(currentWidth, screenHeight, options.breakpoints),
+        orientation: currentWidth > screenHeight ? 'landscape' : 'portrait',
+    };
+
+    const textScale = getTextScale(options.fontScale);
+
+    if (options.minItemWidth > 0) {
+        const available = currentWidth - 2 * getAdaptivePadding(currentWidth, screenHeight, options.breakpoints);
+        return Math.max(1, Math.floor(available / (options.minItemWidth * textScale)));
     }
+    // The number of columns changes based on the device type and orientation.
+    const columns = (options.columnMap && selectForDevice(options.columnMap, context))
+        ?? selectForDevice(DEFAULT_COLUMN_MAP, context);
+    return Math.max(1, Math.floor(columns / textScale));
 };
 
 /**
  * Checks if the device is a tablet.
  * This is a helper function to easily check the device type.
  * @param {number} [width] - An optional width to use for calculation.
+ * @param {number} [height] - An optional height to use for calculation. Defaults to the window height.
+ * @param {object} [customBreakpoints] - Custom breakpoints (see resolveBreakpoints). Defaults to `breakpoints`.
  * @returns {boolean} True if the device is a tablet, false otherwise.
  */
-export const isTablet = (width = null) => {
-    const deviceType = getDeviceType(width);
+export const isTablet = (width = null, height = null, customBreakpoints = breakpoints) => {
+    const deviceType = getDeviceType(width, height, customBreakpoints);
     return deviceType === 'tablet' || deviceType === 'largeTablet';
 };
 
 /**
  * Gets an adaptive padding value based on the device type.
  * This allows for more consistent spacing across different devices.
+ * @param {number} [width] - An optional width to use for calculation.
+ * @param {number} [height] - An optional height to use for calculation. Defaults to the window height.
+ * @param {object} [customBreakpoints] - Custom breakpoints (see resolveBreakpoints). Defaults to `breakpoints`.
  * @returns {number} The adaptive padding value.
  */
-export const getAdaptivePadding = () => {
-    const deviceType = getDeviceType();
+export const getAdaptivePadding = (width = null, height = null, customBreakpoints = breakpoints) => {
+    const currentWidth = width || getCurrentDimensions().width;
+    const deviceType = getDeviceType(currentWidth, height, customBreakpoints);
     switch (deviceType) {
-        case 'smallPhone': return wp('4%');
-        case 'mediumPhone': return wp('4%');
-        case 'largePhone': return wp('6%');
-        case 'tablet': return wp('8%');
-        default: return wp('10%');
+        case 'smallPhone': return percentOf('4%', currentWidth);
+        case 'mediumPhone': return percentOf('4%', currentWidth);
+        case 'largePhone': return percentOf('6%', currentWidth);
+        case 'tablet': return percentOf('8%', currentWidth);
+        default: return percentOf('10%', currentWidth);
     }
 };
+
+/**
+ * Calculates every responsive value for a window size in one go.
+ * This is what the ResponsiveProvider shares with its children; it is also useful on its own in tests.
+ * @param {{width: number, height: number, fontScale?: number}} window - The window size, and the user's font scale.
+ * @param {object} [options] - The breakpoints and column policy (see getGridColumns).
+ * @param {object} [options.breakpoints] - Custom breakpoints.
+ * @param {object} [options.columnMap] - Column counts keyed by device.
+ * @param {number} [options.minItemWidth] - The narrowest an item may be, in pixels.
+ * @returns {{
+ *   width: number,
+ *   height: number,
+ *   deviceType: string,
+ *   breakpoint: ReturnType<typeof getBreakpoint>,
+ *   orientation: 'portrait' | 'landscape',
+ *   isLandscape: boolean,
+ *   isTablet: boolean,
+ *   columns: number,
+ *   fontScale: number,
+ *   textScale: number,
+ *   spacing: ReturnType<typeof createSpacing>,
+ *   typography: ReturnType<typeof createTypography>,
+ *   adaptivePadding: number,
+ *   wp: function((number | string)): number,
+ *   hp: function((number | string)): number,
+ *   rf: function(number, number=): number,
+ *   breakpoints: typeof breakpoints,
+ *   columnMap?: object,
+ *   minItemWidth?: number,
+ * }} The responsive values. The active breakpoints and column policy are included, so nested components can
+ * build on them.
+ */
+export const getResponsiveMetrics = ({ width, height, fontScale = 1 }, options = {}) => {
+    const activeBreakpoints = resolveBreakpoints(options.breakpoints);
+    const policy = { ...options, breakpoints: activeBreakpoints, fontScale };
+    const deviceType = getDeviceType(width, height, activeBreakpoints);
+    const isLandscape = width > height;
+    return {
+        width,
+        height,
+        deviceType,
+        breakpoint: getBreakpoint(width, height, activeBreakpoints),
+        orientation: isLandscape ? 'landscape' : 'portrait',
+        isLandscape,
+        isTablet: deviceType === 'tablet' || deviceType === 'largeTablet',
+        columns: getGridColumns(width, height, policy),
+        // The user's font scale, and how much larger than normal text is rendered with it (see getTextScale).
+        fontScale,
+        textScale: getTextScale(fontScale),
+        spacing: createSpacing(width),
+        typography: createTypography(width, fontScale),
+        adaptivePadding: getAdaptivePadding(width, height, activeBreakpoints),
+        // Scaling helpers bound to this window size.
+        wp: (percentage) => percentOf(percentage, width),
+        hp: (percentage) => percentOf(percentage, height),
+        rf: (size, maxFontScale) => scaleFont(size, width, fontScale, maxFontScale),
+        // The policy the values were calculated with.
+        breakpoints: activeBreakpoints,
+        columnMap: options.columnMap,
+        minItemWidth: options.minItemWidth,
+    };
+};
@@ -0,0 +1,95 @@
+/**
+ * @file This file contains the calculations behind the statistic detail screen.
+ * A detail document describes one statistic over a time range: the `series` of the range, the `previous` series
+ * of the period before it, and a `breakdown` of the range's total by category. Everything here is pure, so the
+ * screen only has to render the results.
+ */
+
+// The time ranges a statistic can be viewed over, in display order.
+// The labels are in English; translated ones are the `range.<id>`, `range.<id>.current` and `range.<id>.previous`
+// messages.
+export const STATISTIC_RANGES = [
+    { id: 'day', label: 'Day', currentLabel: 'Today', previousLabel: 'yesterday' },
+    { id: 'week', label: 'Week', currentLabel: 'This week', previousLabel: 'last week' },
+    { id: 'month', label: 'Month', currentLabel: 'This month', previousLabel: 'last month' },
+    { id: 'quarter', label: 'Quarter', currentLabel: 'This quarter', previousLabel: 'last quarter' },
+];
+
+// The range shown when a detail screen is opened.
+export const DEFAULT_STATISTIC_RANGE = 'week';
+
+/**
+ * Checks whether a value is the id of a known time range.
+ * @param {*} range - The value to check.
+ * @returns {boolean} Whether it is a range id.
+ */
+export const isStatisticRange = (range) => STATISTIC_RANGES.some(item => item.id === range);
+
+/**
+ * Reduces a series to the single value that describes its period.
+ * @param {Array<{value: number}>} series - The series.
+ * @param {'sum' | 'average' | 'last'} [aggregate='sum'] - How the values are combined. Counts and amounts are
+ * summed, rates (e.g. a conversion rate) are averaged, and levels (e.g. active users) use the last value.
+ * @returns {number} The period value. Zero for an empty series.
+ */
+export const summarizeSeries = (series, aggregate = 'sum') => {
+    if (series.length === 0) {
+        return 0;
+    }
+    const total = series.reduce((sum, point) => sum + point.value, 0);
+    switch (aggregate) {
+        case 'average':
+            return total / series.length;
+        case 'last':
+            return series[series.length - 1].value;
+        default:
+            return total;
+    }
+};
+
+/**
+ * Compares the value of a period with the value of the period before it.
+ * @param {number} current - The value of the current period.
+ * @param {number} previous - The value of the previous period.
+ * @returns {{current: number, previous: number, change: number, changePercent: number | null,
+ *   trend: 'up' | 'down' | 'flat'}} The comparison. `changePercent` is null when the previous value is zero,
+ * since no meaningful percentage exists.
+ */
+export const comparePeriods = (current, previous) => {
+    const change = current - previous;
+    return {
+        current,
+        previous,
+        change,
+        changePercent: previous === 0 ? null : (change / Math.abs(previous)) * 100,
+        trend: change > 0 ? 'up' : change < 0 ? 'down' : 'flat',
+    };
+};
+
+/**
+ * Formats a percentage change with its sign, e.g. '+12.5%' or '-3.0%'.
+ * @param {number | null} changePercent - The change, as returned by comparePeriods.
+ * @returns {string} The formatted change, or '—' when there is none.
+ */
+export const formatChange = (changePercent) => {
+    if (changePercent === null || !Number.isFinite(changePercent)) {
+        return '—';
+    }
+    return `${changePercent > 0 ? '+' : ''}${changePercent.toFixed(1)}%`;
+};
+
+/**
+ * Builds the rows of the breakdown table, largest first, each with its share of the total.
+ * @param {Array<{label: string, value: number}>} breakdown - The breakdown from the detail document.
+ * @returns {Array<{label: string, value: number, share: number}>} The rows. Shares are fractions between 0 and 1.
+ */
+export const buildBreakdownRows = (breakdown) => {
+    const total = breakdown.reduce((sum, row) => sum + Math.max(0, row.value), 0);
+    return [...breakdown]
+        .sort((a, b) => b.value - a.value)
+        .map(row => ({
+            label: row.label,
+            value: row.value,
+            share: total > 0 ? Math.max(0, row.value) / total : 0,
+        }));
+};